@@ -1,19 +1,25 @@
 'use client';
 
 import { useState, useEffect, useRef } from 'react';
-import { Container, Button, Alert } from 'react-bootstrap';
+import { Container, Button, ButtonGroup, Alert } from 'react-bootstrap';
 import { FaPlay, FaPause } from 'react-icons/fa';
-import ChiaroscuroCanvas from './components/ChiaroscuroCanvasSimple';
+import ChiaroscuroCanvas from './components/ChiaroscuroCanvas';
+import ChiaroscuroCanvasSimple from './components/ChiaroscuroCanvasSimple';
 import ControlPanel from './components/ControlPanel';
 import AudioEngine from './lib/AudioEngine';
+import { FREQUENCY_BANDS } from './lib/FrequencyBands';
+import { loadCalibrationProfile } from './lib/InputCalibration';
 
 const ChiaroscuroSandbox = () => {
   const [isActive, setIsActive] = useState(false);
   const [error, setError] = useState(null);
   const [audioLevel, setAudioLevel] = useState(0);
   const [isInitializing, setIsInitializing] = useState(false);
+  const [canvasView, setCanvasView] = useState('bands'); // 'bands' (per-band blobs) or 'simple' (paulstretch, synths)
 
   const audioEngineRef = useRef(null);
+  const bandsRef = useRef(FREQUENCY_BANDS); // Band set for the engine (chosen in the control panel)
+  const bandSplitterRef = useRef('bandpass'); // 'bandpass' or 'crossover'
   const animationFrameRef = useRef(null);
 
   // Cleanup on unmount
@@ -73,7 +79,11 @@ const ChiaroscuroSandbox = () => {
         window.chiaroscuroMicStream = stream;
 
         // Initialize audio engine
-        audioEngineRef.current = new AudioEngine();
+        audioEngineRef.current = new AudioEngine({
+          bands: bandsRef.current,
+          bandSplitter: bandSplitterRef.current,
+          calibration: loadCalibrationProfile()
+        });
         await audioEngineRef.current.initialize();
 
         // CRITICAL: Resume AudioContext (browsers require user gesture)
@@ -84,6 +94,12 @@ const ChiaroscuroSandbox = () => {
       } catch (err) {
         console.error('Failed to initialize:', err);
 
+        // Drop the half-built engine so the next start builds a fresh one
+        if (audioEngineRef.current) {
+          audioEngineRef.current.cleanup();
+          audioEngineRef.current = null;
+        }
+
         let errorMessage = 'Failed to access microphone. ';
         if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
           errorMessage += 'Please allow microphone access and try again.';
@@ -104,6 +120,62 @@ const ChiaroscuroSandbox = () => {
     }
   };
 
+  // Play an audio file through the engine instead of the microphone
+  // (resolves true once it is playing, false if it could not be loaded)
+  const loadAudioFile = async (file, options = {}) => {
+    setError(null);
+    const hadEngine = !!audioEngineRef.current;
+
+    try {
+      if (hadEngine) {
+        await audioEngineRef.current.loadAudioFile(file, options);
+        return true;
+      }
+
+      setIsInitializing(true);
+
+      // No microphone needed - the file is the input
+      audioEngineRef.current = new AudioEngine({
+        bands: bandsRef.current,
+        bandSplitter: bandSplitterRef.current,
+        calibration: loadCalibrationProfile()
+      });
+      await audioEngineRef.current.initialize(file, options);
+      audioEngineRef.current.start();
+
+      console.log('Audio engine initialized with file input');
+      setIsActive(true);
+      return true;
+    } catch (err) {
+      console.error('Failed to load audio file:', err);
+      setError(`Failed to load audio file. ${err.message || 'Unknown error.'}`);
+
+      // An engine built for this file goes too (the running one keeps its input)
+      if (!hadEngine && audioEngineRef.current) {
+        audioEngineRef.current.cleanup();
+        audioEngineRef.current = null;
+      }
+      return false;
+    } finally {
+      setIsInitializing(false);
+    }
+  };
+
+  // Switch band sets - applies now if the engine is running, else on start
+  const changeBandSet = (bands) => {
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setBandSet(bands);
+    }
+    bandsRef.current = bands;
+  };
+
+  const changeBandSplitter = (type) => {
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setBandSplitter(type);
+    }
+    bandSplitterRef.current = type;
+  };
+
   return (
     <div
       style={{
@@ -125,19 +197,51 @@ const ChiaroscuroSandbox = () => {
       )}
 
       {/* Main Canvas */}
-      <ChiaroscuroCanvas
-        isActive={isActive}
-        audioLevel={audioLevel}
-        audioEngine={audioEngineRef.current}
-      />
+      {canvasView === 'bands' ? (
+        <ChiaroscuroCanvas
+          isActive={isActive}
+          audioLevel={audioLevel}
+          audioEngine={audioEngineRef.current}
+        />
+      ) : (
+        <ChiaroscuroCanvasSimple
+          isActive={isActive}
+          audioLevel={audioLevel}
+          audioEngine={audioEngineRef.current}
+        />
+      )}
 
       {/* Control Panel */}
       <ControlPanel
         isActive={isActive}
         onToggleActive={toggleActive}
+        onLoadAudioFile={loadAudioFile}
+        onBandSetChange={changeBandSet}
+        onBandSplitterChange={changeBandSplitter}
         audioEngine={audioEngineRef.current}
       />
 
+      {/* Canvas View */}
+      <ButtonGroup
+        size="sm"
+        style={{
+          position: 'absolute',
+          bottom: '2rem',
+          left: '1rem',
+          zIndex: 1000
+        }}
+      >
+        {[['bands', 'Bands'], ['simple', 'Simple']].map(([view, label]) => (
+          <Button
+            key={view}
+            variant={canvasView === view ? 'light' : 'outline-light'}
+            onClick={() => setCanvasView(view)}
+          >
+            {label}
+          </Button>
+        ))}
+      </ButtonGroup>
+
       {/* Start/Stop Button */}
       <div
         style={{
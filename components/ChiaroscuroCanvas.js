@@ -1,10 +1,59 @@
 'use client';
 
 import { useEffect, useRef, useState } from 'react';
-import ChiaroscuroVisualizer from '../lib/ChiaroscuroVisualizer';
-import SimplePaulstretch from '../lib/SimplePaulstretch';
 import SuperSynth from '../lib/SuperSynth';
 import SynthBlob from '../lib/SynthBlob';
+import BlobPhysics from '../lib/BlobPhysics';
+import FluidField from '../lib/FluidField';
+import TonalBlob from '../lib/TonalBlob';
+import MemoryBlob from '../lib/MemoryBlob';
+import { FREQUENCY_BANDS } from '../lib/FrequencyBands';
+import { renderAutomationIndicator, renderGhostTrails } from '../lib/AutomationOverlay';
+
+// Snapshot a band into a looping memory blob; repeated freezes stack up beside it
+function freezeBandBlob(audioEngine, blob, memoryBlobs) {
+  const loop = audioEngine.freezeBand(blob.bandIndex);
+  if (!loop) return null;
+
+  const layer = memoryBlobs.filter(m => m.loop.bandIndex === blob.bandIndex && !m.loop.isStopped).length;
+  const memoryBlob = new MemoryBlob(
+    blob.x + (blob.spatialOffsetX || 0) + layer * 14,
+    blob.y + (blob.spatialOffsetY || 0) - 60 - layer * 14,
+    loop,
+    blob.bandInfo
+  );
+  memoryBlobs.push(memoryBlob);
+  return memoryBlob;
+}
+
+// Move analysis blobs along their automation lanes, picking up and letting go
+// of their bands as the loop does (the blob in your hand is left alone)
+function applyAutomationBlobs(audioEngine, lanes, blobs, draggedBlob, width, height, isActive) {
+  const playing = new Map(lanes.filter(lane => lane.current && lane.current.active).map(lane => [lane.target, lane.current]));
+
+  blobs.forEach(blob => {
+    if (blob === draggedBlob) return;
+
+    const point = playing.get(blob.bandIndex);
+    if (point) {
+      blob.x = point.x * width;
+      blob.y = point.y * height;
+      blob.isDragging = true;
+      blob.automated = true;
+      if (isActive && !blob.isSynthesizing) {
+        audioEngine.startBandSynthesis(blob.bandIndex, 1.0);
+        blob.isSynthesizing = true;
+      }
+    } else if (blob.automated) {
+      blob.automated = false;
+      blob.isDragging = false;
+      if (blob.isSynthesizing) {
+        audioEngine.stopBandSynthesis(blob.bandIndex);
+        blob.isSynthesizing = false;
+      }
+    }
+  });
+}
 
 const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
   const canvasRef = useRef(null);
@@ -15,10 +64,30 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
   const currentBandEnergiesRef = useRef(null); // Store current band energies
   const superSynthRef = useRef(null); // SuperSynth instance
   const synthBlobsRef = useRef([]); // Track synth-generated blobs
-  const mouseRef = useRef({ x: 0, y: 0, isDown: false, draggedBlob: null, draggedSynthBlob: null, draggedTonalBlob: null, shiftHeld: false, altHeld: false, ctrlHeld: false, dragStartPos: null });
+  const memoryBlobsRef = useRef([]); // Frozen band loops
+  const mouseRef = useRef({ x: 0, y: 0, isDown: false, draggedBlob: null, draggedSynthBlob: null, draggedTonalBlob: null, draggedMemoryBlob: null, shiftHeld: false, altHeld: false, ctrlHeld: false, dragStartPos: null });
   const [layout, setLayout] = useState('arc'); // 'arc', 'bar', or 'organic'
   const [visualMode, setVisualMode] = useState('blobs'); // fluid, blobs - default to blobs since fluid needs debugging
 
+  // Silence the bands this canvas started when it unmounts (switching to the simple view),
+  // memory loops included - the simple view has no blobs to drag or remove them with
+  useEffect(() => {
+    return () => {
+      if (!audioEngine) return;
+      memoryBlobsRef.current.forEach(blob => audioEngine.removeMemoryBlob(blob.loop));
+      memoryBlobsRef.current = [];
+      if (blobPhysicsRef.current) {
+        blobPhysicsRef.current.blobs.forEach(blob => {
+          if (blob.isSynthesizing) {
+            audioEngine.stopBandSynthesis(blob.bandIndex);
+            blob.isSynthesizing = false;
+          }
+        });
+      }
+      audioEngine.stopGrainSynthesis();
+    };
+  }, [audioEngine]);
+
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -109,10 +178,43 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
         return;
       }
 
-      // Space (hold): Freeze mode
+      // F: Freeze the band under the cursor into a memory blob
+      if ((e.key === 'f' || e.key === 'F') && !e.repeat && blobPhysicsRef.current) {
+        const blob = mouseRef.current.draggedBlob ||
+          blobPhysicsRef.current.getBlobAtPosition(mouseRef.current.x, mouseRef.current.y);
+        if (blob && isActive && audioEngine) {
+          freezeBandBlob(audioEngine, blob, memoryBlobsRef.current);
+        }
+        return;
+      }
+
+      // A (or Shift+A, as on the simple canvas): Start automation recording, again to stop and loop it
+      const key = e.key.toLowerCase();
+      if (key === 'a' && !e.repeat && audioEngine) {
+        audioEngine.toggleAutomationRecord();
+        return;
+      }
+
+      // M / S over a blob: mute / solo its band (elsewhere they still play synth notes)
+      if ((key === 'm' || key === 's') && !e.repeat && blobPhysicsRef.current && audioEngine) {
+        const blob = mouseRef.current.draggedBlob ||
+          blobPhysicsRef.current.getBlobAtPosition(mouseRef.current.x, mouseRef.current.y);
+        if (blob) {
+          if (key === 'm') {
+            audioEngine.toggleBandMute(blob.bandIndex);
+          } else {
+            audioEngine.toggleBandSolo(blob.bandIndex);
+          }
+          return;
+        }
+      }
+
+      // Space (hold): Freeze mode - hold the processor's current spectrum
       if (e.key === ' ') {
         e.preventDefault();
-        // TODO: Implement freeze mode
+        if (audioEngine && !e.repeat) {
+          audioEngine.setSpectralFreeze(true);
+        }
       }
 
       // Number keys for presets
@@ -140,6 +242,10 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       if (e.key === 'Alt') mouseRef.current.altHeld = false;
       if (e.key === 'Control') mouseRef.current.ctrlHeld = false;
 
+      if (e.key === ' ' && audioEngine) {
+        audioEngine.setSpectralFreeze(false);
+      }
+
       // SuperSynth: stop note on key release
       if (superSynthRef.current) {
         const key = e.key.toLowerCase();
@@ -152,7 +258,8 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
 
     // Initialize visualization systems
     if (!blobPhysicsRef.current) {
-      blobPhysicsRef.current = new BlobPhysics(canvas.width, canvas.height, layout);
+      const bands = audioEngine ? audioEngine.getBands() : FREQUENCY_BANDS;
+      blobPhysicsRef.current = new BlobPhysics(canvas.width, canvas.height, layout, bands);
     }
 
     if (!fluidFieldRef.current) {
@@ -170,10 +277,16 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       ctx.fillStyle = '#0a0a0a';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+      // Band set can change at runtime - blobs follow the engine's
+      const bands = audioEngine ? audioEngine.getBands() : FREQUENCY_BANDS;
+      blobPhysicsRef.current.setBands(bands);
+
       // Get band energies from audio engine - use PROCESSED output for feedback loop!
       let bandEnergies;
+      let features = null;
       if (isActive && audioEngine) {
         bandEnergies = audioEngine.getProcessedBandEnergies();
+        features = audioEngine.getFeatures();
 
         // Also update audio processor based on fluid field if in fluid mode
         if (visualMode === 'fluid' && fluidFieldRef.current) {
@@ -184,25 +297,58 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
         }
       } else {
         // Idle state: use zero energies
-        bandEnergies = new Array(24).fill(0);
+        bandEnergies = new Array(bands.length).fill(0);
       }
 
       // Store current band energies
       currentBandEnergiesRef.current = bandEnergies;
 
       // Render based on visual mode
+      const calibration = audioEngine ? audioEngine.getCalibrationProfile() : null;
       if (visualMode === 'fluid' && fluidFieldRef.current) {
         // Update and render fluid field
-        fluidFieldRef.current.update(bandEnergies);
+        fluidFieldRef.current.applyCalibration(calibration);
+        fluidFieldRef.current.update(bandEnergies, features);
         fluidFieldRef.current.render(ctx);
       } else if (visualMode === 'blobs' && blobPhysicsRef.current) {
+        const blobs = blobPhysicsRef.current.blobs;
+        const automationBlobs = audioEngine ? audioEngine.getAutomationBlobs() : [];
+        if (audioEngine) {
+          applyAutomationBlobs(audioEngine, automationBlobs, blobs, mouseRef.current.draggedBlob,
+            canvas.width, canvas.height, isActive);
+
+          // Record the held blob's path (only kept while automation is recording)
+          const held = mouseRef.current.draggedBlob;
+          if (held) {
+            audioEngine.recordBlobAutomation(held.bandIndex, held.x / canvas.width, held.y / canvas.height, true);
+          }
+        }
+
         // Update and render blob physics
+        blobPhysicsRef.current.applyCalibration(calibration);
         blobPhysicsRef.current.update(bandEnergies);
-        blobPhysicsRef.current.blobs.forEach(blob => {
-          renderBlob(ctx, blob);
+        const muteSolo = audioEngine ? audioEngine.getBandMuteSoloState() : null;
+        blobs.forEach(blob => {
+          renderBlob(ctx, blob, muteSolo ? muteSolo.bands[blob.bandIndex] : null);
+        });
+
+        // Ghost trails of recorded blob gestures
+        renderGhostTrails(ctx, automationBlobs, canvas.width, canvas.height, lane => {
+          const blob = blobs.find(b => b.bandIndex === lane.target);
+          return blob ? blob.hue : 0;
         });
+
+        // Blob X/Y -> band pan and reverb send (also while blobs drift on their own)
+        if (isActive && audioEngine) {
+          blobPhysicsRef.current.updateSpatialAudio(audioEngine);
+        }
       }
 
+      // Update and render memory blobs (fade out once removed or cleared)
+      memoryBlobsRef.current.forEach(blob => blob.update(canvas.width, canvas.height));
+      memoryBlobsRef.current = memoryBlobsRef.current.filter(b => !b.isDead());
+      memoryBlobsRef.current.forEach(blob => blob.render(ctx));
+
       // Update and render tonal blobs
       tonalBlobsRef.current.forEach(blob => blob.update(canvas.width, canvas.height));
       tonalBlobsRef.current = tonalBlobsRef.current.filter(b => !b.isDead());
@@ -225,6 +371,11 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       // Render synth blobs (on top of analysis blobs)
       synthBlobsRef.current.forEach(blob => blob.render(ctx));
 
+      // Automation recording / loop indicator
+      if (audioEngine) {
+        renderAutomationIndicator(ctx, audioEngine.getAutomationState());
+      }
+
       animationRef.current = requestAnimationFrame(animate);
     };
 
@@ -243,7 +394,7 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
     };
   }, [isActive, audioLevel, audioEngine, layout, visualMode]);
 
-  const renderBlob = (ctx, blob) => {
+  const renderBlob = (ctx, blob, bandState) => {
     ctx.save();
 
     // Apply spatial offset for energy-reactive position
@@ -259,7 +410,7 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
     const hue = blob.hue || 0;
     let brightness = blob.brightness || 60;
     let saturation = blob.saturation || 80;
-    const energyOpacity = Math.max(0.5, blob.energy);
+    let energyOpacity = Math.max(0.5, blob.energy);
 
     // PHASE 4: Visual boost when synthesizing
     if (blob.isSynthesizing) {
@@ -267,6 +418,18 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       saturation = Math.min(100, saturation + 15); // More saturated
     }
 
+    // Mute/solo: muted bands desaturate, bands silenced by a solo dim, soloed bands glow
+    if (bandState && bandState.muted) {
+      saturation = 15;
+      brightness = Math.max(25, brightness - 25);
+      energyOpacity *= 0.35;
+    } else if (bandState && !bandState.audible) {
+      saturation *= 0.5;
+      energyOpacity *= 0.4;
+    } else if (bandState && bandState.soloed) {
+      brightness = Math.min(95, brightness + 15);
+    }
+
     // Outer glow (more dramatic, extends beyond blob)
     const outerGlow = ctx.createRadialGradient(
       0, 0, 0,
@@ -308,6 +471,15 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
     ctx.arc(0, 0, blob.radius * 0.4, 0, Math.PI * 2);
     ctx.fill();
 
+    // Solo ring
+    if (bandState && bandState.soloed && !bandState.muted) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, blob.radius * 1.15, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
     // PHASE 4: Pulsing ring indicator when synthesizing
     if (blob.isSynthesizing) {
       const pulsePhase = Date.now() * 0.003; // Pulse speed
@@ -389,8 +561,40 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       return;
     }
 
+    // Memory blobs sit above analysis blobs: triple-click removes, otherwise drag
+    let clickedMemoryBlob = null;
+    for (let i = memoryBlobsRef.current.length - 1; i >= 0; i--) {
+      const memoryBlob = memoryBlobsRef.current[i];
+      if (!memoryBlob.loop.isStopped && memoryBlob.contains(x, y)) {
+        clickedMemoryBlob = memoryBlob;
+        break;
+      }
+    }
+
+    if (clickedMemoryBlob) {
+      if (e.detail >= 3 && audioEngine) {
+        audioEngine.removeMemoryBlob(clickedMemoryBlob.loop);
+      } else {
+        mouseRef.current.draggedMemoryBlob = clickedMemoryBlob;
+        clickedMemoryBlob.startDrag();
+      }
+      return;
+    }
+
     // Check if clicking on an analysis blob
     const blob = blobPhysicsRef.current.getBlobAtPosition(x, y);
+    if (blob && e.detail === 2 && audioEngine) {
+      // Double-click: toggle solo
+      audioEngine.toggleBandSolo(blob.bandIndex);
+    } else if (blob && e.detail === 3 && audioEngine) {
+      // Triple-click: freeze this band into a memory blob
+      // (undo the solo toggled by the double-click it passed through)
+      audioEngine.toggleBandSolo(blob.bandIndex);
+      if (isActive) {
+        freezeBandBlob(audioEngine, blob, memoryBlobsRef.current);
+      }
+    }
+
     if (blob) {
       mouseRef.current.draggedBlob = blob;
       mouseRef.current.dragStartPos = { x: blob.x, y: blob.y };
@@ -400,8 +604,15 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       blob.dragStartX = blob.x;
       blob.dragStartY = blob.y;
 
+      // Pitch the band had before this drag (Shift+vertical drag shifts from here)
+      const bandPitch = audioEngine ? audioEngine.getBandPitch(blob.bandIndex) : null;
+      blob.dragStartPitch = bandPitch ? bandPitch.semitones + bandPitch.cents / 100 : 0;
+
+      // Taken over from automation playback: it is already synthesizing
+      blob.automated = false;
+
       // NEW: Start per-band synthesis immediately on drag
-      if (audioEngine && isActive) {
+      if (audioEngine && isActive && !blob.isSynthesizing) {
         // Start with 1x stretch (will be updated in handleMouseMove)
         audioEngine.startBandSynthesis(blob.bandIndex, 1.0);
         blob.isSynthesizing = true;
@@ -498,6 +709,14 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       return;
     }
 
+    // Handle memory blob dragging
+    if (mouseRef.current.isDown && mouseRef.current.draggedMemoryBlob) {
+      const memoryBlob = mouseRef.current.draggedMemoryBlob;
+      memoryBlob.x = x;
+      memoryBlob.y = y;
+      return;
+    }
+
     // Handle tonal blob dragging
     if (mouseRef.current.isDown && mouseRef.current.draggedTonalBlob) {
       const tonalBlob = mouseRef.current.draggedTonalBlob;
@@ -554,9 +773,17 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
           const stretchFactor = 1 + Math.abs(dx) * 0.01;
           audioEngine.setTimeStretch(Math.min(stretchFactor, 4));
 
-          // Vertical drag = pitch shift (-12 to +12 semitones)
-          const pitchShift = -dy * 0.05;
-          audioEngine.setPitchShift(Math.max(-12, Math.min(12, pitchShift)));
+          // Vertical drag = pitch shift of this band (20px per semitone, up = higher)
+          // Sticks to whole semitones for chords, cents in between; Alt preserves formants
+          let pitch = Math.max(-24, Math.min(24, blob.dragStartPitch - dy * 0.05));
+          if (Math.abs(pitch - Math.round(pitch)) < 0.15) {
+            pitch = Math.round(pitch);
+          }
+          const semitones = Math.trunc(pitch);
+          const cents = Math.round((pitch - semitones) * 100);
+          audioEngine.updateBandPitch(blob.bandIndex, semitones, cents);
+          audioEngine.setBandFormantPreservation(blob.bandIndex, e.altKey);
+          blob.currentPitch = pitch;
         }
       } else {
         // No shift: normal drag to move blob
@@ -575,7 +802,9 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       }
     }
 
-    if (hoveredSynthBlob) {
+    const hoveredMemoryBlob = memoryBlobsRef.current.some(b => !b.loop.isStopped && b.contains(x, y));
+
+    if (hoveredSynthBlob || hoveredMemoryBlob) {
       canvasRef.current.style.cursor = 'grab';
     } else {
       // Check tonal blobs
@@ -608,6 +837,12 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
       mouseRef.current.draggedSynthBlob = null;
     }
 
+    // Stop memory blob dragging
+    if (mouseRef.current.draggedMemoryBlob) {
+      mouseRef.current.draggedMemoryBlob.stopDrag();
+      mouseRef.current.draggedMemoryBlob = null;
+    }
+
     // Handle tonal blob click vs drag
     if (mouseRef.current.draggedTonalBlob) {
       const blob = mouseRef.current.draggedTonalBlob;
@@ -630,6 +865,9 @@ const ChiaroscuroCanvas = ({ isActive, audioLevel, audioEngine }) => {
     if (mouseRef.current.draggedBlob) {
       const blob = mouseRef.current.draggedBlob;
       blob.isDragging = false;
+      if (audioEngine && canvasRef.current) {
+        audioEngine.recordBlobAutomation(blob.bandIndex, blob.x / canvasRef.current.width, blob.y / canvasRef.current.height, false);
+      }
 
       // NEW: Stop per-band synthesis
       if (blob.isSynthesizing && audioEngine && isActive) {
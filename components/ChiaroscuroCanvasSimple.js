@@ -5,6 +5,15 @@ import GenerativeAudioVisualizer from '../lib/GenerativeAudioVisualizer';
 import SimplePaulstretch from '../lib/SimplePaulstretch';
 import SuperSynth from '../lib/SuperSynth';
 import DrawModeSynth from '../lib/DrawModeSynth';
+import { FREQUENCY_BANDS } from '../lib/FrequencyBands';
+import { renderAutomationIndicator, renderGhostTrails } from '../lib/AutomationOverlay';
+
+// Pointer gestures recorded as automation lanes (hues match the help overlay)
+const GESTURES = {
+  draw: { label: 'Draw gesture', hue: 150 },
+  modify: { label: 'Stretch gesture', hue: 270 },
+  alt: { label: 'Push gesture', hue: 30 }
+};
 
 const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
   const canvasRef = useRef(null);
@@ -16,6 +25,7 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
   const mouseRef = useRef({ isDown: false, lastX: 0, lastY: 0, mode: 'none', clickStartTime: 0, clickStartX: 0, clickStartY: 0 });
   const modifiersRef = useRef({ shift: false, alt: false, ctrl: false });
   const activeNotesRef = useRef(new Set());
+  const playedGesturesRef = useRef({}); // Gesture mode -> last played position (automation playback)
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -43,11 +53,15 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
     if (!paulstretchRef.current && audioEngine && audioEngine.audioContext) {
       paulstretchRef.current = new SimplePaulstretch(audioEngine.audioContext);
 
-      // Connect to audio chain
-      if (audioEngine.micGainNode) {
-        paulstretchRef.current.startCapture(audioEngine.micGainNode);
+      // Read the mic from the engine's shared capture ring
+      const inputReader = audioEngine.getCaptureReader('input');
+      if (inputReader) {
+        paulstretchRef.current.startCapture(inputReader);
         paulstretchRef.current.connect(audioEngine.masterGainNode);
       }
+
+      // Let offline renders replay the paulstretch settings
+      audioEngine.registerPaulstretch(paulstretchRef.current);
     }
 
     // Initialize synth (SuperSynth auto-connects to audioEngine.masterGainNode)
@@ -57,7 +71,7 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
 
     // Initialize draw mode synth
     if (!drawSynthRef.current && audioEngine && audioEngine.audioContext) {
-      drawSynthRef.current = new DrawModeSynth(audioEngine.audioContext);
+      drawSynthRef.current = new DrawModeSynth(audioEngine.audioContext, audioEngine.reverbBus);
       drawSynthRef.current.connect(audioEngine.masterGainNode);
     }
 
@@ -83,10 +97,28 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
 
     // Keyboard shortcuts
     const handleKeyDown = (e) => {
+      // Shift+A: Start automation recording, again to stop and loop it ('a' plays C3)
+      if (e.key === 'A' && !e.repeat && audioEngine) {
+        audioEngine.toggleAutomationRecord();
+        return;
+      }
+
       // Number keys control stretch factor
       if (e.key >= '1' && e.key <= '9' && paulstretchRef.current) {
-        const stretch = parseInt(e.key);
-        paulstretchRef.current.setStretchFactor(stretch);
+        const step = parseInt(e.key);
+        // Spectral mode: exponential steps from 1x to 1000x
+        const stretch = paulstretchRef.current.mode === 'spectral'
+          ? Math.pow(10, (step - 1) * 3 / 8)
+          : step;
+        audioEngine.setParameter('paulstretch.stretch', stretch);
+        return;
+      }
+
+      // 0 toggles spectral (FFT) paulstretch
+      if (e.key === '0' && paulstretchRef.current) {
+        const nextMode = paulstretchRef.current.mode === 'spectral' ? 'granular' : 'spectral';
+        paulstretchRef.current.setMode(nextMode);
+        console.log(`Paulstretch mode: ${nextMode}`);
         return;
       }
 
@@ -106,7 +138,7 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
       // G adjusts grain size
       if ((e.key === 'g' || e.key === 'G') && paulstretchRef.current) {
         const size = e.shiftKey ? 0.05 : 0.2;
-        paulstretchRef.current.setGrainSize(size);
+        audioEngine.setParameter('paulstretch.grainSize', size);
         return;
       }
 
@@ -155,6 +187,41 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
 
+    // Step every playing gesture lane through the same path as the mouse
+    // (a lane you are drawing yourself is not played, see AutomationRecorder)
+    const playGestures = (gestures) => {
+      const played = playedGesturesRef.current;
+      const playing = {};
+      gestures.forEach(lane => {
+        if (lane.current && lane.current.active) playing[lane.target] = lane.current;
+      });
+
+      // Gestures the loop let go of
+      Object.keys(played).forEach(mode => {
+        if (playing[mode]) return;
+        delete played[mode];
+        if (mode === 'modify' && mouseRef.current.mode !== 'modify' &&
+            paulstretchRef.current && paulstretchRef.current.isPlaying) {
+          paulstretchRef.current.fadeOut(1.5);
+        }
+      });
+
+      Object.entries(playing).forEach(([mode, point]) => {
+        const x = point.x * canvas.width;
+        const y = point.y * canvas.height;
+        const last = played[mode];
+        played[mode] = { x, y };
+
+        if (!last) {
+          if (mode === 'modify' && paulstretchRef.current && !paulstretchRef.current.isPlaying) {
+            paulstretchRef.current.start();
+          }
+          return;
+        }
+        applyGesture(mode, x, y, x - last.x, y - last.y);
+      });
+    };
+
     // Animation loop
     const animate = () => {
       // Clear canvas
@@ -162,21 +229,33 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
 
       // Get audio data
       let bandEnergies;
+      let features = null;
       if (isActive && audioEngine) {
         bandEnergies = audioEngine.getBandEnergies();
+        features = audioEngine.getFeatures();
       } else {
         // Generate some ambient energy for testing
-        bandEnergies = new Array(24).fill(0).map((_, i) => {
+        const bandCount = audioEngine ? audioEngine.getBands().length : FREQUENCY_BANDS.length;
+        bandEnergies = new Array(bandCount).fill(0).map((_, i) => {
           return Math.sin(Date.now() * 0.001 + i * 0.5) * 0.1 + 0.05;
         });
       }
 
       // Update and render visualizer
       if (visualizerRef.current) {
-        visualizerRef.current.update(bandEnergies);
+        visualizerRef.current.applyCalibration(audioEngine ? audioEngine.getCalibrationProfile() : null);
+        visualizerRef.current.update(bandEnergies, features);
         visualizerRef.current.render(ctx);
       }
 
+      // Replay recorded gestures and draw their ghost trails, then the recording / loop indicator
+      if (audioEngine) {
+        const gestures = audioEngine.getAutomationGestures();
+        playGestures(gestures);
+        renderGhostTrails(ctx, gestures, canvas.width, canvas.height, lane => GESTURES[lane.target].hue);
+        renderAutomationIndicator(ctx, audioEngine.getAutomationState());
+      }
+
       animationRef.current = requestAnimationFrame(animate);
     };
 
@@ -195,6 +274,10 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
         paulstretchRef.current.stop();
         paulstretchRef.current.disconnect();
         paulstretchRef.current = null;
+
+        if (audioEngine) {
+          audioEngine.registerPaulstretch(null);
+        }
       }
 
       if (synthRef.current) {
@@ -209,6 +292,53 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
     };
   }, [isActive, audioEngine]);
 
+  // One pointer step of a gesture (from the mouse or automation playback)
+  const applyGesture = (mode, x, y, dx, dy) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const speed = Math.sqrt(dx * dx + dy * dy);
+    const normalizedX = x / canvas.width;
+    const normalizedY = y / canvas.height;
+    const velocity = Math.min(1, speed / 10);
+
+    if (mode === 'draw') {
+      // DRAW MODE: Generate ethereal tones
+      if (drawSynthRef.current && speed > 1) {
+        drawSynthRef.current.drawTone(x, y, velocity, normalizedX, normalizedY);
+      }
+
+      // Subtle visual trail (no vortex manipulation)
+      if (visualizerRef.current && speed > 2) {
+        const hue = normalizedX * 360;
+        for (let i = 0; i < Math.min(3, speed * 0.2); i++) {
+          visualizerRef.current.particles.push({
+            x: x + (Math.random() - 0.5) * 5,
+            y: y + (Math.random() - 0.5) * 5,
+            vx: dx * 0.1,
+            vy: dy * 0.1,
+            hue,
+            saturation: 60,
+            lightness: 70,
+            size: 1 + Math.random() * 2,
+            life: 1.0,
+            decay: 0.98
+          });
+        }
+      }
+    } else if (mode === 'modify') {
+      // MODIFY MODE: Shape vortex (paulstretch follows its parameters)
+      if (visualizerRef.current) {
+        visualizerRef.current.handleMouseMove(x, y, dx, dy, { shift: true });
+      }
+    } else if (mode === 'alt') {
+      // ALT MODE: Push particles away
+      if (visualizerRef.current) {
+        visualizerRef.current.handleMouseMove(x, y, dx, dy, { alt: true });
+      }
+    }
+  };
+
   // Mouse handlers - Two-mode system
   const handleMouseDown = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
@@ -254,6 +384,12 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
       mouseRef.current.mode = 'draw';
       // Draw mode doesn't need visualizer interaction, just draws
     }
+
+    if (audioEngine) {
+      const mode = mouseRef.current.mode;
+      audioEngine.recordGestureAutomation(mode, x / canvasRef.current.width, y / canvasRef.current.height, true,
+        GESTURES[mode].label);
+    }
   };
 
   const handleMouseMove = (e) => {
@@ -278,63 +414,36 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
       ctrl: e.ctrlKey || e.metaKey
     };
 
-    const normalizedX = x / canvas.width;
     const normalizedY = y / canvas.height;
     const velocity = Math.min(1, speed / 10);
 
-    // Handle based on mode
-    if (mouseRef.current.mode === 'draw') {
-      // DRAW MODE: Generate ethereal tones
-      if (drawSynthRef.current && speed > 1) {
-        drawSynthRef.current.drawTone(x, y, velocity, normalizedX, normalizedY);
-      }
-
-      // Subtle visual trail (no vortex manipulation)
-      if (visualizerRef.current && speed > 2) {
-        const hue = normalizedX * 360;
-        for (let i = 0; i < Math.min(3, speed * 0.2); i++) {
-          visualizerRef.current.particles.push({
-            x: x + (Math.random() - 0.5) * 5,
-            y: y + (Math.random() - 0.5) * 5,
-            vx: dx * 0.1,
-            vy: dy * 0.1,
-            hue,
-            saturation: 60,
-            lightness: 70,
-            size: 1 + Math.random() * 2,
-            life: 1.0,
-            decay: 0.98
-          });
-        }
-      }
-    } else if (mouseRef.current.mode === 'modify') {
-      // MODIFY MODE: Shape vortex + control paulstretch
-      if (visualizerRef.current) {
-        visualizerRef.current.handleMouseMove(x, y, dx, dy, { shift: true });
-      }
+    applyGesture(mouseRef.current.mode, x, y, dx, dy);
+    if (audioEngine && GESTURES[mouseRef.current.mode]) {
+      audioEngine.recordGestureAutomation(mouseRef.current.mode, x / canvas.width, normalizedY, true,
+        GESTURES[mouseRef.current.mode].label);
+    }
 
-      // Control paulstretch based on drag distance from click origin
+    if (mouseRef.current.mode === 'modify') {
+      // MODIFY MODE: Control paulstretch based on drag distance from click origin
       if (paulstretchRef.current) {
         const dragDx = x - mouseRef.current.clickStartX;
         const dragDy = y - mouseRef.current.clickStartY;
         const dragDistance = Math.sqrt(dragDx * dragDx + dragDy * dragDy);
 
         // Map drag distance to stretch: 0px=1x, 250px=8x (exponential curve)
+        // Spectral mode reaches 1000x over the same distance
         const maxDragDistance = 250;
         const normalizedDist = Math.min(dragDistance / maxDragDistance, 1.0);
-        const stretch = 1 + 7 * Math.pow(normalizedDist, 2); // 1x to 8x
+        const stretch = paulstretchRef.current.mode === 'spectral'
+          ? Math.pow(1000, Math.pow(normalizedDist, 2)) // 1x to 1000x
+          : 1 + 7 * Math.pow(normalizedDist, 2); // 1x to 8x
 
         // Grain size still from Y position (intuitive)
         const grainSize = 0.02 + normalizedY * 0.4; // 20ms to 420ms
 
-        paulstretchRef.current.setStretchFactor(stretch);
-        paulstretchRef.current.setGrainSize(grainSize);
-        paulstretchRef.current.setVolume(0.5 + velocity * 0.3);
-      }
-    } else if (mouseRef.current.mode === 'alt') {
-      // ALT MODE: Push particles away
-      if (visualizerRef.current) {
-        visualizerRef.current.handleMouseMove(x, y, dx, dy, { alt: true });
+        audioEngine.setParameter('paulstretch.stretch', stretch);
+        audioEngine.setParameter('paulstretch.grainSize', grainSize);
+        audioEngine.setParameter('paulstretch.volume', 0.5 + velocity * 0.3);
       }
     }
 
@@ -354,6 +463,13 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
     const moveDistance = Math.sqrt(dx * dx + dy * dy);
     const isQuickClick = clickDuration < 200 && moveDistance < 10;
 
+    // Let go of the recorded gesture
+    const mode = mouseRef.current.mode;
+    if (audioEngine && canvas && GESTURES[mode]) {
+      audioEngine.recordGestureAutomation(mode, mouseRef.current.lastX / canvas.width,
+        mouseRef.current.lastY / canvas.height, false, GESTURES[mode].label);
+    }
+
     mouseRef.current.isDown = false;
     mouseRef.current.mode = 'none';
 
@@ -448,7 +564,8 @@ const ChiaroscuroCanvasSimple = ({ isActive, audioLevel, audioEngine }) => {
           <span style={{ color: 'rgba(200, 150, 255, 0.5)' }}>Shift + Drag:</span> Paulstretch live mic (X=stretch, Y=grain)
         </div>
         <div>Keyboard Synth: AWSEDFTGYHUJKOLP; (piano layout)</div>
-        <div>Space: Toggle stretch | 1-9: Stretch amount</div>
+        <div>Space: Toggle stretch | 1-9: Stretch amount | 0: Spectral mode</div>
+        <div>Shift+A: Record gestures, again to loop them</div>
       </div>
     </div>
   );
@@ -1,14 +1,273 @@
 'use client';
 
-import { useState } from 'react';
-import { Card, Form, Button } from 'react-bootstrap';
-import { FaVolumeUp, FaCog, FaTimes, FaEraser } from 'react-icons/fa';
+import { useState, useEffect, useRef } from 'react';
+import { Card, Form, Button, ProgressBar } from 'react-bootstrap';
+import { FaVolumeUp, FaCog, FaTimes, FaEraser, FaFileAudio, FaCircle, FaStop, FaPause, FaPlay, FaDownload } from 'react-icons/fa';
+import { WAV_FORMATS, downloadBlob, maxWavFrames } from '../lib/WavEncoder';
+import { BAND_SETS, createBandSet, parseBandList } from '../lib/FrequencyBands';
+import { BAND_SPLITTERS } from '../lib/CrossoverFilterbank';
+import { WEIGHTINGS, BALLISTICS } from '../lib/BandMeter';
+import InputCalibrator, { saveCalibrationProfile } from '../lib/InputCalibration';
+import { IMPULSE_TYPES, REVERB_MODES } from '../lib/ReverbService';
+import { FDN_DEFAULTS } from '../lib/FDNReverb';
+import { LOUDNESS_TARGETS, silentLoudness } from '../lib/LoudnessMeter';
+import { HOWL_ACTIONS } from '../lib/HowlDetector';
+import { NOTE_DIVISIONS } from '../lib/TempoClock';
+import { MODULATION_SOURCES, LFO_SHAPES, RANDOM_MODES } from '../lib/ModulationMatrix';
+import { AUTOMATION_MODES } from '../lib/AutomationRecorder';
 
-const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const formatLevel = (db) => (db > -Infinity ? db.toFixed(1) : '-∞');
+
+// Parameters that can lock to the tempo clock
+const TEMPO_SYNC_TARGETS = {
+  delay: 'Delay',
+  grains: 'Grains',
+  lfo: 'LFO',
+  explosion: 'Bursts'
+};
+
+// 'lfo-3' -> 'LFO 3'
+const formatSourceName = (id) => {
+  const [type, number] = id.split('-');
+  return `${MODULATION_SOURCES[type] ? MODULATION_SOURCES[type].label : type} ${number}`;
+};
+
+const formatFrequency = (hz) => (hz >= 1000 ? `${(hz / 1000).toFixed(2)} kHz` : `${Math.round(hz)} Hz`);
+
+const ControlPanel = ({ isActive, onToggleActive, onLoadAudioFile, onBandSetChange, onBandSplitterChange, audioEngine }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [volume, setVolume] = useState(0.7);
   const [reverbAmount, setReverbAmount] = useState(0.3);
+  const [reverbSettings, setReverbSettings] = useState({ impulse: 'hall', preDelay: 0.02, damping: 0.3 });
+  const [reverbImpulses, setReverbImpulses] = useState(
+    Object.entries(IMPULSE_TYPES).map(([id, type]) => ({ id, label: type.label, custom: false }))
+  );
+  const [reverbError, setReverbError] = useState(null);
+  const [reverbMode, setReverbMode] = useState('convolution');
+  const [fdnParams, setFdnParams] = useState({
+    decay: FDN_DEFAULTS.decay,
+    size: FDN_DEFAULTS.size,
+    modulation: FDN_DEFAULTS.modulation,
+    diffusion: FDN_DEFAULTS.diffusion
+  }); // Damping is shared with convolution (reverbSettings)
   const [inputGain, setInputGain] = useState(1.0);
+  const [loopFile, setLoopFile] = useState(true);
+  const [inputName, setInputName] = useState(null);
+  const [recordingState, setRecordingState] = useState('inactive');
+  const [recordingTime, setRecordingTime] = useState(0);
+  const [recordingError, setRecordingError] = useState(null);
+  const [wavFormat, setWavFormat] = useState('pcm24');
+  const [renderMinutes, setRenderMinutes] = useState(10);
+  const [renderProgress, setRenderProgress] = useState(null); // null = idle, 0-1 while rendering
+  const [renderError, setRenderError] = useState(null);
+  const [bandSetType, setBandSetType] = useState('classic');
+  const [melBandCount, setMelBandCount] = useState(24);
+  const [customBands, setCustomBands] = useState('20-250, 250-2000, 2000-6000, 6000-20000');
+  const [bandCount, setBandCount] = useState(24);
+  const [bandSetError, setBandSetError] = useState(null);
+  const [bandSplitter, setBandSplitter] = useState('bandpass');
+  const [meterWeighting, setMeterWeighting] = useState('Z');
+  const [meterBallistics, setMeterBallistics] = useState('fast');
+  const [autoRange, setAutoRange] = useState({ enabled: false, attack: 0.05, release: 8, frozen: false });
+  const [autoRangePreset, setAutoRangePreset] = useState(1);
+  const [autoRangeMessage, setAutoRangeMessage] = useState(null);
+  const [autoRangeLearned, setAutoRangeLearned] = useState(false);
+  const [calibrationStep, setCalibrationStep] = useState('idle'); // 'idle' | 'noise' | 'ready' | 'playing' | 'done'
+  const [calibrationProgress, setCalibrationProgress] = useState(0);
+  const [calibrationResult, setCalibrationResult] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+  const [calibrationProfile, setCalibrationProfile] = useState(null); // The engine's active profile
+  const [loudness, setLoudness] = useState({ ...silentLoudness(), gainReduction: 0 });
+  const [loudnessTarget, setLoudnessTarget] = useState('streaming');
+  const [limiter, setLimiter] = useState({ enabled: true, ceiling: -1 });
+  const [howlSettings, setHowlSettings] = useState({ action: 'notch', sensitivity: 0.5 });
+  const [howlState, setHowlState] = useState(null);
+  const [transport, setTransport] = useState({ bpm: 120, running: false, bar: 1, beat: 1 });
+  const [tempoSync, setTempoSync] = useState({ delay: null, grains: null, lfo: null, explosion: null });
+  const [modulation, setModulation] = useState({ sources: [], routes: [], targets: [] });
+  const [newSourceType, setNewSourceType] = useState('lfo');
+  const [newRoute, setNewRoute] = useState({ source: '', target: 'visual:stretchFactor' });
+  const [automation, setAutomation] = useState({ state: 'idle', mode: 'overdub', position: 0, loopLength: null, lanes: [] });
+  const calibratorRef = useRef(null);
+
+  // Elapsed time readout while a take is open
+  useEffect(() => {
+    if (recordingState === 'inactive' || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      setRecordingTime(audioEngine.getRecordingTime());
+    }, 200);
+
+    return () => clearInterval(interval);
+  }, [recordingState, audioEngine]);
+
+  // Master loudness readout while the panel is open
+  useEffect(() => {
+    if (!isExpanded || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      setLoudness(audioEngine.getMasterLoudness());
+    }, 200);
+
+    return () => clearInterval(interval);
+  }, [isExpanded, audioEngine]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setLimiter(limiter);
+  }, [audioEngine, limiter]);
+
+  // Transport position (fast enough for the beat readout)
+  useEffect(() => {
+    if (!isExpanded || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      const state = audioEngine.getTransportState();
+      if (state) setTransport(state);
+    }, 100);
+
+    return () => clearInterval(interval);
+  }, [isExpanded, audioEngine]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setTempoSync(tempoSync);
+  }, [audioEngine, tempoSync]);
+
+  // Modulation sources move on their own; poll their values for the meters
+  useEffect(() => {
+    if (!isExpanded || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      const state = audioEngine.getModulationState();
+      if (state) setModulation(state);
+    }, 100);
+
+    return () => clearInterval(interval);
+  }, [isExpanded, audioEngine]);
+
+  // Automation state follows the canvas 'A' key too
+  useEffect(() => {
+    if (!isExpanded || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      const state = audioEngine.getAutomationState();
+      if (state) setAutomation(state);
+    }, 100);
+
+    return () => clearInterval(interval);
+  }, [isExpanded, audioEngine]);
+
+  // Howl events, polled even while the panel is closed (the settings button warns)
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    const interval = setInterval(() => {
+      setHowlState(audioEngine.getHowlState());
+    }, 200);
+
+    return () => clearInterval(interval);
+  }, [audioEngine]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setHowlSuppression(howlSettings);
+  }, [audioEngine, howlSettings]);
+
+  // Band metering applies to whichever engine is current (it is rebuilt on some changes)
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setMeterWeighting(meterWeighting);
+    audioEngine.setMeterBallistics(meterBallistics);
+  }, [audioEngine, meterWeighting, meterBallistics]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setAutoRange(autoRange);
+  }, [audioEngine, autoRange]);
+
+  // A new engine starts with the stored calibration profile
+  useEffect(() => {
+    setCalibrationProfile(audioEngine ? audioEngine.getCalibrationProfile() : null);
+  }, [audioEngine]);
+
+  // Presets applied on the canvas restore their stored ranges (switching auto-range on)
+  useEffect(() => {
+    if (!isExpanded || !audioEngine) return;
+
+    const interval = setInterval(() => {
+      const { learned, ...settings } = audioEngine.getAutoRangeSettings();
+      setAutoRangeLearned(learned);
+      setAutoRange(current => (
+        Object.keys(settings).every(key => settings[key] === current[key]) ? current : settings
+      ));
+    }, 200);
+
+    return () => clearInterval(interval);
+  }, [isExpanded, audioEngine]);
+
+  // Reverb character (loaded IRs belong to the engine they were loaded into)
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    const current = audioEngine.getReverbSettings();
+    if (current && !current.impulses.some(ir => ir.id === reverbSettings.impulse)) {
+      setReverbImpulses(current.impulses);
+      setReverbSettings(settings => ({ ...settings, impulse: 'hall' }));
+      return;
+    }
+
+    audioEngine.setReverbImpulse(reverbSettings.impulse);
+    audioEngine.setReverbPreDelay(reverbSettings.preDelay);
+    audioEngine.setReverbDamping(reverbSettings.damping);
+  }, [audioEngine, reverbSettings]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setReverbMode(reverbMode).catch(err => {
+      console.error('Failed to switch reverb mode:', err);
+      setReverbError(err.message);
+    });
+  }, [audioEngine, reverbMode]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+    audioEngine.setReverbFdnParams(fdnParams);
+  }, [audioEngine, fdnParams]);
+
+  // Follow master and input levels wherever they are set from (calibration, automation, ...)
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    const parameters = audioEngine.getParameterRegistry();
+    const follow = (id, setValue) => {
+      if (parameters.has(id)) setValue(parameters.get(id));
+      return parameters.subscribe(id, value => setValue(value));
+    };
+    const unsubscribe = [
+      follow('master.volume', setVolume),
+      follow('master.reverb', setReverbAmount),
+      follow('input.gain', setInputGain)
+    ];
+    setInputGain(audioEngine.getInputGain());
+
+    return () => unsubscribe.forEach(stop => stop());
+  }, [audioEngine]);
+
+  // Stop a measurement if the panel goes away mid-way
+  useEffect(() => {
+    return () => {
+      if (calibratorRef.current) {
+        calibratorRef.current.stopTimer();
+      }
+    };
+  }, []);
 
   const handleVolumeChange = (e) => {
     const val = parseFloat(e.target.value);
@@ -26,6 +285,21 @@ const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
     }
   };
 
+  const handleImpulseFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file || !audioEngine) return;
+
+    try {
+      setReverbError(null);
+      const name = await audioEngine.loadReverbImpulse(file);
+      setReverbImpulses(audioEngine.getReverbSettings().impulses);
+      setReverbSettings(settings => ({ ...settings, impulse: name }));
+    } catch (err) {
+      console.error('Failed to load impulse response:', err);
+      setReverbError(err.message);
+    }
+  };
+
   const handleInputGainChange = (e) => {
     const val = parseFloat(e.target.value);
     setInputGain(val);
@@ -34,6 +308,329 @@ const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
     }
   };
 
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file || !onLoadAudioFile) return;
+
+    if (await onLoadAudioFile(file, { loop: loopFile })) {
+      setInputName(file.name);
+    }
+  };
+
+  const handleLoopChange = (e) => {
+    const loop = e.target.checked;
+    setLoopFile(loop);
+    if (audioEngine && audioEngine.inputSource && audioEngine.inputSource.setLoop) {
+      audioEngine.inputSource.setLoop(loop);
+    }
+  };
+
+  const handleRecordToggle = async () => {
+    if (!audioEngine) return;
+
+    if (recordingState === 'inactive') {
+      setRecordingError(null);
+      try {
+        audioEngine.startRecording();
+      } catch (err) {
+        console.error('Recording failed:', err);
+        setRecordingError(err.message);
+        return;
+      }
+      setRecordingTime(0);
+      setRecordingState('recording');
+      return;
+    }
+
+    setRecordingState('inactive');
+    const blob = await audioEngine.stopRecording(wavFormat);
+    if (blob) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadBlob(blob, `chiaroscuro-${stamp}.wav`);
+    }
+  };
+
+  const handleRecordPause = () => {
+    if (!audioEngine) return;
+
+    if (recordingState === 'recording') {
+      audioEngine.pauseRecording();
+      setRecordingState('paused');
+    } else if (recordingState === 'paused') {
+      audioEngine.resumeRecording();
+      setRecordingState('recording');
+    }
+  };
+
+  // Longest render the WAV size fields can hold (less a margin for the reverb tail)
+  const renderSampleRate = audioEngine && audioEngine.audioContext ? audioEngine.audioContext.sampleRate : 48000;
+  const maxRenderMinutes = Math.floor(maxWavFrames(2, wavFormat) / renderSampleRate / 60) - 1;
+
+  const handleRender = async () => {
+    if (!audioEngine) return;
+
+    if (renderProgress !== null) {
+      audioEngine.cancelOfflineRender();
+      return;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `chiaroscuro-render-${stamp}.wav`;
+
+    // Stream straight to a file where the browser offers a save picker
+    let writable = null;
+    if (window.showSaveFilePicker) {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: filename,
+          types: [{ description: 'WAV audio', accept: { 'audio/wav': ['.wav'] } }]
+        });
+        writable = await handle.createWritable();
+      } catch (err) {
+        if (err.name === 'AbortError') return; // Picker dismissed
+        console.warn('Save picker unavailable, rendering to a download:', err);
+      }
+    }
+
+    setRenderError(null);
+    setRenderProgress(0);
+
+    try {
+      const blob = await audioEngine.renderOffline({
+        duration: Math.min(renderMinutes, maxRenderMinutes) * 60,
+        format: wavFormat,
+        writable,
+        onProgress: setRenderProgress
+      });
+      if (writable) {
+        await writable.close();
+      } else {
+        downloadBlob(blob, filename);
+      }
+    } catch (err) {
+      console.error('Offline render failed:', err);
+      setRenderError(err.message);
+      if (writable) writable.abort();
+    } finally {
+      setRenderProgress(null);
+    }
+  };
+
+  const handleApplyBandSet = () => {
+    if (!onBandSetChange) return;
+
+    try {
+      const bands = createBandSet(bandSetType, {
+        count: melBandCount,
+        bands: bandSetType === 'custom' ? parseBandList(customBands) : undefined
+      });
+
+      // A running session's capture ring has a fixed number of band channels
+      const maxBands = audioEngine ? audioEngine.getMaxBandCount() : Infinity;
+      if (bands.length > maxBands) {
+        setBandSetError(`This session has room for ${maxBands} bands (${bands.length} requested)`);
+        return;
+      }
+
+      onBandSetChange(bands);
+      setBandCount(bands.length);
+      setBandSetError(null);
+    } catch (err) {
+      console.error('Failed to switch band set:', err);
+      setBandSetError(err.message);
+    }
+  };
+
+  const handleBandSplitterChange = (e) => {
+    const type = e.target.value;
+    setBandSplitter(type);
+    if (onBandSplitterChange) {
+      onBandSplitterChange(type);
+    }
+  };
+
+  const handleAutoRangeChange = (changes) => {
+    setAutoRange(current => ({ ...current, ...changes }));
+    setAutoRangeMessage(null);
+  };
+
+  const handleBpmChange = (e) => {
+    const bpm = parseFloat(e.target.value);
+    if (!audioEngine || !(bpm > 0)) return;
+    audioEngine.setBpm(bpm);
+    setTransport(audioEngine.getTransportState());
+  };
+
+  const handleTapTempo = () => {
+    audioEngine.tapTempo();
+    setTransport(audioEngine.getTransportState());
+  };
+
+  const handleTransportToggle = () => {
+    if (transport.running) {
+      audioEngine.stopTransport();
+    } else {
+      audioEngine.startTransport();
+    }
+    setTransport(audioEngine.getTransportState());
+  };
+
+  const refreshModulation = () => {
+    const state = audioEngine.getModulationState();
+    if (state) setModulation(state);
+  };
+
+  const handleAddModulationSource = () => {
+    const id = audioEngine.addModulationSource(newSourceType);
+    if (id && !newRoute.source) {
+      setNewRoute({ ...newRoute, source: id });
+    }
+    refreshModulation();
+  };
+
+  const handleUpdateModulationSource = (id, settings) => {
+    audioEngine.updateModulationSource(id, settings);
+    refreshModulation();
+  };
+
+  const handleRemoveModulationSource = (id) => {
+    audioEngine.removeModulationSource(id);
+    if (newRoute.source === id) {
+      setNewRoute({ ...newRoute, source: '' });
+    }
+    refreshModulation();
+  };
+
+  const handleAddModulationRoute = () => {
+    audioEngine.addModulationRoute(newRoute.source, newRoute.target, 0.5);
+    refreshModulation();
+  };
+
+  const handleModulationDepthChange = (id, depth) => {
+    audioEngine.setModulationRouteDepth(id, depth);
+    refreshModulation();
+  };
+
+  const handleRemoveModulationRoute = (id) => {
+    audioEngine.removeModulationRoute(id);
+    refreshModulation();
+  };
+
+  const refreshAutomation = () => {
+    const state = audioEngine.getAutomationState();
+    if (state) setAutomation(state);
+  };
+
+  const handleAutomationRecord = () => {
+    audioEngine.toggleAutomationRecord();
+    refreshAutomation();
+  };
+
+  const handleAutomationPlayToggle = () => {
+    if (automation.state === 'idle') {
+      audioEngine.playAutomation();
+    } else {
+      audioEngine.stopAutomation();
+    }
+    refreshAutomation();
+  };
+
+  const handleAutomationClear = () => {
+    audioEngine.clearAutomation();
+    refreshAutomation();
+  };
+
+  const handleAutomationModeChange = (e) => {
+    audioEngine.setAutomationMode(e.target.value);
+    refreshAutomation();
+  };
+
+  const handleClearAutomationLane = (id) => {
+    audioEngine.clearAutomationLane(id);
+    refreshAutomation();
+  };
+
+  // A target also brings the limiter ceiling to its true-peak limit
+  const handleLoudnessTargetChange = (e) => {
+    const key = e.target.value;
+    setLoudnessTarget(key);
+    setLimiter({ ...limiter, ceiling: LOUDNESS_TARGETS[key].truePeak });
+  };
+
+  const handleStoreAutoRange = () => {
+    if (!audioEngine) return;
+
+    if (audioEngine.storeAutoRangeInPreset(autoRangePreset)) {
+      setAutoRange(current => ({ ...current, frozen: true }));
+      setAutoRangeMessage(`Ranges stored with preset ${autoRangePreset}`);
+    } else {
+      setAutoRangeMessage('Nothing learned yet - play something first');
+    }
+  };
+
+  const runCalibrationStep = async (step, measure) => {
+    setCalibrationError(null);
+    setCalibrationProgress(0);
+    setCalibrationStep(step);
+
+    try {
+      // null when cancelled (handleCancelCalibration already reset the step)
+      return (await measure(setCalibrationProgress)) !== null;
+    } catch (err) {
+      console.error('Calibration failed:', err);
+      setCalibrationError(err.message);
+      setCalibrationStep('idle');
+      return false;
+    }
+  };
+
+  const handleStartCalibration = async () => {
+    if (!audioEngine) return;
+
+    calibratorRef.current = new InputCalibrator(audioEngine);
+    const measured = await runCalibrationStep('noise',
+      onProgress => calibratorRef.current.measureNoise(3, onProgress));
+    if (measured) {
+      setCalibrationStep('ready');
+    }
+  };
+
+  const handleMeasurePlaying = async () => {
+    const measured = await runCalibrationStep('playing',
+      onProgress => calibratorRef.current.measurePlaying(5, onProgress));
+    if (measured) {
+      setCalibrationResult(calibratorRef.current.buildProfile());
+      setCalibrationStep('done');
+    }
+  };
+
+  const handleCancelCalibration = () => {
+    if (calibratorRef.current) {
+      calibratorRef.current.cancel();
+    }
+    setCalibrationResult(null);
+    setCalibrationStep('idle');
+  };
+
+  const handleSaveCalibration = () => {
+    if (!audioEngine || !calibrationResult) return;
+
+    audioEngine.setCalibrationProfile(calibrationResult);
+    saveCalibrationProfile(calibrationResult);
+    setCalibrationProfile(calibrationResult);
+    setInputGain(calibrationResult.inputGain);
+    setCalibrationResult(null);
+    setCalibrationStep('idle');
+  };
+
+  const handleClearCalibration = () => {
+    if (!audioEngine) return;
+
+    audioEngine.setCalibrationProfile(null);
+    saveCalibrationProfile(null);
+    setCalibrationProfile(null);
+  };
+
   const handleClearAll = () => {
     if (audioEngine) {
       audioEngine.clearAllMemoryBlobs();
@@ -61,7 +658,9 @@ const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            boxShadow: '0 4px 10px rgba(0,0,0,0.3)',
+            boxShadow: howlState && howlState.howling
+              ? '0 0 0 3px rgba(220, 53, 69, 0.9)'
+              : '0 4px 10px rgba(0,0,0,0.3)',
             background: 'rgba(20, 20, 30, 0.8)',
             backdropFilter: 'blur(10px)',
             border: 'none'
@@ -124,6 +723,436 @@ const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
               <small className="text-muted">{Math.round(reverbAmount * 100)}%</small>
             </Form.Group>
 
+            {/* Reverb Character */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Reverb
+              </Form.Label>
+              <Form.Select
+                size="sm"
+                value={reverbMode}
+                onChange={(e) => setReverbMode(e.target.value)}
+              >
+                {Object.entries(REVERB_MODES).map(([key, mode]) => (
+                  <option key={key} value={key}>{mode.label}</option>
+                ))}
+              </Form.Select>
+              {reverbMode === 'convolution' ? (
+                <>
+                  <Form.Select
+                    size="sm"
+                    className="mt-2"
+                    value={reverbSettings.impulse}
+                    onChange={(e) => setReverbSettings({ ...reverbSettings, impulse: e.target.value })}
+                  >
+                    {reverbImpulses.map(ir => (
+                      <option key={ir.id} value={ir.id}>{ir.custom ? `${ir.label} (loaded)` : ir.label}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Control
+                    type="file"
+                    accept="audio/*"
+                    size="sm"
+                    className="mt-2"
+                    onChange={handleImpulseFileChange}
+                    disabled={!audioEngine}
+                  />
+                </>
+              ) : (
+                <>
+                  <Form.Range
+                    className="mt-2"
+                    value={fdnParams.decay}
+                    min={0.3}
+                    max={15}
+                    step={0.1}
+                    onChange={(e) => setFdnParams({ ...fdnParams, decay: parseFloat(e.target.value) })}
+                  />
+                  <small className="text-muted d-block">Decay {fdnParams.decay.toFixed(1)} s</small>
+                  <Form.Range
+                    className="mt-2"
+                    value={fdnParams.size}
+                    min={0.25}
+                    max={2}
+                    step={0.01}
+                    onChange={(e) => setFdnParams({ ...fdnParams, size: parseFloat(e.target.value) })}
+                  />
+                  <small className="text-muted d-block">Size {fdnParams.size.toFixed(2)}x</small>
+                  <Form.Range
+                    className="mt-2"
+                    value={fdnParams.modulation}
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    onChange={(e) => setFdnParams({ ...fdnParams, modulation: parseFloat(e.target.value) })}
+                  />
+                  <small className="text-muted d-block">Modulation {Math.round(fdnParams.modulation * 100)}%</small>
+                  <Form.Range
+                    className="mt-2"
+                    value={fdnParams.diffusion}
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    onChange={(e) => setFdnParams({ ...fdnParams, diffusion: parseFloat(e.target.value) })}
+                  />
+                  <small className="text-muted d-block">Diffusion {Math.round(fdnParams.diffusion * 100)}%</small>
+                </>
+              )}
+              <Form.Range
+                className="mt-2"
+                value={reverbSettings.preDelay}
+                min={0}
+                max={0.25}
+                step={0.005}
+                onChange={(e) => setReverbSettings({ ...reverbSettings, preDelay: parseFloat(e.target.value) })}
+              />
+              <small className="text-muted">Pre-delay {Math.round(reverbSettings.preDelay * 1000)} ms</small>
+              <Form.Range
+                className="mt-2"
+                value={reverbSettings.damping}
+                min={0}
+                max={1}
+                step={0.01}
+                onChange={(e) => setReverbSettings({ ...reverbSettings, damping: parseFloat(e.target.value) })}
+              />
+              <small className="text-muted d-block">Damping {Math.round(reverbSettings.damping * 100)}%</small>
+              <small className="text-muted">
+                {reverbError || (reverbMode === 'convolution'
+                  ? 'Load a WAV impulse response to use your own space'
+                  : 'The fluid field also moves these while it is active')}
+              </small>
+            </Form.Group>
+
+            {/* Tempo */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Tempo
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <span className="text-white" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                  {transport.bpm.toFixed(1)} BPM
+                </span>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={handleTapTempo}
+                  disabled={!audioEngine}
+                  className="ms-auto"
+                  style={{ borderRadius: '50px' }}
+                >
+                  Tap
+                </Button>
+                <Button
+                  variant={transport.running ? 'light' : 'outline-light'}
+                  size="sm"
+                  onClick={handleTransportToggle}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  {transport.running ? <FaStop /> : <FaPlay />}
+                </Button>
+                <span className="text-white" style={{ fontVariantNumeric: 'tabular-nums', width: '32px' }}>
+                  {transport.running ? `${transport.bar}.${transport.beat}` : '-.-'}
+                </span>
+              </div>
+              <Form.Range
+                value={transport.bpm}
+                min={20}
+                max={300}
+                step={1}
+                onChange={handleBpmChange}
+                disabled={!audioEngine}
+              />
+              <div className="d-flex flex-wrap gap-2 mt-2">
+                {Object.entries(TEMPO_SYNC_TARGETS).map(([key, label]) => (
+                  <div key={key} className="d-flex align-items-center gap-1" style={{ width: 'calc(50% - 0.25rem)' }}>
+                    <small className="text-muted" style={{ width: '48px' }}>{label}</small>
+                    <Form.Select
+                      size="sm"
+                      value={tempoSync[key] || ''}
+                      onChange={(e) => setTempoSync({ ...tempoSync, [key]: e.target.value || null })}
+                    >
+                      <option value="">Free</option>
+                      {Object.entries(NOTE_DIVISIONS).map(([division, spec]) => (
+                        <option key={division} value={division}>{spec.label}</option>
+                      ))}
+                    </Form.Select>
+                  </div>
+                ))}
+              </div>
+              <small className="text-muted">Synced parameters lock to note divisions; start the transport to align to the beat</small>
+            </Form.Group>
+
+            {/* Modulation */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Modulation
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Form.Select
+                  size="sm"
+                  value={newSourceType}
+                  onChange={(e) => setNewSourceType(e.target.value)}
+                >
+                  {Object.entries(MODULATION_SOURCES).map(([key, source]) => (
+                    <option key={key} value={key}>{source.label}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={handleAddModulationSource}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  Add
+                </Button>
+              </div>
+              {modulation.sources.map(source => (
+                <div key={source.id} className="mt-2">
+                  <div className="d-flex align-items-center gap-2">
+                    <small className="text-white" style={{ width: '140px' }}>{formatSourceName(source.id)}</small>
+                    <ProgressBar
+                      now={source.type === 'envelope' ? source.value * 100 : (source.value + 1) * 50}
+                      variant="info"
+                      className="flex-grow-1"
+                      style={{ height: '6px' }}
+                    />
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      onClick={() => handleRemoveModulationSource(source.id)}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      <FaTimes />
+                    </Button>
+                  </div>
+                  <div className="d-flex align-items-center gap-2 mt-1">
+                    {source.type === 'lfo' && (
+                      <Form.Select
+                        size="sm"
+                        value={source.shape}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { shape: e.target.value })}
+                      >
+                        {Object.entries(LFO_SHAPES).map(([key, shape]) => (
+                          <option key={key} value={key}>{shape.label}</option>
+                        ))}
+                      </Form.Select>
+                    )}
+                    {source.type === 'random' && (
+                      <Form.Select
+                        size="sm"
+                        value={source.mode}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { mode: e.target.value })}
+                      >
+                        {Object.entries(RANDOM_MODES).map(([key, mode]) => (
+                          <option key={key} value={key}>{mode.label}</option>
+                        ))}
+                      </Form.Select>
+                    )}
+                    {source.type === 'envelope' ? (
+                      <Form.Select
+                        size="sm"
+                        value={source.band}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { band: parseInt(e.target.value, 10) })}
+                      >
+                        <option value={-1}>Input level</option>
+                        {(audioEngine ? audioEngine.bands : []).map((band, index) => (
+                          <option key={index} value={index}>{band.name || `${band.min}-${band.max} Hz`}</option>
+                        ))}
+                      </Form.Select>
+                    ) : (
+                      <Form.Select
+                        size="sm"
+                        value={source.sync || ''}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { sync: e.target.value || null })}
+                      >
+                        <option value="">Free</option>
+                        {Object.entries(NOTE_DIVISIONS).map(([division, spec]) => (
+                          <option key={division} value={division}>{spec.label}</option>
+                        ))}
+                      </Form.Select>
+                    )}
+                  </div>
+                  {source.type === 'envelope' ? (
+                    <>
+                      <Form.Range
+                        className="mt-1"
+                        value={source.attack}
+                        min={0.005}
+                        max={1}
+                        step={0.005}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { attack: parseFloat(e.target.value) })}
+                      />
+                      <small className="text-muted d-block">Attack {Math.round(source.attack * 1000)} ms</small>
+                      <Form.Range
+                        className="mt-1"
+                        value={source.release}
+                        min={0.02}
+                        max={4}
+                        step={0.01}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { release: parseFloat(e.target.value) })}
+                      />
+                      <small className="text-muted d-block">Release {Math.round(source.release * 1000)} ms</small>
+                    </>
+                  ) : !source.sync && (
+                    <>
+                      <Form.Range
+                        className="mt-1"
+                        value={source.rate}
+                        min={0.05}
+                        max={10}
+                        step={0.05}
+                        onChange={(e) => handleUpdateModulationSource(source.id, { rate: parseFloat(e.target.value) })}
+                      />
+                      <small className="text-muted d-block">Rate {source.rate.toFixed(2)} Hz</small>
+                    </>
+                  )}
+                </div>
+              ))}
+              {modulation.sources.length > 0 && (
+                <div className="d-flex align-items-center gap-2 mt-3">
+                  <Form.Select
+                    size="sm"
+                    value={newRoute.source}
+                    onChange={(e) => setNewRoute({ ...newRoute, source: e.target.value })}
+                  >
+                    <option value="">Source</option>
+                    {modulation.sources.map(source => (
+                      <option key={source.id} value={source.id}>{formatSourceName(source.id)}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Select
+                    size="sm"
+                    value={newRoute.target}
+                    onChange={(e) => setNewRoute({ ...newRoute, target: e.target.value })}
+                  >
+                    {Array.from(new Set(modulation.targets.map(target => target.group))).map(group => (
+                      <optgroup key={group} label={group}>
+                        {modulation.targets.filter(target => target.group === group).map(target => (
+                          <option key={target.id} value={target.id}>{target.label}</option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </Form.Select>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={handleAddModulationRoute}
+                    disabled={!newRoute.source}
+                    style={{ borderRadius: '50px' }}
+                  >
+                    Route
+                  </Button>
+                </div>
+              )}
+              {modulation.routes.map(route => {
+                const target = modulation.targets.find(t => t.id === route.target);
+                return (
+                  <div key={route.id} className="mt-2">
+                    <div className="d-flex align-items-center gap-2">
+                      <small className="text-white flex-grow-1">
+                        {formatSourceName(route.source)} → {target ? target.label : route.target}
+                      </small>
+                      <small className="text-muted">{route.depth > 0 ? '+' : ''}{Math.round(route.depth * 100)}%</small>
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={() => handleRemoveModulationRoute(route.id)}
+                        style={{ borderRadius: '50px' }}
+                      >
+                        <FaTimes />
+                      </Button>
+                    </div>
+                    <Form.Range
+                      value={route.depth}
+                      min={-1}
+                      max={1}
+                      step={0.01}
+                      onChange={(e) => handleModulationDepthChange(route.id, parseFloat(e.target.value))}
+                    />
+                  </div>
+                );
+              })}
+              <small className="text-muted">
+                {modulation.sources.length === 0
+                  ? 'Add an LFO, envelope follower or random source, then route it to any parameter'
+                  : 'Depth moves a parameter around where you set it; negative depth inverts'}
+              </small>
+            </Form.Group>
+
+            {/* Automation */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Automation
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Button
+                  variant={automation.state === 'recording' ? 'danger' : 'outline-danger'}
+                  size="sm"
+                  onClick={handleAutomationRecord}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  <FaCircle />
+                </Button>
+                <Button
+                  variant={automation.state === 'playing' ? 'light' : 'outline-light'}
+                  size="sm"
+                  onClick={handleAutomationPlayToggle}
+                  disabled={!audioEngine || automation.loopLength === null}
+                  style={{ borderRadius: '50px' }}
+                >
+                  {automation.state === 'idle' ? <FaPlay /> : <FaStop />}
+                </Button>
+                <span className="text-white ms-1" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                  {automation.loopLength === null
+                    ? (automation.state === 'recording' ? `${automation.position.toFixed(1)}s` : '--')
+                    : `${automation.position.toFixed(1)} / ${automation.loopLength.toFixed(1)}s`}
+                </span>
+                <Form.Select
+                  size="sm"
+                  value={automation.mode}
+                  onChange={handleAutomationModeChange}
+                  disabled={!audioEngine}
+                  className="ms-auto"
+                  style={{ width: 'auto' }}
+                >
+                  {Object.entries(AUTOMATION_MODES).map(([key, mode]) => (
+                    <option key={key} value={key}>{mode.label}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  onClick={handleAutomationClear}
+                  disabled={automation.lanes.length === 0}
+                  style={{ borderRadius: '50px' }}
+                >
+                  <FaEraser />
+                </Button>
+              </div>
+              {automation.lanes.map(lane => (
+                <div key={lane.id} className="d-flex align-items-center gap-2 mt-1">
+                  <small className={lane.writing ? 'text-danger flex-grow-1' : 'text-white flex-grow-1'}>
+                    {lane.kind === 'blob' ? `Blob: ${lane.label}` : lane.label}
+                  </small>
+                  <small className="text-muted">{lane.points} pts</small>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    onClick={() => handleClearAutomationLane(lane.id)}
+                    style={{ borderRadius: '50px' }}
+                  >
+                    <FaTimes />
+                  </Button>
+                </div>
+              ))}
+              <small className="text-muted">
+                Press Shift+A on the canvas to record and again to loop it; later passes only rewrite the lanes you touch
+              </small>
+            </Form.Group>
+
             {/* Input Gain */}
             <Form.Group className="mb-4">
               <Form.Label className="text-white">
@@ -139,6 +1168,503 @@ const ControlPanel = ({ isActive, onToggleActive, audioEngine }) => {
               <small className="text-muted">{inputGain.toFixed(1)}x</small>
             </Form.Group>
 
+            {/* Input Calibration */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Input Calibration
+              </Form.Label>
+              {calibrationStep === 'idle' && (
+                <>
+                  <div className="d-flex align-items-center gap-2">
+                    <Button
+                      variant="outline-light"
+                      size="sm"
+                      onClick={handleStartCalibration}
+                      disabled={!audioEngine || !isActive}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Calibrate
+                    </Button>
+                    {calibrationProfile && (
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        onClick={handleClearCalibration}
+                        style={{ borderRadius: '50px' }}
+                      >
+                        Clear
+                      </Button>
+                    )}
+                  </div>
+                  <small className="text-muted">
+                    {calibrationError || (calibrationProfile
+                      ? `Calibrated: gain ${calibrationProfile.inputGain.toFixed(2)}x, threshold ${calibrationProfile.spawnThreshold.toFixed(2)}`
+                      : 'Not calibrated')}
+                  </small>
+                </>
+              )}
+              {(calibrationStep === 'noise' || calibrationStep === 'playing') && (
+                <>
+                  <small className="text-white d-block mb-2">
+                    {calibrationStep === 'noise'
+                      ? 'Stay quiet - measuring room noise...'
+                      : 'Keep playing as you normally would...'}
+                  </small>
+                  <div className="d-flex align-items-center gap-2">
+                    <ProgressBar
+                      now={calibrationProgress * 100}
+                      variant="info"
+                      className="flex-grow-1"
+                      style={{ height: '6px' }}
+                    />
+                    <Button
+                      variant="outline-warning"
+                      size="sm"
+                      onClick={handleCancelCalibration}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Cancel
+                    </Button>
+                  </div>
+                </>
+              )}
+              {calibrationStep === 'ready' && (
+                <>
+                  <small className="text-white d-block mb-2">
+                    Noise floor measured. Now play something typical for 5 seconds.
+                  </small>
+                  <div className="d-flex align-items-center gap-2">
+                    <Button
+                      variant="outline-light"
+                      size="sm"
+                      onClick={handleMeasurePlaying}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Start
+                    </Button>
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      onClick={handleCancelCalibration}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Cancel
+                    </Button>
+                  </div>
+                </>
+              )}
+              {calibrationStep === 'done' && calibrationResult && (
+                <>
+                  <small className="text-white d-block mb-2">
+                    Input gain {calibrationResult.inputGain.toFixed(2)}x, spawn threshold {calibrationResult.spawnThreshold.toFixed(2)}
+                  </small>
+                  <div className="d-flex align-items-center gap-2">
+                    <Button
+                      variant="outline-success"
+                      size="sm"
+                      onClick={handleSaveCalibration}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Save
+                    </Button>
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      onClick={handleCancelCalibration}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Discard
+                    </Button>
+                  </div>
+                </>
+              )}
+            </Form.Group>
+
+            {/* Feedback Guard */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Feedback Guard
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Form.Select
+                  size="sm"
+                  value={howlSettings.action}
+                  onChange={(e) => setHowlSettings({ ...howlSettings, action: e.target.value })}
+                >
+                  {Object.entries(HOWL_ACTIONS).map(([key, action]) => (
+                    <option key={key} value={key}>{action.label}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={() => audioEngine.clearHowlSuppression()}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  Clear
+                </Button>
+              </div>
+              <Form.Label className="text-white mt-2 mb-0">
+                <small>Sensitivity {Math.round(howlSettings.sensitivity * 100)}%</small>
+              </Form.Label>
+              <Form.Range
+                value={howlSettings.sensitivity}
+                min={0}
+                max={1}
+                step={0.05}
+                onChange={(e) => setHowlSettings({ ...howlSettings, sensitivity: parseFloat(e.target.value) })}
+                disabled={howlSettings.action === 'off'}
+              />
+              {howlState && (howlState.notches.length > 0 || howlState.duck > 0) && (
+                <div className="text-white" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                  <small>
+                    {howlState.notches.map(notch => `${formatFrequency(notch.frequency)} -${notch.depth.toFixed(0)} dB`).join(', ')}
+                    {howlState.duck > 0 && ` Feedback -${howlState.duck.toFixed(0)} dB`}
+                  </small>
+                </div>
+              )}
+              {howlState && howlState.events.slice(0, 3).map(event => (
+                <div key={event.id} className={howlState.howling && event === howlState.events[0] ? 'text-danger' : 'text-muted'}>
+                  <small>
+                    {new Date(event.time).toLocaleTimeString()} {formatFrequency(event.frequency)}: {event.result}
+                  </small>
+                </div>
+              ))}
+              {(!howlState || howlState.events.length === 0) && (
+                <small className="text-muted">
+                  {howlState && !howlState.listening
+                    ? 'Only listens while the input is a microphone'
+                    : 'Listens for runaway howling from speakers into the mic'}
+                </small>
+              )}
+            </Form.Group>
+
+            {/* Audio File Input */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white d-flex align-items-center gap-2">
+                <FaFileAudio />
+                Audio File Input
+              </Form.Label>
+              <Form.Control
+                type="file"
+                accept="audio/*"
+                size="sm"
+                onChange={handleFileChange}
+              />
+              <Form.Check
+                type="switch"
+                id="loop-file-switch"
+                className="text-white mt-2"
+                label="Loop"
+                checked={loopFile}
+                onChange={handleLoopChange}
+              />
+              <small className="text-muted">{inputName || 'Using microphone'}</small>
+            </Form.Group>
+
+            {/* Band Set */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Frequency Bands
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Form.Select
+                  size="sm"
+                  value={bandSetType}
+                  onChange={(e) => setBandSetType(e.target.value)}
+                >
+                  {Object.entries(BAND_SETS).map(([key, set]) => (
+                    <option key={key} value={key}>{set.label}</option>
+                  ))}
+                </Form.Select>
+                {bandSetType === 'mel' && (
+                  <Form.Control
+                    type="number"
+                    size="sm"
+                    min={1}
+                    max={Math.min(64, audioEngine ? audioEngine.getMaxBandCount() : 64)}
+                    value={melBandCount}
+                    onChange={(e) => setMelBandCount(parseInt(e.target.value) || 1)}
+                    style={{ width: '70px' }}
+                  />
+                )}
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={handleApplyBandSet}
+                  style={{ borderRadius: '50px' }}
+                >
+                  Apply
+                </Button>
+              </div>
+              {bandSetType === 'custom' && (
+                <Form.Control
+                  type="text"
+                  size="sm"
+                  className="mt-2"
+                  value={customBands}
+                  onChange={(e) => setCustomBands(e.target.value)}
+                  placeholder="min-max, min-max, ... (Hz)"
+                />
+              )}
+              <Form.Select
+                size="sm"
+                className="mt-2"
+                value={bandSplitter}
+                onChange={handleBandSplitterChange}
+              >
+                {Object.entries(BAND_SPLITTERS).map(([key, splitter]) => (
+                  <option key={key} value={key}>{splitter.label}</option>
+                ))}
+              </Form.Select>
+              <div className="d-flex align-items-center gap-2 mt-2">
+                <Form.Select
+                  size="sm"
+                  value={meterWeighting}
+                  onChange={(e) => setMeterWeighting(e.target.value)}
+                >
+                  {Object.entries(WEIGHTINGS).map(([key, weighting]) => (
+                    <option key={key} value={key}>{weighting.label}</option>
+                  ))}
+                </Form.Select>
+                <Form.Select
+                  size="sm"
+                  value={meterBallistics}
+                  onChange={(e) => setMeterBallistics(e.target.value)}
+                >
+                  {Object.entries(BALLISTICS).map(([key, ballistics]) => (
+                    <option key={key} value={key}>{ballistics.label}</option>
+                  ))}
+                </Form.Select>
+              </div>
+              <small className="text-muted">
+                {bandSetError || `${bandCount} bands`}
+              </small>
+            </Form.Group>
+
+            {/* Auto-range */}
+            <Form.Group className="mb-4">
+              <Form.Check
+                type="switch"
+                id="auto-range-switch"
+                className="text-white"
+                label="Auto-range bands"
+                checked={autoRange.enabled}
+                onChange={(e) => handleAutoRangeChange({ enabled: e.target.checked })}
+              />
+              {autoRange.enabled && (
+                <>
+                  <Form.Label className="text-white mt-2 mb-0">
+                    <small>Attack {Math.round(autoRange.attack * 1000)} ms</small>
+                  </Form.Label>
+                  <Form.Range
+                    value={autoRange.attack}
+                    min={0.01}
+                    max={1}
+                    step={0.01}
+                    onChange={(e) => handleAutoRangeChange({ attack: parseFloat(e.target.value) })}
+                  />
+                  <Form.Label className="text-white mb-0">
+                    <small>Release {autoRange.release.toFixed(1)} s</small>
+                  </Form.Label>
+                  <Form.Range
+                    value={autoRange.release}
+                    min={0.5}
+                    max={30}
+                    step={0.5}
+                    onChange={(e) => handleAutoRangeChange({ release: parseFloat(e.target.value) })}
+                  />
+                  <div className="d-flex align-items-center gap-2">
+                    <Form.Check
+                      type="switch"
+                      id="auto-range-freeze-switch"
+                      className="text-white"
+                      label="Freeze"
+                      checked={autoRange.frozen}
+                      disabled={!autoRangeLearned}
+                      onChange={(e) => handleAutoRangeChange({ frozen: e.target.checked })}
+                    />
+                    <Form.Select
+                      size="sm"
+                      value={autoRangePreset}
+                      onChange={(e) => setAutoRangePreset(parseInt(e.target.value))}
+                      className="ms-auto"
+                      style={{ width: 'auto' }}
+                    >
+                      {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => (
+                        <option key={n} value={n}>Preset {n}</option>
+                      ))}
+                    </Form.Select>
+                    <Button
+                      variant="outline-light"
+                      size="sm"
+                      onClick={handleStoreAutoRange}
+                      disabled={!audioEngine}
+                      style={{ borderRadius: '50px' }}
+                    >
+                      Store
+                    </Button>
+                  </div>
+                  {autoRangeMessage && (
+                    <small className="text-muted">{autoRangeMessage}</small>
+                  )}
+                </>
+              )}
+            </Form.Group>
+
+            {/* Master Meter */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Master Meter
+              </Form.Label>
+              <div className="d-flex justify-content-between text-white" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                <small>M {formatLevel(loudness.momentary)}</small>
+                <small>S {formatLevel(loudness.shortTerm)}</small>
+                <small>I {formatLevel(loudness.integrated)} LUFS</small>
+              </div>
+              <ProgressBar
+                now={Math.max(0, Math.min(100, (loudness.shortTerm + 40) * 2.5))}
+                variant={loudness.shortTerm > LOUDNESS_TARGETS[loudnessTarget].integrated + 1 ? 'warning' : 'info'}
+                className="mt-1"
+                style={{ height: '6px' }}
+              />
+              <div className="d-flex justify-content-between text-white mt-1" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                <small>TP {formatLevel(loudness.truePeak)}</small>
+                <small className={loudness.maxTruePeak > limiter.ceiling + 0.05 ? 'text-danger' : ''}>
+                  Max {formatLevel(loudness.maxTruePeak)} dBTP
+                </small>
+                <small>GR {loudness.gainReduction.toFixed(1)} dB</small>
+              </div>
+              <div className="d-flex align-items-center gap-2 mt-2">
+                <Form.Select
+                  size="sm"
+                  value={loudnessTarget}
+                  onChange={handleLoudnessTargetChange}
+                >
+                  {Object.entries(LOUDNESS_TARGETS).map(([key, target]) => (
+                    <option key={key} value={key}>{target.label}</option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={() => audioEngine.resetLoudness()}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  Reset
+                </Button>
+              </div>
+              <Form.Check
+                type="switch"
+                id="limiter-switch"
+                className="text-white mt-2"
+                label={`Limiter ceiling ${limiter.ceiling.toFixed(1)} dBTP`}
+                checked={limiter.enabled}
+                onChange={(e) => setLimiter({ ...limiter, enabled: e.target.checked })}
+              />
+              <Form.Range
+                value={limiter.ceiling}
+                min={-6}
+                max={0}
+                step={0.1}
+                onChange={(e) => setLimiter({ ...limiter, ceiling: parseFloat(e.target.value) })}
+                disabled={!limiter.enabled}
+              />
+              <small className="text-muted">
+                {loudness.integrated > -Infinity
+                  ? `${(loudness.integrated - LOUDNESS_TARGETS[loudnessTarget].integrated).toFixed(1)} LU from target`
+                  : 'Integrated loudness since the last reset (starts with each take)'}
+              </small>
+            </Form.Group>
+
+            {/* Recorder */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Record Output
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Button
+                  variant={recordingState === 'inactive' ? 'outline-danger' : 'danger'}
+                  size="sm"
+                  onClick={handleRecordToggle}
+                  disabled={!audioEngine}
+                  style={{ borderRadius: '50px' }}
+                >
+                  {recordingState === 'inactive' ? <FaCircle /> : <FaStop />}
+                </Button>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={handleRecordPause}
+                  disabled={recordingState === 'inactive'}
+                  style={{ borderRadius: '50px' }}
+                >
+                  {recordingState === 'paused' ? <FaPlay /> : <FaPause />}
+                </Button>
+                <span className="text-white ms-1" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                  {formatTime(recordingTime)}
+                </span>
+                <Form.Select
+                  size="sm"
+                  value={wavFormat}
+                  onChange={(e) => setWavFormat(e.target.value)}
+                  disabled={recordingState !== 'inactive'}
+                  className="ms-auto"
+                  style={{ width: 'auto' }}
+                >
+                  {Object.entries(WAV_FORMATS).map(([key, spec]) => (
+                    <option key={key} value={key}>{spec.label}</option>
+                  ))}
+                </Form.Select>
+              </div>
+              {recordingError && (
+                <small className="text-muted">{recordingError}</small>
+              )}
+            </Form.Group>
+
+            {/* Offline Render */}
+            <Form.Group className="mb-4">
+              <Form.Label className="text-white">
+                Offline Render
+              </Form.Label>
+              <div className="d-flex align-items-center gap-2">
+                <Form.Control
+                  type="number"
+                  size="sm"
+                  min={0.1}
+                  max={maxRenderMinutes}
+                  step={0.5}
+                  value={renderMinutes}
+                  onChange={(e) => setRenderMinutes(Math.min(parseFloat(e.target.value) || 0.1, maxRenderMinutes))}
+                  disabled={renderProgress !== null}
+                  style={{ width: '80px' }}
+                />
+                <small className="text-muted">min</small>
+                <Button
+                  variant={renderProgress === null ? 'outline-light' : 'outline-warning'}
+                  size="sm"
+                  onClick={handleRender}
+                  disabled={!audioEngine}
+                  className="ms-auto"
+                  style={{ borderRadius: '50px' }}
+                >
+                  {renderProgress === null ? (
+                    <>
+                      <FaDownload className="me-1" />
+                      Render
+                    </>
+                  ) : (
+                    `Cancel ${Math.round(renderProgress * 100)}%`
+                  )}
+                </Button>
+              </div>
+              <small className="text-muted">
+                {renderError || 'Active bands + paulstretch + effects, looping the input'}
+              </small>
+            </Form.Group>
+
             {/* Clear All Button */}
             <Button
               variant="outline-danger"
@@ -3,18 +3,38 @@
  * Handles multi-layer paulstretch, effects, and controlled feedback routing
  */
 
+import { getGrainScheduler } from './GrainScheduler.js';
+import SpectralProcessor, { SPECTRAL_DEFAULTS } from './SpectralProcessor.js';
+import { divisionToSeconds } from './TempoClock.js';
+import { modulateValue } from './ModulationMatrix.js';
+import { clampValue } from './ParameterRegistry.js';
+
+// visualParams with their range and unit (the modulation matrix moves them within it)
+export const VISUAL_PARAM_RANGES = {
+  stretchFactor: { label: 'Stretch', min: 0.5, max: 100, curve: 'log', unit: 'x' },
+  grainSize: { label: 'Grain size', min: 0.01, max: 1, curve: 'log', unit: 's' },
+  spectralShift: { label: 'Spectral shift', min: -100, max: 100, unit: 'bins' },
+  spectralStretch: { label: 'Spectral stretch', min: 0.25, max: 4, curve: 'log', unit: 'x' },
+  spectralBlur: { label: 'Spectral blur', min: 0, max: 1 },
+  spectralFreeze: { label: 'Spectral freeze', min: 0, max: 1 },
+  feedbackAmount: { label: 'Feedback', min: 0, max: 0.95 },
+  reverbAmount: { label: 'Reverb send', min: 0, max: 1 },
+  delayTime: { label: 'Delay time', min: 0.01, max: 2, curve: 'log', unit: 's' },
+  distortionAmount: { label: 'Distortion', min: 0, max: 1 },
+  filterCutoff: { label: 'Feedback filter', min: 100, max: 15000, curve: 'log', unit: 'Hz' },
+  harmonicGeneration: { label: 'Harmonics', min: 0, max: 1 }
+};
+
 class GranularProcessor {
-  constructor(ctx, bufferSize = 4096) {
+  constructor(ctx) {
     this.ctx = ctx;
-    this.bufferSize = bufferSize;
     this.grainSize = 0.15; // seconds
     this.stretchFactor = 1.0;
     this.grainOverlap = 0.5;
     this.randomization = 0.0;
 
-    // Circular buffer for audio capture
-    this.captureBuffer = new Float32Array(ctx.sampleRate * 4); // 4 seconds
-    this.writeIndex = 0;
+    // Read cursor on the shared capture ring
+    this.reader = null;
     this.isCapturing = false;
 
     // Grain scheduling
@@ -22,44 +42,31 @@ class GranularProcessor {
     this.nextGrainTime = 0;
   }
 
-  startCapture(sourceNode) {
+  startCapture(reader) {
     if (this.isCapturing) return;
 
-    this.scriptProcessor = this.ctx.createScriptProcessor(this.bufferSize, 1, 1);
-    this.scriptProcessor.onaudioprocess = (e) => {
-      const input = e.inputBuffer.getChannelData(0);
-
-      // Write to circular buffer
-      for (let i = 0; i < input.length; i++) {
-        this.captureBuffer[this.writeIndex] = input[i];
-        this.writeIndex = (this.writeIndex + 1) % this.captureBuffer.length;
-      }
-
-      // Silent output (we generate grains separately)
-      const output = e.outputBuffer.getChannelData(0);
-      output.fill(0);
-    };
-
-    sourceNode.connect(this.scriptProcessor);
-    this.scriptProcessor.connect(this.ctx.destination);
+    this.reader = reader;
     this.isCapturing = true;
   }
 
   scheduleGrain(outputNode, time) {
+    if (!this.reader) return null;
+
     const grainSamples = Math.floor(this.grainSize * this.ctx.sampleRate);
     const grainBuffer = this.ctx.createBuffer(1, grainSamples, this.ctx.sampleRate);
     const channelData = grainBuffer.getChannelData(0);
 
     // Random position in buffer (with some variance)
     const randomOffset = Math.random() * this.randomization * this.ctx.sampleRate;
-    let readIndex = (this.writeIndex - grainSamples - randomOffset + this.captureBuffer.length) % this.captureBuffer.length;
+    const readIndex = this.reader.writeIndex - grainSamples - randomOffset;
+
+    // Read speed based on stretch
+    this.reader.read(channelData, readIndex, 1 / this.stretchFactor);
 
     // Fill grain buffer with windowed audio
     for (let i = 0; i < grainSamples; i++) {
       // Hann window
-      const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
-      channelData[i] = this.captureBuffer[Math.floor(readIndex) % this.captureBuffer.length] * window;
-      readIndex += 1 / this.stretchFactor; // Read speed based on stretch
+      channelData[i] *= 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
     }
 
     // Create and play grain
@@ -90,44 +97,6 @@ class GranularProcessor {
   }
 }
 
-class SpectralProcessor {
-  constructor(ctx) {
-    this.ctx = ctx;
-    this.fftSize = 2048;
-
-    // Phase vocoder components
-    this.analyser = ctx.createAnalyser();
-    this.analyser.fftSize = this.fftSize;
-    this.analyser.smoothingTimeConstant = 0;
-
-    // Spectral manipulation parameters
-    this.spectralShift = 0; // Frequency shift in bins
-    this.spectralStretch = 1.0; // Frequency stretch factor
-    this.spectralBlur = 0; // Spectral smearing
-    this.harmonicEmphasis = 0; // Boost harmonics
-  }
-
-  process(inputNode, outputNode) {
-    // Get frequency data
-    const freqData = new Float32Array(this.analyser.frequencyBinCount);
-    const phaseData = new Float32Array(this.analyser.frequencyBinCount);
-
-    // This would need Web Audio API extensions or AudioWorklet for real-time processing
-    // For now, we'll use filters to approximate spectral effects
-
-    const filter = this.ctx.createBiquadFilter();
-    filter.type = 'peaking';
-    filter.frequency.value = 1000 + this.spectralShift * 10;
-    filter.Q.value = 1 / (1 + this.spectralBlur);
-    filter.gain.value = this.harmonicEmphasis * 12;
-
-    inputNode.connect(filter);
-    filter.connect(outputNode);
-
-    return filter;
-  }
-}
-
 class FeedbackNetwork {
   constructor(ctx) {
     this.ctx = ctx;
@@ -135,9 +104,12 @@ class FeedbackNetwork {
     // Feedback loop components
     this.feedbackGain = ctx.createGain();
     this.feedbackGain.gain.value = 0; // Start with no feedback
+    this.amount = 0;
+    this.duck = 1; // Howl suppression scales the amount down (see HowlDetector)
 
     this.feedbackDelay = ctx.createDelay(2.0);
     this.feedbackDelay.delayTime.value = 0.1;
+    this.delaySync = null; // Seconds while the delay is locked to the tempo
 
     // Safety limiter to prevent runaway feedback
     this.limiter = ctx.createDynamicsCompressor();
@@ -165,12 +137,33 @@ class FeedbackNetwork {
 
   setFeedbackAmount(amount) {
     // Carefully control feedback to prevent runaway
-    const safeAmount = Math.max(0, Math.min(0.95, amount));
-    this.feedbackGain.gain.setTargetAtTime(safeAmount, this.ctx.currentTime, 0.01);
+    this.amount = Math.max(0, Math.min(0.95, amount));
+    this.feedbackGain.gain.setTargetAtTime(this.amount * this.duck, this.ctx.currentTime, 0.01);
+  }
+
+  /**
+   * Scale the feedback amount down while the room is howling
+   * @param {number} factor - 0-1 (1 = no ducking)
+   */
+  setDuck(factor) {
+    this.duck = Math.max(0, Math.min(1, factor));
+    this.feedbackGain.gain.setTargetAtTime(this.amount * this.duck, this.ctx.currentTime, 0.01);
   }
 
   setDelayTime(time) {
-    this.feedbackDelay.delayTime.setTargetAtTime(time, this.ctx.currentTime, 0.01);
+    const delayTime = this.delaySync !== null ? this.delaySync : time;
+    this.feedbackDelay.delayTime.setTargetAtTime(delayTime, this.ctx.currentTime, 0.01);
+  }
+
+  /**
+   * Lock the delay to a tempo-derived time (overrides setDelayTime)
+   * @param {number|null} seconds - null to unlock
+   */
+  setDelaySync(seconds) {
+    this.delaySync = seconds === null ? null : Math.min(2, seconds); // Delay line holds 2 s
+    if (this.delaySync !== null) {
+      this.setDelayTime(this.delaySync);
+    }
   }
 
   setFilterFrequencies(highpass, lowpass) {
@@ -180,14 +173,17 @@ class FeedbackNetwork {
 }
 
 class EffectsChain {
-  constructor(ctx) {
+  /**
+   * @param {BaseAudioContext} ctx
+   * @param {ReverbService} reverb - Shared reverb the reverb amount sends into
+   */
+  constructor(ctx, reverb = null) {
     this.ctx = ctx;
 
-    // Reverb via convolution
-    this.convolver = ctx.createConvolver();
-    this.convolverGain = ctx.createGain();
-    this.convolverGain.gain.value = 0;
-    this.createReverbImpulse();
+    // Reverb: a send into the shared convolution reverb
+    this.reverb = reverb;
+    this.reverbSend = ctx.createGain();
+    this.reverbSend.gain.value = 0;
 
     // Delay
     this.delay = ctx.createDelay(2.0);
@@ -196,10 +192,12 @@ class EffectsChain {
     this.delayGain.gain.value = 0;
     this.delayFeedback = ctx.createGain();
     this.delayFeedback.gain.value = 0.3;
+    this.delaySync = null; // Seconds while the delay is locked to the tempo
 
     // Distortion via waveshaper
     this.distortion = ctx.createWaveShaper();
     this.distortion.curve = this.makeDistortionCurve(0);
+    this.curveAmount = 0; // Amount the current curve was built for
     this.distortionGain = ctx.createGain();
     this.distortionGain.gain.value = 0;
 
@@ -218,6 +216,7 @@ class EffectsChain {
     this.chorusDepth.gain.value = 0.003;
     this.chorusGain = ctx.createGain();
     this.chorusGain.gain.value = 0;
+    this.chorusSync = null; // LFO Hz while the chorus is locked to the tempo
 
     this.chorusLFO.connect(this.chorusDepth);
     this.chorusDepth.connect(this.chorus.delayTime);
@@ -226,21 +225,53 @@ class EffectsChain {
     // Setup delay feedback loop
     this.delay.connect(this.delayFeedback);
     this.delayFeedback.connect(this.delay);
+
+    // Parameters the modulation matrix can move (around the values the setters last gave)
+    this.modulatable = {
+      delayFeedback: { label: 'Delay feedback', param: this.delayFeedback.gain, min: 0, max: 0.95 },
+      delayMix: { label: 'Delay mix', param: this.delayGain.gain, min: 0, max: 1 },
+      chorusRate: { label: 'Chorus rate', param: this.chorusLFO.frequency, min: 0.05, max: 10, curve: 'log', unit: 'Hz' },
+      chorusDepth: { label: 'Chorus depth', param: this.chorusDepth.gain, min: 0, max: 0.01 },
+      chorusMix: { label: 'Chorus mix', param: this.chorusGain.gain, min: 0, max: 1 },
+      ringModFrequency: { label: 'Ring mod frequency', param: this.ringModOsc.frequency, min: 20, max: 5000, curve: 'log', unit: 'Hz' },
+      ringModAmount: { label: 'Ring mod amount', param: this.ringModGain.gain, min: 0, max: 1 }
+    };
+    this.bases = {};
+    this.modulation = {};
+    this.onParamChange = null; // (name) after a setter changed a modulatable parameter
   }
 
-  createReverbImpulse() {
-    const length = this.ctx.sampleRate * 3; // 3 second reverb
-    const impulse = this.ctx.createBuffer(2, length, this.ctx.sampleRate);
+  /**
+   * Set a modulatable parameter's own (unmodulated) value
+   */
+  setParam(name, value) {
+    this.bases[name] = value;
+    this.applyParam(name);
+    if (this.onParamChange) this.onParamChange(name);
+  }
 
-    for (let channel = 0; channel < 2; channel++) {
-      const channelData = impulse.getChannelData(channel);
-      for (let i = 0; i < length; i++) {
-        // Exponentially decaying noise
-        channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
-      }
-    }
+  /**
+   * @returns {number} A modulatable parameter's own (unmodulated) value
+   */
+  getParam(name) {
+    return this.bases[name] !== undefined ? this.bases[name] : this.modulatable[name].param.value;
+  }
+
+  /**
+   * @param {string} name - Key of this.modulatable
+   * @param {number} amount - From the modulation matrix (0 = none)
+   */
+  setModulation(name, amount) {
+    this.modulation[name] = amount;
+    this.applyParam(name);
+  }
 
-    this.convolver.buffer = impulse;
+  applyParam(name) {
+    const spec = this.modulatable[name];
+    const base = this.getParam(name);
+    const amount = this.modulation[name] || 0;
+    const value = amount ? modulateValue(base, amount, spec) : base;
+    spec.param.setTargetAtTime(value, this.ctx.currentTime, 0.01);
   }
 
   makeDistortionCurve(amount) {
@@ -257,29 +288,115 @@ class EffectsChain {
   }
 
   setReverbAmount(amount) {
-    this.convolverGain.gain.setTargetAtTime(amount, this.ctx.currentTime, 0.01);
+    this.reverbSend.gain.setTargetAtTime(amount, this.ctx.currentTime, 0.01);
   }
 
   setDelayParams(time, feedback, mix) {
-    this.delay.delayTime.setTargetAtTime(time, this.ctx.currentTime, 0.01);
-    this.delayFeedback.gain.setTargetAtTime(feedback, this.ctx.currentTime, 0.01);
-    this.delayGain.gain.setTargetAtTime(mix, this.ctx.currentTime, 0.01);
+    this.setDelayTime(time);
+    this.setParam('delayFeedback', feedback);
+    this.setParam('delayMix', mix);
+  }
+
+  setDelayTime(time) {
+    const delayTime = this.delaySync !== null ? this.delaySync : time;
+    this.delay.delayTime.setTargetAtTime(delayTime, this.ctx.currentTime, 0.01);
   }
 
   setDistortionAmount(amount) {
-    this.distortion.curve = this.makeDistortionCurve(amount * 100);
+    // Only rebuild the 44100-point curve when it changes audibly (modulation calls this every tick)
+    const curveAmount = Math.round(amount * 100) / 100;
+    if (curveAmount !== this.curveAmount) {
+      this.curveAmount = curveAmount;
+      this.distortion.curve = this.makeDistortionCurve(curveAmount * 100);
+    }
     this.distortionGain.gain.setTargetAtTime(amount, this.ctx.currentTime, 0.01);
   }
 
   setRingModulation(frequency, amount) {
-    this.ringModOsc.frequency.setTargetAtTime(frequency, this.ctx.currentTime, 0.01);
-    this.ringModGain.gain.setTargetAtTime(amount, this.ctx.currentTime, 0.01);
+    this.setParam('ringModFrequency', frequency);
+    this.setParam('ringModAmount', amount);
   }
 
   setChorusParams(rate, depth, mix) {
-    this.chorusLFO.frequency.setTargetAtTime(rate, this.ctx.currentTime, 0.01);
-    this.chorusDepth.gain.setTargetAtTime(depth, this.ctx.currentTime, 0.01);
-    this.chorusGain.gain.setTargetAtTime(mix, this.ctx.currentTime, 0.01);
+    this.setParam('chorusRate', this.chorusSync !== null ? this.chorusSync : rate);
+    this.setParam('chorusDepth', depth);
+    this.setParam('chorusMix', mix);
+  }
+
+  /**
+   * Lock the delay to a tempo-derived time (overrides setDelayParams' time)
+   * @param {number|null} seconds - null to unlock
+   */
+  setDelaySync(seconds) {
+    this.delaySync = seconds === null ? null : Math.min(2, seconds); // Delay line holds 2 s
+    if (this.delaySync !== null) {
+      this.setDelayTime(this.delaySync);
+    }
+  }
+
+  /**
+   * Lock the chorus LFO to a tempo-derived rate (overrides setChorusParams' rate)
+   * @param {number|null} rate - Hz, null to unlock
+   */
+  setChorusSync(rate) {
+    this.chorusSync = rate;
+    if (rate !== null) {
+      this.setParam('chorusRate', rate);
+    }
+  }
+
+  /**
+   * Snapshot the current effect settings (for replaying them offline)
+   */
+  getState() {
+    return {
+      reverbAmount: this.reverbSend.gain.value,
+      delayTime: this.delay.delayTime.value,
+      delayFeedback: this.delayFeedback.gain.value,
+      delayMix: this.delayGain.gain.value,
+      distortionAmount: this.distortionGain.gain.value,
+      ringModFrequency: this.ringModOsc.frequency.value,
+      ringModAmount: this.ringModGain.gain.value,
+      chorusRate: this.chorusLFO.frequency.value,
+      chorusDepth: this.chorusDepth.gain.value,
+      chorusMix: this.chorusGain.gain.value
+    };
+  }
+
+  /**
+   * Apply a snapshot from getState() immediately (no smoothing ramps)
+   */
+  setState(state) {
+    this.reverbSend.gain.value = state.reverbAmount;
+    this.delay.delayTime.value = state.delayTime;
+    this.delayFeedback.gain.value = state.delayFeedback;
+    this.delayGain.gain.value = state.delayMix;
+    this.distortion.curve = this.makeDistortionCurve(state.distortionAmount * 100);
+    this.curveAmount = state.distortionAmount;
+    this.distortionGain.gain.value = state.distortionAmount;
+    this.ringModOsc.frequency.value = state.ringModFrequency;
+    this.ringModGain.gain.value = state.ringModAmount;
+    this.chorusLFO.frequency.value = state.chorusRate;
+    this.chorusDepth.gain.value = state.chorusDepth;
+    this.chorusGain.gain.value = state.chorusMix;
+  }
+
+  /**
+   * Give the ring mod and chorus oscillators the phase they would have after
+   * running `time` seconds at their current frequencies (an offline segment
+   * continuing the previous one)
+   */
+  setOscillatorTime(time) {
+    [this.ringModOsc, this.chorusLFO].forEach(osc => {
+      const cycles = osc.frequency.value * time;
+      const phase = 2 * Math.PI * (cycles - Math.floor(cycles));
+      // sin(x + phase) = cos(phase) sin(x) + sin(phase) cos(x)
+      osc.setPeriodicWave(this.ctx.createPeriodicWave(
+        new Float32Array([0, Math.sin(phase)]),
+        new Float32Array([0, Math.cos(phase)]),
+        { disableNormalization: true }
+      ));
+    });
   }
 
   connect(input, output) {
@@ -289,10 +406,11 @@ class EffectsChain {
     input.connect(dry);
     dry.connect(output);
 
-    // Reverb
-    input.connect(this.convolver);
-    this.convolver.connect(this.convolverGain);
-    this.convolverGain.connect(output);
+    // Reverb (the wet return comes back through the shared reverb's own path)
+    input.connect(this.reverbSend);
+    if (this.reverb) {
+      this.reverbSend.connect(this.reverb.input);
+    }
 
     // Delay
     input.connect(this.delay);
@@ -320,8 +438,16 @@ class EffectsChain {
 }
 
 class AdvancedAudioProcessor {
-  constructor(audioContext) {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {ReverbService} reverb - Shared reverb the effects chain sends into
+   * @param {TempoClock} tempoClock - Shared transport tempo-synced settings follow
+   */
+  constructor(audioContext, reverb = null, tempoClock = null) {
     this.ctx = audioContext;
+    this.tempoClock = tempoClock;
+    this.tempoSync = { delay: null, grains: null, lfo: null }; // Note divisions (see NOTE_DIVISIONS)
+    this.presetDelayDivision = null; // Delay division of the current preset (tempoSync.delay wins)
 
     // Processing layers
     this.granularProcessors = [];
@@ -330,8 +456,9 @@ class AdvancedAudioProcessor {
     }
 
     this.spectralProcessor = new SpectralProcessor(this.ctx);
+    this.reverb = reverb;
     this.feedbackNetwork = new FeedbackNetwork(this.ctx);
-    this.effectsChain = new EffectsChain(this.ctx);
+    this.effectsChain = new EffectsChain(this.ctx, reverb);
 
     // Mixing stages
     this.inputGain = this.ctx.createGain();
@@ -346,17 +473,24 @@ class AdvancedAudioProcessor {
     // Analysis for visualization feedback
     this.outputAnalyser = this.ctx.createAnalyser();
     this.outputAnalyser.fftSize = 2048;
+    this.outputAnalyser.smoothingTimeConstant = 0; // AudioEngine's band meter applies ballistics
+
+    // Modulation matrix amounts per visualParams key (see VISUAL_PARAM_RANGES)
+    this.modulation = {};
 
     // State
     this.isProcessing = false;
     this.currentPreset = null;
+    this.grainVoice = null;
 
     // Visual interaction parameters (will be controlled by mouse/keyboard)
     this.visualParams = {
       stretchFactor: 1.0,
       grainSize: 0.15,
       spectralShift: 0,
+      spectralStretch: 1,
       spectralBlur: 0,
+      spectralFreeze: 0,
       feedbackAmount: 0,
       reverbAmount: 0,
       delayTime: 0.25,
@@ -364,19 +498,30 @@ class AdvancedAudioProcessor {
       filterCutoff: 8000,
       harmonicGeneration: 0
     };
+    this.onParamChange = null; // (key, origin) after visualParams changed here (drag, field, preset)
+    this.paramRouter = null; // (key, value, origin) that sets visualParams for drag, field and preset (AudioEngine: its registry)
+  }
+
+  /**
+   * Load the spectral STFT worklet (falls back to a filter if it can't load)
+   */
+  async initialize() {
+    try {
+      await this.spectralProcessor.initialize();
+    } catch (error) {
+      console.warn('Spectral worklet unavailable, using filter approximation:', error);
+    }
   }
 
-  connectInput(sourceNode) {
+  connectInput(sourceNode, captureRing) {
     sourceNode.connect(this.inputGain);
 
-    // Start granular capture on all processors
+    // Start granular capture on all processors (one shared ring channel)
+    const reader = captureRing.tap('processor', this.inputGain);
     this.granularProcessors.forEach(proc => {
-      proc.startCapture(this.inputGain);
+      proc.startCapture(reader);
     });
 
-    // Connect to spectral processor
-    this.inputGain.connect(this.spectralProcessor.analyser);
-
     // Setup main routing
     this.setupRouting();
 
@@ -389,8 +534,8 @@ class AdvancedAudioProcessor {
     // Effects processing
     this.effectsChain.connect(this.inputGain, this.granularMixer);
 
-    // Spectral processing (simplified for now)
-    const spectralFilter = this.spectralProcessor.process(this.granularMixer, this.feedbackNetwork.feedbackGain);
+    // Spectral processing (STFT worklet between the grains and the feedback loop)
+    this.spectralProcessor.process(this.granularMixer, this.feedbackNetwork.feedbackGain);
 
     // Feedback loop
     this.feedbackNetwork.limiter.connect(this.outputGain);
@@ -405,63 +550,173 @@ class AdvancedAudioProcessor {
     this.outputGain.connect(this.outputAnalyser);
 
     // Schedule grain generation
-    this.scheduleGrains();
+    this.grainVoice = getGrainScheduler(this.ctx).schedule(when => this.scheduleGrains(when));
   }
 
-  scheduleGrains() {
-    if (!this.isProcessing) return;
+  /**
+   * Schedule one round of grains across all layers (GrainScheduler callback)
+   * @param {number} when - Audio-clock time of this round
+   * @returns {number} Seconds until the next round, 0 to stop
+   */
+  scheduleGrains(when) {
+    if (!this.isProcessing) return 0;
 
-    const now = this.ctx.currentTime;
+    const stretchFactor = this.modulatedParam('stretchFactor');
+    const grainSize = this.modulatedParam('grainSize');
 
     // Schedule grains from each processor with different parameters
     this.granularProcessors.forEach((proc, i) => {
       // Vary parameters per layer
       const layerOffset = i * 0.25;
-      proc.setStretchFactor(this.visualParams.stretchFactor * (1 + layerOffset));
-      proc.setGrainSize(this.visualParams.grainSize * (1 + i * 0.1));
+      proc.setStretchFactor(stretchFactor * (1 + layerOffset));
+      proc.setGrainSize(grainSize * (1 + i * 0.1));
       proc.setRandomization(0.1 * i);
 
       // Schedule next grain
       if (Math.random() < 0.7) { // Probability of grain firing
-        proc.scheduleGrain(this.granularMixer, now + Math.random() * 0.05);
+        proc.scheduleGrain(this.granularMixer, when + Math.random() * 0.05);
       }
     });
 
-    // Schedule next round
-    setTimeout(() => this.scheduleGrains(), 50);
+    // Next round (on the tempo grid when grains are synced)
+    if (this.tempoClock && this.tempoSync.grains) {
+      return this.tempoClock.timeToNext(this.tempoSync.grains, when);
+    }
+    return 0.05;
+  }
+
+  /**
+   * A visualParams value with its modulation applied
+   * @param {string} key - Key of visualParams
+   * @returns {number}
+   */
+  modulatedParam(key) {
+    const amount = this.modulation[key];
+    return amount ? modulateValue(this.visualParams[key], amount, VISUAL_PARAM_RANGES[key]) : this.visualParams[key];
+  }
+
+  /**
+   * @param {string} key - Key of VISUAL_PARAM_RANGES
+   * @param {number} amount - From the modulation matrix (0 = none)
+   */
+  setModulation(key, amount) {
+    this.modulation[key] = amount;
+    this.applyVisualParam(key);
+  }
+
+  /**
+   * Set one visualParams entry and push it to the audio graph
+   * @param {string} key - Key of VISUAL_PARAM_RANGES
+   * @param {number} value
+   * @param {string} origin - What changed it (passed to onParamChange)
+   */
+  setVisualParam(key, value, origin = 'user') {
+    this.visualParams[key] = value;
+    this.applyVisualParam(key);
+    if (this.onParamChange) this.onParamChange(key, origin);
+  }
+
+  /**
+   * Set a visualParams entry from a drag, the field or a preset: through the
+   * paramRouter when there is one (clamped and reported there), else clamped here
+   * @param {string} key - Key of VISUAL_PARAM_RANGES
+   * @param {number} value
+   * @param {string} origin
+   */
+  routeParam(key, value, origin) {
+    if (this.paramRouter) {
+      this.paramRouter(key, value, origin);
+    } else {
+      this.setVisualParam(key, clampValue(VISUAL_PARAM_RANGES[key], value), origin);
+    }
+  }
+
+  /**
+   * Push one visualParams entry (modulated) to the audio graph
+   * @param {string} key
+   */
+  applyVisualParam(key) {
+    const value = this.modulatedParam(key);
+
+    switch (key) {
+      case 'stretchFactor':
+      case 'grainSize':
+        break; // Read by every grain round
+      case 'spectralShift':
+      case 'spectralStretch':
+      case 'spectralBlur':
+      case 'spectralFreeze':
+      case 'harmonicGeneration':
+        this.updateSpectralParams();
+        break;
+      case 'feedbackAmount':
+        this.feedbackNetwork.setFeedbackAmount(value);
+        break;
+      case 'reverbAmount':
+        this.effectsChain.setReverbAmount(value);
+        break;
+      case 'delayTime':
+        this.effectsChain.setDelayTime(value);
+        break;
+      case 'distortionAmount':
+        this.effectsChain.setDistortionAmount(value);
+        break;
+      case 'filterCutoff':
+        this.feedbackNetwork.setFilterFrequencies(100, value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Lock delays, grain rounds and the chorus LFO to note divisions
+   * @param {object} sync - { delay, grains, lfo } (any subset; null = free)
+   */
+  setTempoSync(sync) {
+    Object.keys(this.tempoSync).forEach(key => {
+      if (sync[key] !== undefined) this.tempoSync[key] = sync[key];
+    });
+    this.applyTempoSync();
+  }
+
+  /**
+   * Push tempo-derived times to the delays and LFO (again after a tempo change)
+   */
+  applyTempoSync() {
+    const clock = this.tempoClock;
+    const { lfo } = this.tempoSync;
+    const delay = this.tempoSync.delay || this.presetDelayDivision;
+
+    const delaySeconds = clock && delay ? clock.divisionSeconds(delay) : null;
+    this.effectsChain.setDelaySync(delaySeconds);
+    this.feedbackNetwork.setDelaySync(delaySeconds);
+
+    // One LFO cycle per division
+    this.effectsChain.setChorusSync(clock && lfo ? 1 / clock.divisionSeconds(lfo) : null);
   }
 
   // Methods to update parameters from visual interactions
   updateFromMouseDrag(x, y, dx, dy, modifiers) {
     if (modifiers.shift && !modifiers.alt) {
       // Shift+drag: Time stretching
-      this.visualParams.stretchFactor = 1 + Math.abs(dx) * 0.02;
-      this.visualParams.grainSize = Math.max(0.05, 0.15 + dy * 0.001);
-
-      // Update all granular processors
-      this.granularProcessors.forEach(proc => {
-        proc.setStretchFactor(this.visualParams.stretchFactor);
-        proc.setGrainSize(this.visualParams.grainSize);
-      });
+      // (the granular processors pick these up on their next round)
+      this.routeParam('stretchFactor', 1 + Math.abs(dx) * 0.02, 'drag');
+      this.routeParam('grainSize', Math.max(0.05, 0.15 + dy * 0.001), 'drag');
     } else if (modifiers.alt && !modifiers.shift) {
       // Alt+drag: Harmonic generation
-      this.visualParams.harmonicGeneration = Math.abs(dx) * 0.01;
-      this.visualParams.spectralShift = dy;
-
-      this.spectralProcessor.spectralShift = this.visualParams.spectralShift;
-      this.spectralProcessor.harmonicEmphasis = this.visualParams.harmonicGeneration;
+      this.routeParam('harmonicGeneration', Math.abs(dx) * 0.01, 'drag');
+      this.routeParam('spectralShift', dy, 'drag');
     } else if (modifiers.ctrl) {
       // Ctrl+drag: Spectral filtering
-      this.visualParams.filterCutoff = Math.max(100, Math.min(15000, 8000 + dy * 10));
-      this.feedbackNetwork.setFilterFrequencies(100, this.visualParams.filterCutoff);
+      this.routeParam('filterCutoff', Math.max(100, Math.min(15000, 8000 + dy * 10)), 'drag');
     } else if (modifiers.shift && modifiers.alt) {
-      // Shift+Alt+drag: Phase vocoding
-      this.visualParams.spectralBlur = Math.abs(dx) * 0.01;
-      this.spectralProcessor.spectralBlur = this.visualParams.spectralBlur;
+      // Shift+Alt+drag: Phase vocoding (blur horizontally, stretch vertically)
+      this.routeParam('spectralBlur', Math.min(1, Math.abs(dx) * 0.01), 'drag');
+      this.routeParam('spectralStretch', Math.max(0.25, Math.min(4, Math.pow(2, -dy * 0.005))), 'drag');
     } else {
       // Normal drag: Frequency painting with feedback
-      this.visualParams.feedbackAmount = Math.min(0.9, Math.abs(dx + dy) * 0.001);
-      this.feedbackNetwork.setFeedbackAmount(this.visualParams.feedbackAmount);
+      this.routeParam('feedbackAmount', Math.min(0.9, Math.abs(dx + dy) * 0.001), 'drag');
     }
   }
 
@@ -470,13 +725,12 @@ class AdvancedAudioProcessor {
     // Higher field values = more effects
 
     if (fieldValue > 0.5) {
-      // Strong field = more reverb and delay
-      this.visualParams.reverbAmount = (fieldValue - 0.5) * 2;
-      this.effectsChain.setReverbAmount(this.visualParams.reverbAmount * 0.5);
+      // Strong field = more reverb (up to half) and delay
+      this.routeParam('reverbAmount', fieldValue - 0.5, 'field');
 
-      this.visualParams.delayTime = 0.1 + fieldValue * 0.5;
+      this.routeParam('delayTime', 0.1 + fieldValue * 0.5, 'field');
       this.effectsChain.setDelayParams(
-        this.visualParams.delayTime,
+        this.modulatedParam('delayTime'),
         fieldValue * 0.6, // feedback
         fieldValue * 0.3  // mix
       );
@@ -484,18 +738,18 @@ class AdvancedAudioProcessor {
 
     if (fieldValue > 0.7) {
       // Very strong field = distortion and ring mod
-      this.visualParams.distortionAmount = (fieldValue - 0.7) * 3;
-      this.effectsChain.setDistortionAmount(this.visualParams.distortionAmount);
+      this.routeParam('distortionAmount', (fieldValue - 0.7) * 3, 'field');
 
       // Ring mod frequency based on position
       const ringFreq = 100 + (x / this.ctx.sampleRate) * 2000;
       this.effectsChain.setRingModulation(ringFreq, fieldValue * 0.2);
     }
 
+    // (the FDN reverb follows the field too, see AudioEngine.applyReverbField)
+
     // Feedback based on overall field energy
     if (fieldValue > 0.3) {
-      this.visualParams.feedbackAmount = fieldValue * 0.6;
-      this.feedbackNetwork.setFeedbackAmount(this.visualParams.feedbackAmount);
+      this.routeParam('feedbackAmount', fieldValue * 0.6, 'field');
       this.feedbackNetwork.setDelayTime(0.05 + fieldValue * 0.2);
     }
   }
@@ -530,13 +784,14 @@ class AdvancedAudioProcessor {
         stretchFactor: 1,
         grainSize: 0.1,
         feedbackAmount: 0.3,
-        delayTime: 0.125, // 1/8 note at 120bpm
+        delayDivision: '1/8', // Follows the tempo clock
         filterCutoff: 10000
       },
       { // 5. Spectral Freeze
         stretchFactor: 100,
         grainSize: 0.8,
         spectralBlur: 0.9,
+        spectralFreeze: 1,
         feedbackAmount: 0.7,
         filterCutoff: 3000
       },
@@ -560,6 +815,7 @@ class AdvancedAudioProcessor {
         stretchFactor: 20,
         grainSize: 0.6,
         spectralShift: 20,
+        spectralStretch: 1.25,
         reverbAmount: 0.95,
         feedbackAmount: 0.8,
         filterCutoff: 5000
@@ -576,37 +832,59 @@ class AdvancedAudioProcessor {
     ];
 
     if (presetNumber >= 1 && presetNumber <= 9) {
-      const preset = presets[presetNumber - 1];
-
-      // Apply all preset parameters
-      Object.assign(this.visualParams, preset);
-
-      // Update processors
-      this.granularProcessors.forEach(proc => {
-        proc.setStretchFactor(this.visualParams.stretchFactor);
-        proc.setGrainSize(this.visualParams.grainSize);
-      });
-
-      this.spectralProcessor.spectralShift = this.visualParams.spectralShift || 0;
-      this.spectralProcessor.harmonicEmphasis = this.visualParams.harmonicGeneration || 0;
-      this.spectralProcessor.spectralBlur = this.visualParams.spectralBlur || 0;
-
-      this.feedbackNetwork.setFeedbackAmount(this.visualParams.feedbackAmount || 0);
-      this.feedbackNetwork.setFilterFrequencies(100, this.visualParams.filterCutoff || 8000);
-
-      this.effectsChain.setReverbAmount(this.visualParams.reverbAmount || 0);
+      const { delayDivision, ...preset } = presets[presetNumber - 1];
+      if (delayDivision) {
+        preset.delayTime = this.tempoClock
+          ? this.tempoClock.divisionSeconds(delayDivision)
+          : divisionToSeconds(delayDivision);
+      }
+      // Keeps the delay locked through later tempo changes (see applyTempoSync)
+      this.presetDelayDivision = delayDivision || null;
+
+      // Apply all preset parameters (spectral settings the preset omits go neutral)
+      const values = {
+        spectralShift: SPECTRAL_DEFAULTS.shift,
+        spectralStretch: SPECTRAL_DEFAULTS.stretch,
+        spectralBlur: SPECTRAL_DEFAULTS.blur,
+        spectralFreeze: SPECTRAL_DEFAULTS.freeze,
+        harmonicGeneration: SPECTRAL_DEFAULTS.harmonic,
+        ...preset
+      };
+      Object.entries(values).forEach(([key, value]) => this.routeParam(key, value, 'preset'));
+
+      this.applyTempoSync();
       this.effectsChain.setDelayParams(
-        this.visualParams.delayTime || 0.25,
-        (this.visualParams.feedbackAmount || 0) * 0.5,
+        this.modulatedParam('delayTime'),
+        this.visualParams.feedbackAmount * 0.5,
         0.3
       );
-      this.effectsChain.setDistortionAmount(this.visualParams.distortionAmount || 0);
 
       this.currentPreset = presetNumber;
       console.log(`Applied preset ${presetNumber}: ${Object.keys(presets[presetNumber - 1]).join(', ')}`);
     }
   }
 
+  /**
+   * Push the spectral entries of visualParams to the STFT engine
+   */
+  updateSpectralParams() {
+    this.spectralProcessor.setParams({
+      shift: this.modulatedParam('spectralShift'),
+      stretch: this.modulatedParam('spectralStretch'),
+      blur: this.modulatedParam('spectralBlur'),
+      freeze: this.modulatedParam('spectralFreeze'),
+      harmonic: this.modulatedParam('harmonicGeneration')
+    });
+  }
+
+  /**
+   * Hold (or release) the current spectrum
+   * @param {boolean} frozen
+   */
+  setSpectralFreeze(frozen) {
+    this.setVisualParam('spectralFreeze', frozen ? 1 : 0);
+  }
+
   getOutputFrequencyData() {
     const data = new Float32Array(this.outputAnalyser.frequencyBinCount);
     this.outputAnalyser.getFloatFrequencyData(data);
@@ -629,13 +907,18 @@ class AdvancedAudioProcessor {
 
   stop() {
     this.isProcessing = false;
+    if (this.grainVoice) {
+      this.grainVoice.cancel();
+      this.grainVoice = null;
+    }
     // Cleanup
     this.granularProcessors.forEach(proc => {
-      if (proc.scriptProcessor) {
-        proc.scriptProcessor.disconnect();
-      }
+      proc.reader = null;
+      proc.isCapturing = false;
     });
+    this.spectralProcessor.disconnect();
   }
 }
 
+export { EffectsChain };
 export default AdvancedAudioProcessor;
\ No newline at end of file
@@ -1,23 +1,83 @@
 /**
  * AudioEngine - Handles all Web Audio API interactions
- * Manages microphone input, audio analysis, granular synthesis, and effects
+ * Manages input (microphone, audio file or any host stream/node), audio analysis,
+ * granular synthesis, and effects
  */
 
-import { FREQUENCY_BANDS, frequencyToBin, calculateBandEnergy, smoothValue } from './FrequencyBands.js';
+import { FREQUENCY_BANDS } from './FrequencyBands.js';
 import BandProcessor from './BandProcessor.js';
-import AdvancedAudioProcessor from './AdvancedAudioProcessor.js';
+import AdvancedAudioProcessor, { VISUAL_PARAM_RANGES } from './AdvancedAudioProcessor.js';
+import CaptureRing from './CaptureRing.js';
+import { getGrainScheduler } from './GrainScheduler.js';
+import { createInputSource, MediaStreamInput, AudioFileInput } from './InputSource.js';
+import MasterRecorder from './MasterRecorder.js';
+import OfflineRenderer from './OfflineRenderer.js';
+import MemoryLoop from './MemoryLoop.js';
+import CrossoverFilterbank from './CrossoverFilterbank.js';
+import FeatureExtractor, { silentFeatures } from './FeatureExtractor.js';
+import BandMeter, { dbToEnergy } from './BandMeter.js';
+import AutoRanger, { loadPresetRanges, storePresetRanges } from './AutoRanger.js';
+import { profileMatchesBands } from './InputCalibration.js';
+import ReverbService from './ReverbService.js';
+import { FDN_RANGES } from './FDNReverb.js';
+import MasterLimiter from './MasterLimiter.js';
+import LoudnessMeter, { silentLoudness } from './LoudnessMeter.js';
+import HowlDetector from './HowlDetector.js';
+import TempoClock from './TempoClock.js';
+import ModulationMatrix, { modulateValue } from './ModulationMatrix.js';
+import ParameterRegistry, { smoothParam, toNormalized } from './ParameterRegistry.js';
+import AutomationRecorder from './AutomationRecorder.js';
+
+// Capture channels reserved for bands, so a live band-set switch up to
+// third-octave resolution never has to rebuild the capture ring
+const MIN_BAND_CHANNELS = 31;
+
+const MUTE_FADE_TIME = 0.02; // Mute/solo fade, short enough to feel instant without clicking
+
+const SYNTH_FILTER_MODULATION = 2400; // Cents of SuperSynth cutoff at modulation amount 1
+
+const BAND_PARAMETERS = ['stretch', 'pitch', 'pan', 'reverbSend']; // Registered per band as band.<index>.<name>
+// How far full fluid-field energy moves each FDN reverb parameter (a modulation amount, see modulateValue)
+const REVERB_FIELD_DEPTHS = { decay: 0.25, size: 0.5, modulation: 0.6, diffusion: 0.6 };
+const REVERB_FIELD_EPSILON = 0.005; // Normalized change below which the field leaves the reverb alone
 
 class AudioEngine {
-  constructor() {
+  /**
+   * @param {object} options - { bands, bandSplitter, meterWeighting, meterBallistics, calibration, howl }
+   *   band set to start with (default: classic 24), how bands are isolated ('bandpass' or
+   *   'crossover'), how band levels are metered (see BandMeter), an input
+   *   calibration profile (see InputCalibration) and howl suppression settings (see HowlDetector)
+   */
+  constructor(options = {}) {
+    this.bands = options.bands || FREQUENCY_BANDS; // Active band set (see createBandSet)
+    this.bandSplitter = options.bandSplitter || 'bandpass';
+    this.filterbank = null; // CrossoverFilterbank feeding the band processors in 'crossover' mode
     this.audioContext = null;
     this.analyser = null;
-    this.microphone = null;
-    this.micGainNode = null;
+    this.featureExtractor = null; // Centroid, flux, onset, pitch... shared by every visualizer
+    this.inputSource = null; // MediaStreamInput, AudioFileInput or AudioNodeInput
+    this.micGainNode = null; // Input gain - every source feeds it
+    this.howlOptions = options.howl || {};
+    this.howlDetector = null; // Howl notches ahead of the input gain, plus feedback ducking
     this.masterGainNode = null;
     this.masterCompressor = null; // PHASE 4: Prevent clipping with multiple bands
-    this.reverbNode = null;
+    this.masterLimiter = null; // True-peak brickwall after the compressor
+    this.loudnessMeter = null; // LUFS / dBTP of the limited master
+    this.recorder = null; // Captures the master output after the compressor
+    this.paulstretch = null; // SimplePaulstretch owned by the canvas (for offline renders)
+    this.offlineRenderer = null; // Render in progress
+    this.memoryLoops = []; // Frozen band loops (memory blobs)
+    this.reverb = null; // Shared ReverbService every subsystem sends into
+    this.reverbBus = null; // The reverb's send bus (reverb.input)
+    this.reverbFieldBase = {}; // FDN parameters as last set by anything but the fluid field
     this.dryGainNode = null;
-    this.wetGainNode = null;
+    this.wetGainNode = null; // Reverb return level
+    this.tempoClock = null; // Shared transport (BPM, tap tempo, beat grid)
+    this.tempoSync = { delay: null, grains: null, lfo: null, explosion: null }; // Note divisions, null = free
+    this.modulation = null; // ModulationMatrix (LFOs, envelope followers, random) moving parameters
+    this.automation = null; // AutomationRecorder looping recorded parameter and blob gestures
+    this.synths = new Set(); // SuperSynths (registered by themselves) the synth filter target reaches
+    this.bandStretchModulation = { all: 0, bands: [] }; // Matrix amounts for band stretch targets
 
     // Advanced audio processor for mind-bending effects
     this.advancedProcessor = null;
@@ -25,47 +85,81 @@ class AudioEngine {
     // Per-band processors for partial-paulstretch (NEW)
     this.bandProcessors = [];
 
-    // Circular buffer for audio capture (legacy global grain synthesis)
-    this.bufferSize = 48000 * 10; // 10 seconds at 48kHz
-    this.audioBuffer = new Float32Array(this.bufferSize);
-    this.writeIndex = 0;
+    // Band mute/solo (solo-in-place: any soloed band silences the rest)
+    this.bandMuted = new Array(this.bands.length).fill(false);
+    this.bandSoloed = new Array(this.bands.length).fill(false);
+
+    // Shared AudioWorklet capture ring - every grain consumer reads from it
+    this.captureRing = null;
+    this.inputReader = null; // Cursor on the mic input channel
+
+    // Lookahead grain scheduler shared by every grain consumer on this context
+    this.grainScheduler = null;
 
     // Granular synthesis parameters (legacy global)
     this.isGenerating = false;
+    this.grainVoice = null;
     this.timeStretchFactor = 1.0;
     this.pitchShift = 0;
     this.grainSize = 0.1; // 100ms
 
-    // Audio analysis
-    this.dataArray = null;
-    this.frequencyData = null;
+    // Multi-band analysis (dBFS meters on the input and the processed output)
+    this.meterOptions = {
+      weighting: options.meterWeighting || 'Z',
+      ballistics: options.meterBallistics || 'fast'
+    };
+    this.inputMeter = null;
+    this.processedMeter = null;
+
+    // Optional adaptive per-band normalisation on top of the meters
+    this.autoRangeEnabled = false;
+    this.inputRanger = new AutoRanger(this.bands.length);
+    this.processedRanger = new AutoRanger(this.bands.length);
+    this.presetRanges = loadPresetRanges(); // Preset number -> frozen ranges stored with it (kept across sessions)
+
+    // Input calibration: gain plus a per-band noise gate (energy below which a band reads 0)
+    this.calibration = null;
+    this.bandGates = null;
+
+    // Every controllable parameter, with range, unit and smoothing (see registerParameters)
+    this.parameters = new ParameterRegistry();
 
-    // Multi-band analysis
-    this.bandBins = []; // FFT bin ranges for each frequency band
-    this.bandEnergies = new Array(FREQUENCY_BANDS.length).fill(0); // Current energy per band
-    this.smoothedEnergies = new Array(FREQUENCY_BANDS.length).fill(0); // Smoothed energy per band
+    this.setCalibrationProfile(options.calibration || null);
   }
 
-  async initialize() {
+  /**
+   * @param {MediaStream|AudioNode|AudioBuffer|ArrayBuffer|File|Blob|object} input - Optional
+   *   input source; defaults to the stream in window.chiaroscuroMicStream
+   * @param {object} inputOptions - Options for the input source (e.g. { loop })
+   */
+  async initialize(input = null, inputOptions = {}) {
     try {
       // Create audio context
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.grainScheduler = getGrainScheduler(this.audioContext);
+
+      this.tempoClock = new TempoClock(this.audioContext);
+      this.tempoClock.subscribe(() => {
+        this.applyTempoSync();
+        this.parameters.changed('tempo.bpm', 'tempo'); // Tap tempo
+      });
+
+      this.modulation = new ModulationMatrix(this.audioContext, {
+        tempoClock: this.tempoClock,
+        readBandEnergies: () => this.getBandEnergies(),
+        readLevel: () => this.getFeatures().rms
+      });
 
-      // Create analyser for visualization
+      // Create analyser for visualization (unsmoothed - the band meter applies ballistics)
       this.analyser = this.audioContext.createAnalyser();
       this.analyser.fftSize = 4096; // Increased for better frequency resolution
-      this.analyser.smoothingTimeConstant = 0.7;
+      this.analyser.smoothingTimeConstant = 0;
 
-      const bufferLength = this.analyser.frequencyBinCount;
-      this.dataArray = new Uint8Array(bufferLength);
-      this.frequencyData = new Uint8Array(bufferLength);
-
-      // Calculate FFT bin ranges for each frequency band
-      this.initializeBandBins();
+      this.inputMeter = new BandMeter(this.analyser, this.bands, this.meterOptions);
 
       // Create gain nodes
       this.micGainNode = this.audioContext.createGain();
-      this.micGainNode.gain.value = 1.0;
+      this.micGainNode.gain.value = this.calibration ? this.calibration.inputGain : 1.0;
 
       this.masterGainNode = this.audioContext.createGain();
       this.masterGainNode.gain.value = 0.7;
@@ -78,41 +172,89 @@ class AudioEngine {
       this.masterCompressor.attack.value = 0.003; // 3ms attack
       this.masterCompressor.release.value = 0.15; // 150ms release
 
+      // Brickwall limiter after the compressor (true-peak ceiling)
+      this.masterLimiter = new MasterLimiter(this.audioContext);
+      await this.masterLimiter.initialize();
+
       this.dryGainNode = this.audioContext.createGain();
       this.wetGainNode = this.audioContext.createGain();
 
-      // Create simple reverb using delay
-      await this.createReverb();
-
-      // Get microphone stream
-      const stream = window.chiaroscuroMicStream;
-      if (!stream) {
-        throw new Error('No microphone stream available');
-      }
+      // Shared convolution reverb
+      this.createReverb();
 
-      this.microphone = this.audioContext.createMediaStreamSource(stream);
+      // Sources feed the howl notches, which feed the input gain; the detector
+      // listens after the gain so a notch that isn't deep enough shows up
+      this.howlDetector = new HowlDetector(this.audioContext, this.howlOptions);
+      this.howlDetector.output.connect(this.micGainNode);
+      this.micGainNode.connect(this.howlDetector.analyser);
 
-      // Connect audio graph: mic -> gain -> analyser
-      this.microphone.connect(this.micGainNode);
+      // Connect audio graph: input -> gain -> analyser
       this.micGainNode.connect(this.analyser);
 
-      // Set up audio buffer capture (legacy global grain synthesis)
-      this.setupBufferCapture();
+      this.featureExtractor = new FeatureExtractor(this.audioContext);
+      this.micGainNode.connect(this.featureExtractor.input);
 
-      // NEW: Create and connect 24 band processors for per-band synthesis
+      if (input) {
+        await this.setInputSource(input, inputOptions);
+      } else {
+        // Fall back to the microphone stream granted by the host page
+        const stream = window.chiaroscuroMicStream;
+        if (!stream) {
+          throw new Error('No microphone stream available');
+        }
+        await this.setInputSource(new MediaStreamInput(stream));
+      }
+
+      // Set up the shared capture ring (mic input, processor input, one channel per band)
+      await this.setupBufferCapture();
+
+      // NEW: Create and connect one band processor per band for per-band synthesis
       this.initializeBandProcessors();
 
+      // Tap the master output for recording takes
+      try {
+        this.recorder = new MasterRecorder(this.audioContext, { channels: 2 });
+        await this.recorder.initialize();
+        this.masterLimiter.connect(this.recorder.input);
+      } catch (recorderError) {
+        console.error('Failed to initialize MasterRecorder:', recorderError);
+        this.recorder = null;
+      }
+
+      // Loudness and true-peak metering of what leaves the limiter
+      try {
+        this.loudnessMeter = new LoudnessMeter(this.audioContext, { channels: 2 });
+        await this.loudnessMeter.initialize();
+        this.masterLimiter.connect(this.loudnessMeter.input);
+      } catch (meterError) {
+        console.error('Failed to initialize LoudnessMeter:', meterError);
+        this.loudnessMeter = null;
+      }
+
       // Initialize Advanced Audio Processor for mind-bending effects
       try {
-        this.advancedProcessor = new AdvancedAudioProcessor(this.audioContext);
-        this.advancedProcessor.connectInput(this.micGainNode);
+        this.advancedProcessor = new AdvancedAudioProcessor(this.audioContext, this.reverb, this.tempoClock);
+        await this.advancedProcessor.initialize();
+        this.advancedProcessor.connectInput(this.micGainNode, this.captureRing);
         this.advancedProcessor.connectOutput(this.masterGainNode);
+        this.processedMeter = new BandMeter(this.advancedProcessor.outputAnalyser, this.bands, this.meterOptions);
+        this.howlDetector.setDuckTarget(this.advancedProcessor.feedbackNetwork);
+        this.applyTempoSync();
+        this.registerProcessorTargets();
+        this.registerProcessorParameters();
       } catch (processorError) {
         console.error('Failed to initialize AdvancedAudioProcessor:', processorError);
         // Continue without advanced processor
         this.advancedProcessor = null;
       }
 
+      this.registerParameters();
+      this.automation = new AutomationRecorder(this.audioContext, this.parameters);
+      this.howlDetector.start();
+
+      this.registerEngineTargets();
+      this.modulation.start();
+
       console.log('🔊 AudioEngine initialized:');
       console.log('  - AudioContext state:', this.audioContext.state);
       console.log('  - masterGainNode.gain:', this.masterGainNode.gain.value);
@@ -126,68 +268,88 @@ class AudioEngine {
     }
   }
 
-  async createReverb() {
-    // Create a simple reverb using multiple delays
-    // For MVP, we'll use a basic delay-based reverb
-    this.reverbNode = this.audioContext.createDelay(2.0);
-    this.reverbNode.delayTime.value = 0.5;
+  createReverb() {
+    this.reverb = new ReverbService(this.audioContext);
+    this.reverb.connect(this.wetGainNode);
 
-    const feedback = this.audioContext.createGain();
-    feedback.gain.value = 0.4;
-
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 2000;
-
-    this.reverbNode.connect(feedback);
-    feedback.connect(filter);
-    filter.connect(this.reverbNode);
-    filter.connect(this.wetGainNode);
+    // Shared bus band processors, memory loops, grains and synths send into
+    this.reverbBus = this.reverb.input;
 
     // Set initial wet/dry mix (30% reverb)
     this.dryGainNode.gain.value = 0.7;
     this.wetGainNode.gain.value = 0.3;
 
-    // Connect to master (PHASE 4: through compressor)
+    // Connect to master (PHASE 4: through compressor, then the limiter)
     this.dryGainNode.connect(this.masterGainNode);
     this.wetGainNode.connect(this.masterGainNode);
     this.masterGainNode.connect(this.masterCompressor);
-    this.masterCompressor.connect(this.audioContext.destination);
+    this.masterCompressor.connect(this.masterLimiter.input);
+    this.masterLimiter.connect(this.audioContext.destination);
+  }
+
+  async setupBufferCapture() {
+    // One channel each for the mic input and the advanced processor input,
+    // plus one per frequency band
+    this.captureRing = new CaptureRing(this.audioContext, {
+      channels: Math.max(this.bands.length, MIN_BAND_CHANNELS) + 2,
+      seconds: 4
+    });
+    await this.captureRing.initialize();
+
+    this.inputReader = this.captureRing.tap('input', this.micGainNode);
   }
 
-  setupBufferCapture() {
-    // Use ScriptProcessorNode for MVP (will upgrade to AudioWorklet later)
-    const bufferNode = this.audioContext.createScriptProcessor(4096, 1, 1);
+  /**
+   * Replace the signal feeding the engine; band processors, paulstretch and the
+   * analyser all follow because they hang off the input gain node
+   * @param {MediaStream|AudioNode|AudioBuffer|ArrayBuffer|File|Blob|object} input
+   * @param {object} options - Options for the input source (e.g. { loop })
+   * @returns {Promise<object>} The connected input source
+   */
+  async setInputSource(input, options = {}) {
+    if (!this.audioContext || !this.micGainNode) {
+      throw new Error('AudioEngine not initialized');
+    }
 
-    bufferNode.onaudioprocess = (e) => {
-      const input = e.inputBuffer.getChannelData(0);
+    const source = createInputSource(input, options);
+    await source.connect(this.audioContext, this.howlDetector.input);
 
-      // Write to circular buffer
-      for (let i = 0; i < input.length; i++) {
-        this.audioBuffer[this.writeIndex] = input[i];
-        this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-      }
-    };
+    // Only drop the old source once the new one is ready (decoding can take a while)
+    if (this.inputSource && this.inputSource !== source) {
+      this.inputSource.disconnect();
+    }
+    this.inputSource = source;
+    this.howlDetector.setListening(source.type === 'stream'); // Only a mic can howl
 
-    this.analyser.connect(bufferNode);
-    bufferNode.connect(this.audioContext.destination);
+    console.log(`🎙️ Input source: ${source.describe()} (${source.type})`);
+    return source;
   }
 
-  initializeBandBins() {
-    if (!this.audioContext || !this.analyser) return;
-
-    const sampleRate = this.audioContext.sampleRate;
-    const fftSize = this.analyser.fftSize;
+  /**
+   * Use an audio file as input
+   * @param {File|Blob|ArrayBuffer|AudioBuffer} file - Encoded or decoded audio
+   * @param {object} options - { loop (default true), loopStart, loopEnd, name }
+   * @returns {Promise<AudioFileInput>}
+   */
+  loadAudioFile(file, options = {}) {
+    return this.setInputSource(new AudioFileInput(file, options));
+  }
 
-    this.bandBins = FREQUENCY_BANDS.map(band => {
-      return frequencyToBin(band.min, band.max, sampleRate, fftSize);
-    });
+  getInputDescription() {
+    return this.inputSource ? this.inputSource.describe() : null;
+  }
 
-    console.log('Initialized', this.bandBins.length, 'frequency bands');
+  /**
+   * Get a read cursor on a captured signal
+   * @param {string} name - Tap name ('input', 'processor', 'band-<index>')
+   * @returns {CaptureReader|null}
+   */
+  getCaptureReader(name = 'input') {
+    return this.captureRing ? this.captureRing.getReader(name) : null;
   }
 
   /**
-   * Initialize 24 BandProcessors for per-band synthesis (NEW)
+   * Initialize one BandProcessor per band for per-band synthesis (NEW)
    */
   initializeBandProcessors() {
     if (!this.audioContext || !this.micGainNode || !this.masterGainNode) {
@@ -195,21 +357,135 @@ class AudioEngine {
       return;
     }
 
-    this.bandProcessors = FREQUENCY_BANDS.map((bandInfo, index) => {
-      const processor = new BandProcessor(this.audioContext, bandInfo, index);
+    // Crossover mode: one filterbank splits the input, its outputs replace the bandpass filters
+    if (this.bandSplitter === 'crossover') {
+      this.filterbank = new CrossoverFilterbank(this.audioContext, this.bands);
+      this.micGainNode.connect(this.filterbank.input);
+    }
+
+    this.bandProcessors = this.bands.map((bandInfo, index) => {
+      const bandFilter = this.filterbank ? this.filterbank.outputs[index] : null;
+      const processor = new BandProcessor(this.audioContext, bandInfo, index, bandFilter);
+
+      // Connect: micGain → processor → masterGain (band signal captured into the shared ring)
+      processor.connect(bandFilter ? null : this.micGainNode, this.masterGainNode, this.captureRing);
+      processor.connectReverbSend(this.reverbBus);
 
-      // Connect: micGain → processor → masterGain
-      processor.connect(this.micGainNode, this.masterGainNode);
+      this.registerBandParameters(processor);
+
+      if (this.modulation) {
+        this.modulation.registerTarget(`band:${index}:stretch`, {
+          label: `${bandInfo.name || `Band ${index + 1}`} stretch`,
+          group: 'Bands',
+          apply: amount => {
+            this.bandStretchModulation.bands[index] = amount;
+            this.applyBandStretchModulation(index);
+          }
+        });
+      }
 
       return processor;
     });
 
+    this.applyBandMuteSolo(0);
+
     console.log(`Initialized ${this.bandProcessors.length} band processors for per-band synthesis`);
   }
 
+  getBands() {
+    return this.bands;
+  }
+
+  /**
+   * Switch to another band set (see createBandSet); works before or after
+   * initialize(). Band synthesis, mute and solo start over, and memory loops
+   * are cleared (their band indices belong to the old set).
+   * @param {Array<object>} bands - { min, max, color, name } per band, low to high
+   */
+  setBandSet(bands) {
+    if (!bands || bands.length === 0) {
+      throw new Error('A band set needs at least one band');
+    }
+
+    if (this.captureRing && bands.length > this.captureRing.channels - 2) {
+      throw new Error(`This session has room for ${this.captureRing.channels - 2} bands - restart to use ${bands.length}`);
+    }
+
+    const wasInitialized = this.bandProcessors.length > 0;
+    this.releaseBandProcessors();
+    this.clearAllMemoryBlobs();
+
+    this.bands = bands;
+    this.bandMuted = new Array(bands.length).fill(false);
+    this.bandSoloed = new Array(bands.length).fill(false);
+
+    [this.inputMeter, this.processedMeter].forEach(meter => {
+      if (meter) meter.setBands(bands);
+    });
+    this.inputRanger.reset(bands.length);
+    this.processedRanger.reset(bands.length);
+    this.updateCalibrationGates();
+    if (wasInitialized) {
+      this.initializeBandProcessors();
+    }
+
+    console.log(`Band set: ${bands.length} bands (${bands[0].min}-${bands[bands.length - 1].max}Hz)`);
+  }
+
+  /**
+   * @returns {number} Most bands setBandSet() accepts in this session (no limit before start)
+   */
+  getMaxBandCount() {
+    return this.captureRing ? this.captureRing.channels - 2 : Infinity;
+  }
+
+  /**
+   * Choose how bands are isolated: 'bandpass' (one overlapping biquad per band)
+   * or 'crossover' (Linkwitz-Riley filterbank whose bands sum back to the input).
+   * The bands stay the same, so memory loops keep their band and mute/solo
+   * state is reapplied to the rebuilt processors.
+   * @param {string} type
+   */
+  setBandSplitter(type) {
+    if (type !== 'bandpass' && type !== 'crossover') {
+      throw new Error(`Unknown band splitter "${type}"`);
+    }
+    if (type === this.bandSplitter) return;
+
+    this.bandSplitter = type;
+
+    if (this.bandProcessors.length > 0) {
+      this.releaseBandProcessors();
+      this.initializeBandProcessors();
+    }
+
+    console.log(`Band splitter: ${type}`);
+  }
+
+  /**
+   * Tear down the band processors (and filterbank), freeing their capture channels
+   */
+  releaseBandProcessors() {
+    this.bandProcessors.forEach(processor => {
+      if (this.modulation) {
+        this.modulation.unregisterTarget(`band:${processor.bandIndex}:stretch`);
+      }
+      BAND_PARAMETERS.forEach(name => this.parameters.remove(`band.${processor.bandIndex}.${name}`));
+      processor.cleanup();
+      this.captureRing.untap(`band-${processor.bandIndex}`);
+    });
+    this.bandProcessors = [];
+
+    if (this.filterbank) {
+      this.micGainNode.disconnect(this.filterbank.input);
+      this.filterbank.disconnect();
+      this.filterbank = null;
+    }
+  }
+
   /**
    * Start per-band grain synthesis (NEW)
-   * @param {number} bandIndex - Which frequency band (0-23)
+   * @param {number} bandIndex - Which frequency band
    * @param {number} timeStretchFactor - Time stretch amount (1-8)
    */
   startBandSynthesis(bandIndex, timeStretchFactor = 1.0) {
@@ -223,20 +499,146 @@ class AudioEngine {
 
   /**
    * Update time-stretch factor for active band synthesis (NEW)
-   * @param {number} bandIndex - Which frequency band (0-23)
+   * @param {number} bandIndex - Which frequency band
    * @param {number} timeStretchFactor - New time stretch amount (1-8)
    */
   updateBandStretch(bandIndex, timeStretchFactor) {
+    this.parameters.set(`band.${bandIndex}.stretch`, timeStretchFactor);
+  }
+
+  /**
+   * Update a band's stereo position and reverb send (from its blob position)
+   * @param {number} bandIndex - Which frequency band
+   * @param {number} pan - -1 (left) to 1 (right)
+   * @param {number} reverbSend - 0 (dry) to 1
+   */
+  updateBandSpatial(bandIndex, pan, reverbSend) {
+    // Follows blob positions every frame (automation records the blobs, not these)
+    this.parameters.set(`band.${bandIndex}.pan`, pan, 'spatial');
+    this.parameters.set(`band.${bandIndex}.reverbSend`, reverbSend, 'spatial');
+  }
+
+  /**
+   * Update pitch shift for a band's synthesis
+   * @param {number} bandIndex - Which frequency band
+   * @param {number} semitones - Coarse shift (-24 to +24)
+   * @param {number} cents - Fine shift (-100 to +100)
+   */
+  updateBandPitch(bandIndex, semitones, cents = 0) {
+    this.parameters.set(`band.${bandIndex}.pitch`, semitones + cents / 100);
+  }
+
+  /**
+   * Toggle formant-preserving pitch shift for a band
+   * @param {number} bandIndex - Which frequency band
+   * @param {boolean} enabled
+   */
+  setBandFormantPreservation(bandIndex, enabled) {
     if (bandIndex < 0 || bandIndex >= this.bandProcessors.length) {
       return;
     }
 
-    this.bandProcessors[bandIndex].updateTimeStretch(timeStretchFactor);
+    this.bandProcessors[bandIndex].setFormantPreservation(enabled);
+  }
+
+  /**
+   * Current pitch of a band
+   * @param {number} bandIndex - Which frequency band
+   * @returns {{semitones: number, cents: number, preserveFormants: boolean}|null}
+   */
+  getBandPitch(bandIndex) {
+    const processor = this.bandProcessors[bandIndex];
+    if (!processor) return null;
+
+    return {
+      semitones: processor.pitchSemitones,
+      cents: processor.pitchCents,
+      preserveFormants: processor.preserveFormants
+    };
+  }
+
+  // Band Mute/Solo Methods
+  /**
+   * @param {number} bandIndex - Which frequency band
+   * @param {boolean} muted
+   */
+  setBandMute(bandIndex, muted) {
+    if (bandIndex < 0 || bandIndex >= this.bandMuted.length) {
+      return;
+    }
+
+    this.bandMuted[bandIndex] = muted;
+    this.applyBandMuteSolo();
+  }
+
+  toggleBandMute(bandIndex) {
+    this.setBandMute(bandIndex, !this.bandMuted[bandIndex]);
+  }
+
+  /**
+   * Solo a band - while any band is soloed, only soloed bands are heard
+   * @param {number} bandIndex - Which frequency band
+   * @param {boolean} soloed
+   */
+  setBandSolo(bandIndex, soloed) {
+    if (bandIndex < 0 || bandIndex >= this.bandSoloed.length) {
+      return;
+    }
+
+    this.bandSoloed[bandIndex] = soloed;
+    this.applyBandMuteSolo();
+  }
+
+  toggleBandSolo(bandIndex) {
+    this.setBandSolo(bandIndex, !this.bandSoloed[bandIndex]);
+  }
+
+  clearBandSolos() {
+    this.bandSoloed.fill(false);
+    this.applyBandMuteSolo();
+  }
+
+  /**
+   * A band is heard unless it is muted, or another band is soloed and it isn't
+   * @param {number} bandIndex - Which frequency band
+   * @returns {boolean}
+   */
+  isBandAudible(bandIndex) {
+    if (this.bandMuted[bandIndex]) return false;
+    return !this.bandSoloed.includes(true) || this.bandSoloed[bandIndex];
+  }
+
+  /**
+   * Mute/solo state for the renderer (dim muted and un-soloed blobs, highlight soloed ones)
+   * @returns {{anySolo: boolean, bands: Array<{muted: boolean, soloed: boolean, audible: boolean}>}}
+   */
+  getBandMuteSoloState() {
+    return {
+      anySolo: this.bandSoloed.includes(true),
+      bands: this.bandMuted.map((muted, index) => ({
+        muted,
+        soloed: this.bandSoloed[index],
+        audible: this.isBandAudible(index)
+      }))
+    };
+  }
+
+  /**
+   * Push mute/solo state to the band processors and the memory loops frozen from them
+   * @param {number} fadeTime - Fade length in seconds
+   */
+  applyBandMuteSolo(fadeTime = MUTE_FADE_TIME) {
+    [...this.bandProcessors, ...this.memoryLoops].forEach(voice => {
+      const muted = !this.isBandAudible(voice.bandIndex);
+      if (muted !== voice.isMuted || fadeTime === 0) {
+        voice.setMuted(muted, fadeTime);
+      }
+    });
   }
 
   /**
    * Stop per-band grain synthesis (NEW)
-   * @param {number} bandIndex - Which frequency band (0-23)
+   * @param {number} bandIndex - Which frequency band
    */
   stopBandSynthesis(bandIndex) {
     if (bandIndex < 0 || bandIndex >= this.bandProcessors.length) {
@@ -247,74 +649,248 @@ class AudioEngine {
     this.bandProcessors[bandIndex].stopGrainSynthesis();
   }
 
+  /**
+   * Input RMS level
+   * @returns {number} 0-1
+   */
   getAudioLevel() {
-    if (!this.analyser) return 0;
+    return this.getFeatures().rms;
+  }
+
+  /**
+   * @param {object} settings - { action (see HOWL_ACTIONS), sensitivity (0-1) } (any subset)
+   */
+  setHowlSuppression(settings) {
+    const { sensitivity, ...rest } = settings;
+    this.howlOptions = { ...this.howlOptions, ...rest };
+    if (this.howlDetector) {
+      this.howlDetector.setSettings(rest);
+    }
+    if (sensitivity !== undefined) {
+      this.howlOptions.sensitivity = sensitivity;
+      this.parameters.set('input.howlSensitivity', sensitivity);
+    }
+  }
+
+  /**
+   * Howl detector status for the UI
+   * @returns {object|null} See HowlDetector.getState()
+   */
+  getHowlState() {
+    return this.howlDetector ? this.howlDetector.getState() : null;
+  }
 
-    this.analyser.getByteTimeDomainData(this.dataArray);
+  /** Lift every howl notch and the feedback ducking */
+  clearHowlSuppression() {
+    if (this.howlDetector) {
+      this.howlDetector.clear();
+    }
+  }
+
+  /**
+   * Master loudness after the limiter (see LoudnessMeter)
+   * @returns {object} { momentary, shortTerm, integrated (LUFS), truePeak, maxTruePeak (dBTP),
+   *   gainReduction (dB the limiter is pulling down) }
+   */
+  getMasterLoudness() {
+    const readings = this.loudnessMeter ? this.loudnessMeter.getReadings() : silentLoudness();
+    readings.gainReduction = this.masterLimiter ? this.masterLimiter.getGainReduction() : 0;
+    return readings;
+  }
+
+  /** Restart integrated loudness and the max true peak */
+  resetLoudness() {
+    if (this.loudnessMeter) {
+      this.loudnessMeter.reset();
+    }
+  }
 
-    // Calculate RMS
-    let sum = 0;
-    for (let i = 0; i < this.dataArray.length; i++) {
-      const normalized = (this.dataArray[i] - 128) / 128;
-      sum += normalized * normalized;
+  /**
+   * @param {object} settings - { enabled, ceiling (dBTP), release (s) } (any subset)
+   */
+  setLimiter(settings) {
+    const { ceiling, ...rest } = settings;
+    if (this.masterLimiter) {
+      this.masterLimiter.setSettings(rest);
+    }
+    if (ceiling !== undefined) {
+      this.parameters.set('master.ceiling', ceiling);
     }
+  }
+
+  getLimiterSettings() {
+    return this.masterLimiter ? this.masterLimiter.getSettings() : null;
+  }
 
-    const rms = Math.sqrt(sum / this.dataArray.length);
-    return rms;
+  /**
+   * Audio features of the input for the current frame (see FeatureExtractor)
+   * @returns {object} { rms, peak, centroid, spread, flatness, flux, rolloff, onset, pitch, ... }
+   */
+  getFeatures() {
+    if (!this.featureExtractor) {
+      return silentFeatures();
+    }
+    return this.featureExtractor.update();
   }
 
   /**
    * Get energy levels for all frequency bands
-   * @returns {Array<number>} Array of 24 smoothed energy values (0-1)
+   * @returns {Array<number>} One energy (0-1) per band: ballistic dBFS mapped from
+   *   METER_FLOOR_DB..METER_CEILING_DB, same scale as getProcessedBandEnergies()
    */
   getBandEnergies() {
-    if (!this.analyser || this.bandBins.length === 0) {
-      return this.smoothedEnergies;
+    if (!this.inputMeter) {
+      return new Array(this.bands.length).fill(0);
     }
+    return this.autoRange(this.inputRanger, this.applyNoiseGate(this.inputMeter.update()));
+  }
 
-    // Get current frequency data
-    this.analyser.getByteFrequencyData(this.frequencyData);
-
-    // Calculate energy for each band
-    for (let i = 0; i < this.bandBins.length; i++) {
-      const { startBin, endBin } = this.bandBins[i];
-      const rawEnergy = calculateBandEnergy(this.frequencyData, startBin, endBin);
+  /**
+   * Zero out what the calibration measured as room noise and rescale the rest
+   * back to 0-1
+   */
+  applyNoiseGate(energies) {
+    if (!this.bandGates) return energies;
 
-      // Normalize to 0-1 range
-      this.bandEnergies[i] = rawEnergy / 255;
+    return energies.map((energy, i) => {
+      const gate = this.bandGates[i];
+      return gate < 1 ? Math.max(0, (energy - gate) / (1 - gate)) : 0;
+    });
+  }
 
-      // Apply smoothing to avoid jitter
-      this.smoothedEnergies[i] = smoothValue(
-        this.smoothedEnergies[i],
-        this.bandEnergies[i],
-        0.7
-      );
+  /**
+   * Use an input calibration profile (InputCalibrator.buildProfile), or null for none.
+   * Sets the input gain; the noise gate only applies while the band set matches.
+   * @param {object|null} profile
+   */
+  setCalibrationProfile(profile) {
+    this.calibration = profile;
+    if (profile) {
+      this.setInputGain(profile.inputGain);
     }
+    this.updateCalibrationGates();
+  }
 
-    return this.smoothedEnergies;
+  getCalibrationProfile() {
+    return this.calibration;
   }
 
-  getDominantFrequency() {
-    if (!this.analyser) return 0;
+  updateCalibrationGates() {
+    this.bandGates = profileMatchesBands(this.calibration, this.bands)
+      ? this.calibration.gateDb.map(dbToEnergy)
+      : null;
+  }
+
+  /**
+   * Rescale energies by their learned per-band range when auto-ranging is on
+   * (rangers keep learning while it is off, so switching on is immediate)
+   */
+  autoRange(ranger, energies) {
+    const ranged = ranger.update(energies, this.audioContext.currentTime);
+    return this.autoRangeEnabled ? ranged : energies;
+  }
 
-    this.analyser.getByteFrequencyData(this.frequencyData);
+  /**
+   * Configure adaptive per-band normalisation
+   * @param {object} options - { enabled, attack, release, frozen } (any subset);
+   *   attack/release are how fast (s) ranges widen and narrow
+   */
+  setAutoRange(options) {
+    if (options.enabled !== undefined) this.autoRangeEnabled = !!options.enabled;
 
-    // Find peak frequency
-    let maxValue = 0;
-    let maxIndex = 0;
+    [this.inputRanger, this.processedRanger].forEach(ranger => {
+      ranger.setTimes(options);
+      if (options.frozen !== undefined) ranger.setFrozen(options.frozen);
+    });
+  }
 
-    for (let i = 0; i < this.frequencyData.length; i++) {
-      if (this.frequencyData[i] > maxValue) {
-        maxValue = this.frequencyData[i];
-        maxIndex = i;
-      }
+  /**
+   * @returns {object} { enabled, attack, release, frozen, learned } (nothing can be frozen until learned)
+   */
+  getAutoRangeSettings() {
+    return {
+      enabled: this.autoRangeEnabled,
+      attack: this.inputRanger.attack,
+      release: this.inputRanger.release,
+      frozen: this.inputRanger.frozen,
+      learned: this.inputRanger.floors !== null
+    };
+  }
+
+  /**
+   * Freeze the current ranges and store them with a preset; applying that preset
+   * later restores them (and turns auto-ranging on)
+   * @param {number} presetNumber - 1-9
+   * @returns {boolean} false if nothing has been learned yet
+   */
+  storeAutoRangeInPreset(presetNumber) {
+    const input = this.inputRanger.getRanges();
+    if (!input) return false;
+
+    this.setAutoRange({ frozen: true });
+    this.presetRanges[presetNumber] = {
+      input,
+      processed: this.processedRanger.getRanges(),
+      bandCount: this.bands.length
+    };
+    storePresetRanges(this.presetRanges);
+    console.log(`Stored auto-range with preset ${presetNumber}`);
+    return true;
+  }
+
+  /**
+   * Restore ranges stored with a preset (ignored if the band set has changed since)
+   */
+  restorePresetAutoRange(presetNumber) {
+    const stored = this.presetRanges[presetNumber];
+    if (!stored || stored.bandCount !== this.bands.length) return;
+
+    this.inputRanger.setRanges(stored.input);
+    if (stored.processed) {
+      this.processedRanger.setRanges(stored.processed);
     }
+    this.autoRangeEnabled = true;
+  }
+
+  /**
+   * Band levels in dBFS with peak hold
+   * @param {string} source - 'input' or 'processed'
+   * @returns {object|null} { levels, peaks, instant, weighting, ballistics }
+   */
+  getBandLevels(source = 'input') {
+    const meter = source === 'processed' ? this.processedMeter : this.inputMeter;
+    return meter ? meter.getLevels() : null;
+  }
 
-    // Convert bin index to frequency
-    const nyquist = this.audioContext.sampleRate / 2;
-    const frequency = (maxIndex * nyquist) / this.frequencyData.length;
+  /**
+   * Frequency weighting for band metering
+   * @param {string} type - 'A', 'C' or 'Z' (see WEIGHTINGS)
+   */
+  setMeterWeighting(type) {
+    this.meterOptions.weighting = type;
+    [this.inputMeter, this.processedMeter].forEach(meter => {
+      if (meter) meter.setWeighting(type);
+    });
+  }
+
+  /**
+   * RMS ballistics for band metering
+   * @param {string} type - 'fast', 'slow' or 'impulse' (see BALLISTICS)
+   */
+  setMeterBallistics(type) {
+    this.meterOptions.ballistics = type;
+    [this.inputMeter, this.processedMeter].forEach(meter => {
+      if (meter) meter.setBallistics(type);
+    });
+  }
 
-    return frequency;
+  /**
+   * Pitch of the input when it has one, otherwise its loudest frequency
+   * @returns {number} Hz
+   */
+  getDominantFrequency() {
+    const features = this.getFeatures();
+    return features.pitch > 0 ? features.pitch : features.peakFrequency;
   }
 
   startGrainSynthesis() {
@@ -322,11 +898,15 @@ class AudioEngine {
     this.isGenerating = true;
 
     console.log('Starting grain synthesis');
-    this.generateGrain();
+    this.grainVoice = this.grainScheduler.schedule(when => this.generateGrain(when));
   }
 
   stopGrainSynthesis() {
     this.isGenerating = false;
+    if (this.grainVoice) {
+      this.grainVoice.cancel();
+      this.grainVoice = null;
+    }
     console.log('Stopping grain synthesis');
   }
 
@@ -343,33 +923,33 @@ class AudioEngine {
 
     console.log('💥 AudioEngine.triggerExplosion called');
     console.log('  - audioContext.state:', this.audioContext.state);
-    console.log('  - writeIndex:', this.writeIndex, '/ bufferSize:', this.bufferSize);
-
-    // Check if buffer has audio data
-    let maxSample = 0;
-    for (let i = 0; i < 1000; i++) {
-      maxSample = Math.max(maxSample, Math.abs(this.audioBuffer[i]));
-    }
-    console.log('  - buffer max sample (first 1000):', maxSample);
+    if (!this.inputReader) return;
+    console.log('  - captured:', this.inputReader.filled, '/ ring size:', this.inputReader.size);
 
     const burstCount = 8; // Number of grains in the burst
     const grainDuration = 0.08; // Shorter grains for punchier effect
-    const spreadTime = 0.15; // Time spread for grain burst (150ms)
+    let spreadTime = 0.15; // Time spread for grain burst (150ms)
+    let burstStart = this.audioContext.currentTime;
+
+    // Synced: the burst lands on the division grid and spreads over one division
+    if (this.tempoSync.explosion) {
+      spreadTime = this.tempoClock.divisionSeconds(this.tempoSync.explosion);
+      burstStart = this.tempoClock.nextDivisionTime(this.tempoSync.explosion, burstStart);
+    }
 
     for (let i = 0; i < burstCount; i++) {
       const delay = (i / burstCount) * spreadTime;
       const pitchVariation = (Math.random() - 0.5) * 3; // ±1.5 semitones variation
       const finalPitch = pitchShift + pitchVariation;
 
-      setTimeout(() => {
-        this.playExplosionGrain(grainDuration, finalPitch, reverbAmount);
-      }, delay * 1000);
+      // Burst is known up front, so every grain goes straight onto the audio clock
+      this.playExplosionGrain(grainDuration, finalPitch, reverbAmount, burstStart + delay);
     }
 
     // Temporarily spike reverb
     if (this.wetGainNode) {
-      const originalWet = this.wetGainNode.gain.value;
-      const now = this.audioContext.currentTime;
+      const originalWet = this.parameters.get('master.reverb');
+      const now = burstStart;
 
       this.wetGainNode.gain.setValueAtTime(originalWet, now);
       this.wetGainNode.gain.linearRampToValueAtTime(reverbAmount, now + 0.05);
@@ -377,8 +957,8 @@ class AudioEngine {
     }
   }
 
-  playExplosionGrain(duration, pitchShift, reverbAmount) {
-    if (!this.audioContext) return;
+  playExplosionGrain(duration, pitchShift, reverbAmount, when = this.audioContext.currentTime) {
+    if (!this.audioContext || !this.inputReader) return;
 
     const grainSamples = Math.floor(duration * this.audioContext.sampleRate);
 
@@ -391,14 +971,12 @@ class AudioEngine {
 
     const grainData = grainBuffer.getChannelData(0);
 
-    // Read from circular buffer (recent audio)
-    let readIndex = (this.writeIndex - grainSamples + this.bufferSize) % this.bufferSize;
+    // Read recent audio from the capture ring
+    this.inputReader.readLatest(grainData);
 
     for (let i = 0; i < grainSamples; i++) {
       // Apply Hann window
-      const windowValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
-      grainData[i] = this.audioBuffer[readIndex] * windowValue;
-      readIndex = (readIndex + 1) % this.bufferSize;
+      grainData[i] *= 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
     }
 
     // Create buffer source
@@ -416,16 +994,20 @@ class AudioEngine {
     // Connect: source -> gain -> dry/wet
     source.connect(grainGain);
     grainGain.connect(this.dryGainNode);
-    grainGain.connect(this.reverbNode);
+    grainGain.connect(this.reverbBus);
 
     // Play grain
-    const now = this.audioContext.currentTime;
-    source.start(now);
-    source.stop(now + duration);
+    source.start(when);
+    source.stop(when + duration);
   }
 
-  generateGrain() {
-    if (!this.isGenerating) return;
+  /**
+   * Play one legacy global grain (GrainScheduler callback)
+   * @param {number} when - Audio-clock start time
+   * @returns {number} Seconds until the next grain, 0 to stop
+   */
+  generateGrain(when) {
+    if (!this.isGenerating || !this.inputReader) return 0;
 
     const grainDuration = this.grainSize;
     const grainSamples = Math.floor(grainDuration * this.audioContext.sampleRate);
@@ -439,14 +1021,12 @@ class AudioEngine {
 
     const grainData = grainBuffer.getChannelData(0);
 
-    // Read from circular buffer
-    let readIndex = (this.writeIndex - grainSamples + this.bufferSize) % this.bufferSize;
+    // Read from the capture ring
+    this.inputReader.readLatest(grainData);
 
     for (let i = 0; i < grainSamples; i++) {
       // Apply Hann window
-      const windowValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
-      grainData[i] = this.audioBuffer[readIndex] * windowValue;
-      readIndex = (readIndex + 1) % this.bufferSize;
+      grainData[i] *= 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
     }
 
     // Create buffer source
@@ -459,48 +1039,767 @@ class AudioEngine {
 
     // Connect to both dry and reverb
     source.connect(this.dryGainNode);
-    source.connect(this.reverbNode);
+    source.connect(this.reverbBus);
 
     // Play grain
-    const now = this.audioContext.currentTime;
-    source.start(now);
-    source.stop(now + grainDuration);
+    source.start(when);
+    source.stop(when + grainDuration);
 
-    // Schedule next grain based on time stretch
-    const nextGrainDelay = (grainDuration / this.timeStretchFactor) * 1000;
-    setTimeout(() => this.generateGrain(), nextGrainDelay);
+    // Next grain based on time stretch (or on the tempo grid when synced)
+    if (this.tempoSync.grains) {
+      return this.tempoClock.timeToNext(this.tempoSync.grains, when);
+    }
+    return grainDuration / this.timeStretchFactor;
   }
 
-  setTimeStretch(factor) {
-    this.timeStretchFactor = Math.max(0.5, Math.min(4, factor));
-  }
+  /**
+   * Register the engine's own parameters (master, input, reverb, tempo)
+   */
+  registerParameters() {
+    const ctx = this.audioContext;
+    const define = (id, spec) => this.parameters.define(id, spec);
 
-  setPitchShift(semitones) {
-    this.pitchShift = Math.max(-12, Math.min(12, semitones));
-  }
+    define('master.volume', {
+      label: 'Master volume', group: 'Master', min: 0, max: 1, default: 0.7, smoothing: 0.02,
+      write: (value, smoothing) => smoothParam(ctx, this.masterGainNode.gain, value, smoothing)
+    });
+    define('master.reverb', {
+      label: 'Reverb', group: 'Master', min: 0, max: 1, default: 0.3, smoothing: 0.02,
+      write: (value, smoothing) => {
+        smoothParam(ctx, this.dryGainNode.gain, 1 - value, smoothing);
+        smoothParam(ctx, this.wetGainNode.gain, value, smoothing);
+      }
+    });
+    define('master.ceiling', {
+      label: 'Limiter ceiling', group: 'Master', min: -24, max: 0, default: -1, unit: 'dBTP',
+      read: () => this.masterLimiter.ceiling,
+      write: value => this.masterLimiter.setSettings({ ceiling: value })
+    });
 
-  setMasterVolume(value) {
-    if (this.masterGainNode) {
-      this.masterGainNode.gain.value = value;
-    }
-  }
+    define('input.gain', {
+      label: 'Input gain', group: 'Input', min: 0.1, max: 3, default: 1, unit: 'x', smoothing: 0.02,
+      value: this.calibration ? this.calibration.inputGain : 1,
+      write: (value, smoothing) => smoothParam(ctx, this.micGainNode.gain, value, smoothing)
+    });
+    define('input.howlSensitivity', {
+      label: 'Howl sensitivity', group: 'Input', min: 0, max: 1, default: 0.5,
+      read: () => this.howlDetector.sensitivity,
+      write: value => this.howlDetector.setSettings({ sensitivity: value })
+    });
 
-  setReverbAmount(value) {
-    if (this.dryGainNode && this.wetGainNode) {
-      this.dryGainNode.gain.value = 1 - value;
-      this.wetGainNode.gain.value = value;
-    }
-  }
+    define('engine.timeStretch', {
+      label: 'Grain stretch', group: 'Grains', min: 0.5, max: 4, default: 1, unit: 'x', curve: 'log',
+      read: () => this.timeStretchFactor,
+      write: value => { this.timeStretchFactor = value; }
+    });
+    define('engine.pitchShift', {
+      label: 'Grain pitch', group: 'Grains', min: -12, max: 12, default: 0, unit: 'st',
+      read: () => this.pitchShift,
+      write: value => { this.pitchShift = value; }
+    });
+
+    // Reverb smooths these itself
+    define('reverb.preDelay', {
+      label: 'Reverb pre-delay', group: 'Reverb', min: 0, max: 0.25, default: 0.02, unit: 's', smoothing: 0.02,
+      read: () => this.reverb.preDelayTime,
+      write: value => this.reverb.setPreDelay(value)
+    });
+    define('reverb.damping', {
+      label: 'Reverb damping', group: 'Reverb', min: 0, max: 1, default: 0.3, smoothing: 0.05,
+      read: () => this.reverb.damping,
+      write: value => this.reverb.setDamping(value)
+    });
+    [
+      ['decay', 'Reverb decay', 's', 'log'],
+      ['size', 'Reverb size', 'x', 'log'],
+      ['modulation', 'Reverb modulation', '', 'linear'],
+      ['diffusion', 'Reverb diffusion', '', 'linear']
+    ].forEach(([name, label, unit, curve]) => {
+      const [min, max] = FDN_RANGES[name];
+      define(`reverb.${name}`, {
+        label, group: 'Reverb', min, max, default: this.reverb.fdn.params[name], unit, curve,
+        read: () => this.reverb.fdn.params[name],
+        write: value => this.reverb.setFdnParams({ [name]: value })
+      });
+      this.reverbFieldBase[name] = this.reverb.fdn.params[name];
+      this.parameters.subscribe(`reverb.${name}`, (value, id, origin) => {
+        if (origin !== 'field') this.reverbFieldBase[name] = value;
+      });
+    });
+
+    define('tempo.bpm', {
+      label: 'Tempo', group: 'Tempo', min: 20, max: 300, default: 120, unit: 'BPM',
+      read: () => this.tempoClock.bpm,
+      write: value => this.tempoClock.setBpm(value)
+    });
+  }
+
+  /**
+   * Register a band processor's stretch, pitch and spatial parameters
+   * @param {BandProcessor} processor
+   */
+  registerBandParameters(processor) {
+    const id = name => `band.${processor.bandIndex}.${name}`;
+    const label = processor.bandInfo.name || `Band ${processor.bandIndex + 1}`;
+
+    this.parameters.define(id('stretch'), {
+      label: `${label} stretch`, group: 'Bands', min: 1, max: 8, default: 1, unit: 'x',
+      read: () => processor.timeStretchFactor,
+      write: value => processor.updateTimeStretch(value)
+    });
+    this.parameters.define(id('pitch'), {
+      label: `${label} pitch`, group: 'Bands', min: -24, max: 24, default: 0, unit: 'st',
+      read: () => processor.pitchSemitones + processor.pitchCents / 100,
+      write: value => {
+        const semitones = Math.trunc(value);
+        processor.setPitch(semitones, Math.round((value - semitones) * 100));
+      }
+    });
+    this.parameters.define(id('pan'), {
+      label: `${label} pan`, group: 'Bands', min: -1, max: 1, default: 0, smoothing: 0.05,
+      write: value => processor.setPan(value)
+    });
+    this.parameters.define(id('reverbSend'), {
+      label: `${label} reverb send`, group: 'Bands', min: 0, max: 1, default: processor.reverbSend.gain.value,
+      smoothing: 0.05,
+      write: value => processor.setReverbSend(value)
+    });
+  }
+
+  /**
+   * Register the advanced processor's visualParams and effect parameters; drags,
+   * the fluid field and presets change these inside the processor, which reports back
+   */
+  registerProcessorParameters() {
+    const processor = this.advancedProcessor;
+    const effects = processor.effectsChain;
+
+    Object.entries(VISUAL_PARAM_RANGES).forEach(([key, spec]) => {
+      this.parameters.define(`processor.${key}`, {
+        ...spec,
+        group: 'Processor',
+        default: processor.visualParams[key],
+        read: () => processor.visualParams[key],
+        write: value => processor.setVisualParam(key, value)
+      });
+    });
+    processor.onParamChange = (key, origin) => this.parameters.changed(`processor.${key}`, origin);
+    processor.paramRouter = (key, value, origin) => this.parameters.set(`processor.${key}`, value, origin);
+
+    Object.entries(effects.modulatable).forEach(([name, spec]) => {
+      this.parameters.define(`effect.${name}`, {
+        label: spec.label,
+        group: 'Effects',
+        min: spec.min,
+        max: spec.max,
+        curve: spec.curve,
+        unit: spec.unit,
+        default: effects.getParam(name),
+        smoothing: 0.01,
+        read: () => effects.getParam(name),
+        write: value => effects.setParam(name, value)
+      });
+    });
+    effects.onParamChange = name => this.parameters.changed(`effect.${name}`, 'processor');
+  }
+
+  /**
+   * @returns {ParameterRegistry} Every controllable parameter (get/set/subscribe by id)
+   */
+  getParameterRegistry() {
+    return this.parameters;
+  }
+
+  /**
+   * @param {string} id - e.g. 'master.volume', 'band.3.stretch', 'processor.filterCutoff'
+   * @param {number} value - Clamped to the parameter's range
+   * @param {string} origin - Who is setting it (see ParameterRegistry.set)
+   * @returns {number|undefined} The value applied
+   */
+  setParameter(id, value, origin = 'user') {
+    return this.parameters.set(id, value, origin);
+  }
+
+  getParameter(id) {
+    return this.parameters.get(id);
+  }
+
+  /**
+   * Modulation targets that live on the engine itself (all bands, synth filter)
+   */
+  registerEngineTargets() {
+    this.modulation.registerTarget('band:all:stretch', {
+      label: 'All bands stretch',
+      group: 'Bands',
+      apply: amount => {
+        this.bandStretchModulation.all = amount;
+        this.bandProcessors.forEach((processor, index) => this.applyBandStretchModulation(index));
+      }
+    });
+
+    this.modulation.registerTarget('synth:filter', {
+      label: 'Synth filter',
+      group: 'Synth',
+      apply: amount => {
+        this.synths.forEach(synth => synth.setFilterModulation(amount * SYNTH_FILTER_MODULATION));
+      }
+    });
+  }
+
+  /**
+   * Modulation targets on the advanced processor: every visualParams entry and
+   * the effect parameters of its chain
+   */
+  registerProcessorTargets() {
+    const processor = this.advancedProcessor;
+
+    Object.entries(VISUAL_PARAM_RANGES).forEach(([key, spec]) => {
+      this.modulation.registerTarget(`visual:${key}`, {
+        label: spec.label,
+        group: 'Processor',
+        apply: amount => processor.setModulation(key, amount)
+      });
+    });
+
+    Object.entries(processor.effectsChain.modulatable).forEach(([name, spec]) => {
+      this.modulation.registerTarget(`effect:${name}`, {
+        label: spec.label,
+        group: 'Effects',
+        apply: amount => processor.effectsChain.setModulation(name, amount)
+      });
+    });
+  }
+
+  applyBandStretchModulation(index) {
+    const processor = this.bandProcessors[index];
+    if (processor) {
+      processor.setStretchModulation((this.bandStretchModulation.bands[index] || 0) + this.bandStretchModulation.all);
+    }
+  }
+
+  /**
+   * @param {SuperSynth} synth - Reachable by the 'synth:filter' modulation target
+   */
+  registerSynth(synth) {
+    this.synths.add(synth);
+  }
+
+  unregisterSynth(synth) {
+    this.synths.delete(synth);
+  }
+
+  /**
+   * @param {string} type - Key of MODULATION_SOURCES
+   * @param {object} settings - See ModulationMatrix
+   * @returns {string|null} Source id
+   */
+  addModulationSource(type, settings = {}) {
+    return this.modulation ? this.modulation.addSource(type, settings) : null;
+  }
+
+  updateModulationSource(id, settings) {
+    if (this.modulation) {
+      this.modulation.updateSource(id, settings);
+    }
+  }
+
+  removeModulationSource(id) {
+    if (this.modulation) {
+      this.modulation.removeSource(id);
+    }
+  }
+
+  /**
+   * @param {string} source - Source id
+   * @param {string} target - Target id (see getModulationState().targets)
+   * @param {number} depth - -1 to 1
+   * @returns {string|null} Route id
+   */
+  addModulationRoute(source, target, depth = 0.5) {
+    return this.modulation ? this.modulation.addRoute(source, target, depth) : null;
+  }
+
+  setModulationRouteDepth(id, depth) {
+    if (this.modulation) {
+      this.modulation.setRouteDepth(id, depth);
+    }
+  }
+
+  removeModulationRoute(id) {
+    if (this.modulation) {
+      this.modulation.removeRoute(id);
+    }
+  }
+
+  /**
+   * @returns {object|null} See ModulationMatrix.getState()
+   */
+  getModulationState() {
+    return this.modulation ? this.modulation.getState() : null;
+  }
+
+  /**
+   * Start an automation pass, or end it and loop what was recorded ('A' in the canvas)
+   */
+  toggleAutomationRecord() {
+    if (this.automation) {
+      this.automation.toggleRecord();
+    }
+  }
+
+  playAutomation() {
+    if (this.automation) {
+      this.automation.play();
+    }
+  }
+
+  stopAutomation() {
+    if (this.automation) {
+      this.automation.stop();
+    }
+  }
+
+  clearAutomation() {
+    if (this.automation) {
+      this.automation.clear();
+    }
+  }
+
+  /**
+   * @param {string} id - Lane id (see getAutomationState)
+   */
+  clearAutomationLane(id) {
+    if (this.automation) {
+      this.automation.clearLane(id);
+    }
+  }
+
+  /**
+   * @param {string} mode - Key of AUTOMATION_MODES
+   */
+  setAutomationMode(mode) {
+    if (this.automation) {
+      this.automation.setMode(mode);
+    }
+  }
+
+  /**
+   * Record a held or released analysis blob (positions 0-1 of the canvas)
+   * @param {number} bandIndex
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} active - Held (synthesizing)
+   */
+  recordBlobAutomation(bandIndex, x, y, active) {
+    if (this.automation) {
+      const band = this.bands[bandIndex];
+      this.automation.recordBlob(bandIndex, x, y, active, band && band.name ? band.name : undefined);
+    }
+  }
+
+  /**
+   * Record a pointer gesture on the canvas (positions 0-1 of the canvas)
+   * @param {string} mode - Gesture mode ('draw', 'modify', 'alt')
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} active - Pointer down
+   * @param {string} label
+   */
+  recordGestureAutomation(mode, x, y, active, label) {
+    if (this.automation) {
+      this.automation.recordGesture(mode, x, y, active, label);
+    }
+  }
+
+  /**
+   * @returns {object[]} Blob lanes to move blobs and draw ghost trails (see AutomationRecorder.getBlobs)
+   */
+  getAutomationBlobs() {
+    return this.automation ? this.automation.getBlobs() : [];
+  }
+
+  /**
+   * @returns {object[]} Gesture lanes to replay and draw ghost trails (see AutomationRecorder.getGestures)
+   */
+  getAutomationGestures() {
+    return this.automation ? this.automation.getGestures() : [];
+  }
+
+  /**
+   * @returns {object|null} See AutomationRecorder.getState()
+   */
+  getAutomationState() {
+    return this.automation ? this.automation.getState() : null;
+  }
+
+  /**
+   * @returns {TempoClock|null} Shared transport
+   */
+  getTempoClock() {
+    return this.tempoClock;
+  }
+
+  setBpm(bpm) {
+    this.parameters.set('tempo.bpm', bpm);
+  }
+
+  /**
+   * @returns {number|null} Tempo after the tap
+   */
+  tapTempo() {
+    return this.tempoClock ? this.tempoClock.tap() : null;
+  }
+
+  startTransport() {
+    if (this.tempoClock) {
+      this.tempoClock.start();
+    }
+  }
+
+  stopTransport() {
+    if (this.tempoClock) {
+      this.tempoClock.stop();
+    }
+  }
+
+  /**
+   * @returns {object|null} See TempoClock.getState()
+   */
+  getTransportState() {
+    return this.tempoClock ? this.tempoClock.getState() : null;
+  }
+
+  /**
+   * Lock parameters to note divisions of the tempo clock
+   * @param {object} sync - { delay, grains, lfo, explosion } (any subset; a NOTE_DIVISIONS key, or null = free)
+   */
+  setTempoSync(sync) {
+    Object.keys(this.tempoSync).forEach(key => {
+      if (sync[key] !== undefined) this.tempoSync[key] = sync[key];
+    });
+    this.applyTempoSync();
+  }
+
+  getTempoSync() {
+    return { ...this.tempoSync };
+  }
+
+  /**
+   * Push the sync settings to the processor (also after every tempo change)
+   */
+  applyTempoSync() {
+    if (this.advancedProcessor) {
+      const { delay, grains, lfo } = this.tempoSync;
+      this.advancedProcessor.setTempoSync({ delay, grains, lfo });
+    }
+  }
+
+  setTimeStretch(factor) {
+    this.parameters.set('engine.timeStretch', factor);
+  }
+
+  setPitchShift(semitones) {
+    this.parameters.set('engine.pitchShift', semitones);
+  }
+
+  setMasterVolume(value) {
+    this.parameters.set('master.volume', value);
+  }
+
+  setReverbAmount(value) {
+    this.parameters.set('master.reverb', value);
+  }
+
+  /**
+   * Switch the shared reverb's impulse response
+   * @param {string} name - Key of IMPULSE_TYPES or a loaded IR's name
+   */
+  setReverbImpulse(name) {
+    if (this.reverb) {
+      this.reverb.setImpulse(name);
+    }
+  }
+
+  /**
+   * Load an impulse response file into the shared reverb and switch to it
+   * @param {File|Blob|ArrayBuffer} file
+   * @returns {Promise<string>} Name to select it by
+   */
+  async loadReverbImpulse(file) {
+    if (!this.reverb) {
+      throw new Error('AudioEngine not initialized');
+    }
+    return this.reverb.loadImpulse(file);
+  }
+
+  /**
+   * Switch the shared reverb between convolution and the feedback delay network
+   * @param {string} mode - Key of REVERB_MODES
+   */
+  async setReverbMode(mode) {
+    if (this.reverb) {
+      await this.reverb.setMode(mode);
+    }
+  }
+
+  /**
+   * @param {object} params - { decay (s), size, modulation, diffusion } (see FDNReverb)
+   */
+  setReverbFdnParams(params) {
+    Object.entries(params).forEach(([name, value]) => this.parameters.set(`reverb.${name}`, value));
+  }
+
+  setReverbPreDelay(seconds) {
+    this.parameters.set('reverb.preDelay', seconds);
+  }
+
+  setReverbDamping(amount) {
+    this.parameters.set('reverb.damping', amount);
+  }
+
+  /**
+   * @returns {object|null} { mode, impulse, impulses, preDelay, damping, fdn }
+   */
+  getReverbSettings() {
+    if (!this.reverb) return null;
+    return {
+      mode: this.reverb.mode,
+      impulse: this.reverb.impulse,
+      impulses: this.reverb.getImpulseList(),
+      preDelay: this.reverb.preDelayTime,
+      damping: this.reverb.damping,
+      fdn: this.reverb.fdn.getParams()
+    };
+  }
 
   setInputGain(value) {
-    if (this.micGainNode) {
-      this.micGainNode.gain.value = value;
+    this.parameters.set('input.gain', value);
+  }
+
+  getInputGain() {
+    if (this.parameters.has('input.gain')) return this.parameters.get('input.gain');
+    return this.calibration ? this.calibration.inputGain : 1.0;
+  }
+
+  // Recording Methods
+  startRecording() {
+    if (!this.recorder) {
+      throw new Error('Recorder not available');
+    }
+    this.recorder.start();
+
+    // Integrated loudness and max true peak then describe this take
+    this.resetLoudness();
+  }
+
+  pauseRecording() {
+    if (this.recorder) {
+      this.recorder.pause();
+    }
+  }
+
+  resumeRecording() {
+    if (this.recorder) {
+      this.recorder.resume();
+    }
+  }
+
+  /**
+   * Stop recording and encode the take
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   * @returns {Promise<Blob|null>} WAV file, or null if nothing was recorded
+   */
+  stopRecording(format = 'pcm16') {
+    if (!this.recorder) {
+      return Promise.resolve(null);
+    }
+    return this.recorder.exportWav(format);
+  }
+
+  getRecordingState() {
+    return this.recorder ? this.recorder.state : 'inactive';
+  }
+
+  getRecordingTime() {
+    return this.recorder ? this.recorder.getElapsedTime() : 0;
+  }
+
+  // Offline Render Methods
+  registerPaulstretch(paulstretch) {
+    this.paulstretch = paulstretch;
+
+    if (!paulstretch) {
+      ['stretch', 'grainSize', 'volume'].forEach(name => this.parameters.remove(`paulstretch.${name}`));
+      return;
     }
+
+    // Spectral mode reaches far beyond granular's 20x (setStretchFactor clamps per mode)
+    this.parameters.define('paulstretch.stretch', {
+      label: 'Paulstretch stretch', group: 'Paulstretch', min: 1, max: 10000, default: 2, unit: 'x', curve: 'log',
+      read: () => paulstretch.stretchFactor,
+      write: value => paulstretch.setStretchFactor(value)
+    });
+    this.parameters.define('paulstretch.grainSize', {
+      label: 'Paulstretch grain size', group: 'Paulstretch', min: 0.05, max: 2, default: 0.15, unit: 's', curve: 'log',
+      read: () => paulstretch.grainSize,
+      write: value => paulstretch.setGrainSize(value)
+    });
+    this.parameters.define('paulstretch.volume', {
+      label: 'Paulstretch volume', group: 'Paulstretch', min: 0, max: 1, default: 0.8, smoothing: 0.01,
+      write: value => paulstretch.setVolume(value)
+    });
+  }
+
+  /**
+   * Snapshot everything an offline render replays
+   * Paulstretch is included whenever one exists - live it only plays while
+   * dragging, but its mode and stretch are what a render is usually for.
+   */
+  getRenderSettings() {
+    const compressor = this.masterCompressor;
+
+    return {
+      sampleRate: this.audioContext.sampleRate,
+      bandSet: this.bands,
+      bandSplitter: this.bandSplitter,
+      masterVolume: this.parameters.get('master.volume'),
+      compressor: {
+        threshold: compressor.threshold.value,
+        knee: compressor.knee.value,
+        ratio: compressor.ratio.value,
+        attack: compressor.attack.value,
+        release: compressor.release.value
+      },
+      limiter: this.masterLimiter.getSettings(),
+      bands: this.bandProcessors
+        .filter(processor => processor.isGenerating && this.isBandAudible(processor.bandIndex))
+        .map(processor => ({
+          index: processor.bandIndex,
+          info: processor.bandInfo,
+          stretch: processor.timeStretchFactor,
+          grainSize: processor.grainSize,
+          pitchSemitones: processor.pitchSemitones,
+          pitchCents: processor.pitchCents,
+          preserveFormants: processor.preserveFormants,
+          pan: processor.panner.pan.value,
+          reverbSend: processor.reverbSend.gain.value
+        })),
+      paulstretch: this.paulstretch ? {
+        mode: this.paulstretch.mode,
+        stretchFactor: this.paulstretch.stretchFactor,
+        grainSize: this.paulstretch.grainSize,
+        grainOverlap: this.paulstretch.grainOverlap,
+        volume: this.paulstretch.outputGain.gain.value
+      } : null,
+      effects: this.advancedProcessor ? this.advancedProcessor.effectsChain.getState() : null,
+      reverb: this.reverb.getState(),
+      reverbReturn: this.parameters.get('master.reverb')
+    };
+  }
+
+  /**
+   * Audio an offline render plays from: the loaded file, or else whatever the
+   * capture ring currently holds of the live input
+   * @returns {AudioBuffer|null}
+   */
+  getRenderSource() {
+    if (this.inputSource && this.inputSource.buffer) {
+      return this.inputSource.buffer;
+    }
+
+    if (!this.inputReader || this.inputReader.filled === 0) {
+      return null;
+    }
+
+    const buffer = this.audioContext.createBuffer(1, this.inputReader.filled, this.audioContext.sampleRate);
+    this.inputReader.readLatest(buffer.getChannelData(0));
+    return buffer;
+  }
+
+  /**
+   * Render the current session faster than real time
+   * @param {object} options - { duration (s), format, onProgress } (see OfflineRenderer.render)
+   * @returns {Promise<Blob>} WAV file
+   */
+  async renderOffline(options = {}) {
+    if (this.offlineRenderer) {
+      throw new Error('An offline render is already running');
+    }
+
+    const source = this.getRenderSource();
+    if (!source) {
+      throw new Error('Nothing to render - load a file or capture some input first');
+    }
+
+    this.offlineRenderer = new OfflineRenderer(source, this.getRenderSettings());
+    try {
+      return await this.offlineRenderer.render(options);
+    } finally {
+      this.offlineRenderer = null;
+    }
+  }
+
+  cancelOfflineRender() {
+    if (this.offlineRenderer) {
+      this.offlineRenderer.cancel();
+    }
+  }
+
+  // Memory Blob Methods
+  /**
+   * Freeze a band: snapshot its capture channel into a loop that keeps playing
+   * Freezing the same band again stacks another layer.
+   * @param {number} bandIndex - Which frequency band
+   * @param {number} seconds - Snapshot length
+   * @returns {MemoryLoop|null} null if the band has not captured enough audio yet
+   */
+  freezeBand(bandIndex, seconds = 2) {
+    const processor = this.bandProcessors[bandIndex];
+    if (!processor || !processor.reader) {
+      console.error(`Invalid band index: ${bandIndex}`);
+      return null;
+    }
+
+    const sampleRate = this.audioContext.sampleRate;
+    const length = Math.min(processor.reader.filled, Math.floor(seconds * sampleRate));
+    if (length < sampleRate * 0.25) {
+      console.warn(`Band ${bandIndex} has not captured enough audio to freeze yet`);
+      return null;
+    }
+
+    const samples = new Float32Array(length);
+    processor.reader.readLatest(samples);
+
+    const loop = new MemoryLoop(this.audioContext, samples, {
+      bandIndex,
+      grainSize: processor.grainSize
+    });
+    loop.setMuted(!this.isBandAudible(bandIndex), 0);
+    loop.connect(this.masterGainNode, this.reverbBus);
+    loop.start();
+
+    this.memoryLoops.push(loop);
+    console.log(`Froze band ${bandIndex} (${processor.bandInfo.name}): ${loop.duration.toFixed(2)}s loop, ${this.memoryLoops.length} memory blobs`);
+    return loop;
+  }
+
+  /**
+   * Stop one memory loop
+   * @param {MemoryLoop} loop
+   */
+  removeMemoryBlob(loop) {
+    loop.stop();
+    this.memoryLoops = this.memoryLoops.filter(l => l !== loop);
+  }
+
+  getMemoryBlobCount() {
+    return this.memoryLoops.length;
   }
 
   clearAllMemoryBlobs() {
-    // Future: implement memory blob clearing
-    console.log('Clearing all memory blobs');
+    console.log(`Clearing ${this.memoryLoops.length} memory blobs`);
+    this.memoryLoops.forEach(loop => loop.stop());
+    this.memoryLoops = [];
   }
 
   // Advanced Audio Processor Control Methods
@@ -514,12 +1813,45 @@ class AudioEngine {
     if (this.advancedProcessor) {
       this.advancedProcessor.updateFromFieldValue(fieldValue, x, y);
     }
+    this.applyReverbField(fieldValue);
+  }
+
+  /**
+   * Field energy swells the FDN reverb around the user's settings (nothing to
+   * regenerate); outside FDN mode the parameters settle back on those settings
+   * @param {number} fieldValue - 0-1
+   */
+  applyReverbField(fieldValue) {
+    if (!this.reverb) return;
+
+    const amount = this.reverb.mode === 'fdn' ? fieldValue : 0;
+    Object.entries(REVERB_FIELD_DEPTHS).forEach(([name, depth]) => {
+      const id = `reverb.${name}`;
+      const spec = this.parameters.describe(id);
+      if (!spec) return;
+
+      const value = modulateValue(this.reverbFieldBase[name], amount * depth, spec);
+      if (Math.abs(toNormalized(spec, value) - toNormalized(spec, spec.value)) >= REVERB_FIELD_EPSILON) {
+        this.parameters.set(id, value, 'field');
+      }
+    });
   }
 
   applyPreset(presetNumber) {
     if (this.advancedProcessor) {
       this.advancedProcessor.applyPreset(presetNumber);
     }
+    this.restorePresetAutoRange(presetNumber);
+  }
+
+  /**
+   * Hold the advanced processor's current spectrum (Space in the canvas)
+   * @param {boolean} frozen
+   */
+  setSpectralFreeze(frozen) {
+    if (this.advancedProcessor) {
+      this.advancedProcessor.setSpectralFreeze(frozen);
+    }
   }
 
   getProcessorVisualizationData() {
@@ -529,32 +1861,14 @@ class AudioEngine {
     return null;
   }
 
-  // Get frequency data from processed output instead of input
+  /**
+   * Band energies of the advanced processor's output instead of the input
+   * (same scale as getBandEnergies)
+   * @returns {Array<number>}
+   */
   getProcessedBandEnergies() {
-    if (this.advancedProcessor) {
-      const freqData = this.advancedProcessor.getOutputFrequencyData();
-      // Convert to band energies
-      const bandEnergies = new Array(FREQUENCY_BANDS.length).fill(0);
-
-      for (let i = 0; i < FREQUENCY_BANDS.length; i++) {
-        const band = FREQUENCY_BANDS[i];
-        const startBin = this.bandBins[i].startBin;
-        const endBin = this.bandBins[i].endBin;
-
-        let energy = 0;
-        for (let bin = startBin; bin <= endBin; bin++) {
-          // Convert from dB to linear energy
-          const dbValue = freqData[bin];
-          const linearValue = Math.pow(10, dbValue / 20);
-          energy += linearValue;
-        }
-
-        // Normalize and smooth
-        energy = energy / (endBin - startBin + 1);
-        bandEnergies[i] = Math.min(1, energy * 10); // Scale for visibility
-      }
-
-      return bandEnergies;
+    if (this.processedMeter) {
+      return this.autoRange(this.processedRanger, this.processedMeter.update());
     }
 
     // Fall back to regular band energies if processor not available
@@ -605,6 +1919,17 @@ class AudioEngine {
 
   cleanup() {
     this.stopGrainSynthesis();
+    this.clearAllMemoryBlobs();
+
+    if (this.modulation) {
+      this.modulation.cleanup();
+      this.modulation = null;
+    }
+
+    if (this.automation) {
+      this.automation.cleanup();
+      this.automation = null;
+    }
 
     // Clean up advanced processor
     if (this.advancedProcessor) {
@@ -617,6 +1942,60 @@ class AudioEngine {
       this.bandProcessors = [];
     }
 
+    if (this.filterbank) {
+      this.filterbank.disconnect();
+      this.filterbank = null;
+    }
+
+    if (this.featureExtractor) {
+      this.featureExtractor.disconnect();
+      this.featureExtractor = null;
+    }
+
+    if (this.howlDetector) {
+      this.howlDetector.disconnect();
+      this.howlDetector = null;
+    }
+
+    if (this.grainScheduler) {
+      this.grainScheduler.cleanup();
+      this.grainScheduler = null;
+    }
+
+    if (this.captureRing) {
+      this.captureRing.disconnect();
+      this.captureRing = null;
+      this.inputReader = null;
+    }
+
+    if (this.inputSource) {
+      this.inputSource.disconnect();
+      this.inputSource = null;
+    }
+
+    if (this.recorder) {
+      this.recorder.disconnect();
+      this.recorder = null;
+    }
+
+    if (this.loudnessMeter) {
+      this.loudnessMeter.disconnect();
+      this.loudnessMeter = null;
+    }
+
+    if (this.masterLimiter) {
+      this.masterLimiter.disconnect();
+      this.masterLimiter = null;
+    }
+
+    if (this.reverb) {
+      this.reverb.disconnect();
+      this.reverb = null;
+      this.reverbBus = null;
+    }
+
+    this.cancelOfflineRender();
+
     if (this.audioContext) {
       this.audioContext.close();
     }
@@ -0,0 +1,134 @@
+/**
+ * AutoRanger - Adaptive per-band normalisation of band energies
+ * Tracks a rolling floor and ceiling for every band and rescales each energy
+ * into 0-1 between them, so a band that only ever reaches a few percent
+ * (air) moves the visuals as much as one that sits near the top (sub-bass).
+ * Ranges widen with the attack time constant and narrow back with the release
+ * one; frozen ranges stop learning (e.g. restored from a preset).
+ */
+
+const MIN_RANGE = 0.05; // Smallest floor-to-ceiling span (keeps silence from being blown up to 1)
+
+const STORAGE_KEY = 'chiaroscuro-auto-range-presets';
+
+class AutoRanger {
+  /**
+   * @param {number} bandCount
+   * @param {object} options - { attack, release } time constants in seconds
+   */
+  constructor(bandCount, options = {}) {
+    this.attack = options.attack !== undefined ? options.attack : 0.05;
+    this.release = options.release !== undefined ? options.release : 8;
+    this.frozen = false;
+    this.reset(bandCount);
+  }
+
+  /**
+   * Forget the learned ranges
+   * @param {number} bandCount - New band count (default: unchanged)
+   */
+  reset(bandCount = this.bandCount) {
+    this.bandCount = bandCount;
+    this.floors = null; // Learned from the first update
+    this.ceilings = null;
+    this.lastTime = null;
+    this.frozen = false;
+  }
+
+  /**
+   * @param {object} options - { attack, release } (either may be omitted)
+   */
+  setTimes(options) {
+    if (options.attack !== undefined) this.attack = Math.max(0.001, options.attack);
+    if (options.release !== undefined) this.release = Math.max(0.001, options.release);
+  }
+
+  /**
+   * Learn from this frame (unless frozen) and rescale it
+   * @param {Array<number>} energies - One energy (0-1) per band
+   * @param {number} time - Audio clock (s)
+   * @returns {Array<number>} Rescaled energies (0-1)
+   */
+  update(energies, time) {
+    if (energies.length !== this.bandCount) {
+      this.reset(energies.length);
+    }
+
+    const dt = this.lastTime === null ? 0 : Math.min(0.5, time - this.lastTime);
+    this.lastTime = time;
+
+    if (!this.floors) {
+      this.floors = [...energies];
+      this.ceilings = energies.map(e => e + MIN_RANGE);
+    } else if (!this.frozen && dt > 0) {
+      const widen = 1 - Math.exp(-dt / this.attack);
+      const narrow = 1 - Math.exp(-dt / this.release);
+
+      for (let i = 0; i < energies.length; i++) {
+        const energy = energies[i];
+        this.floors[i] += (energy - this.floors[i]) * (energy < this.floors[i] ? widen : narrow);
+        this.ceilings[i] += (energy - this.ceilings[i]) * (energy > this.ceilings[i] ? widen : narrow);
+        this.ceilings[i] = Math.max(this.ceilings[i], this.floors[i] + MIN_RANGE);
+      }
+    }
+
+    return energies.map((energy, i) => this.rescale(energy, i));
+  }
+
+  rescale(energy, index) {
+    const floor = this.floors[index];
+    const range = Math.max(MIN_RANGE, this.ceilings[index] - floor);
+    return Math.max(0, Math.min(1, (energy - floor) / range));
+  }
+
+  setFrozen(frozen) {
+    this.frozen = frozen && this.floors !== null;
+  }
+
+  /**
+   * Learned ranges
+   * @returns {object|null} { floors, ceilings }, null before the first update
+   */
+  getRanges() {
+    if (!this.floors) return null;
+    return { floors: [...this.floors], ceilings: [...this.ceilings] };
+  }
+
+  /**
+   * Use stored ranges and stop learning
+   * @param {object} ranges - { floors, ceilings } from getRanges()
+   */
+  setRanges(ranges) {
+    if (!ranges || ranges.floors.length !== ranges.ceilings.length) {
+      throw new Error('Auto-range needs matching floors and ceilings');
+    }
+    this.bandCount = ranges.floors.length;
+    this.floors = [...ranges.floors];
+    this.ceilings = [...ranges.ceilings];
+    this.frozen = true;
+  }
+}
+
+/**
+ * @returns {object} Preset number -> { input, processed, bandCount } stored with storePresetRanges
+ */
+export function loadPresetRanges() {
+  if (typeof window === 'undefined' || !window.localStorage) return {};
+
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    console.error('Failed to read stored auto-ranges:', err);
+    return {};
+  }
+}
+
+/**
+ * @param {object} presetRanges - Preset number -> { input, processed, bandCount }
+ */
+export function storePresetRanges(presetRanges) {
+  if (typeof window === 'undefined' || !window.localStorage) return;
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presetRanges));
+}
+
+export default AutoRanger;
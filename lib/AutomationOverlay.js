@@ -0,0 +1,88 @@
+/**
+ * AutomationOverlay - Canvas drawing for automation (see AutomationRecorder)
+ * A red recording indicator (a loop progress ring while playing) and ghost
+ * trails: each blob or gesture lane's recorded path, faint, with a fading
+ * trail behind where the loop is playing it now.
+ */
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object|null} state - AudioEngine.getAutomationState()
+ * @param {number} x - Indicator centre
+ * @param {number} y
+ */
+export function renderAutomationIndicator(ctx, state, x = 28, y = 28) {
+  if (!state || state.state === 'idle') return;
+
+  ctx.save();
+
+  if (state.state === 'recording') {
+    // Pulsing red dot
+    const pulse = 0.6 + 0.4 * Math.sin(Date.now() * 0.008);
+    ctx.fillStyle = `rgba(255, 40, 40, ${pulse})`;
+    ctx.beginPath();
+    ctx.arc(x, y, 8, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Loop progress once the length is known
+  if (state.loopLength) {
+    ctx.strokeStyle = state.state === 'recording' ? 'rgba(255, 40, 40, 0.8)' : 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 13, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (state.position / state.loopLength));
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = state.state === 'recording' ? 'rgba(255, 80, 80, 0.9)' : 'rgba(255, 255, 255, 0.6)';
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(state.state === 'recording' ? 'REC' : 'LOOP', x + 20, y);
+
+  ctx.restore();
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object[]} lanes - AudioEngine.getAutomationBlobs() or getAutomationGestures()
+ * @param {number} width - Canvas size (lane positions are 0-1)
+ * @param {number} height
+ * @param {function} hueForLane - (lane) => hue
+ */
+export function renderGhostTrails(ctx, lanes, width, height, hueForLane = () => 0) {
+  ctx.save();
+
+  lanes.forEach(lane => {
+    const hue = hueForLane(lane);
+
+    // Recorded path, broken where it was let go
+    ctx.strokeStyle = `hsla(${hue}, 60%, 70%, 0.12)`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    lane.path.forEach(point => {
+      if (!point.active) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(point.x * width, point.y * height);
+      } else {
+        ctx.moveTo(point.x * width, point.y * height);
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+
+    // Fading ghosts behind the played position
+    lane.trail.forEach((point, i) => {
+      const age = (i + 1) / lane.trail.length;
+      ctx.fillStyle = `hsla(${hue}, 70%, 75%, ${age * 0.35})`;
+      ctx.beginPath();
+      ctx.arc(point.x * width, point.y * height, 4 + age * 10, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+
+  ctx.restore();
+}
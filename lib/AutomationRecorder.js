@@ -0,0 +1,383 @@
+/**
+ * AutomationRecorder - Records gestures against the audio clock and loops them
+ * One lane per parameter (anything set through the ParameterRegistry by the
+ * user, a drag, a preset or a controller), one per dragged blob and one per
+ * canvas gesture mode (normalized position plus whether it is held). The first pass sets the loop length;
+ * later passes record into the running loop:
+ *   overdub - a lane is rewritten only while you touch it (it resumes when you let go)
+ *   replace - a lane you touch is rewritten from then until recording stops
+ * Lanes you are touching never play back, so you can play over the loop.
+ */
+
+export const AUTOMATION_MODES = {
+  overdub: { label: 'Overdub (touch)' },
+  replace: { label: 'Replace (latch)' }
+};
+
+const TICK_INTERVAL = 20; // ms between playback steps
+const TOUCH_TIMEOUT = 0.3; // s after the last change before a touched lane plays again
+const MIN_LOOP = 0.5; // s; shorter first passes are discarded
+const RECORDED_ORIGINS = new Set(['user', 'drag', 'preset', 'controller']);
+
+class AutomationRecorder {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {ParameterRegistry} parameters - Recorded from and played back into
+   */
+  constructor(audioContext, parameters) {
+    this.ctx = audioContext;
+    this.parameters = parameters;
+
+    this.state = 'idle'; // 'idle' | 'recording' | 'playing'
+    this.mode = 'overdub';
+    this.lanes = new Map(); // id -> lane
+    this.loopStart = 0; // Audio-clock time of loop position 0
+    this.loopLength = null; // s, set when the first pass ends
+    this.pass = 0; // Recording pass; erasing keeps only the points this pass wrote in the current cycle
+    this.lastPosition = 0;
+    this.timer = null;
+
+    this.unsubscribe = parameters.subscribe('*', (value, id, origin) => {
+      if (RECORDED_ORIGINS.has(origin)) {
+        const spec = parameters.describe(id);
+        this.capture(`param:${id}`, { kind: 'param', target: id, label: spec ? spec.label : id }, { value });
+      }
+    });
+  }
+
+  /**
+   * Loop position of an audio-clock time (time since the start during the first pass)
+   */
+  position(time = this.ctx.currentTime) {
+    const elapsed = time - this.loopStart;
+    if (this.loopLength === null) return elapsed;
+    return ((elapsed % this.loopLength) + this.loopLength) % this.loopLength;
+  }
+
+  /**
+   * Loop cycles completed at an audio-clock time (0 during the first pass)
+   */
+  cycle(time = this.ctx.currentTime) {
+    if (this.loopLength === null) return 0;
+    return Math.floor((time - this.loopStart) / this.loopLength);
+  }
+
+  /** Start a pass, or end it and loop what was recorded */
+  toggleRecord() {
+    if (this.state === 'recording') {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+
+  startRecording() {
+    const now = this.ctx.currentTime;
+    this.pass++;
+    if (this.loopLength === null) {
+      this.loopStart = now;
+      this.lanes.clear();
+    }
+
+    this.lanes.forEach(lane => { lane.writing = false; });
+    this.lastPosition = this.position(now);
+    this.state = 'recording';
+    this.startTimer();
+  }
+
+  stopRecording() {
+    if (this.state !== 'recording') return;
+
+    const now = this.ctx.currentTime;
+    if (this.loopLength === null) {
+      // First pass: its end is the loop end, where the last values hold anyway
+      const length = now - this.loopStart;
+      if (length < MIN_LOOP || this.lanes.size === 0) {
+        this.clear();
+        return;
+      }
+      this.loopLength = length;
+      this.lanes.forEach(lane => { lane.writing = false; });
+    } else {
+      const position = this.position(now);
+      this.lanes.forEach(lane => {
+        if (lane.writing) this.release(lane, position);
+      });
+    }
+    this.state = 'playing';
+  }
+
+  /** Play the loop from its top */
+  play() {
+    if (this.loopLength === null || this.state === 'playing') return;
+    this.stopRecording();
+    this.loopStart = this.ctx.currentTime;
+    this.lastPosition = 0;
+    this.state = 'playing';
+    this.startTimer();
+  }
+
+  /** Stop recording and playback (the loop is kept) */
+  stop() {
+    if (this.state === 'recording') this.stopRecording();
+    this.state = 'idle';
+    this.resetPlayback();
+    this.stopTimer();
+  }
+
+  /** Stop and forget every lane */
+  clear() {
+    this.state = 'idle';
+    this.stopTimer();
+    this.resetPlayback();
+    this.lanes.clear();
+    this.loopLength = null;
+  }
+
+  /**
+   * @param {string} id - Lane id (see getState)
+   */
+  clearLane(id) {
+    this.lanes.delete(id);
+  }
+
+  /**
+   * @param {string} mode - Key of AUTOMATION_MODES
+   */
+  setMode(mode) {
+    if (AUTOMATION_MODES[mode]) {
+      this.mode = mode;
+    }
+  }
+
+  /**
+   * Record where a dragged blob is (called every frame while it is held, and once on release)
+   * @param {number} band - Band index
+   * @param {number} x - 0-1 across the canvas
+   * @param {number} y - 0-1 down the canvas
+   * @param {boolean} active - Held (its band synthesizing)
+   * @param {string} label
+   */
+  recordBlob(band, x, y, active, label = `Band ${band + 1}`) {
+    this.capture(`blob:${band}`, { kind: 'blob', target: band, label }, { x, y, active });
+  }
+
+  /**
+   * Record a pointer gesture on the canvas (called on every move while the
+   * pointer is down, and once on release)
+   * @param {string} mode - Gesture mode ('draw', 'modify', ...); one lane each
+   * @param {number} x - 0-1 across the canvas
+   * @param {number} y - 0-1 down the canvas
+   * @param {boolean} active - Pointer down
+   * @param {string} label
+   */
+  recordGesture(mode, x, y, active, label = mode) {
+    this.capture(`gesture:${mode}`, { kind: 'gesture', target: mode, label }, { x, y, active });
+  }
+
+  /**
+   * Add a point to a lane (or just mark it touched when not recording)
+   */
+  capture(id, info, data) {
+    const now = this.ctx.currentTime;
+    let lane = this.lanes.get(id);
+
+    if (this.state !== 'recording') {
+      if (lane) lane.touchedAt = now;
+      return;
+    }
+
+    if (!lane) {
+      lane = { id, ...info, points: [], touchedAt: now, writing: false, last: null, current: null, trail: [] };
+      this.lanes.set(id, lane);
+    }
+
+    lane.touchedAt = now;
+    lane.writing = true;
+    lane.last = data;
+    this.insert(lane, { t: this.position(now), pass: this.pass, cycle: this.cycle(now), ...data });
+  }
+
+  insert(lane, point) {
+    const points = lane.points;
+    let i = points.length;
+    while (i > 0 && points[i - 1].t > point.t) i--;
+    points.splice(i, 0, point);
+  }
+
+  /**
+   * A lane stops writing: hold its last value from here so playback doesn't
+   * glide into the old points that follow
+   */
+  release(lane, position) {
+    lane.writing = false;
+    if (lane.last) {
+      this.insert(lane, { t: position, pass: this.pass, cycle: this.cycle(), ...lane.last });
+    }
+  }
+
+  startTimer() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.update(), TICK_INTERVAL);
+    }
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One step: erase what writing lanes pass over, release lanes let go of,
+   * and play every other lane at the loop position
+   */
+  update() {
+    const now = this.ctx.currentTime;
+    const position = this.position(now);
+    const cycle = this.cycle(now);
+    const from = this.lastPosition;
+    this.lastPosition = position;
+
+    if (this.loopLength === null) return; // First pass: nothing to play yet
+
+    this.lanes.forEach(lane => {
+      if (this.state === 'recording' && lane.writing) {
+        this.erase(lane, from, position, cycle);
+        if (this.mode === 'overdub' && now - lane.touchedAt > TOUCH_TIMEOUT) {
+          this.release(lane, position);
+        }
+      }
+
+      const touched = lane.writing || now - lane.touchedAt < TOUCH_TIMEOUT;
+      if (touched || lane.points.length === 0) {
+        lane.current = null;
+        lane.trail = [];
+        return;
+      }
+
+      const point = this.pointAt(lane, position);
+      if (lane.kind === 'param') {
+        if (!lane.current || Math.abs(point.value - lane.current.value) > 1e-6) {
+          this.parameters.set(lane.target, point.value, 'automation');
+        }
+      } else {
+        lane.trail.push({ x: point.x, y: point.y });
+        if (lane.trail.length > 40) lane.trail.shift();
+      }
+      lane.current = point;
+    });
+  }
+
+  /**
+   * Remove points in (from, to] of the loop, except those this pass just wrote
+   * in this cycle (a latched lane writing past a whole cycle replaces its own
+   * previous take too)
+   */
+  erase(lane, from, to, cycle) {
+    const wrapped = to < from; // Past the loop end: (from, end] is still the previous cycle
+    lane.points = lane.points.filter(point => {
+      let sweep;
+      if (point.t > from && (wrapped || point.t <= to)) {
+        sweep = wrapped ? cycle - 1 : cycle;
+      } else if (wrapped && point.t <= to) {
+        sweep = cycle;
+      } else {
+        return true;
+      }
+      return point.pass === this.pass && point.cycle === sweep;
+    });
+  }
+
+  /**
+   * A lane's value at a loop position: linear between points, held after the
+   * last one (into the next cycle); positions jump where they are picked up or let go
+   */
+  pointAt(lane, position) {
+    const points = lane.points;
+    let next = points.findIndex(point => point.t > position);
+    if (next === -1) next = points.length;
+    const before = points[next - 1] || points[points.length - 1];
+    const after = points[next];
+
+    if (!after || next === 0) return before;
+
+    const span = after.t - before.t;
+    const k = span > 0 ? (position - before.t) / span : 0;
+    if (lane.kind === 'param') {
+      return { value: before.value + (after.value - before.value) * k };
+    }
+    if (!before.active || !after.active) return before;
+    return {
+      x: before.x + (after.x - before.x) * k,
+      y: before.y + (after.y - before.y) * k,
+      active: true
+    };
+  }
+
+  /** Nothing is playing any more (blobs are let go; values are applied afresh on play) */
+  resetPlayback() {
+    this.lanes.forEach(lane => {
+      lane.current = null;
+      lane.trail = [];
+    });
+  }
+
+  /**
+   * Position lanes of one kind for drawing: where each plays now (null while
+   * touched or stopped), its recent trail and its whole recorded path
+   * @param {string} kind - 'blob' or 'gesture'
+   * @returns {object[]} [{ target, current: { x, y, active }|null, trail: [{ x, y }], path: [{ x, y, active }] }]
+   */
+  getPositionLanes(kind) {
+    return Array.from(this.lanes.values())
+      .filter(lane => lane.kind === kind)
+      .map(lane => ({
+        target: lane.target,
+        current: lane.current,
+        trail: lane.trail,
+        path: lane.points
+      }));
+  }
+
+  /**
+   * @returns {object[]} Blob lanes; target is the band index (see getPositionLanes)
+   */
+  getBlobs() {
+    return this.getPositionLanes('blob');
+  }
+
+  /**
+   * @returns {object[]} Gesture lanes; target is the gesture mode (see getPositionLanes)
+   */
+  getGestures() {
+    return this.getPositionLanes('gesture');
+  }
+
+  /**
+   * @returns {object} { state, mode, position, loopLength, lanes: [{ id, kind, label, points, writing }] }
+   */
+  getState() {
+    return {
+      state: this.state,
+      mode: this.mode,
+      position: this.state === 'idle' ? 0 : this.position(),
+      loopLength: this.loopLength,
+      lanes: Array.from(this.lanes.values()).map(lane => ({
+        id: lane.id,
+        kind: lane.kind,
+        label: lane.label,
+        points: lane.points.length,
+        writing: lane.writing
+      }))
+    };
+  }
+
+  cleanup() {
+    this.stopTimer();
+    this.unsubscribe();
+  }
+}
+
+export default AutomationRecorder;
@@ -0,0 +1,208 @@
+/**
+ * BandMeter - Calibrated per-band level meter on an AnalyserNode
+ * Band power is the sum of the weighted bin powers in the band, corrected for
+ * the analyser's Blackman window so a full-scale sine reads 0 dBFS. Levels get
+ * RMS ballistics (exponential power averaging) and a peak-hold readout, and
+ * every meter maps dBFS to 0-1 energies over the same range, so energies from
+ * different taps (input, processed output) can be compared directly.
+ */
+
+import { frequencyToBin } from './FrequencyBands.js';
+
+// Blackman window power: a0^2 + a1^2 / 2 + a2^2 / 2
+const BLACKMAN_MEAN_SQUARE = 0.42 * 0.42 + 0.5 * 0.5 / 2 + 0.08 * 0.08 / 2;
+
+// Analyser bins are |X|/N; one-sided power of a sine of amplitude A sums to
+// A^2 / 4 * mean(w^2). Scale so A = 1 is 0 dBFS.
+const POWER_CALIBRATION = 4 / BLACKMAN_MEAN_SQUARE;
+
+export const METER_FLOOR_DB = -80; // dBFS that maps to energy 0
+export const METER_CEILING_DB = -10; // dBFS that maps to energy 1
+
+// Frequency weightings (IEC 61672)
+export const WEIGHTINGS = {
+  A: { label: 'A (hearing)' },
+  C: { label: 'C (flat, rolled-off extremes)' },
+  Z: { label: 'Z (unweighted)' }
+};
+
+// RMS averaging time constants (s) and the peak-hold behaviour
+export const BALLISTICS = {
+  fast: { label: 'Fast (125 ms)', attack: 0.125, release: 0.125 },
+  slow: { label: 'Slow (1 s)', attack: 1, release: 1 },
+  impulse: { label: 'Impulse (35 ms / 1.5 s)', attack: 0.035, release: 1.5 }
+};
+
+/**
+ * Weighting gain at a frequency
+ * @param {string} type - 'A', 'C' or 'Z'
+ * @param {number} frequency - Hz
+ * @returns {number} dB
+ */
+export function weightingDb(type, frequency) {
+  if (type === 'Z') return 0;
+  if (frequency <= 0) return -Infinity;
+
+  const f2 = frequency * frequency;
+  const pole1 = 20.6 * 20.6;
+  const pole4 = 12194 * 12194;
+
+  if (type === 'A') {
+    const pole2 = 107.7 * 107.7;
+    const pole3 = 737.9 * 737.9;
+    const response = pole4 * f2 * f2 /
+      ((f2 + pole1) * Math.sqrt((f2 + pole2) * (f2 + pole3)) * (f2 + pole4));
+    return 20 * Math.log10(response) + 2.0;
+  }
+
+  const response = pole4 * f2 / ((f2 + pole1) * (f2 + pole4));
+  return 20 * Math.log10(response) + 0.06;
+}
+
+/**
+ * Map a level onto the shared 0-1 energy scale
+ * @param {number} db - dBFS
+ * @returns {number}
+ */
+export function dbToEnergy(db) {
+  const energy = (db - METER_FLOOR_DB) / (METER_CEILING_DB - METER_FLOOR_DB);
+  return Math.max(0, Math.min(1, energy));
+}
+
+class BandMeter {
+  /**
+   * @param {AnalyserNode} analyser - Tap to meter (its own smoothing should be 0)
+   * @param {Array<object>} bands - { min, max } per band
+   * @param {object} options - { weighting, ballistics, peakHold (s), peakDecay (dB/s) }
+   */
+  constructor(analyser, bands, options = {}) {
+    this.analyser = analyser;
+    this.ctx = analyser.context;
+    this.weighting = options.weighting || 'Z';
+    this.ballistics = options.ballistics || 'fast';
+    this.peakHold = options.peakHold !== undefined ? options.peakHold : 1.5;
+    this.peakDecay = options.peakDecay !== undefined ? options.peakDecay : 20;
+
+    this.spectrum = new Float32Array(analyser.frequencyBinCount);
+    this.binWeights = new Float32Array(analyser.frequencyBinCount);
+    this.updateWeights();
+
+    this.setBands(bands);
+  }
+
+  /**
+   * Meter another band set (resets levels and peaks)
+   * @param {Array<object>} bands
+   */
+  setBands(bands) {
+    const sampleRate = this.ctx.sampleRate;
+    const fftSize = this.analyser.fftSize;
+
+    this.bands = bands;
+    this.bandBins = bands.map(band => frequencyToBin(band.min, band.max, sampleRate, fftSize));
+
+    this.powers = new Float64Array(bands.length); // Ballistic power (linear)
+    this.levels = new Array(bands.length).fill(-Infinity); // Ballistic dBFS
+    this.instant = new Array(bands.length).fill(-Infinity); // Unaveraged dBFS
+    this.peaks = new Array(bands.length).fill(-Infinity); // Held dBFS
+    this.peakTimes = new Array(bands.length).fill(0);
+    this.lastUpdate = null;
+  }
+
+  /**
+   * @param {string} type - Key of WEIGHTINGS
+   */
+  setWeighting(type) {
+    if (!WEIGHTINGS[type]) {
+      throw new Error(`Unknown weighting: ${type}`);
+    }
+    this.weighting = type;
+    this.updateWeights();
+  }
+
+  /**
+   * @param {string} type - Key of BALLISTICS
+   */
+  setBallistics(type) {
+    if (!BALLISTICS[type]) {
+      throw new Error(`Unknown ballistics: ${type}`);
+    }
+    this.ballistics = type;
+  }
+
+  updateWeights() {
+    const binWidth = this.ctx.sampleRate / this.analyser.fftSize;
+    for (let k = 0; k < this.binWeights.length; k++) {
+      this.binWeights[k] = Math.pow(10, weightingDb(this.weighting, k * binWidth) / 10);
+    }
+  }
+
+  /**
+   * Read the analyser and advance ballistics and peak hold
+   * @returns {Array<number>} One energy (0-1) per band
+   */
+  update() {
+    const now = this.ctx.currentTime;
+    const dt = this.lastUpdate === null ? null : Math.min(0.5, now - this.lastUpdate);
+    this.lastUpdate = now;
+
+    this.analyser.getFloatFrequencyData(this.spectrum);
+    const { attack, release } = BALLISTICS[this.ballistics];
+
+    for (let i = 0; i < this.bandBins.length; i++) {
+      const { startBin, endBin } = this.bandBins[i];
+
+      let power = 0;
+      for (let k = startBin; k <= endBin; k++) {
+        power += Math.pow(10, this.spectrum[k] / 10) * this.binWeights[k];
+      }
+      power *= POWER_CALIBRATION;
+
+      const instantDb = 10 * Math.log10(power);
+      this.instant[i] = instantDb;
+
+      // RMS ballistics on power
+      if (dt === null) {
+        this.powers[i] = power;
+      } else if (dt > 0) {
+        const timeConstant = power > this.powers[i] ? attack : release;
+        this.powers[i] += (power - this.powers[i]) * (1 - Math.exp(-dt / timeConstant));
+      }
+      this.levels[i] = 10 * Math.log10(this.powers[i]);
+
+      // Peak hold, then a steady fall
+      if (instantDb >= this.peaks[i]) {
+        this.peaks[i] = instantDb;
+        this.peakTimes[i] = now;
+      } else if (dt !== null && now - this.peakTimes[i] > this.peakHold) {
+        this.peaks[i] = Math.max(instantDb, this.peaks[i] - this.peakDecay * dt);
+      }
+    }
+
+    return this.getEnergies();
+  }
+
+  /**
+   * Ballistic levels on the shared 0-1 scale (see dbToEnergy)
+   * @returns {Array<number>}
+   */
+  getEnergies() {
+    return this.levels.map(dbToEnergy);
+  }
+
+  /**
+   * Current readout in dBFS
+   * @returns {object} { levels, peaks, instant, weighting, ballistics }
+   */
+  getLevels() {
+    return {
+      levels: [...this.levels],
+      peaks: [...this.peaks],
+      instant: [...this.instant],
+      weighting: this.weighting,
+      ballistics: this.ballistics
+    };
+  }
+}
+
+export default BandMeter;
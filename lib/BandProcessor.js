@@ -1,98 +1,127 @@
 /**
  * BandProcessor - Per-band audio processing and grain synthesis
  * Each instance handles one frequency band:
- * - Bandpass filtering to isolate the frequency range
- * - Circular buffer to capture band audio
- * - Independent grain synthesis with time-stretch
+ * - Bandpass filtering (or a CrossoverFilterbank output) to isolate the frequency range
+ * - A channel of the shared CaptureRing holding the band audio
+ * - Independent grain synthesis with time-stretch and pitch shift
  */
 
+import { getGrainScheduler } from './GrainScheduler.js';
+import FFT from './FFT.js';
+import { modulateValue } from './ModulationMatrix.js';
+
+// Finest spectral envelope resolution for formant-preserving pitch shift
+// (bands smooth over half their own width, so a lone partial still has an envelope)
+const MIN_ENVELOPE_SMOOTHING_HZ = 200;
+const MAX_ENVELOPE_GAIN = 4;
+
+const STRETCH_RANGE = { min: 1, max: 8, curve: 'log' };
+
 class BandProcessor {
-  constructor(audioContext, bandInfo, bandIndex) {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} bandInfo - { min, max, color, name }
+   * @param {number} bandIndex
+   * @param {AudioNode} bandFilter - Already band-limited signal (CrossoverFilterbank
+   *   output) to use instead of the bandpass biquad
+   */
+  constructor(audioContext, bandInfo, bandIndex, bandFilter = null) {
     this.ctx = audioContext;
     this.bandInfo = bandInfo; // { min, max, color, name }
     this.bandIndex = bandIndex;
 
-    // Bandpass filter for this frequency range
-    this.filter = this.ctx.createBiquadFilter();
-    this.filter.type = 'bandpass';
-    this.filter.frequency.value = (bandInfo.min + bandInfo.max) / 2; // Center frequency
-    this.filter.Q.value = 1.0; // Moderate Q for good selectivity without ringing
+    if (bandFilter) {
+      this.filter = bandFilter;
+    } else {
+      // Bandpass filter for this frequency range
+      this.filter = this.ctx.createBiquadFilter();
+      this.filter.type = 'bandpass';
+      this.filter.frequency.value = (bandInfo.min + bandInfo.max) / 2; // Center frequency
+      this.filter.Q.value = 1.0; // Moderate Q for good selectivity without ringing
+    }
 
     // Gain node for this band's synthesis output
     this.outputGain = this.ctx.createGain();
     this.outputGain.gain.value = 0; // Start silent
 
-    // Circular buffer for this band's audio (2 seconds)
-    this.bufferSize = this.ctx.sampleRate * 2;
-    this.audioBuffer = new Float32Array(this.bufferSize);
-    this.writeIndex = 0;
+    // Mute/solo gate (kept separate so it doesn't fight the synthesis fades)
+    this.muteGain = this.ctx.createGain();
+    this.muteGain.gain.value = 1;
+    this.isMuted = false;
 
-    // ScriptProcessor to capture filtered audio
-    // Note: ScriptProcessor is deprecated but widely supported
-    // Future: migrate to AudioWorklet
-    this.scriptNode = this.ctx.createScriptProcessor(4096, 1, 1);
-    this.scriptNode.onaudioprocess = (e) => this.captureAudio(e);
+    // Stereo position and reverb send (driven by the blob's position)
+    this.panner = this.ctx.createStereoPanner();
+    this.panner.pan.value = 0;
+    this.reverbSend = this.ctx.createGain();
+    this.reverbSend.gain.value = 0;
+    this.outputGain.connect(this.muteGain);
+    this.muteGain.connect(this.panner);
+    this.panner.connect(this.reverbSend);
 
-    // Dummy gain node for scriptNode (needs to be connected somewhere to work)
-    this.dummyGain = this.ctx.createGain();
-    this.dummyGain.gain.value = 0; // Silent - only for scriptNode to process
+    // Read cursor on this band's channel of the shared capture ring (set in connect)
+    this.reader = null;
 
     // Grain synthesis parameters
     this.isGenerating = false;
     this.grainSize = 0.15; // 150ms grains (shorter than global for punchier partials)
     this.timeStretchFactor = 1.0; // 1x = normal, 4x = extreme stretch
-    this.grainTimeout = null;
+    this.stretchModulation = 0; // Modulation matrix amount (see ModulationMatrix)
+    this.grainVoice = null; // GrainScheduler voice while generating
+
+    // Pitch shift
+    this.pitchSemitones = 0; // -24 to +24
+    this.pitchCents = 0; // -100 to +100
+    this.preserveFormants = false; // Shift partials under the band's own spectral envelope
+    this.fft = null; // Built on first formant-preserving grain
 
     console.log(`BandProcessor ${bandIndex} created: ${bandInfo.name} (${bandInfo.min}-${bandInfo.max}Hz)`);
   }
 
   /**
    * Connect this processor to the audio chain
-   * @param {AudioNode} sourceNode - Input source (e.g., mic gain node)
+   * @param {AudioNode|null} sourceNode - Input source (e.g., mic gain node); null when
+   *   the band filter is already fed (filterbank output)
    * @param {AudioNode} destinationNode - Output destination (e.g., master gain)
+   * @param {CaptureRing} captureRing - Shared capture ring to record the band into
    */
-  connect(sourceNode, destinationNode) {
-    // Chain: source → filter → scriptNode → dummyGain (for capture only)
-    sourceNode.connect(this.filter);
-    this.filter.connect(this.scriptNode);
-
-    // FIX: ScriptProcessor needs to be connected to process, but we don't want
-    // the filtered audio playing. Connect to silent dummy gain instead.
-    this.scriptNode.connect(this.dummyGain);
+  connect(sourceNode, destinationNode, captureRing) {
+    // Chain: source → filter → capture ring (capture only, never audible)
+    if (sourceNode) {
+      sourceNode.connect(this.filter);
+    }
+    this.reader = captureRing.tap(`band-${this.bandIndex}`, this.filter);
 
-    // Synthesis output: outputGain → destination
-    this.outputGain.connect(destinationNode);
+    // Synthesis output: outputGain → muteGain → panner → destination
+    this.panner.connect(destinationNode);
 
     console.log(`BandProcessor ${this.bandIndex} connected to audio chain`);
   }
 
   /**
-   * Capture filtered audio into circular buffer
+   * Send this band into a shared reverb bus (post-pan)
+   * @param {AudioNode} reverbBus - Bus input
    */
-  captureAudio(event) {
-    const inputData = event.inputBuffer.getChannelData(0);
-
-    // DEBUG: Log input level occasionally
-    if (this.bandIndex === 0 && Math.random() < 0.01) { // Band 0, 1% of the time
-      let sum = 0;
-      for (let i = 0; i < inputData.length; i++) {
-        sum += Math.abs(inputData[i]);
-      }
-      const avgLevel = sum / inputData.length;
-      console.log(`Band 0 capture level: ${avgLevel.toFixed(4)}`);
-    }
+  connectReverbSend(reverbBus) {
+    this.reverbSend.connect(reverbBus);
+  }
 
-    for (let i = 0; i < inputData.length; i++) {
-      this.audioBuffer[this.writeIndex] = inputData[i];
-      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-    }
+  /**
+   * Synthesize from an existing reader instead of filtering a live source
+   * (offline render reads band audio that was filtered ahead of time)
+   * @param {CaptureReader|BufferReader} reader - Band audio to read grains from
+   * @param {AudioNode} destinationNode - Output destination
+   */
+  connectReader(reader, destinationNode) {
+    this.reader = reader;
+    this.panner.connect(destinationNode);
   }
 
   /**
    * Start generating grains from this band's buffer
    * @param {number} timeStretchFactor - Time stretch amount (1-4)
+   * @param {number} fadeTime - Fade-in time in seconds (0 = start at full level)
    */
-  startGrainSynthesis(timeStretchFactor = 1.0) {
+  startGrainSynthesis(timeStretchFactor = 1.0, fadeTime = 0.05) {
     if (this.isGenerating) {
       // Already generating, just update stretch factor
       this.timeStretchFactor = Math.max(1, Math.min(8, timeStretchFactor));
@@ -107,21 +136,32 @@ class BandProcessor {
     const now = this.ctx.currentTime;
     this.outputGain.gain.cancelScheduledValues(now);
     this.outputGain.gain.setValueAtTime(this.outputGain.gain.value, now);
-    this.outputGain.gain.linearRampToValueAtTime(0.35, now + 0.05); // Fade in over 50ms (increased from 0.12)
+    if (fadeTime > 0) {
+      this.outputGain.gain.linearRampToValueAtTime(0.35, now + fadeTime); // Fade in (increased from 0.12)
+    } else {
+      this.outputGain.gain.setValueAtTime(0.35, now);
+    }
 
     console.log(`Band ${this.bandIndex} grain synthesis START (stretch: ${timeStretchFactor.toFixed(2)}x)`);
 
-    this.generateGrain();
+    this.grainVoice = getGrainScheduler(this.ctx).schedule(when => this.generateGrain(when));
   }
 
   /**
-   * Generate a single grain and schedule the next one
+   * Generate a single grain (GrainScheduler callback)
+   * @param {number} when - Audio-clock start time
+   * @returns {number} Seconds until the next grain, 0 to stop
    */
-  generateGrain() {
-    if (!this.isGenerating) return;
+  generateGrain(when) {
+    if (!this.isGenerating || !this.reader) return 0;
 
     const grainDuration = this.grainSize;
-    const grainSamples = Math.floor(grainDuration * this.ctx.sampleRate);
+    const pitchRatio = this.getPitchRatio();
+    const resample = pitchRatio !== 1 && !this.preserveFormants;
+
+    // Plain pitch shift reads pitchRatio times as much audio and plays it back
+    // that much faster, so every grain still lasts grainDuration
+    const grainSamples = Math.max(2, Math.floor(grainDuration * this.ctx.sampleRate * (resample ? pitchRatio : 1)));
 
     // Create buffer for this grain
     const grainBuffer = this.ctx.createBuffer(
@@ -132,30 +172,29 @@ class BandProcessor {
 
     const grainData = grainBuffer.getChannelData(0);
 
-    // Read from circular buffer (recent audio from this frequency band)
-    let readIndex = (this.writeIndex - grainSamples + this.bufferSize) % this.bufferSize;
+    // Read recent audio from this frequency band's capture channel
+    this.reader.readLatest(grainData);
+
+    if (pitchRatio !== 1 && this.preserveFormants) {
+      this.shiftSpectrum(grainData, pitchRatio);
+    }
 
     for (let i = 0; i < grainSamples; i++) {
       // Apply Hann window for smooth grain edges
-      const windowValue = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
-      grainData[i] = this.audioBuffer[readIndex] * windowValue;
-      readIndex = (readIndex + 1) % this.bufferSize;
+      grainData[i] *= 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
     }
 
     // Create buffer source
     const source = this.ctx.createBufferSource();
     source.buffer = grainBuffer;
-
-    // No pitch shift for per-band synthesis (preserve frequency character)
-    // The paulstretch effect comes from time-stretch alone
+    source.playbackRate.value = resample ? pitchRatio : 1;
 
     // Connect: source → outputGain (already connected to destination)
     source.connect(this.outputGain);
 
     // Play grain
-    const now = this.ctx.currentTime;
-    source.start(now);
-    source.stop(now + grainDuration);
+    source.start(when);
+    source.stop(when + grainDuration);
 
     // DEBUG: Log grain generation occasionally
     if (Math.random() < 0.05) { // 5% of the time
@@ -168,11 +207,181 @@ class BandProcessor {
       console.log(`Band ${this.bandIndex} grain: amp=${avgAmp.toFixed(4)}, stretch=${this.timeStretchFactor.toFixed(2)}x`);
     }
 
-    // Schedule next grain based on time stretch
+    // Next grain based on time stretch
     // Higher stretch = slower grain rate = more overlap = more ethereal
-    const nextGrainDelay = (grainDuration / this.timeStretchFactor) * 1000;
+    return grainDuration / this.getModulatedStretch();
+  }
+
+  /**
+   * Time stretch with the modulation matrix's amount applied (1-8)
+   */
+  getModulatedStretch() {
+    if (!this.stretchModulation) return this.timeStretchFactor;
+    return modulateValue(this.timeStretchFactor, this.stretchModulation, STRETCH_RANGE);
+  }
+
+  /**
+   * @param {number} amount - From the modulation matrix (0 = none)
+   */
+  setStretchModulation(amount) {
+    this.stretchModulation = amount;
+  }
+
+  /**
+   * Shift the partials of a grain while keeping its spectral envelope in place
+   * (formant-preserving mode). Works on one zero-padded FFT frame per grain.
+   * @param {Float32Array} data - Grain samples, shifted in place
+   * @param {number} ratio - Frequency ratio
+   */
+  shiftSpectrum(data, ratio) {
+    const n = Math.pow(2, Math.ceil(Math.log2(data.length)));
+    const half = n / 2;
+
+    if (!this.fft || this.fft.size !== n) {
+      this.fft = new FFT(n);
+      this.fftReal = new Float32Array(n);
+      this.fftImag = new Float32Array(n);
+      this.shiftedReal = new Float32Array(n);
+      this.shiftedImag = new Float32Array(n);
+      this.envelopeIn = new Float32Array(half + 1);
+      this.envelopeOut = new Float32Array(half + 1);
+    }
+
+    const re = this.fftReal;
+    const im = this.fftImag;
+    const outRe = this.shiftedReal;
+    const outIm = this.shiftedImag;
+
+    re.fill(0);
+    im.fill(0);
+    re.set(data);
+    this.fft.forward(re, im);
+
+    const smoothingHz = Math.max(MIN_ENVELOPE_SMOOTHING_HZ, (this.bandInfo.max - this.bandInfo.min) / 2);
+    const smoothingBins = Math.max(1, Math.round(smoothingHz * n / this.ctx.sampleRate));
+    this.smoothMagnitudes(re, im, this.envelopeIn, smoothingBins);
+
+    // Move each bin to ratio times its frequency, keeping its phase
+    outRe.fill(0);
+    outIm.fill(0);
+    outRe[0] = re[0];
+    for (let k = 1; k < half; k++) {
+      const target = Math.round(k * ratio);
+      if (target >= half) break;
+      outRe[target] += re[k];
+      outIm[target] += im[k];
+    }
+
+    // Re-impose the original envelope on the shifted partials
+    this.smoothMagnitudes(outRe, outIm, this.envelopeOut, smoothingBins);
+    for (let k = 0; k < half; k++) {
+      const gain = Math.min(MAX_ENVELOPE_GAIN, this.envelopeIn[k] / (this.envelopeOut[k] + 1e-9));
+      outRe[k] *= gain;
+      outIm[k] *= gain;
+    }
+
+    // Mirror for a real-valued output
+    outRe[half] = 0;
+    outIm[half] = 0;
+    outIm[0] = 0;
+    for (let k = 1; k < half; k++) {
+      outRe[n - k] = outRe[k];
+      outIm[n - k] = -outIm[k];
+    }
+
+    this.fft.inverse(outRe, outIm);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = outRe[i];
+    }
+  }
+
+  /**
+   * Moving-average magnitude spectrum (bins 0..n/2)
+   */
+  smoothMagnitudes(re, im, envelope, width) {
+    const bins = envelope.length;
+    let sum = 0;
+    let count = 0;
+
+    // Running window [k - width, k + width]
+    for (let k = 0; k < Math.min(width, bins); k++) {
+      sum += Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      count++;
+    }
+
+    for (let k = 0; k < bins; k++) {
+      const enter = k + width;
+      if (enter < bins) {
+        sum += Math.sqrt(re[enter] * re[enter] + im[enter] * im[enter]);
+        count++;
+      }
+
+      const leave = k - width - 1;
+      if (leave >= 0) {
+        sum -= Math.sqrt(re[leave] * re[leave] + im[leave] * im[leave]);
+        count--;
+      }
+
+      envelope[k] = Math.max(0, sum / count);
+    }
+  }
+
+  /**
+   * Set pitch shift for this band
+   * @param {number} semitones - Coarse shift (-24 to +24)
+   * @param {number} cents - Fine shift (-100 to +100)
+   */
+  setPitch(semitones, cents = 0) {
+    this.pitchSemitones = Math.max(-24, Math.min(24, semitones));
+    this.pitchCents = Math.max(-100, Math.min(100, cents));
+  }
+
+  /**
+   * @param {boolean} enabled - Keep the spectral envelope fixed while shifting
+   */
+  setFormantPreservation(enabled) {
+    this.preserveFormants = enabled;
+  }
+
+  getPitchRatio() {
+    return Math.pow(2, (this.pitchSemitones + this.pitchCents / 100) / 12);
+  }
 
-    this.grainTimeout = setTimeout(() => this.generateGrain(), nextGrainDelay);
+  /**
+   * Set stereo position
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  setPan(pan) {
+    const value = Math.max(-1, Math.min(1, pan));
+    this.panner.pan.setTargetAtTime(value, this.ctx.currentTime, 0.05);
+  }
+
+  /**
+   * Set reverb send level
+   * @param {number} amount - 0 (dry) to 1
+   */
+  setReverbSend(amount) {
+    const value = Math.max(0, Math.min(1, amount));
+    this.reverbSend.gain.setTargetAtTime(value, this.ctx.currentTime, 0.05);
+  }
+
+  /**
+   * Mute or unmute this band's output (dry and reverb send)
+   * @param {boolean} muted
+   * @param {number} fadeTime - Fade length in seconds (0 = immediate)
+   */
+  setMuted(muted, fadeTime = 0.02) {
+    this.isMuted = muted;
+
+    const target = muted ? 0 : 1;
+    const now = this.ctx.currentTime;
+    this.muteGain.gain.cancelScheduledValues(now);
+    if (fadeTime > 0) {
+      this.muteGain.gain.setValueAtTime(this.muteGain.gain.value, now);
+      this.muteGain.gain.linearRampToValueAtTime(target, now + fadeTime);
+    } else {
+      this.muteGain.gain.setValueAtTime(target, now);
+    }
   }
 
   /**
@@ -191,10 +400,10 @@ class BandProcessor {
 
     this.isGenerating = false;
 
-    // Clear scheduled grain
-    if (this.grainTimeout) {
-      clearTimeout(this.grainTimeout);
-      this.grainTimeout = null;
+    // Stop scheduling grains (already-queued grains finish under the fade)
+    if (this.grainVoice) {
+      this.grainVoice.cancel();
+      this.grainVoice = null;
     }
 
     // Fade out output gain
@@ -211,11 +420,7 @@ class BandProcessor {
    */
   cleanup() {
     this.stopGrainSynthesis();
-
-    if (this.scriptNode) {
-      this.scriptNode.disconnect();
-      this.scriptNode = null;
-    }
+    this.reader = null;
 
     if (this.filter) {
       this.filter.disconnect();
@@ -223,6 +428,12 @@ class BandProcessor {
 
     if (this.outputGain) {
       this.outputGain.disconnect();
+      this.muteGain.disconnect();
+    }
+
+    if (this.panner) {
+      this.panner.disconnect();
+      this.reverbSend.disconnect();
     }
   }
 }
@@ -1,12 +1,27 @@
 /**
  * BlobPhysics - Handles blob simulation and physics
- * Manages blob movement, collision, and audio-reactive behavior for 24 frequency bands
+ * Manages blob movement, collision, and audio-reactive behavior, one blob per frequency band
  */
 
 import { FREQUENCY_BANDS } from './FrequencyBands.js';
+import { calibratedThreshold } from './InputCalibration.js';
+
+const DEFAULT_PULSE_THRESHOLD = 0.3; // Band energy above which blobs pulse away from home
+const SPATIAL_EPSILON = 0.005; // Pan / send change below which a blob's band is left alone
+
+/**
+ * Map a canvas position to audio position: X = stereo pan, Y = reverb send (higher = wetter)
+ * @returns {{pan: number, reverbSend: number}}
+ */
+export function getSpatialParams(x, y, width, height) {
+  return {
+    pan: Math.max(-1, Math.min(1, (x / width) * 2 - 1)),
+    reverbSend: Math.max(0, Math.min(1, 1 - y / height))
+  };
+}
 
 class Blob {
-  constructor(x, y, radius, hue, bandIndex, bandInfo) {
+  constructor(x, y, radius, hue, bandIndex, bandInfo, bandCount = 24) {
     this.x = x;
     this.y = y;
     this.radius = radius;
@@ -32,7 +47,7 @@ class Blob {
     // Spatial movement properties (NEW)
     this.spatialOffsetX = 0;
     this.spatialOffsetY = 0;
-    this.spatialPhase = (bandIndex / 24) * Math.PI * 2; // Unique angle per blob
+    this.spatialPhase = (bandIndex / bandCount) * Math.PI * 2; // Unique angle per blob
 
     // Visual properties for audio reactivity
     this.brightness = 60; // Base brightness
@@ -40,6 +55,7 @@ class Blob {
 
     // Per-band synthesis state (NEW)
     this.isSynthesizing = false; // Is this blob currently being synthesized?
+    this.sentSpatial = null; // { pan, reverbSend } last pushed to the band
     this.dragStartX = 0; // Position where drag started
     this.dragStartY = 0;
 
@@ -50,7 +66,7 @@ class Blob {
     this.rotationSpeed = (Math.random() - 0.5) * 0.02;
   }
 
-  update(energy, width, height, layout = 'arc') {
+  update(energy, width, height, layout = 'arc', pulseThreshold = DEFAULT_PULSE_THRESHOLD) {
     this.energy = energy;
 
     // FIX: Spatial offset system - blobs jump away from home on energy spikes
@@ -82,9 +98,9 @@ class Blob {
 
       // Energy-based "pulse" movement
       // When energy spikes, blobs move away from home slightly
-      if (energy > 0.3) {
+      if (energy > pulseThreshold) {
         const pulseDirection = Math.random() * Math.PI * 2;
-        const pulseStrength = (energy - 0.3) * 0.2;
+        const pulseStrength = (energy - pulseThreshold) * 0.2;
         this.vx += Math.cos(pulseDirection) * pulseStrength;
         this.vy += Math.sin(pulseDirection) * pulseStrength;
       }
@@ -147,6 +163,17 @@ class Blob {
     this.rotation += this.rotationSpeed + (energy * 0.01);
   }
 
+  /**
+   * Audio position of this blob (see getSpatialParams)
+   * Uses the rendered position, so drift and energy jumps move the sound too
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {{pan: number, reverbSend: number}}
+   */
+  getSpatialParams(width, height) {
+    return getSpatialParams(this.x + this.spatialOffsetX, this.y + this.spatialOffsetY, width, height);
+  }
+
   contains(x, y) {
     const dx = x - this.x;
     const dy = y - this.y;
@@ -155,22 +182,26 @@ class Blob {
 }
 
 class BlobPhysics {
-  constructor(width, height, layout = 'arc') {
+  constructor(width, height, layout = 'arc', bands = FREQUENCY_BANDS) {
     this.width = width;
     this.height = height;
     this.layout = layout; // 'arc', 'bar', or 'organic'
+    this.bands = bands;
     this.blobs = [];
+    this.pulseThreshold = DEFAULT_PULSE_THRESHOLD; // Calibration scales it
 
-    // Create 24 blobs (one per frequency band)
+    // Create one blob per frequency band
     this.createBlobs();
   }
 
   createBlobs() {
     this.blobs = [];
 
-    FREQUENCY_BANDS.forEach((band, index) => {
-      const position = this.calculateBlobPosition(index, FREQUENCY_BANDS.length);
-      const baseRadius = 40; // Smaller base radius for 24 blobs
+    // 40px suits 24 blobs; fewer bands get bigger blobs, more get smaller ones
+    const baseRadius = Math.max(24, Math.min(64, 40 * Math.sqrt(24 / this.bands.length)));
+
+    this.bands.forEach((band, index) => {
+      const position = this.calculateBlobPosition(index, this.bands.length);
       const hue = band.color;
 
       const blob = new Blob(
@@ -179,7 +210,8 @@ class BlobPhysics {
         baseRadius,
         hue,
         index,
-        band
+        band,
+        this.bands.length
       );
 
       this.blobs.push(blob);
@@ -211,7 +243,8 @@ class BlobPhysics {
     // Angle from ~160° to ~20° (with margins on both ends)
     const startAngle = Math.PI * 0.9; // ~160°
     const endAngle = Math.PI * 0.1;   // ~20°
-    const angle = startAngle + (endAngle - startAngle) * (index / (total - 1));
+    const t = total > 1 ? index / (total - 1) : 0.5;
+    const angle = startAngle + (endAngle - startAngle) * t;
 
     const x = centerX + Math.cos(angle) * radius;
     const y = centerY + Math.sin(angle) * radius;
@@ -224,9 +257,9 @@ class BlobPhysics {
     // Low frequencies on left, high frequencies on right
     const padding = 80;
     const usableWidth = this.width - (padding * 2);
-    const spacing = usableWidth / (total - 1);
+    const t = total > 1 ? index / (total - 1) : 0.5;
 
-    const x = padding + (spacing * index);
+    const x = padding + usableWidth * t;
     const y = this.height * 0.75; // Move up from bottom to stay visible
 
     return { x, y };
@@ -266,7 +299,34 @@ class BlobPhysics {
     // Update each blob with its corresponding frequency band energy
     this.blobs.forEach((blob, index) => {
       const energy = bandEnergies[index] || 0;
-      blob.update(energy, this.width, this.height, this.layout);
+      blob.update(energy, this.width, this.height, this.layout, this.pulseThreshold);
+    });
+  }
+
+  /**
+   * Take the pulse threshold from an input calibration profile (null for the default)
+   * @param {object|null} profile - AudioEngine.getCalibrationProfile()
+   */
+  applyCalibration(profile) {
+    this.pulseThreshold = Math.min(0.9, calibratedThreshold(profile, DEFAULT_PULSE_THRESHOLD));
+  }
+
+  /**
+   * Push every blob's position into its band's pan and reverb send
+   * (only blobs that moved far enough to change them)
+   * @param {AudioEngine} audioEngine
+   */
+  updateSpatialAudio(audioEngine) {
+    this.blobs.forEach(blob => {
+      const spatial = blob.getSpatialParams(this.width, this.height);
+      const sent = blob.sentSpatial;
+      if (sent && Math.abs(spatial.pan - sent.pan) < SPATIAL_EPSILON &&
+          Math.abs(spatial.reverbSend - sent.reverbSend) < SPATIAL_EPSILON) {
+        return;
+      }
+
+      audioEngine.updateBandSpatial(blob.bandIndex, spatial.pan, spatial.reverbSend);
+      blob.sentSpatial = spatial;
     });
   }
 
@@ -280,6 +340,18 @@ class BlobPhysics {
     return null;
   }
 
+  /**
+   * Rebuild the blobs for another band set
+   * @param {Array<object>} bands - Band set from AudioEngine.getBands()
+   */
+  setBands(bands) {
+    if (this.bands === bands) return;
+
+    console.log(`Switching blobs from ${this.bands.length} to ${bands.length} bands`);
+    this.bands = bands;
+    this.createBlobs();
+  }
+
   setLayout(newLayout) {
     if (this.layout === newLayout) return;
 
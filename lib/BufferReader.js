@@ -0,0 +1,94 @@
+/**
+ * BufferReader - CaptureReader-compatible cursor over a fixed, looping buffer
+ * Lets grain consumers that normally read the live CaptureRing run from decoded
+ * audio instead (offline render). The write head follows the context clock, so
+ * readLatest() walks through the buffer exactly as if it were being captured.
+ * With a loopLength, samples hold only a window of a longer loop (starting at
+ * frame windowStart); frames outside the window read as silence.
+ */
+
+class BufferReader {
+  /**
+   * @param {BaseAudioContext} audioContext - Context whose clock drives the write head
+   * @param {Float32Array} samples - Mono audio to read from (looped)
+   * @param {object} options - { name, timeOffset, loopLength, windowStart }
+   */
+  constructor(audioContext, samples, options = {}) {
+    this.ctx = audioContext;
+    this.samples = samples;
+    this.name = options.name || 'buffer';
+    this.timeOffset = options.timeOffset || 0; // Seconds already played before this context started
+    this.loopLength = options.loopLength || samples.length; // Frames before the audio repeats
+    this.windowStart = options.windowStart || 0; // Loop frame of samples[0] (may be negative)
+  }
+
+  /** Loop length in samples */
+  get size() {
+    return this.loopLength;
+  }
+
+  /** Position of the virtual write head */
+  get writeIndex() {
+    const elapsed = Math.floor((this.timeOffset + this.ctx.currentTime) * this.ctx.sampleRate);
+    return elapsed % this.loopLength;
+  }
+
+  /** The whole buffer is always available */
+  get filled() {
+    return this.loopLength;
+  }
+
+  /** Sample at a loop frame (0 to size) */
+  at(frame) {
+    if (this.loopLength === this.samples.length && this.windowStart === 0) {
+      return this.samples[frame];
+    }
+    const size = this.loopLength;
+    const offset = (((frame - this.windowStart) % size) + size) % size;
+    return offset < this.samples.length ? this.samples[offset] : 0;
+  }
+
+  sampleAt(index) {
+    const size = this.loopLength;
+    const wrapped = ((Math.floor(index) % size) + size) % size;
+    return this.at(wrapped);
+  }
+
+  read(target, start, step = 1) {
+    const size = this.loopLength;
+    let position = ((start % size) + size) % size;
+
+    for (let i = 0; i < target.length; i++) {
+      target[i] = this.at(Math.floor(position));
+      position += step;
+      if (position >= size) position -= size;
+    }
+
+    return target;
+  }
+
+  readLatest(target, lag = 0) {
+    return this.read(target, this.writeIndex - lag - target.length);
+  }
+}
+
+/**
+ * Mix an AudioBuffer down to one channel
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Float32Array}
+ */
+export function mixToMono(audioBuffer) {
+  const mono = new Float32Array(audioBuffer.length);
+  const scale = 1 / audioBuffer.numberOfChannels;
+
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] * scale;
+    }
+  }
+
+  return mono;
+}
+
+export default BufferReader;
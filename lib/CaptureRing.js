@@ -0,0 +1,311 @@
+/**
+ * CaptureRing - One AudioWorklet capture node shared by every grain consumer
+ * Each tapped signal (mic input, processor input, each frequency band) gets a
+ * channel in a single multi-channel ring buffer. Consumers never own a buffer;
+ * they read through a CaptureReader cursor.
+ *
+ * The ring lives in a SharedArrayBuffer when the page is cross-origin isolated.
+ * Otherwise the worklet posts blocks over its MessagePort and the main thread
+ * mirrors them into an ordinary Float32Array - the reader API is identical.
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-capture';
+
+const PROCESSOR_SOURCE = `
+class ChiaroscuroCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options.processorOptions;
+    this.channels = opts.channels;
+    this.size = opts.size;
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.active = true;
+
+    if (opts.sharedSamples) {
+      this.samples = new Float32Array(opts.sharedSamples);
+      this.state = new Int32Array(opts.sharedState);
+    } else {
+      this.blockSize = opts.blockSize;
+      this.blockFill = 0;
+      this.allocateBlock();
+    }
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'stop') this.active = false;
+    };
+  }
+
+  allocateBlock() {
+    this.block = [];
+    for (let c = 0; c < this.channels; c++) {
+      this.block.push(new Float32Array(this.blockSize));
+    }
+  }
+
+  process(inputs) {
+    let frames = 128;
+    for (let c = 0; c < inputs.length; c++) {
+      if (inputs[c].length > 0) {
+        frames = inputs[c][0].length;
+        break;
+      }
+    }
+
+    for (let c = 0; c < this.channels; c++) {
+      const input = inputs[c] && inputs[c].length > 0 ? inputs[c][0] : null;
+
+      if (this.samples) {
+        const base = c * this.size;
+        let index = this.writeIndex;
+        for (let i = 0; i < frames; i++) {
+          this.samples[base + index] = input ? input[i] : 0;
+          index = index + 1 === this.size ? 0 : index + 1;
+        }
+      } else if (input) {
+        this.block[c].set(input, this.blockFill);
+      }
+    }
+
+    this.writeIndex = (this.writeIndex + frames) % this.size;
+    this.filled = Math.min(this.filled + frames, this.size);
+
+    if (this.samples) {
+      Atomics.store(this.state, 1, this.filled);
+      Atomics.store(this.state, 0, this.writeIndex);
+    } else {
+      this.blockFill += frames;
+      if (this.blockFill >= this.blockSize) {
+        const buffers = this.block.map(b => b.buffer);
+        this.port.postMessage({ frames: this.blockFill, channels: this.block }, buffers);
+        this.allocateBlock();
+        this.blockFill = 0;
+      }
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroCaptureProcessor);
+`;
+
+class CaptureReader {
+  constructor(ring, channel, name, sourceNode) {
+    this.ring = ring;
+    this.channel = channel;
+    this.name = name;
+    this.sourceNode = sourceNode;
+    this.offset = channel * ring.size;
+  }
+
+  /** Ring length in samples */
+  get size() {
+    return this.ring.size;
+  }
+
+  /** Index the next captured sample will be written to */
+  get writeIndex() {
+    return this.ring.getWriteIndex();
+  }
+
+  /** Number of valid samples in the ring (saturates at size) */
+  get filled() {
+    return this.ring.getFilled();
+  }
+
+  /**
+   * Read a single sample at a (wrapped) ring position
+   * @param {number} index - Ring position, may be fractional or out of range
+   * @returns {number}
+   */
+  sampleAt(index) {
+    const size = this.ring.size;
+    const wrapped = ((Math.floor(index) % size) + size) % size;
+    return this.ring.samples[this.offset + wrapped];
+  }
+
+  /**
+   * Copy samples starting at a ring position into target
+   * @param {Float32Array} target - Destination buffer (its length is the read length)
+   * @param {number} start - Ring position of the first sample
+   * @param {number} step - Read increment per output sample (<1 slows, >1 speeds up)
+   * @returns {Float32Array} target
+   */
+  read(target, start, step = 1) {
+    const size = this.ring.size;
+    const samples = this.ring.samples;
+    let position = ((start % size) + size) % size;
+
+    for (let i = 0; i < target.length; i++) {
+      target[i] = samples[this.offset + Math.floor(position)];
+      position += step;
+      if (position >= size) position -= size;
+    }
+
+    return target;
+  }
+
+  /**
+   * Copy the most recent target.length samples into target
+   * @param {Float32Array} target - Destination buffer
+   * @param {number} lag - How many samples before the write head the read should end
+   * @returns {Float32Array} target
+   */
+  readLatest(target, lag = 0) {
+    return this.read(target, this.writeIndex - lag - target.length);
+  }
+}
+
+class CaptureRing {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { channels, seconds, blockSize }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.channels = options.channels || 1;
+    this.size = Math.floor(this.ctx.sampleRate * (options.seconds || 4));
+    this.blockSize = options.blockSize || 1024;
+
+    this.node = null;
+    this.readers = new Map(); // name -> CaptureReader
+    this.nextChannel = 0;
+    this.freeChannels = []; // Channels released by untap()
+
+    // Shared memory needs cross-origin isolation; fall back to port messages
+    this.isShared = typeof SharedArrayBuffer !== 'undefined' &&
+      typeof window !== 'undefined' && window.crossOriginIsolated === true;
+
+    if (this.isShared) {
+      this.sharedSamples = new SharedArrayBuffer(this.channels * this.size * 4);
+      this.sharedState = new SharedArrayBuffer(8);
+      this.samples = new Float32Array(this.sharedSamples);
+      this.state = new Int32Array(this.sharedState);
+    } else {
+      this.samples = new Float32Array(this.channels * this.size);
+      this.writeIndex = 0;
+      this.filled = 0;
+    }
+  }
+
+  async initialize() {
+    await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+    this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+      numberOfInputs: this.channels,
+      numberOfOutputs: 0,
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: {
+        channels: this.channels,
+        size: this.size,
+        blockSize: this.blockSize,
+        sharedSamples: this.isShared ? this.sharedSamples : null,
+        sharedState: this.isShared ? this.sharedState : null
+      }
+    });
+
+    if (!this.isShared) {
+      this.node.port.onmessage = (e) => this.receiveBlock(e.data);
+    }
+
+    console.log(`CaptureRing ready: ${this.channels} channels, ${(this.size / this.ctx.sampleRate).toFixed(1)}s, ${this.isShared ? 'shared memory' : 'message-backed'}`);
+  }
+
+  /**
+   * Mirror a block posted by the worklet into the local ring
+   */
+  receiveBlock({ frames, channels }) {
+    for (let c = 0; c < channels.length; c++) {
+      const block = channels[c];
+      const base = c * this.size;
+      let index = this.writeIndex;
+      for (let i = 0; i < frames; i++) {
+        this.samples[base + index] = block[i];
+        index = index + 1 === this.size ? 0 : index + 1;
+      }
+    }
+
+    this.writeIndex = (this.writeIndex + frames) % this.size;
+    this.filled = Math.min(this.filled + frames, this.size);
+  }
+
+  getWriteIndex() {
+    return this.isShared ? Atomics.load(this.state, 0) : this.writeIndex;
+  }
+
+  getFilled() {
+    return this.isShared ? Atomics.load(this.state, 1) : this.filled;
+  }
+
+  /**
+   * Capture a signal into the next free channel
+   * @param {string} name - Tap name consumers look the reader up by
+   * @param {AudioNode} sourceNode - Signal to capture
+   * @returns {CaptureReader}
+   */
+  tap(name, sourceNode) {
+    if (this.readers.has(name)) {
+      return this.readers.get(name);
+    }
+
+    if (!this.node) {
+      throw new Error('CaptureRing not initialized');
+    }
+
+    if (this.freeChannels.length === 0 && this.nextChannel >= this.channels) {
+      throw new Error(`CaptureRing has no free channel for tap "${name}" (${this.channels} channels)`);
+    }
+
+    const channel = this.freeChannels.length > 0 ? this.freeChannels.shift() : this.nextChannel++;
+    sourceNode.connect(this.node, 0, channel);
+
+    const reader = new CaptureReader(this, channel, name, sourceNode);
+    this.readers.set(name, reader);
+    return reader;
+  }
+
+  /**
+   * Release a tap's channel so a later tap can reuse it
+   * @param {string} name
+   */
+  untap(name) {
+    const reader = this.readers.get(name);
+    if (!reader) return;
+
+    try { reader.sourceNode.disconnect(this.node, 0, reader.channel); } catch (e) {}
+    this.readers.delete(name);
+    this.freeChannels.push(reader.channel);
+
+    // Don't let the next tap read this signal's old audio
+    this.samples.fill(0, reader.offset, reader.offset + this.size);
+  }
+
+  /**
+   * Look up the reader for an existing tap
+   * @param {string} name
+   * @returns {CaptureReader|null}
+   */
+  getReader(name) {
+    return this.readers.get(name) || null;
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.readers.forEach(reader => {
+        try { reader.sourceNode.disconnect(this.node); } catch (e) {}
+      });
+      this.node.port.postMessage('stop');
+      this.node.port.onmessage = null;
+      this.node = null;
+    }
+    this.readers.clear();
+  }
+}
+
+export { CaptureReader };
+export default CaptureRing;
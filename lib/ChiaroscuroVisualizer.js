@@ -4,10 +4,13 @@
  * Ethereal, dream-like, and actually works
  */
 
+import { FREQUENCY_BANDS, averageEnergyInRange } from './FrequencyBands.js';
+
 class ChiaroscuroVisualizer {
-  constructor(width, height) {
+  constructor(width, height, bands = FREQUENCY_BANDS) {
     this.width = width;
     this.height = height;
+    this.bands = bands; // Band set the energies passed to update() belong to
 
     // Light sources that create the chiaroscuro effect
     this.lights = [];
@@ -51,15 +54,28 @@ class ChiaroscuroVisualizer {
     }
   }
 
-  update(bandEnergies) {
+  /**
+   * Band set the energies belong to; callers pass AudioEngine.getBands() on
+   * mount and whenever the engine's band set changes
+   * @param {Array<object>} bands
+   */
+  setBands(bands) {
+    this.bands = bands;
+  }
+
+  /**
+   * @param {Array<number>} bandEnergies - One energy (0-1) per band
+   * @param {object} features - AudioEngine.getFeatures() for this frame (optional)
+   */
+  update(bandEnergies, features = null) {
     this.time += 0.016;
 
     // Calculate energy levels from different frequency ranges
-    if (bandEnergies && bandEnergies.length >= 24) {
-      // Bass (0-4), Mid (5-16), High (17-23)
-      this.bassEnergy = bandEnergies.slice(0, 4).reduce((a, b) => a + b, 0) / 4;
-      this.midEnergy = bandEnergies.slice(5, 17).reduce((a, b) => a + b, 0) / 12;
-      this.highEnergy = bandEnergies.slice(17, 24).reduce((a, b) => a + b, 0) / 7;
+    if (bandEnergies && bandEnergies.length === this.bands.length) {
+      // Bass (< 250Hz), Mid (350Hz-4kHz), High (> 4kHz)
+      this.bassEnergy = averageEnergyInRange(bandEnergies, this.bands, 0, 250);
+      this.midEnergy = averageEnergyInRange(bandEnergies, this.bands, 350, 4000);
+      this.highEnergy = averageEnergyInRange(bandEnergies, this.bands, 4000);
       this.globalEnergy = (this.bassEnergy + this.midEnergy + this.highEnergy) / 3;
     }
 
@@ -128,8 +144,9 @@ class ChiaroscuroVisualizer {
     // Remove dead lights
     this.lights = this.lights.filter(l => l.intensity > 0.01);
 
-    // Spawn new lights from bass hits
-    if (this.bassEnergy > 0.6 && this.lights.length < this.maxLights) {
+    // Spawn new lights from onsets (or sustained bass without features)
+    const hit = features ? features.onset : this.bassEnergy > 0.6;
+    if (hit && this.lights.length < this.maxLights) {
       this.spawnLight(
         this.width / 2 + (Math.random() - 0.5) * 200,
         this.height / 2 + (Math.random() - 0.5) * 200
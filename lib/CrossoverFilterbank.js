@@ -0,0 +1,132 @@
+/**
+ * CrossoverFilterbank - Splits a signal into bands that sum back to the input flat
+ * Built from 4th-order Linkwitz-Riley crossovers (two cascaded Butterworth
+ * biquads per side). LR4 low + high sum to a 2nd-order allpass, so the bands are
+ * split as a binary tree: each branch also runs through the allpasses of the
+ * crossovers on the other side, which puts every band through the same total
+ * phase. The sum of all outputs is then the input with flat magnitude (an
+ * allpass), instead of the peaks and dips overlapping bandpass filters give.
+ */
+
+const BUTTERWORTH_Q = Math.SQRT1_2;
+const BUTTERWORTH_Q_DB = 20 * Math.log10(BUTTERWORTH_Q); // Lowpass/highpass Q is in dB
+
+// Ways a session can isolate its bands (AudioEngine bandSplitter option)
+export const BAND_SPLITTERS = {
+  bandpass: { label: 'Bandpass (overlapping)' },
+  crossover: { label: 'Crossover (sums flat)' }
+};
+
+/**
+ * Crossover points between neighbouring bands (geometric mean across any gap)
+ * @param {Array<object>} bands - { min, max } per band, low to high
+ * @returns {Array<number>} bands.length - 1 frequencies in Hz
+ */
+export function crossoverFrequencies(bands) {
+  const frequencies = [];
+  for (let i = 0; i < bands.length - 1; i++) {
+    frequencies.push(Math.sqrt(bands[i].max * bands[i + 1].min));
+  }
+  return frequencies;
+}
+
+class CrossoverFilterbank {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Array<object>} bands - { min, max } per band, low to high
+   */
+  constructor(audioContext, bands) {
+    this.ctx = audioContext;
+    this.frequencies = crossoverFrequencies(bands);
+    this.nodes = []; // Every node created, for disconnect()
+
+    this.input = this.ctx.createGain();
+    this.nodes.push(this.input);
+
+    // One unity gain per band - the band-isolated signals
+    this.outputs = bands.map(() => {
+      const output = this.ctx.createGain();
+      this.nodes.push(output);
+      return output;
+    });
+
+    this.split(this.input, 0, bands.length - 1);
+
+    console.log(`CrossoverFilterbank: ${bands.length} bands, ${this.nodes.length} nodes`);
+  }
+
+  /**
+   * Recursively split bands first..last out of a signal
+   * @param {AudioNode} source - Signal holding exactly bands first..last
+   * @param {number} first - Lowest band index
+   * @param {number} last - Highest band index
+   */
+  split(source, first, last) {
+    if (first === last) {
+      source.connect(this.outputs[first]);
+      return;
+    }
+
+    // Crossover m sits between band m and band m + 1
+    const m = Math.floor((first + last) / 2);
+    const frequency = this.frequencies[m];
+
+    // Low side picks up the phase of the high side's crossovers and vice versa
+    const low = this.chain(source, [
+      ...this.butterworth('lowpass', frequency),
+      ...this.allpasses(m + 1, last - 1)
+    ]);
+    const high = this.chain(source, [
+      ...this.butterworth('highpass', frequency),
+      ...this.allpasses(first, m - 1)
+    ]);
+
+    this.split(low, first, m);
+    this.split(high, m + 1, last);
+  }
+
+  /**
+   * Two cascaded Butterworth biquads = one side of an LR4 crossover
+   */
+  butterworth(type, frequency) {
+    return [0, 1].map(() => this.biquad(type, frequency));
+  }
+
+  /**
+   * Allpasses matching LR4 crossovers from..to (what low + high sums to)
+   */
+  allpasses(from, to) {
+    const filters = [];
+    for (let i = from; i <= to; i++) {
+      filters.push(this.biquad('allpass', this.frequencies[i]));
+    }
+    return filters;
+  }
+
+  biquad(type, frequency) {
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = type === 'allpass' ? BUTTERWORTH_Q : BUTTERWORTH_Q_DB;
+    this.nodes.push(filter);
+    return filter;
+  }
+
+  /**
+   * Connect source through filters in series
+   * @returns {AudioNode} Last node of the chain
+   */
+  chain(source, filters) {
+    return filters.reduce((previous, filter) => {
+      previous.connect(filter);
+      return filter;
+    }, source);
+  }
+
+  disconnect() {
+    this.nodes.forEach(node => node.disconnect());
+    this.nodes = [];
+  }
+}
+
+export default CrossoverFilterbank;
@@ -4,42 +4,33 @@
  */
 
 class DrawModeSynth {
-  constructor(audioContext) {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} reverbBus - Shared reverb send bus (optional)
+   */
+  constructor(audioContext, reverbBus = null) {
     this.ctx = audioContext;
     this.activeVoices = [];
 
     // Output chain
-    this.reverb = this.createReverb();
     this.filter = this.ctx.createBiquadFilter();
     this.filter.type = 'lowpass';
     this.filter.frequency.value = 2000;
     this.filter.Q.value = 1;
 
     this.outputGain = this.ctx.createGain();
-    this.outputGain.gain.value = 0.4;
+    this.outputGain.gain.value = 0.25;
 
-    // Routing
-    this.filter.connect(this.reverb);
-    this.reverb.connect(this.outputGain);
-  }
-
-  createReverb() {
-    const convolver = this.ctx.createConvolver();
+    // Mostly wet - the tones should bloom rather than click
+    this.reverbSend = this.ctx.createGain();
+    this.reverbSend.gain.value = 0.8;
 
-    // Create simple reverb impulse response
-    const length = this.ctx.sampleRate * 2;
-    const impulse = this.ctx.createBuffer(2, length, this.ctx.sampleRate);
-    const left = impulse.getChannelData(0);
-    const right = impulse.getChannelData(1);
-
-    for (let i = 0; i < length; i++) {
-      const decay = Math.exp(-i / (this.ctx.sampleRate * 0.5));
-      left[i] = (Math.random() * 2 - 1) * decay;
-      right[i] = (Math.random() * 2 - 1) * decay;
+    // Routing
+    this.filter.connect(this.outputGain);
+    this.filter.connect(this.reverbSend);
+    if (reverbBus) {
+      this.reverbSend.connect(reverbBus);
     }
-
-    convolver.buffer = impulse;
-    return convolver;
   }
 
   // Create tone from interaction
@@ -105,6 +96,7 @@ class DrawModeSynth {
 
   disconnect() {
     this.outputGain.disconnect();
+    this.reverbSend.disconnect();
     this.activeVoices.forEach(v => {
       try {
         v.osc1.stop();
@@ -0,0 +1,305 @@
+/**
+ * FDNReverb - Feedback delay network reverb in an AudioWorklet
+ * Eight delay lines, mixed through an orthonormal Hadamard matrix on every
+ * pass, each with a one-pole damping filter and a gain that sets its decay.
+ * Input runs through a chain of allpass diffusers first. Everything is a
+ * parameter of the running network, so decay, size, modulation, diffusion and
+ * damping can move in real time with no impulse buffer to regenerate:
+ *   decay      - RT60 in seconds
+ *   size       - scales every delay length (room size)
+ *   modulation - slow wobble of the delay lengths (breaks up metallic ringing)
+ *   diffusion  - allpass feedback before the network (smears the attack)
+ *   damping    - how much faster high frequencies die than low ones
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-fdn';
+
+const PROCESSOR_SOURCE = `
+const LINES = 8;
+const BASE_DELAYS = [0.0297, 0.0371, 0.0411, 0.0437, 0.0539, 0.0593, 0.0671, 0.0793]; // s at size 1
+const LFO_RATES = [0.11, 0.17, 0.23, 0.29, 0.37, 0.43, 0.53, 0.61]; // Hz, one per line
+const MAX_SIZE = 2;
+const MAX_MODULATION = 0.0015; // s of delay wobble at modulation 1
+const DIFFUSERS = [0.0048, 0.0036, 0.0127, 0.0093]; // Allpass delays (s)
+const SIZE_SMOOTHING = 0.02; // Per block; size glides instead of jumping (which clicks)
+const TWO_PI = Math.PI * 2;
+
+// In-place fast Walsh-Hadamard transform, normalized (orthonormal, energy preserving)
+function hadamard(values) {
+  for (let width = 1; width < LINES; width *= 2) {
+    for (let i = 0; i < LINES; i += width * 2) {
+      for (let j = i; j < i + width; j++) {
+        const a = values[j];
+        const b = values[j + width];
+        values[j] = a + b;
+        values[j + width] = a - b;
+      }
+    }
+  }
+  const scale = 1 / Math.sqrt(LINES);
+  for (let i = 0; i < LINES; i++) values[i] *= scale;
+}
+
+class Allpass {
+  constructor(length) {
+    this.buffer = new Float32Array(length);
+    this.index = 0;
+  }
+
+  process(x, g) {
+    const delayed = this.buffer[this.index];
+    const v = x + g * delayed;
+    this.buffer[this.index] = v;
+    this.index = (this.index + 1) % this.buffer.length;
+    return delayed - g * v;
+  }
+}
+
+class ChiaroscuroFDNProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'decay', defaultValue: 2.5, minValue: 0.1, maxValue: 30, automationRate: 'k-rate' },
+      { name: 'size', defaultValue: 1, minValue: 0.25, maxValue: MAX_SIZE, automationRate: 'k-rate' },
+      { name: 'modulation', defaultValue: 0.3, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'diffusion', defaultValue: 0.7, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'damping', defaultValue: 0.3, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.active = true;
+
+    const bufferLength = Math.ceil((BASE_DELAYS[LINES - 1] * MAX_SIZE + MAX_MODULATION * 2) * sampleRate) + 4;
+    this.lines = BASE_DELAYS.map(() => new Float32Array(bufferLength));
+    this.bufferLength = bufferLength;
+    this.writeIndex = 0;
+
+    this.size = null; // Smoothed size, set from the first block
+    this.lengths = new Float32Array(LINES);
+    this.gains = new Float32Array(LINES);
+    this.lowpass = new Float32Array(LINES);
+    this.mix = new Float32Array(LINES);
+    this.lfoPhase = new Float64Array(LINES);
+    this.lfoStep = new Float64Array(LINES);
+    for (let l = 0; l < LINES; l++) {
+      this.lfoPhase[l] = l / LINES;
+      this.lfoStep[l] = LFO_RATES[l] / sampleRate;
+    }
+    this.diffusers = DIFFUSERS.map(seconds => new Allpass(Math.round(seconds * sampleRate)));
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const left = output[0];
+    const right = output[1] || output[0];
+    const frames = left.length;
+
+    const decay = parameters.decay[0];
+    const targetSize = parameters.size[0];
+    this.size = this.size === null ? targetSize : this.size + (targetSize - this.size) * SIZE_SMOOTHING;
+    const depth = parameters.modulation[0] * MAX_MODULATION * sampleRate;
+    const diffusion = parameters.diffusion[0] * 0.75;
+    const damping = parameters.damping[0] * 0.85;
+
+    // Per-line length and the loop gain that gives the RT60 at that length
+    const lengths = this.lengths;
+    const gains = this.gains;
+    for (let l = 0; l < LINES; l++) {
+      lengths[l] = BASE_DELAYS[l] * this.size * sampleRate;
+      gains[l] = Math.pow(10, -3 * lengths[l] / (decay * sampleRate));
+    }
+
+    const lfoStep = this.lfoStep;
+    const mix = this.mix;
+    const size = this.bufferLength;
+
+    for (let n = 0; n < frames; n++) {
+      // Mono sum into the diffusers
+      let x = 0;
+      for (let c = 0; c < input.length; c++) x += input[c][n];
+      if (input.length > 1) x /= input.length;
+      for (let d = 0; d < this.diffusers.length; d++) {
+        x = this.diffusers[d].process(x, diffusion);
+      }
+
+      // Read every line (fractional, modulated), damp and apply its decay gain
+      for (let l = 0; l < LINES; l++) {
+        const phase = this.lfoPhase[l];
+        this.lfoPhase[l] = phase + lfoStep[l] >= 1 ? phase + lfoStep[l] - 1 : phase + lfoStep[l];
+        const delay = lengths[l] + depth * (1 + Math.sin(TWO_PI * phase));
+
+        let position = this.writeIndex - delay;
+        while (position < 0) position += size;
+        const i0 = Math.floor(position);
+        const frac = position - i0;
+        const buffer = this.lines[l];
+        const sample = buffer[i0] + (buffer[(i0 + 1) % size] - buffer[i0]) * frac;
+
+        this.lowpass[l] = sample + (this.lowpass[l] - sample) * damping;
+        mix[l] = this.lowpass[l] * gains[l];
+      }
+
+      // Lines 0-3 feed the left output, 4-7 the right (decorrelated after mixing)
+      left[n] = (mix[0] + mix[1] + mix[2] + mix[3]) * 0.5;
+      if (right !== left) right[n] = (mix[4] + mix[5] + mix[6] + mix[7]) * 0.5;
+
+      hadamard(mix);
+      for (let l = 0; l < LINES; l++) {
+        // Input enters every line with alternating sign
+        this.lines[l][this.writeIndex] = mix[l] + (l % 2 === 0 ? x : -x);
+      }
+      this.writeIndex = (this.writeIndex + 1) % size;
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroFDNProcessor);
+`;
+
+// Starting settings
+export const FDN_DEFAULTS = {
+  decay: 2.5,
+  size: 1,
+  modulation: 0.3,
+  diffusion: 0.7,
+  damping: 0.3
+};
+
+export const FDN_RANGES = {
+  decay: [0.1, 30],
+  size: [0.25, 2],
+  modulation: [0, 1],
+  diffusion: [0, 1],
+  damping: [0, 1]
+};
+
+class FDNReverb {
+  /**
+   * @param {BaseAudioContext} ctx
+   * @param {object} params - Starting values (see FDN_DEFAULTS)
+   */
+  constructor(ctx, params = {}) {
+    this.ctx = ctx;
+    this.params = { ...FDN_DEFAULTS };
+    this.setParams(params);
+
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    this.node = null; // FDN worklet, once loaded
+    this.fallback = null; // Feedback delay stand-in when worklets are unavailable
+  }
+
+  /**
+   * Load the worklet and wire input → network → output
+   * (falls back to a single damped feedback delay if it can't load)
+   */
+  async initialize() {
+    try {
+      await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+      this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers'
+      });
+      this.input.connect(this.node);
+      this.node.connect(this.output);
+    } catch (error) {
+      console.warn('FDN worklet unavailable, using a feedback delay:', error);
+
+      const delay = this.ctx.createDelay(1);
+      const feedback = this.ctx.createGain();
+      const filter = this.ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+
+      this.input.connect(delay);
+      delay.connect(filter);
+      filter.connect(feedback);
+      feedback.connect(delay);
+      filter.connect(this.output);
+      this.fallback = { delay, feedback, filter };
+    }
+
+    this.applyParams();
+  }
+
+  /**
+   * @param {AudioNode} destination
+   */
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  /**
+   * Update any subset of the network parameters
+   * @param {object} params - { decay (s), size, modulation (0-1), diffusion (0-1), damping (0-1) }
+   */
+  setParams(params) {
+    Object.keys(FDN_RANGES).forEach(name => {
+      if (params[name] !== undefined) {
+        const [min, max] = FDN_RANGES[name];
+        this.params[name] = Math.max(min, Math.min(max, params[name]));
+      }
+    });
+
+    if (this.node || this.fallback) {
+      this.applyParams();
+    }
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  applyParams() {
+    const now = this.ctx.currentTime;
+    const { decay, size, modulation, diffusion, damping } = this.params;
+
+    if (this.node) {
+      const param = name => this.node.parameters.get(name);
+      // Size is smoothed inside the worklet (it moves the read heads)
+      param('decay').setTargetAtTime(decay, now, 0.05);
+      param('size').setValueAtTime(size, now);
+      param('modulation').setTargetAtTime(modulation, now, 0.05);
+      param('diffusion').setTargetAtTime(diffusion, now, 0.05);
+      param('damping').setTargetAtTime(damping, now, 0.05);
+    } else if (this.fallback) {
+      const delayTime = 0.05 * size;
+      this.fallback.delay.delayTime.setTargetAtTime(delayTime, now, 0.05);
+      this.fallback.feedback.gain.setTargetAtTime(Math.pow(10, -3 * delayTime / decay), now, 0.05);
+      this.fallback.filter.frequency.setTargetAtTime(20000 * Math.pow(2, -damping * 6), now, 0.05);
+    }
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage('dispose');
+      this.node.disconnect();
+    }
+    if (this.fallback) {
+      this.fallback.delay.disconnect();
+      this.fallback.feedback.disconnect();
+      this.fallback.filter.disconnect();
+    }
+    this.input.disconnect();
+    this.output.disconnect();
+  }
+}
+
+export default FDNReverb;
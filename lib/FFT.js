@@ -0,0 +1,95 @@
+/**
+ * FFT - In-place radix-2 complex FFT
+ * Self-contained (no imports, no outer references) so worklet sources can
+ * embed it with FFT.toString().
+ */
+
+class FFT {
+  /**
+   * @param {number} size - Transform length (power of two)
+   */
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+
+    // Twiddle factors
+    this.cosTable = new Float32Array(size / 2);
+    this.sinTable = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+      this.sinTable[i] = Math.sin(2 * Math.PI * i / size);
+    }
+
+    // Bit-reversal permutation
+    this.reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) {
+        r = (r << 1) | ((i >> b) & 1);
+      }
+      this.reverse[i] = r;
+    }
+  }
+
+  /**
+   * Forward transform, in place
+   * @param {Float32Array} re - Real parts
+   * @param {Float32Array} im - Imaginary parts
+   */
+  forward(re, im) {
+    this.transform(re, im, -1);
+  }
+
+  /**
+   * Inverse transform, in place (scaled by 1/size)
+   * @param {Float32Array} re - Real parts
+   * @param {Float32Array} im - Imaginary parts
+   */
+  inverse(re, im) {
+    this.transform(re, im, 1);
+
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      re[i] *= scale;
+      im[i] *= scale;
+    }
+  }
+
+  transform(re, im, direction) {
+    const n = this.size;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+
+    for (let half = 1; half < n; half <<= 1) {
+      const step = n / (half * 2);
+      for (let start = 0; start < n; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cosTable[k * step];
+          const wi = direction * this.sinTable[k * step];
+          const a = start + k;
+          const b = a + half;
+
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+export default FFT;
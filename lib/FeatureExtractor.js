@@ -0,0 +1,321 @@
+/**
+ * FeatureExtractor - One shared description of what the sound is doing
+ * Reads an unsmoothed analyser tap and computes, at most once per frame:
+ *   rms, peak          - time-domain level (linear, 0-1)
+ *   centroid, spread   - spectral brightness and width (Hz)
+ *   rolloff            - frequency below which 85% of the energy sits (Hz)
+ *   flatness           - 0 (tonal) to 1 (noise)
+ *   flux               - positive spectral change since the previous frame
+ *   onset              - flux jumped above its recent average
+ *   pitch              - fundamental (Hz, YIN), 0 when nothing is pitched
+ * Visualizers and mappings read these instead of deriving their own.
+ */
+
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+const ROLLOFF_FRACTION = 0.85;
+const YIN_THRESHOLD = 0.15;
+const SILENCE_RMS = 0.005; // Below this nothing is pitched or onset
+
+// Low-pass ahead of the 2x pitch decimation: Blackman-windowed sinc cut off
+// at 0.2 of the sample rate, so little above the new Nyquist folds back
+const DECIMATION_TAPS = 63;
+const DECIMATION_KERNEL = (() => {
+  const cutoff = 0.2;
+  const middle = (DECIMATION_TAPS - 1) / 2;
+  const kernel = new Float32Array(DECIMATION_TAPS);
+  let sum = 0;
+  for (let k = 0; k < DECIMATION_TAPS; k++) {
+    const t = k - middle;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    const phase = 2 * Math.PI * k / (DECIMATION_TAPS - 1);
+    kernel[k] = sinc * (0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase));
+    sum += kernel[k];
+  }
+  return kernel.map(value => value / sum); // Unity gain at DC
+})();
+
+/**
+ * Map a frequency onto 0-1 on a log scale (20 Hz - 20 kHz)
+ * @param {number} frequency - Hz
+ * @returns {number}
+ */
+export function frequencyToUnit(frequency) {
+  if (frequency <= MIN_FREQUENCY) return 0;
+  const unit = Math.log(frequency / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+  return Math.min(1, unit);
+}
+
+/**
+ * Features of silence (before audio starts, or without an engine)
+ * @returns {object}
+ */
+export function silentFeatures() {
+  return {
+    time: 0,
+    rms: 0,
+    peak: 0,
+    centroid: 0,
+    spread: 0,
+    flatness: 0,
+    flux: 0,
+    rolloff: 0,
+    onset: false,
+    pitch: 0,
+    pitchConfidence: 0,
+    peakFrequency: 0
+  };
+}
+
+/**
+ * YIN fundamental estimate (de Cheveigné & Kawahara 2002)
+ * @param {Float32Array} buffer - Time-domain samples (at least 2 * maxLag)
+ * @param {number} sampleRate - Rate of buffer
+ * @param {number} minLag - Shortest period considered (samples)
+ * @param {number} maxLag - Longest period considered (samples)
+ * @param {Float32Array} scratch - maxLag + 1 values of working space
+ * @returns {{ frequency: number, confidence: number }} frequency 0 when unpitched
+ */
+export function detectPitch(buffer, sampleRate, minLag, maxLag, scratch) {
+  const window = buffer.length - maxLag;
+  const d = scratch;
+
+  // Difference function, cumulative mean normalized as it goes
+  d[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let j = 0; j < window; j++) {
+      const diff = buffer[j] - buffer[j + lag];
+      sum += diff * diff;
+    }
+    runningSum += sum;
+    d[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+  }
+
+  // First dip under the threshold, followed down to its minimum
+  let lag = -1;
+  for (let tau = minLag; tau <= maxLag; tau++) {
+    if (d[tau] < YIN_THRESHOLD) {
+      while (tau + 1 <= maxLag && d[tau + 1] < d[tau]) tau++;
+      lag = tau;
+      break;
+    }
+  }
+  if (lag === -1) {
+    return { frequency: 0, confidence: 0 };
+  }
+
+  // Parabolic interpolation for sub-sample period
+  let period = lag;
+  if (lag > 1 && lag < maxLag) {
+    const a = d[lag - 1];
+    const b = d[lag];
+    const c = d[lag + 1];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) {
+      period += 0.5 * (a - c) / denominator;
+    }
+  }
+
+  return { frequency: sampleRate / period, confidence: Math.max(0, 1 - d[lag]) };
+}
+
+class FeatureExtractor {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { fftSize, minPitch, maxPitch, onsetSensitivity }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+
+    // Own tap: the visualization analyser is smoothed, which would hide flux
+    this.analyser = this.ctx.createAnalyser();
+    this.analyser.fftSize = options.fftSize || 2048;
+    this.analyser.smoothingTimeConstant = 0;
+
+    const bins = this.analyser.frequencyBinCount;
+    this.timeData = new Float32Array(this.analyser.fftSize);
+    this.spectrumDb = new Float32Array(bins);
+    this.magnitudes = new Float32Array(bins);
+    this.previousMagnitudes = new Float32Array(bins);
+
+    // Pitch runs on a 2x decimated copy (YIN cost grows with the square of the lag),
+    // only where the decimation filter has a full window of input
+    this.pitchRate = this.ctx.sampleRate / 2;
+    this.pitchBuffer = new Float32Array(Math.floor((this.analyser.fftSize - DECIMATION_TAPS + 1) / 2));
+    const minPitch = options.minPitch || 50;
+    const maxPitch = options.maxPitch || 2000;
+    this.maxLag = Math.min(Math.floor(this.pitchRate / minPitch), this.pitchBuffer.length / 2);
+    this.minLag = Math.max(2, Math.floor(this.pitchRate / maxPitch));
+    this.yinScratch = new Float32Array(this.maxLag + 1);
+
+    // Onset: flux compared with its recent history
+    this.onsetSensitivity = options.onsetSensitivity || 1.5; // Standard deviations above the mean
+    this.fluxHistory = [];
+    this.fluxHistoryLength = 43; // ~0.7 s at 60 fps
+    this.minOnsetInterval = 0.08; // s
+    this.lastOnsetTime = -Infinity;
+
+    this.minInterval = 1 / 120; // Calls closer together than this share a frame
+    this.lastUpdate = -Infinity;
+    this.features = silentFeatures();
+  }
+
+  /** Node to connect the analysed signal into */
+  get input() {
+    return this.analyser;
+  }
+
+  /**
+   * Features for the current frame (computed on the first call of a frame)
+   * @returns {object} See the module comment
+   */
+  update() {
+    const now = this.ctx.currentTime;
+    if (now - this.lastUpdate < this.minInterval) {
+      return this.features;
+    }
+    this.lastUpdate = now;
+
+    const features = silentFeatures();
+    features.time = now;
+
+    this.analyseLevel(features);
+    this.analyseSpectrum(features);
+    this.detectOnset(features, now);
+
+    if (features.rms > SILENCE_RMS) {
+      this.decimate();
+      const pitch = detectPitch(this.pitchBuffer, this.pitchRate, this.minLag, this.maxLag, this.yinScratch);
+      features.pitch = pitch.frequency;
+      features.pitchConfidence = pitch.confidence;
+    }
+
+    this.features = features;
+    return features;
+  }
+
+  analyseLevel(features) {
+    this.analyser.getFloatTimeDomainData(this.timeData);
+
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < this.timeData.length; i++) {
+      const sample = this.timeData[i];
+      sum += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+
+    features.rms = Math.sqrt(sum / this.timeData.length);
+    features.peak = peak;
+  }
+
+  analyseSpectrum(features) {
+    this.analyser.getFloatFrequencyData(this.spectrumDb);
+
+    const binWidth = this.ctx.sampleRate / this.analyser.fftSize;
+    const magnitudes = this.magnitudes;
+    const bins = magnitudes.length;
+
+    let magnitudeSum = 0;
+    let weightedSum = 0;
+    let powerSum = 0;
+    let logPowerSum = 0;
+    let flux = 0;
+    let peakBin = 0;
+
+    for (let k = 0; k < bins; k++) {
+      const db = this.spectrumDb[k];
+      const magnitude = db > -Infinity ? Math.pow(10, db / 20) : 0;
+      magnitudes[k] = magnitude;
+
+      magnitudeSum += magnitude;
+      weightedSum += magnitude * k * binWidth;
+      const power = magnitude * magnitude;
+      powerSum += power;
+      logPowerSum += Math.log(power + 1e-20);
+
+      flux += Math.max(0, magnitude - this.previousMagnitudes[k]);
+      if (magnitude > magnitudes[peakBin]) peakBin = k;
+    }
+
+    // Flux relative to the current level, so it reads the same loud or quiet
+    features.flux = magnitudeSum > 0 ? flux / magnitudeSum : 0;
+    this.previousMagnitudes.set(magnitudes);
+
+    if (magnitudeSum <= 0) return;
+
+    const centroid = weightedSum / magnitudeSum;
+    let variance = 0;
+    for (let k = 0; k < bins; k++) {
+      const deviation = k * binWidth - centroid;
+      variance += magnitudes[k] * deviation * deviation;
+    }
+    features.centroid = centroid;
+    features.spread = Math.sqrt(variance / magnitudeSum);
+
+    features.flatness = Math.exp(logPowerSum / bins) / (powerSum / bins);
+
+    let cumulative = 0;
+    for (let k = 0; k < bins; k++) {
+      cumulative += magnitudes[k] * magnitudes[k];
+      if (cumulative >= powerSum * ROLLOFF_FRACTION) {
+        features.rolloff = k * binWidth;
+        break;
+      }
+    }
+
+    // Peak bin, refined by parabolic interpolation on the dB spectrum
+    let offset = 0;
+    if (peakBin > 0 && peakBin < bins - 1) {
+      const a = this.spectrumDb[peakBin - 1];
+      const b = this.spectrumDb[peakBin];
+      const c = this.spectrumDb[peakBin + 1];
+      const denominator = a - 2 * b + c;
+      if (isFinite(denominator) && denominator !== 0) {
+        offset = 0.5 * (a - c) / denominator;
+      }
+    }
+    features.peakFrequency = (peakBin + offset) * binWidth;
+  }
+
+  detectOnset(features, now) {
+    const history = this.fluxHistory;
+
+    if (history.length > 0 && features.rms > SILENCE_RMS) {
+      const mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+      const variance = history.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / history.length;
+      const threshold = mean + this.onsetSensitivity * Math.sqrt(variance) + 0.05;
+
+      if (features.flux > threshold && now - this.lastOnsetTime >= this.minOnsetInterval) {
+        features.onset = true;
+        this.lastOnsetTime = now;
+      }
+    }
+
+    history.push(features.flux);
+    if (history.length > this.fluxHistoryLength) {
+      history.shift();
+    }
+  }
+
+  /** Low-pass and keep every second sample into the pitch buffer */
+  decimate() {
+    for (let i = 0; i < this.pitchBuffer.length; i++) {
+      const start = 2 * i;
+      let sum = 0;
+      for (let k = 0; k < DECIMATION_TAPS; k++) {
+        sum += this.timeData[start + k] * DECIMATION_KERNEL[k];
+      }
+      this.pitchBuffer[i] = sum;
+    }
+  }
+
+  disconnect() {
+    this.analyser.disconnect();
+  }
+}
+
+export default FeatureExtractor;
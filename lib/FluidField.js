@@ -3,6 +3,11 @@
  * Creates a living, breathing visual organism from audio data
  */
 
+import { frequencyToUnit } from './FeatureExtractor.js';
+import { calibratedThreshold } from './InputCalibration.js';
+
+const DEFAULT_ENERGY_THRESHOLD = 0.01; // Quietest anchor energy that moves the field
+
 class FluidField {
   constructor(width, height) {
     this.width = width;
@@ -30,9 +35,9 @@ class FluidField {
       this.color[i] = { h: 0, s: 0, l: 0 };
     }
 
-    // Frequency mapping (24 bands to grid positions)
+    // Frequency mapping (one anchor per band, rebuilt when the band count changes)
     this.frequencyAnchors = [];
-    this.setupFrequencyAnchors();
+    this.setupFrequencyAnchors(24);
 
     // Interaction points
     this.wells = []; // Gravitational wells that affect the field
@@ -43,6 +48,7 @@ class FluidField {
     this.turbulence = 0.02;
     this.viscosity = 0.98;
     this.diffusion = 0.95;
+    this.energyThreshold = DEFAULT_ENERGY_THRESHOLD; // Calibration scales it
 
     // Visual modes
     this.visualMode = 'liquid'; // liquid, crystal, particle, neural, fractal
@@ -50,12 +56,14 @@ class FluidField {
     this.initParticles();
   }
 
-  setupFrequencyAnchors() {
-    // Map 24 frequency bands to anchor points in the field
-    const bandsPerRow = 6;
-    const rows = 4;
+  setupFrequencyAnchors(bandCount) {
+    // Map frequency bands to anchor points in a grid matching the field's aspect
+    // (24 bands -> 6 x 4)
+    const bandsPerRow = Math.ceil(Math.sqrt(bandCount * this.cols / this.rows));
+    const rows = Math.ceil(bandCount / bandsPerRow);
 
-    for (let band = 0; band < 24; band++) {
+    this.frequencyAnchors = [];
+    for (let band = 0; band < bandCount; band++) {
       const row = Math.floor(band / bandsPerRow);
       const col = band % bandsPerRow;
 
@@ -67,7 +75,7 @@ class FluidField {
         y,
         band,
         energy: 0,
-        hue: (band * 15) % 360,
+        hue: (band * 360 / bandCount) % 360,
         influence: 8 // Radius of influence
       });
     }
@@ -88,9 +96,25 @@ class FluidField {
     }
   }
 
-  update(bandEnergies) {
+  /**
+   * Take the energy threshold from an input calibration profile (null for the default)
+   * @param {object|null} profile - AudioEngine.getCalibrationProfile()
+   */
+  applyCalibration(profile) {
+    this.energyThreshold = calibratedThreshold(profile, DEFAULT_ENERGY_THRESHOLD);
+  }
+
+  /**
+   * @param {Array<number>} bandEnergies - One energy (0-1) per band
+   * @param {object} features - AudioEngine.getFeatures() for this frame (optional)
+   */
+  update(bandEnergies, features = null) {
     this.time += 0.016; // ~60fps
 
+    if (bandEnergies.length !== this.frequencyAnchors.length) {
+      this.setupFrequencyAnchors(bandEnergies.length);
+    }
+
     // Update frequency anchors with new energy
     bandEnergies.forEach((energy, i) => {
       if (this.frequencyAnchors[i]) {
@@ -111,6 +135,14 @@ class FluidField {
       }
     }
 
+    // Onsets ripple out from the anchor nearest the sound's brightness
+    // (bands are log-spaced, like frequencyToUnit)
+    if (features && features.onset && this.frequencyAnchors.length > 0) {
+      const index = Math.round(frequencyToUnit(features.centroid) * (this.frequencyAnchors.length - 1));
+      const anchor = this.frequencyAnchors[index];
+      this.addRipple(anchor.x * this.cellWidth, anchor.y * this.cellHeight, Math.min(1, 0.3 + features.peak));
+    }
+
     // Update field based on frequency anchors
     this.applyFrequencyForces();
 
@@ -144,7 +176,7 @@ class FluidField {
     // Apply energy from frequency anchors
     this.frequencyAnchors.forEach(anchor => {
       const energy = anchor.energy;
-      if (energy < 0.01) return;
+      if (energy < this.energyThreshold) return;
 
       const gridX = Math.floor(anchor.x);
       const gridY = Math.floor(anchor.y);
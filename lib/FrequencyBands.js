@@ -1,5 +1,7 @@
 /**
  * FrequencyBands - Defines frequency band configuration for spectral analysis
+ * FREQUENCY_BANDS is the classic 24-band set. Other sets (octave, third-octave,
+ * Bark, mel, custom) come from createBandSet(); every band is { min, max, color, name }.
  */
 
 export const FREQUENCY_BANDS = [
@@ -42,6 +44,207 @@ export const FREQUENCY_BANDS = [
   { min: 16000, max: 20000, color: 310, name: 'Air 3' },
 ];
 
+// Zwicker's critical band edges (Hz), first edge raised from 0 to the audible floor
+const BARK_EDGES = [
+  20, 100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270, 1480, 1720,
+  2000, 2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 9500, 12000, 15500
+];
+
+// ISO 266 preferred-number mantissas for nominal octave/third-octave labels
+const NOMINAL_MANTISSAS = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8, 10];
+
+/**
+ * Spread hues over the same 0-310 range the classic set uses (red bass to violet air)
+ */
+function bandHue(index, count) {
+  return count > 1 ? Math.round((index / (count - 1)) * 310) : 0;
+}
+
+function formatFrequency(freq) {
+  if (freq >= 1000) {
+    return `${parseFloat((freq / 1000).toPrecision(3))} kHz`;
+  }
+  return `${parseFloat(freq.toPrecision(3))} Hz`;
+}
+
+/**
+ * Round an exact band center to its ISO nominal frequency (e.g. 31.25 -> 31.5)
+ */
+function nominalFrequency(freq) {
+  const decade = Math.pow(10, Math.floor(Math.log10(freq)));
+  const mantissa = freq / decade;
+  const nearest = NOMINAL_MANTISSAS.reduce((best, m) =>
+    Math.abs(Math.log(m / mantissa)) < Math.abs(Math.log(best / mantissa)) ? m : best
+  );
+  return nearest * decade;
+}
+
+/**
+ * Build a finished band list from [min, max, name] ranges
+ */
+function toBands(ranges) {
+  return ranges.map(([min, max, name], index) => ({
+    min: Math.round(min * 10) / 10,
+    max: Math.round(max * 10) / 10,
+    color: bandHue(index, ranges.length),
+    name
+  }));
+}
+
+/**
+ * Fractional-octave bands on the base-2 ISO grid (centers at 1 kHz * 2^(k/fraction))
+ * @param {object} options - { fraction (1 = octave, 3 = third-octave), minFreq, maxFreq }
+ * @returns {Array<object>} 10 octave or 31 third-octave bands for 20 Hz - 20 kHz
+ */
+export function createOctaveBands(options = {}) {
+  const fraction = options.fraction || 1;
+  const minFreq = options.minFreq || 20;
+  const maxFreq = options.maxFreq || 20000;
+  const halfWidth = Math.pow(2, 1 / (2 * fraction));
+
+  const ranges = [];
+  const first = Math.ceil(fraction * Math.log2(minFreq * 0.98 / 1000));
+  const last = Math.floor(fraction * Math.log2(maxFreq * 1.02 / 1000));
+
+  for (let k = first; k <= last; k++) {
+    const center = 1000 * Math.pow(2, k / fraction);
+    ranges.push([
+      center / halfWidth,
+      Math.min(maxFreq, center * halfWidth), // Keep the top band below Nyquist
+      formatFrequency(nominalFrequency(center))
+    ]);
+  }
+
+  return toBands(ranges);
+}
+
+/**
+ * Critical bands of hearing (24 Bark bands, 20 Hz - 15.5 kHz)
+ * @param {object} options - { minFreq, maxFreq } to trim the edges
+ */
+export function createBarkBands(options = {}) {
+  const minFreq = options.minFreq || 20;
+  const maxFreq = options.maxFreq || 20000;
+
+  const ranges = [];
+  for (let i = 0; i < BARK_EDGES.length - 1; i++) {
+    const min = Math.max(minFreq, BARK_EDGES[i]);
+    const max = Math.min(maxFreq, BARK_EDGES[i + 1]);
+    if (max > min) {
+      ranges.push([min, max, `Bark ${i + 1}`]);
+    }
+  }
+
+  return toBands(ranges);
+}
+
+/**
+ * Bands of equal width on the mel scale
+ * @param {object} options - { count (default 24), minFreq, maxFreq }
+ */
+export function createMelBands(options = {}) {
+  const count = Math.max(1, Math.round(options.count || 24));
+  const minFreq = options.minFreq || 20;
+  const maxFreq = options.maxFreq || 20000;
+
+  const toMel = f => 2595 * Math.log10(1 + f / 700);
+  const fromMel = m => 700 * (Math.pow(10, m / 2595) - 1);
+  const melMin = toMel(minFreq);
+  const melStep = (toMel(maxFreq) - melMin) / count;
+
+  const ranges = [];
+  for (let i = 0; i < count; i++) {
+    const min = fromMel(melMin + i * melStep);
+    const max = fromMel(melMin + (i + 1) * melStep);
+    ranges.push([min, max, `Mel ${i + 1} (${formatFrequency(Math.sqrt(min * max))})`]);
+  }
+
+  return toBands(ranges);
+}
+
+/**
+ * Bands from an explicit list
+ * @param {Array<Array<number>|object>} list - [min, max] pairs or { min, max, name, color }
+ */
+export function createCustomBands(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('A custom band set needs at least one [min, max] range');
+  }
+
+  return list.map((entry, index) => {
+    const band = Array.isArray(entry) ? { min: entry[0], max: entry[1] } : { ...entry };
+    if (!(band.min > 0) || !(band.max > band.min)) {
+      throw new Error(`Invalid band ${index + 1}: ${band.min}-${band.max} Hz`);
+    }
+
+    return {
+      min: band.min,
+      max: band.max,
+      color: band.color !== undefined ? band.color : bandHue(index, list.length),
+      name: band.name || `${formatFrequency(band.min)}-${formatFrequency(band.max)}`
+    };
+  });
+}
+
+/**
+ * Parse "20-200, 200-2000, 2000-20000" into [min, max] pairs for createCustomBands
+ * @param {string} text
+ * @returns {Array<Array<number>>}
+ */
+export function parseBandList(text) {
+  return text.split(/[,;\n]/)
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => part.split('-').map(value => parseFloat(value)));
+}
+
+export const BAND_SETS = {
+  classic: { label: 'Classic (24)', create: () => FREQUENCY_BANDS },
+  octave: { label: 'Octave (10)', create: options => createOctaveBands({ ...options, fraction: 1 }) },
+  'third-octave': { label: 'Third-octave (31)', create: options => createOctaveBands({ ...options, fraction: 3 }) },
+  bark: { label: 'Bark (24)', create: createBarkBands },
+  mel: { label: 'Mel', create: createMelBands },
+  custom: { label: 'Custom', create: options => createCustomBands(options.bands) }
+};
+
+/**
+ * Build a band set by name
+ * @param {string} type - Key of BAND_SETS
+ * @param {object} options - Generator options ({ count } for mel, { bands } for custom)
+ * @returns {Array<object>} Bands, low to high
+ */
+export function createBandSet(type = 'classic', options = {}) {
+  const set = BAND_SETS[type];
+  if (!set) {
+    throw new Error(`Unknown band set "${type}"`);
+  }
+  return set.create(options);
+}
+
+/**
+ * Average energy of the bands whose center falls in a frequency range
+ * (lets visualizers group bass/mid/high the same way for any band set)
+ * @param {Array<number>} bandEnergies - One value per band
+ * @param {Array<object>} bands - Band set the energies belong to
+ * @param {number} minFreq - Inclusive lower bound (Hz)
+ * @param {number} maxFreq - Exclusive upper bound (Hz)
+ * @returns {number}
+ */
+export function averageEnergyInRange(bandEnergies, bands, minFreq, maxFreq = Infinity) {
+  let sum = 0;
+  let count = 0;
+
+  bands.forEach((band, i) => {
+    const center = (band.min + band.max) / 2;
+    if (center >= minFreq && center < maxFreq && i < bandEnergies.length) {
+      sum += bandEnergies[i];
+      count++;
+    }
+  });
+
+  return count > 0 ? sum / count : 0;
+}
+
 /**
  * Calculate which FFT bins correspond to a frequency range
  * @param {number} minFreq - Minimum frequency in Hz
@@ -63,27 +266,6 @@ export function frequencyToBin(minFreq, maxFreq, sampleRate, fftSize) {
   };
 }
 
-/**
- * Calculate average energy in a frequency band
- * @param {Uint8Array} frequencyData - FFT frequency data
- * @param {number} startBin - Start bin index
- * @param {number} endBin - End bin index
- * @returns {number} Average energy (0-255)
- */
-export function calculateBandEnergy(frequencyData, startBin, endBin) {
-  if (startBin >= endBin) return 0;
-
-  let sum = 0;
-  let count = 0;
-
-  for (let i = startBin; i <= endBin; i++) {
-    sum += frequencyData[i];
-    count++;
-  }
-
-  return count > 0 ? sum / count : 0;
-}
-
 /**
  * Smooth energy value to avoid jitter
  * @param {number} currentValue - Current smoothed value
@@ -8,6 +8,9 @@
  * Silence creates darkness.
  */
 
+import { frequencyToUnit } from './FeatureExtractor.js';
+import { DEFAULT_SPAWN_THRESHOLD } from './InputCalibration.js';
+
 class GenerativeAudioVisualizer {
   constructor(width, height) {
     this.width = width;
@@ -37,7 +40,8 @@ class GenerativeAudioVisualizer {
     this.initFlowField();
 
     // Spawn parameters
-    this.spawnThreshold = 0.15; // Minimum energy to spawn
+    this.defaultSpawnThreshold = DEFAULT_SPAWN_THRESHOLD;
+    this.spawnThreshold = this.defaultSpawnThreshold; // Minimum energy to spawn (calibration may lower it)
     this.time = 0;
 
     // Visual decay
@@ -66,9 +70,36 @@ class GenerativeAudioVisualizer {
     }
   }
 
-  update(bandEnergies) {
-    if (!bandEnergies || bandEnergies.length < 24) {
-      bandEnergies = new Array(24).fill(0);
+  /**
+   * Resize the per-band state for a different band count (band sets vary)
+   * @param {number} count
+   */
+  setBandCount(count) {
+    this.frequencyBands = new Array(count).fill(0);
+    this.previousBands = new Array(count).fill(0);
+    this.transients = new Array(count).fill(0);
+    this.envelopes = new Array(count).fill(0);
+  }
+
+  /**
+   * Take spawn thresholds from an input calibration profile (null for defaults)
+   * @param {object|null} profile - AudioEngine.getCalibrationProfile()
+   */
+  applyCalibration(profile) {
+    this.spawnThreshold = profile ? profile.spawnThreshold : this.defaultSpawnThreshold;
+  }
+
+  /**
+   * @param {Array<number>} bandEnergies - One energy (0-1) per band
+   * @param {object} features - AudioEngine.getFeatures() for this frame (optional)
+   */
+  update(bandEnergies, features = null) {
+    if (!bandEnergies || bandEnergies.length === 0) {
+      bandEnergies = new Array(this.frequencyBands.length).fill(0);
+    }
+
+    if (bandEnergies.length !== this.frequencyBands.length) {
+      this.setBandCount(bandEnergies.length);
     }
 
     this.time += 0.016;
@@ -78,7 +109,7 @@ class GenerativeAudioVisualizer {
     this.frequencyBands = bandEnergies;
 
     // Detect transients (sudden increases in energy)
-    for (let i = 0; i < 24; i++) {
+    for (let i = 0; i < this.frequencyBands.length; i++) {
       const delta = this.frequencyBands[i] - this.previousBands[i];
       this.transients[i] = Math.max(0, delta * 5); // Amplify sudden changes
 
@@ -93,13 +124,16 @@ class GenerativeAudioVisualizer {
     }
 
     // Calculate spectral features
-    this.calculateSpectralFeatures();
+    this.calculateSpectralFeatures(features);
 
     // Update flow field based on audio
     this.updateFlowField();
 
     // Spawn visual elements from sound
     this.spawnFromAudio();
+    if (features && features.onset) {
+      this.spawnOnsetBloom(features);
+    }
 
     // Update existing elements
     this.updateParticles();
@@ -107,7 +141,11 @@ class GenerativeAudioVisualizer {
     this.updateBlooms();
   }
 
-  calculateSpectralFeatures() {
+  /**
+   * Overall energy from the bands; brightness and width from the shared features
+   * (log-frequency units, so they line up with where bands sit on screen)
+   */
+  calculateSpectralFeatures(features) {
     let totalEnergy = 0;
     let weightedSum = 0;
     let weightedSpread = 0;
@@ -117,16 +155,23 @@ class GenerativeAudioVisualizer {
       totalEnergy += energy;
       weightedSum += energy * i;
     }
-
     this.totalEnergy = totalEnergy / this.frequencyBands.length;
-    this.spectralCentroid = totalEnergy > 0 ? weightedSum / (totalEnergy * this.frequencyBands.length) : 0.5;
 
-    // Calculate spread
-    for (let i = 0; i < this.frequencyBands.length; i++) {
-      const deviation = (i / this.frequencyBands.length) - this.spectralCentroid;
-      weightedSpread += this.frequencyBands[i] * deviation * deviation;
+    // From the bands when there are no features (or nothing spectral in them)
+    if (!features || features.centroid <= 0) {
+      this.spectralCentroid = totalEnergy > 0 ? weightedSum / (totalEnergy * this.frequencyBands.length) : 0.5;
+      for (let i = 0; i < this.frequencyBands.length; i++) {
+        const deviation = (i / this.frequencyBands.length) - this.spectralCentroid;
+        weightedSpread += this.frequencyBands[i] * deviation * deviation;
+      }
+      this.spectralSpread = Math.sqrt(weightedSpread / Math.max(totalEnergy, 0.001));
+      return;
     }
-    this.spectralSpread = Math.sqrt(weightedSpread / Math.max(totalEnergy, 0.001));
+
+    this.spectralCentroid = frequencyToUnit(features.centroid);
+    const low = frequencyToUnit(Math.max(0, features.centroid - features.spread));
+    const high = frequencyToUnit(features.centroid + features.spread);
+    this.spectralSpread = (high - low) / 2;
   }
 
   updateFlowField() {
@@ -244,6 +289,25 @@ class GenerativeAudioVisualizer {
     }
   }
 
+  /**
+   * Onsets bloom where the sound's brightness sits on the band ring
+   */
+  spawnOnsetBloom(features) {
+    const t = this.spectralCentroid;
+    const angle = t * Math.PI * 2;
+    const radius = 50 + t * (Math.min(this.width, this.height) * 0.4);
+    const energy = Math.min(1, features.peak * 2);
+
+    this.spawnBloom(
+      this.centerX + Math.cos(angle) * radius,
+      this.centerY + Math.sin(angle) * radius,
+      t * 300 + 200,
+      60 + (1 - features.flatness) * 40, // Tonal sounds bloom more saturated
+      60,
+      energy
+    );
+  }
+
   spawnBloom(x, y, hue, saturation, lightness, energy) {
     this.blooms.push({
       x,
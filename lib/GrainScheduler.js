@@ -0,0 +1,135 @@
+/**
+ * GrainScheduler - Sample-accurate lookahead scheduling against the audio clock
+ * A coarse main-thread timer wakes up every few milliseconds and queues every
+ * grain that falls inside the lookahead window with source.start(when), so grain
+ * spacing comes from the audio clock rather than from setTimeout jitter or the
+ * canvas frame rate.
+ *
+ * On an OfflineAudioContext there is no timer: the renderer suspends the context
+ * at regular points and calls scheduleUntil() itself.
+ */
+
+// AudioContext -> GrainScheduler (one shared scheduler per context)
+const schedulers = new WeakMap();
+
+class GrainVoice {
+  constructor(scheduler, callback, startTime) {
+    this.scheduler = scheduler;
+    this.callback = callback; // (when) => seconds until the next grain, or 0/null to stop
+    this.nextTime = startTime;
+    this.isActive = true;
+  }
+
+  cancel() {
+    this.scheduler.remove(this);
+  }
+}
+
+class GrainScheduler {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { lookahead (s), interval (ms), manual }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.lookahead = options.lookahead || 0.1; // Queue grains 100ms ahead
+    this.interval = options.interval || 25; // Wake up every 25ms
+    this.manual = options.manual || false; // Caller drives scheduleUntil() (offline render)
+    this.voices = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start a repeating grain voice
+   * @param {Function} callback - Plays one grain at `when`, returns the interval to the next grain
+   * @param {number} startTime - Audio-clock time of the first grain (default: now)
+   * @returns {GrainVoice}
+   */
+  schedule(callback, startTime = this.ctx.currentTime) {
+    const voice = new GrainVoice(this, callback, startTime);
+    this.voices.add(voice);
+
+    // Queue the first grains immediately instead of waiting for the next tick
+    this.scheduleVoice(voice, this.ctx.currentTime + this.lookahead);
+    this.startTimer();
+
+    return voice;
+  }
+
+  remove(voice) {
+    voice.isActive = false;
+    this.voices.delete(voice);
+
+    if (this.voices.size === 0) {
+      this.stopTimer();
+    }
+  }
+
+  startTimer() {
+    if (this.manual || this.timer || this.voices.size === 0) return;
+    this.timer = setInterval(() => this.tick(), this.interval);
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  tick() {
+    this.scheduleUntil(this.ctx.currentTime + this.lookahead);
+  }
+
+  /**
+   * Queue every grain due before the horizon
+   * (also used to pre-schedule a whole OfflineAudioContext render)
+   * @param {number} horizon - Audio-clock time to schedule up to
+   */
+  scheduleUntil(horizon) {
+    this.voices.forEach(voice => this.scheduleVoice(voice, horizon));
+  }
+
+  scheduleVoice(voice, horizon) {
+    // If the timer stalled (background tab), skip missed grains instead of bursting them
+    const now = this.ctx.currentTime;
+    if (voice.nextTime < now) {
+      voice.nextTime = now;
+    }
+
+    while (voice.isActive && voice.nextTime < horizon) {
+      const nextInterval = voice.callback(voice.nextTime);
+
+      if (!nextInterval || nextInterval <= 0) {
+        this.remove(voice);
+        return;
+      }
+
+      voice.nextTime += nextInterval;
+    }
+  }
+
+  cleanup() {
+    this.voices.forEach(voice => { voice.isActive = false; });
+    this.voices.clear();
+    this.stopTimer();
+  }
+}
+
+/**
+ * Get the shared scheduler for an audio context
+ * @param {BaseAudioContext} audioContext
+ * @returns {GrainScheduler}
+ */
+export function getGrainScheduler(audioContext) {
+  let scheduler = schedulers.get(audioContext);
+  if (!scheduler) {
+    const isOffline = typeof OfflineAudioContext !== 'undefined' &&
+      audioContext instanceof OfflineAudioContext;
+    scheduler = new GrainScheduler(audioContext, { manual: isOffline });
+    schedulers.set(audioContext, scheduler);
+  }
+  return scheduler;
+}
+
+export default GrainScheduler;
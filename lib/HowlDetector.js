@@ -0,0 +1,433 @@
+/**
+ * HowlDetector - Acoustic feedback (howl) detection and suppression
+ * When the speakers and the mic share a room, a frequency the room reinforces
+ * can run away around speaker → mic → FeedbackNetwork → speaker. A howl looks
+ * different from playing: one narrow spectral peak, standing well above its
+ * neighbours, that holds its frequency and keeps getting louder frame after
+ * frame. The detector tracks such peaks on the input and, once one qualifies:
+ *   notch - drops a narrow peaking cut on it in the input chain (deepened if it
+ *           keeps rising; released slowly once the room is quiet again)
+ *   duck  - pulls the FeedbackNetwork's feedback gain down, recovering gradually
+ * Every detection is logged as an event for the UI. Only a microphone can howl,
+ * so the detector stays idle (and transparent) until listening is switched on
+ * for mic input.
+ */
+
+// Blackman coherent gain: a full-scale sine's bin reads this far below 0 dB
+const PEAK_CALIBRATION_DB = -20 * Math.log10(0.42 / 2);
+
+const FFT_SIZE = 8192; // ~6 Hz bins, fine enough to notch between harmonics
+const FRAME_INTERVAL = 50; // ms between analysis frames
+const MIN_FREQUENCY = 80; // Hz
+const MAX_FREQUENCY = 12000;
+const MIN_LEVEL_DB = -60; // dBFS; quieter peaks can't be howling yet
+const NEIGHBOUR_NEAR = 6; // Bins either side skipped (the peak's own main lobe)
+const NEIGHBOUR_FAR = 40; // Bins either side the background level comes from
+const MAX_CANDIDATES = 8; // Most prominent peaks tracked per frame
+const TRACK_TOLERANCE = 2; // Bins a tracked peak may drift between frames
+const TRACK_MISSES = 2; // Frames a track survives without its peak
+const TRACK_HISTORY = 16; // Levels kept per track (for the rise estimate)
+const RETRIGGER_TIME = 0.5; // s before a flagged peak that keeps rising acts again
+const HOWLING_WINDOW = 2; // s a detection keeps the howling flag up
+
+const NOTCH_COUNT = 6;
+const NOTCH_Q = 30;
+const NOTCH_START = 12; // dB of the first cut
+const NOTCH_STEP = 6; // dB deeper each time the same howl comes back
+const NOTCH_MAX = 30;
+const NOTCH_MATCH = 1 / 24; // Octaves: howls this close share a notch
+const NOTCH_HOLD = 30; // s a notch stays at full depth after its last hit
+const NOTCH_RELEASE = 1; // dB/s a notch relaxes by after the hold
+
+const DUCK_STEP = 6; // dB of feedback gain removed per detection
+const DUCK_MAX = 30;
+const DUCK_HOLD = 1; // s before the ducking starts to recover
+const DUCK_RECOVERY = 3; // dB/s
+
+const MAX_EVENTS = 12;
+
+// What the detector does when it hears a howl
+export const HOWL_ACTIONS = {
+  notch: { label: 'Notch filters', notch: true, duck: false },
+  duck: { label: 'Duck feedback', notch: false, duck: true },
+  both: { label: 'Notch + duck', notch: true, duck: true },
+  detect: { label: 'Detect only', notch: false, duck: false },
+  off: { label: 'Off', notch: false, duck: false }
+};
+
+const dbToGain = db => Math.pow(10, db / 20);
+
+/**
+ * Least-squares slope of a level history
+ * @param {Array<number>} levels - dB, one per frame
+ * @returns {number} dB per frame
+ */
+function slope(levels) {
+  const n = levels.length;
+  const meanX = (n - 1) / 2;
+  const meanY = levels.reduce((sum, db) => sum + db, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - meanX) * (levels[i] - meanY);
+    den += (i - meanX) * (i - meanX);
+  }
+  return den > 0 ? num / den : 0;
+}
+
+class HowlDetector {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {object} options - { action (see HOWL_ACTIONS), sensitivity (0-1) }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.action = options.action || 'notch';
+    this.sensitivity = options.sensitivity !== undefined ? options.sensitivity : 0.5;
+    this.listening = false; // Only while the input is a microphone (see setListening)
+
+    // Notch chain, always in line; a free notch is a 0 dB peaking filter (transparent)
+    this.input = this.ctx.createGain();
+    this.output = this.ctx.createGain();
+    this.notches = [];
+    let previous = this.input;
+    for (let i = 0; i < NOTCH_COUNT; i++) {
+      const filter = this.ctx.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.Q.value = NOTCH_Q;
+      filter.gain.value = 0;
+      previous.connect(filter);
+      previous = filter;
+      this.notches.push({ filter, frequency: 0, depth: 0, lastHit: -Infinity });
+    }
+    previous.connect(this.output);
+
+    // Analysis tap (connect the signal after the notches, so a cut that isn't
+    // deep enough shows up as the same howl still rising)
+    this.analyser = this.ctx.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+    this.analyser.smoothingTimeConstant = 0;
+    this.spectrumDb = new Float32Array(this.analyser.frequencyBinCount);
+    this.binWidth = this.ctx.sampleRate / FFT_SIZE;
+
+    this.tracks = [];
+    this.events = [];
+    this.nextEventId = 1;
+    this.duckTarget = null; // FeedbackNetwork
+    this.duckDb = 0;
+    this.lastDuck = -Infinity;
+    this.lastFrame = null;
+    this.timer = null;
+  }
+
+  /** Start analysing (one frame every FRAME_INTERVAL ms) */
+  start() {
+    if (this.timer) return;
+    this.lastFrame = this.ctx.currentTime;
+    this.timer = setInterval(() => this.update(), FRAME_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @param {FeedbackNetwork|null} feedbackNetwork - Whose feedback gain ducking pulls down
+   */
+  setDuckTarget(feedbackNetwork) {
+    this.duckTarget = feedbackNetwork;
+    this.applyDuck();
+  }
+
+  /**
+   * @param {object} settings - { action, sensitivity } (any subset)
+   */
+  setSettings(settings) {
+    if (settings.action !== undefined && HOWL_ACTIONS[settings.action]) {
+      this.action = settings.action;
+    }
+    if (settings.sensitivity !== undefined) {
+      this.sensitivity = Math.max(0, Math.min(1, settings.sensitivity));
+    }
+
+    // Suppression the new action doesn't use is lifted straight away
+    const action = HOWL_ACTIONS[this.action];
+    if (!action.notch) this.clearNotches();
+    if (!action.duck) {
+      this.duckDb = 0;
+      this.applyDuck();
+    }
+    if (this.action === 'off') this.tracks = [];
+  }
+
+  getSettings() {
+    return { action: this.action, sensitivity: this.sensitivity };
+  }
+
+  /**
+   * Listen for howls or not (files and other non-mic sources can't feed back);
+   * stopping lifts any suppression in place
+   * @param {boolean} listening
+   */
+  setListening(listening) {
+    if (this.listening === listening) return;
+    this.listening = listening;
+    if (!listening) {
+      this.clearNotches();
+      this.duckDb = 0;
+      this.applyDuck();
+      this.tracks = [];
+    }
+  }
+
+  /**
+   * One analysis frame: find narrow peaks, follow them, act on howls and
+   * relax notches and ducking that are no longer needed
+   */
+  update() {
+    const now = this.ctx.currentTime;
+    const elapsed = this.lastFrame === null ? 0 : Math.max(0, now - this.lastFrame);
+    this.lastFrame = now;
+
+    if (this.listening && this.action !== 'off' && this.ctx.state === 'running') {
+      this.analyser.getFloatFrequencyData(this.spectrumDb);
+      this.followPeaks(this.findPeaks());
+      this.tracks.forEach(track => {
+        if (this.isHowling(track, now)) {
+          this.respond(track, now);
+        }
+      });
+    }
+
+    this.release(now, elapsed);
+  }
+
+  /**
+   * Local maxima that stand out from their surroundings
+   * @returns {Array<object>} { bin, frequency, level (dBFS), prominence (dB) }
+   */
+  findPeaks() {
+    const spectrum = this.spectrumDb;
+    const first = Math.max(NEIGHBOUR_FAR, Math.ceil(MIN_FREQUENCY / this.binWidth));
+    const last = Math.min(spectrum.length - NEIGHBOUR_FAR - 1, Math.floor(MAX_FREQUENCY / this.binWidth));
+    const minProminence = this.thresholds().prominence;
+    const peaks = [];
+
+    for (let bin = first; bin <= last; bin++) {
+      const db = spectrum[bin];
+      const level = db + PEAK_CALIBRATION_DB;
+      if (level < MIN_LEVEL_DB) continue;
+      if (db < spectrum[bin - 1] || db < spectrum[bin + 1] || db < spectrum[bin - 2] || db < spectrum[bin + 2]) continue;
+
+      // Background: mean power of the bins around the peak, outside its main lobe
+      let power = 0;
+      for (let offset = NEIGHBOUR_NEAR; offset <= NEIGHBOUR_FAR; offset++) {
+        power += Math.pow(10, spectrum[bin - offset] / 10) + Math.pow(10, spectrum[bin + offset] / 10);
+      }
+      const background = 10 * Math.log10(power / ((NEIGHBOUR_FAR - NEIGHBOUR_NEAR + 1) * 2) || 1e-20);
+      const prominence = db - background;
+      if (prominence < minProminence) continue;
+
+      // Parabolic interpolation for the frequency between bins
+      const a = spectrum[bin - 1];
+      const c = spectrum[bin + 1];
+      const denominator = a - 2 * db + c;
+      const shift = denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+
+      peaks.push({ bin, frequency: (bin + shift) * this.binWidth, level, prominence });
+    }
+
+    return peaks.sort((a, b) => b.prominence - a.prominence).slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Match this frame's peaks to the tracks from earlier frames
+   * @param {Array<object>} peaks - From findPeaks()
+   */
+  followPeaks(peaks) {
+    const matched = new Set();
+
+    this.tracks.forEach(track => {
+      const peak = peaks.find(p => !matched.has(p) && Math.abs(p.bin - track.bin) <= TRACK_TOLERANCE);
+      if (peak) {
+        matched.add(peak);
+        track.bin = peak.bin;
+        track.frequency = peak.frequency;
+        track.prominence = peak.prominence;
+        track.levels.push(peak.level);
+        if (track.levels.length > TRACK_HISTORY) track.levels.shift();
+        track.frames++;
+        track.misses = 0;
+      } else {
+        track.misses++;
+      }
+    });
+    this.tracks = this.tracks.filter(track => track.misses <= TRACK_MISSES);
+
+    peaks.forEach(peak => {
+      if (!matched.has(peak)) {
+        this.tracks.push({
+          bin: peak.bin,
+          frequency: peak.frequency,
+          prominence: peak.prominence,
+          levels: [peak.level],
+          frames: 1,
+          misses: 0,
+          lastTrigger: -Infinity
+        });
+      }
+    });
+  }
+
+  /**
+   * Detection thresholds for the current sensitivity
+   * @returns {object} { prominence (dB), frames, rise (dB/s) }
+   */
+  thresholds() {
+    const s = this.sensitivity;
+    return {
+      prominence: 30 - s * 20,
+      frames: Math.round(12 - s * 8),
+      rise: 9 - s * 6
+    };
+  }
+
+  /**
+   * Narrow (found as a peak at all), sustained and rising
+   */
+  isHowling(track, now) {
+    if (track.misses > 0 || now - track.lastTrigger < RETRIGGER_TIME) return false;
+
+    const { frames, rise } = this.thresholds();
+    if (track.frames < frames) return false;
+
+    const recent = track.levels.slice(-frames);
+    const risePerSecond = slope(recent) * 1000 / FRAME_INTERVAL;
+    return risePerSecond >= rise;
+  }
+
+  respond(track, now) {
+    const action = HOWL_ACTIONS[this.action];
+    const level = track.levels[track.levels.length - 1];
+    let result = 'detected';
+
+    track.lastTrigger = now;
+
+    if (action.notch) {
+      result = this.placeNotch(track.frequency, now);
+    }
+    if (action.duck) {
+      this.duckDb = Math.min(DUCK_MAX, this.duckDb + DUCK_STEP);
+      this.lastDuck = now;
+      this.applyDuck();
+      result = action.notch ? `${result}, feedback -${this.duckDb} dB` : `feedback -${this.duckDb} dB`;
+    }
+
+    this.events.unshift({
+      id: this.nextEventId++,
+      time: Date.now(),
+      frequency: track.frequency,
+      level,
+      result
+    });
+    if (this.events.length > MAX_EVENTS) this.events.pop();
+  }
+
+  /**
+   * Cut a howl: deepen the notch already near it, or take a free (else the stalest) one
+   * @returns {string} What was done, for the event log
+   */
+  placeNotch(frequency, now) {
+    let notch = this.notches.find(n => n.depth > 0 && Math.abs(Math.log2(frequency / n.frequency)) < NOTCH_MATCH);
+
+    if (notch) {
+      notch.depth = Math.min(NOTCH_MAX, notch.depth + NOTCH_STEP);
+    } else {
+      notch = this.notches.find(n => n.depth === 0) ||
+        this.notches.reduce((oldest, n) => (n.lastHit < oldest.lastHit ? n : oldest));
+      notch.frequency = frequency;
+      notch.depth = NOTCH_START;
+      notch.filter.frequency.setValueAtTime(frequency, now);
+    }
+
+    notch.lastHit = now;
+    notch.filter.gain.setTargetAtTime(-notch.depth, now, 0.01);
+    return `notch -${notch.depth} dB`;
+  }
+
+  /**
+   * Relax notches past their hold time and let ducked feedback recover
+   */
+  release(now, elapsed) {
+    this.notches.forEach(notch => {
+      if (notch.depth > 0 && now - notch.lastHit > NOTCH_HOLD) {
+        notch.depth = Math.max(0, notch.depth - NOTCH_RELEASE * elapsed);
+        notch.filter.gain.setTargetAtTime(-notch.depth, now, 0.05);
+      }
+    });
+
+    if (this.duckDb > 0 && now - this.lastDuck > DUCK_HOLD) {
+      this.duckDb = Math.max(0, this.duckDb - DUCK_RECOVERY * elapsed);
+      this.applyDuck();
+    }
+  }
+
+  applyDuck() {
+    if (this.duckTarget) {
+      this.duckTarget.setDuck(dbToGain(-this.duckDb));
+    }
+  }
+
+  clearNotches() {
+    const now = this.ctx.currentTime;
+    this.notches.forEach(notch => {
+      notch.depth = 0;
+      notch.lastHit = -Infinity;
+      notch.filter.gain.setTargetAtTime(0, now, 0.05);
+    });
+  }
+
+  /** Lift every notch and the ducking, and forget past events */
+  clear() {
+    this.clearNotches();
+    this.duckDb = 0;
+    this.applyDuck();
+    this.tracks = [];
+    this.events = [];
+  }
+
+  /**
+   * @returns {object} { action, sensitivity, listening, howling, notches: [{ frequency, depth }],
+   *   duck (dB), events: [{ id, time, frequency, level, result }] } newest event first
+   */
+  getState() {
+    const now = this.ctx.currentTime;
+    return {
+      ...this.getSettings(),
+      listening: this.listening,
+      howling: this.tracks.some(track => now - track.lastTrigger < HOWLING_WINDOW),
+      notches: this.notches
+        .filter(notch => notch.depth > 0)
+        .map(notch => ({ frequency: notch.frequency, depth: notch.depth })),
+      duck: this.duckDb,
+      events: this.events.slice()
+    };
+  }
+
+  disconnect() {
+    this.stop();
+    if (this.duckTarget) {
+      this.duckTarget.setDuck(1);
+      this.duckTarget = null;
+    }
+    this.input.disconnect();
+    this.notches.forEach(notch => notch.filter.disconnect());
+    this.output.disconnect();
+    this.analyser.disconnect();
+  }
+}
+
+export default HowlDetector;
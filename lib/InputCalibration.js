@@ -0,0 +1,231 @@
+/**
+ * InputCalibration - Two-step input calibration and the profile it produces
+ * 1. Silence: a few seconds of room noise give the noise floor of every band.
+ * 2. Playing: a few seconds of typical playing give the level the input gain is
+ *    set from, and how far above the noise the bands usually get.
+ * The profile is stored in localStorage and handed to AudioEngine, which applies
+ * the gain and gates band energies at the noise floor; visualizers read their
+ * spawn thresholds from it (see calibratedThreshold). Cancelling a measurement
+ * resolves it with null.
+ */
+
+import { dbToEnergy } from './BandMeter.js';
+
+const STORAGE_KEY = 'chiaroscuro-calibration';
+const PROFILE_VERSION = 1;
+
+const SAMPLE_INTERVAL = 50; // ms between level readings
+const TARGET_RMS_DB = -20; // Playing RMS the input gain aims for (dBFS)
+const GATE_MARGIN_DB = 6; // Gate this far above the measured noise
+const MIN_GAIN = 0.1; // Same range as the input gain control
+const MAX_GAIN = 3;
+
+// Spawn threshold without a profile (GenerativeAudioVisualizer's default)
+export const DEFAULT_SPAWN_THRESHOLD = 0.15;
+
+const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Average a list of dB readings in the power domain
+ * @param {Array<number>} readings - dBFS
+ * @returns {number} dBFS
+ */
+function averageDb(readings) {
+  const finite = readings.filter(db => db > -Infinity);
+  if (finite.length === 0) return -Infinity;
+  const power = finite.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / finite.length;
+  return 10 * Math.log10(power);
+}
+
+class InputCalibrator {
+  /**
+   * @param {AudioEngine} audioEngine - Initialized and running
+   */
+  constructor(audioEngine) {
+    this.audioEngine = audioEngine;
+    this.noise = null; // { bandDb, rmsDb }
+    this.playing = null;
+    this.timer = null;
+    this.pendingResolve = null;
+  }
+
+  /**
+   * Step 1: record the noise floor (the room should be quiet)
+   * @param {number} seconds
+   * @param {function} onProgress - Called with 0-1
+   */
+  async measureNoise(seconds = 3, onProgress = () => {}) {
+    this.noise = await this.measure(seconds, onProgress);
+    return this.noise;
+  }
+
+  /**
+   * Step 2: record typical playing
+   * @param {number} seconds
+   * @param {function} onProgress - Called with 0-1
+   */
+  async measurePlaying(seconds = 5, onProgress = () => {}) {
+    this.playing = await this.measure(seconds, onProgress);
+    return this.playing;
+  }
+
+  /**
+   * Collect band levels (dBFS, ungated) and input RMS for a while
+   * @returns {Promise<object|null>} { bandDb, rmsDb } averaged over the window (null if cancelled)
+   */
+  measure(seconds, onProgress) {
+    const engine = this.audioEngine;
+    const bandReadings = engine.getBands().map(() => []);
+    const rmsReadings = [];
+    const start = Date.now();
+
+    this.cancel();
+
+    return new Promise(resolve => {
+      this.pendingResolve = resolve;
+
+      this.timer = setInterval(() => {
+        engine.getBandEnergies(); // Advance the meter
+        const levels = engine.getBandLevels('input');
+        if (levels) {
+          levels.levels.forEach((db, i) => {
+            if (bandReadings[i]) bandReadings[i].push(db);
+          });
+        }
+        rmsReadings.push(toDb(engine.getFeatures().rms));
+
+        const progress = Math.min(1, (Date.now() - start) / (seconds * 1000));
+        onProgress(progress);
+
+        if (progress >= 1) {
+          this.stopTimer();
+          this.pendingResolve = null;
+          resolve({
+            bandDb: bandReadings.map(averageDb),
+            rmsDb: averageDb(rmsReadings)
+          });
+        }
+      }, SAMPLE_INTERVAL);
+    });
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /** Abort a measurement in progress (it resolves with null) */
+  cancel() {
+    this.stopTimer();
+    if (this.pendingResolve) {
+      this.pendingResolve(null);
+      this.pendingResolve = null;
+    }
+  }
+
+  /**
+   * Turn both measurements into a profile
+   * @returns {object} Profile for AudioEngine.setCalibrationProfile()
+   */
+  buildProfile() {
+    if (!this.noise || !this.playing) {
+      throw new Error('Measure the noise floor and some playing first');
+    }
+
+    const engine = this.audioEngine;
+    const currentGain = engine.getInputGain();
+
+    // Gain that puts typical playing at the target level
+    let inputGain = currentGain;
+    if (this.playing.rmsDb > -Infinity) {
+      const correction = Math.pow(10, (TARGET_RMS_DB - this.playing.rmsDb) / 20);
+      inputGain = Math.max(MIN_GAIN, Math.min(MAX_GAIN, currentGain * correction));
+    }
+    const gainChangeDb = toDb(inputGain / currentGain);
+
+    // Levels as they will read at the new gain
+    const noiseDb = this.noise.bandDb.map(db => db + gainChangeDb);
+    const playingDb = this.playing.bandDb.map(db => db + gainChangeDb);
+    const gateDb = noiseDb.map(db => (db > -Infinity ? db + GATE_MARGIN_DB : -Infinity));
+
+    // Spawn threshold: a third of the way from the gate to typical playing,
+    // on the gated energy scale the visualizers see
+    const headroom = playingDb.map((db, i) => {
+      const gate = dbToEnergy(gateDb[i]);
+      const level = dbToEnergy(db);
+      return gate < 1 ? Math.max(0, (level - gate) / (1 - gate)) : 0;
+    });
+    const typical = headroom.reduce((sum, value) => sum + value, 0) / headroom.length;
+    const spawnThreshold = Math.max(0.03, Math.min(0.3, typical / 3));
+
+    return {
+      version: PROFILE_VERSION,
+      createdAt: new Date().toISOString(),
+      bands: engine.getBands().map(band => ({ min: band.min, max: band.max })),
+      inputGain,
+      noiseFloorDb: noiseDb,
+      playingLevelDb: playingDb,
+      gateDb,
+      spawnThreshold
+    };
+  }
+}
+
+/**
+ * An energy threshold for the calibrated input: the default scaled by how the
+ * profile's spawn threshold compares with DEFAULT_SPAWN_THRESHOLD
+ * @param {object|null} profile - null for the default
+ * @param {number} defaultThreshold
+ * @returns {number}
+ */
+export function calibratedThreshold(profile, defaultThreshold) {
+  return profile ? defaultThreshold * profile.spawnThreshold / DEFAULT_SPAWN_THRESHOLD : defaultThreshold;
+}
+
+/**
+ * Does a profile's band layout match a band set?
+ * @param {object} profile
+ * @param {Array<object>} bands
+ * @returns {boolean}
+ */
+export function profileMatchesBands(profile, bands) {
+  return !!profile && profile.bands.length === bands.length &&
+    profile.bands.every((band, i) => band.min === bands[i].min && band.max === bands[i].max);
+}
+
+/**
+ * @returns {object|null} Stored profile, if any
+ */
+export function loadCalibrationProfile() {
+  if (typeof window === 'undefined' || !window.localStorage) return null;
+
+  try {
+    const profile = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!profile || profile.version !== PROFILE_VERSION) return null;
+    // JSON has no -Infinity (stored as null)
+    ['noiseFloorDb', 'playingLevelDb', 'gateDb'].forEach(key => {
+      profile[key] = profile[key].map(db => (db === null ? -Infinity : db));
+    });
+    return profile;
+  } catch (err) {
+    console.error('Failed to read calibration profile:', err);
+    return null;
+  }
+}
+
+/**
+ * @param {object|null} profile - null removes the stored profile
+ */
+export function saveCalibrationProfile(profile) {
+  if (typeof window === 'undefined' || !window.localStorage) return;
+
+  if (profile) {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } else {
+    window.localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+export default InputCalibrator;
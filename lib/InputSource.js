@@ -0,0 +1,201 @@
+/**
+ * InputSource - Pluggable signal sources feeding AudioEngine
+ * Every source has the same shape so the engine never cares where audio comes from:
+ *   connect(audioContext, destination) - async, starts feeding destination
+ *   disconnect()                       - stops feeding and releases resources
+ *   describe()                         - short label for logs and UI
+ */
+
+function isAudioBuffer(data) {
+  return typeof AudioBuffer !== 'undefined' && data instanceof AudioBuffer;
+}
+
+class MediaStreamInput {
+  /**
+   * @param {MediaStream} stream - Live stream (microphone, WebRTC, capture...)
+   * @param {object} options - { stopTracksOnDisconnect }
+   */
+  constructor(stream, options = {}) {
+    this.type = 'stream';
+    this.stream = stream;
+    this.stopTracksOnDisconnect = options.stopTracksOnDisconnect || false;
+    this.node = null;
+  }
+
+  async connect(audioContext, destination) {
+    this.node = audioContext.createMediaStreamSource(this.stream);
+    this.node.connect(destination);
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.disconnect();
+      this.node = null;
+    }
+
+    if (this.stopTracksOnDisconnect) {
+      this.stream.getTracks().forEach(track => track.stop());
+    }
+  }
+
+  describe() {
+    const track = this.stream.getAudioTracks()[0];
+    return track ? track.label || 'Audio stream' : 'Audio stream';
+  }
+}
+
+class AudioFileInput {
+  /**
+   * @param {File|Blob|ArrayBuffer|AudioBuffer} data - Encoded file or already-decoded buffer
+   * @param {object} options - { loop, loopStart, loopEnd, name }
+   */
+  constructor(data, options = {}) {
+    this.type = 'file';
+    this.data = data;
+    this.name = options.name || (data && data.name) || 'Audio file';
+    this.loop = options.loop !== undefined ? options.loop : true;
+    this.loopStart = options.loopStart || 0;
+    this.loopEnd = options.loopEnd || 0; // 0 = end of buffer
+
+    this.buffer = isAudioBuffer(data) ? data : null; // Decoded audio
+    this.ctx = null;
+    this.destination = null;
+    this.node = null;
+  }
+
+  /**
+   * Decode the file into an AudioBuffer (once)
+   * @param {BaseAudioContext} audioContext
+   * @returns {Promise<AudioBuffer>}
+   */
+  async decode(audioContext) {
+    if (this.buffer) return this.buffer;
+
+    let arrayBuffer;
+    if (this.data instanceof ArrayBuffer) {
+      // decodeAudioData detaches its argument - keep the caller's copy usable
+      arrayBuffer = this.data.slice(0);
+    } else if (this.data && typeof this.data.arrayBuffer === 'function') {
+      arrayBuffer = await this.data.arrayBuffer();
+    } else {
+      throw new Error('Unsupported audio file input');
+    }
+
+    this.buffer = await audioContext.decodeAudioData(arrayBuffer);
+    console.log(`Decoded ${this.name}: ${this.buffer.duration.toFixed(2)}s, ${this.buffer.numberOfChannels}ch @ ${this.buffer.sampleRate}Hz`);
+    return this.buffer;
+  }
+
+  async connect(audioContext, destination) {
+    this.ctx = audioContext;
+    this.destination = destination;
+    await this.decode(audioContext);
+    this.play();
+  }
+
+  /**
+   * (Re)start playback from the beginning
+   */
+  play() {
+    if (!this.ctx || !this.buffer) return;
+
+    this.stop();
+
+    this.node = this.ctx.createBufferSource();
+    this.node.buffer = this.buffer;
+    this.node.loop = this.loop;
+    this.node.loopStart = this.loopStart;
+    this.node.loopEnd = this.loopEnd;
+    this.node.connect(this.destination);
+    this.node.start();
+  }
+
+  stop() {
+    if (this.node) {
+      try { this.node.stop(); } catch (e) {}
+      this.node.disconnect();
+      this.node = null;
+    }
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+    if (this.node) {
+      this.node.loop = loop;
+    }
+  }
+
+  disconnect() {
+    this.stop();
+  }
+
+  describe() {
+    return this.name;
+  }
+}
+
+class AudioNodeInput {
+  /**
+   * @param {AudioNode} node - Any node the host already feeds (must share the engine's context)
+   */
+  constructor(node) {
+    this.type = 'node';
+    this.node = node;
+    this.destination = null;
+  }
+
+  async connect(audioContext, destination) {
+    if (this.node.context !== audioContext) {
+      throw new Error('AudioNode input must belong to the engine AudioContext');
+    }
+
+    this.destination = destination;
+    this.node.connect(destination);
+  }
+
+  disconnect() {
+    if (this.destination) {
+      try { this.node.disconnect(this.destination); } catch (e) {}
+      this.destination = null;
+    }
+  }
+
+  describe() {
+    return this.node.constructor.name;
+  }
+}
+
+/**
+ * Wrap anything the host passes in as an input source
+ * @param {MediaStream|AudioNode|AudioBuffer|ArrayBuffer|File|Blob|object} input
+ * @param {object} options - Passed to the source constructor
+ * @returns {MediaStreamInput|AudioFileInput|AudioNodeInput}
+ */
+export function createInputSource(input, options = {}) {
+  if (!input) {
+    throw new Error('No input source given');
+  }
+
+  // Already an input source
+  if (typeof input.connect === 'function' && typeof input.describe === 'function') {
+    return input;
+  }
+
+  if (typeof MediaStream !== 'undefined' && input instanceof MediaStream) {
+    return new MediaStreamInput(input, options);
+  }
+
+  if (typeof AudioNode !== 'undefined' && input instanceof AudioNode) {
+    return new AudioNodeInput(input);
+  }
+
+  if (input instanceof ArrayBuffer || isAudioBuffer(input) ||
+      (typeof Blob !== 'undefined' && input instanceof Blob)) {
+    return new AudioFileInput(input, options);
+  }
+
+  throw new Error('Unsupported input source');
+}
+
+export { MediaStreamInput, AudioFileInput, AudioNodeInput };
+export default createInputSource;
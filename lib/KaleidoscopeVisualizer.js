@@ -3,8 +3,10 @@
  * Creates continuous morphing patterns with symmetry, not discrete objects
  */
 
+import { FREQUENCY_BANDS, averageEnergyInRange } from './FrequencyBands.js';
+
 class KaleidoscopeVisualizer {
-  constructor(width, height) {
+  constructor(width, height, bands = FREQUENCY_BANDS) {
     this.width = width;
     this.height = height;
     this.centerX = width / 2;
@@ -21,7 +23,8 @@ class KaleidoscopeVisualizer {
     this.flowSpeed = 0.5;
 
     // Audio-reactive state
-    this.frequencyBands = new Array(24).fill(0);
+    this.bands = bands; // Band set the energies passed to update() belong to
+    this.frequencyBands = new Array(bands.length).fill(0);
     this.energyHistory = [];
     this.maxHistory = 60; // 1 second at 60fps
 
@@ -70,11 +73,25 @@ class KaleidoscopeVisualizer {
     ) / 1.75;
   }
 
-  update(bandEnergies) {
+  /**
+   * Band set the energies belong to; callers pass AudioEngine.getBands() on
+   * mount and whenever the engine's band set changes
+   * @param {Array<object>} bands
+   */
+  setBands(bands) {
+    this.bands = bands;
+    this.frequencyBands = new Array(bands.length).fill(0);
+  }
+
+  /**
+   * @param {Array<number>} bandEnergies - One energy (0-1) per band
+   * @param {object} features - AudioEngine.getFeatures() for this frame (optional)
+   */
+  update(bandEnergies, features = null) {
     this.time += 0.016;
 
     // Store frequency data
-    if (bandEnergies && bandEnergies.length >= 24) {
+    if (bandEnergies && bandEnergies.length === this.bands.length) {
       this.frequencyBands = bandEnergies;
 
       // Calculate overall energy
@@ -86,9 +103,9 @@ class KaleidoscopeVisualizer {
       }
 
       // Derive parameters from audio
-      const bass = bandEnergies.slice(0, 4).reduce((a, b) => a + b, 0) / 4;
-      const mid = bandEnergies.slice(8, 16).reduce((a, b) => a + b, 0) / 8;
-      const high = bandEnergies.slice(20, 24).reduce((a, b) => a + b, 0) / 4;
+      const bass = averageEnergyInRange(bandEnergies, this.bands, 0, 250);
+      const mid = averageEnergyInRange(bandEnergies, this.bands, 750, 3000);
+      const high = averageEnergyInRange(bandEnergies, this.bands, 7000);
 
       // Bass affects rotation
       this.rotationSpeed = 0.001 + bass * 0.01;
@@ -99,8 +116,9 @@ class KaleidoscopeVisualizer {
       // Highs affect saturation
       this.saturation = 50 + high * 50;
 
-      // Vary symmetry based on energy patterns
-      if (totalEnergy > 0.7 && Math.random() < 0.01) {
+      // Vary symmetry on loud onsets
+      const hit = features ? features.onset : Math.random() < 0.01;
+      if (totalEnergy > 0.7 && hit) {
         this.symmetry = [6, 8, 12, 16][Math.floor(Math.random() * 4)];
       }
     }
@@ -128,7 +146,7 @@ class KaleidoscopeVisualizer {
         const noiseVal = this.noise(x, y, this.time);
 
         // Combine circular flow with noise and audio
-        const audioInfluence = this.frequencyBands[Math.floor((angle + Math.PI) / (Math.PI * 2) * 24)] || 0;
+        const audioInfluence = this.frequencyBands[Math.floor((angle + Math.PI) / (Math.PI * 2) * this.frequencyBands.length)] || 0;
 
         const flowAngle = angle + noiseVal * Math.PI + audioInfluence * Math.PI * 0.5;
         const flowMag = 0.5 + noiseVal * 0.5 + audioInfluence;
@@ -308,9 +326,9 @@ class KaleidoscopeVisualizer {
   handleClick(x, y) {
     // Create a burst of energy at this frequency band
     const angle = Math.atan2(y - this.centerY, x - this.centerX);
-    const bandIndex = Math.floor(((angle + Math.PI) / (Math.PI * 2)) * 24);
+    const bandIndex = Math.floor(((angle + Math.PI) / (Math.PI * 2)) * this.frequencyBands.length);
 
-    if (bandIndex >= 0 && bandIndex < 24) {
+    if (bandIndex >= 0 && bandIndex < this.frequencyBands.length) {
       this.frequencyBands[bandIndex] = Math.min(1, this.frequencyBands[bandIndex] + 0.5);
     }
   }
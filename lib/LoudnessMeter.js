@@ -0,0 +1,332 @@
+/**
+ * LoudnessMeter - ITU-R BS.1770 / EBU R128 loudness and true-peak meter
+ * An AudioWorklet tap K-weights the signal (high shelf + RLB highpass) and
+ * keeps 100 ms mean-square blocks, from which it reports every 100 ms:
+ *   momentary  - LUFS over the last 400 ms
+ *   shortTerm  - LUFS over the last 3 s
+ *   integrated - gated LUFS since the last reset (-70 LUFS absolute gate,
+ *                then -10 LU below the ungated level)
+ *   truePeak   - dBTP of the last 100 ms, from 4x oversampled samples
+ *   maxTruePeak - highest dBTP since the last reset
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-loudness';
+
+// Common streaming / broadcast targets (integrated LUFS, true-peak ceiling dBTP)
+export const LOUDNESS_TARGETS = {
+  streaming: { label: 'Streaming (-14 LUFS, -1 dBTP)', integrated: -14, truePeak: -1 },
+  apple: { label: 'Apple Music (-16 LUFS, -1 dBTP)', integrated: -16, truePeak: -1 },
+  podcast: { label: 'Podcast (-16 LUFS, -1 dBTP)', integrated: -16, truePeak: -1 },
+  broadcast: { label: 'EBU R128 broadcast (-23 LUFS, -1 dBTP)', integrated: -23, truePeak: -1 }
+};
+
+// Sinc taps per true-peak phase (the detector lags TRUE_PEAK_TAPS / 2 samples)
+export const TRUE_PEAK_TAPS = 12;
+
+/**
+ * True-peak estimator shared by worklets (interpolated into their sources)
+ * 4x oversampling with a Hann-windowed sinc, TRUE_PEAK_TAPS taps per phase;
+ * phase 0 is the sample itself, so only the three in-between phases are computed.
+ */
+export const TRUE_PEAK_SOURCE = `
+const TP_TAPS = ${TRUE_PEAK_TAPS};
+const TP_PHASES = 4;
+const TP_KERNEL = [];
+for (let p = 1; p < TP_PHASES; p++) {
+  const kernel = new Float32Array(TP_TAPS);
+  for (let j = 0; j < TP_TAPS; j++) {
+    const t = j - TP_TAPS / 2 + p / TP_PHASES;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    kernel[j] = sinc * 0.5 * (1 + Math.cos(Math.PI * t / (TP_TAPS / 2 + 0.5)));
+  }
+  TP_KERNEL.push(kernel);
+}
+
+class TruePeakDetector {
+  constructor() {
+    this.history = new Float32Array(TP_TAPS * 2); // Doubled so a window never wraps
+    this.index = 0;
+  }
+
+  /**
+   * Push one sample; returns the largest absolute value among the newest
+   * sample and the interpolated points just before the middle of the window
+   */
+  push(x) {
+    this.history[this.index] = x;
+    this.history[this.index + TP_TAPS] = x;
+    this.index = (this.index + 1) % TP_TAPS;
+
+    // history[start + j] is x[n - (TP_TAPS - 1) + j]
+    const start = this.index;
+    let peak = Math.abs(x);
+    for (let p = 0; p < TP_KERNEL.length; p++) {
+      const kernel = TP_KERNEL[p];
+      let sum = 0;
+      for (let j = 0; j < TP_TAPS; j++) {
+        sum += this.history[start + TP_TAPS - 1 - j] * kernel[j];
+      }
+      peak = Math.max(peak, Math.abs(sum));
+    }
+    return peak;
+  }
+}
+`;
+
+const PROCESSOR_SOURCE = `
+${TRUE_PEAK_SOURCE}
+
+const BLOCK_SECONDS = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated integrated level
+const HISTOGRAM_STEP = 0.01; // LU per gating histogram bin, from the absolute gate up
+const HISTOGRAM_BINS = 8000; // Up to +10 LUFS (louder blocks share the top bin)
+
+const toLoudness = power => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+
+// BS.1770 K-weighting coefficients for any sample rate (two biquads)
+function kWeightingStages(fs) {
+  const shelf = (() => {
+    const f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    const q = 0.7071752369554196;
+    const k = Math.tan(Math.PI * f0 / fs);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b0: (vh + vb * k / q + k * k) / a0,
+      b1: 2 * (k * k - vh) / a0,
+      b2: (vh - vb * k / q + k * k) / a0,
+      a1: 2 * (k * k - 1) / a0,
+      a2: (1 - k / q + k * k) / a0
+    };
+  })();
+
+  const highpass = (() => {
+    const f0 = 38.13547087602444;
+    const q = 0.5003270373238773;
+    const k = Math.tan(Math.PI * f0 / fs);
+    const a0 = 1 + k / q + k * k;
+    return { b0: 1, b1: -2, b2: 1, a1: 2 * (k * k - 1) / a0, a2: (1 - k / q + k * k) / a0 };
+  })();
+
+  return [shelf, highpass];
+}
+
+class Biquad {
+  constructor(c) {
+    this.c = c;
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+
+  process(x) {
+    const c = this.c;
+    const y = c.b0 * x + this.z1;
+    this.z1 = c.b1 * x - c.a1 * y + this.z2;
+    this.z2 = c.b2 * x - c.a2 * y;
+    return y;
+  }
+}
+
+class ChiaroscuroLoudnessProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.active = true;
+    this.blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+    this.stages = kWeightingStages(sampleRate);
+    this.channels = [];
+    this.reset();
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'reset') {
+        this.reset();
+      } else if (e.data === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  reset() {
+    this.blockPower = 0; // Channel-summed K-weighted energy of the current block
+    this.blockFill = 0;
+    this.blockPeak = 0;
+    this.recentBlocks = []; // Mean-square power of the last SHORT_TERM_BLOCKS blocks
+    // 400 ms powers (75% overlap) above the absolute gate, binned by loudness
+    // so the relative gate costs the same however long the meter runs
+    this.histogramCounts = new Uint32Array(HISTOGRAM_BINS);
+    this.histogramPower = new Float64Array(HISTOGRAM_BINS);
+    this.gatedCount = 0;
+    this.gatedPower = 0;
+    this.maxTruePeak = 0;
+  }
+
+  channel(c) {
+    if (!this.channels[c]) {
+      this.channels[c] = {
+        filters: this.stages.map(stage => new Biquad(stage)),
+        peak: new TruePeakDetector()
+      };
+    }
+    return this.channels[c];
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (input.length === 0) return this.active;
+    const frames = input[0].length;
+
+    for (let n = 0; n < frames; n++) {
+      for (let c = 0; c < input.length; c++) {
+        const state = this.channel(c);
+        const x = input[c][n];
+        const weighted = state.filters[1].process(state.filters[0].process(x));
+        this.blockPower += weighted * weighted;
+        this.blockPeak = Math.max(this.blockPeak, state.peak.push(x));
+      }
+
+      if (++this.blockFill === this.blockLength) {
+        this.finishBlock();
+      }
+    }
+
+    return this.active;
+  }
+
+  finishBlock() {
+    const recent = this.recentBlocks;
+    recent.push(this.blockPower / this.blockLength);
+    if (recent.length > SHORT_TERM_BLOCKS) recent.shift();
+
+    const average = count => {
+      const blocks = recent.slice(-count);
+      return blocks.reduce((sum, p) => sum + p, 0) / blocks.length;
+    };
+
+    // Each new 100 ms block completes a 400 ms gating block
+    const momentaryPower = average(MOMENTARY_BLOCKS);
+    const momentary = toLoudness(momentaryPower);
+    if (recent.length >= MOMENTARY_BLOCKS && momentary > ABSOLUTE_GATE) {
+      const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((momentary - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+      this.histogramCounts[bin]++;
+      this.histogramPower[bin] += momentaryPower;
+      this.gatedCount++;
+      this.gatedPower += momentaryPower;
+    }
+
+    this.maxTruePeak = Math.max(this.maxTruePeak, this.blockPeak);
+    const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+    this.port.postMessage({
+      momentary: recent.length >= MOMENTARY_BLOCKS ? momentary : -Infinity,
+      shortTerm: recent.length >= SHORT_TERM_BLOCKS ? toLoudness(average(SHORT_TERM_BLOCKS)) : -Infinity,
+      integrated: this.integrated(),
+      truePeak: toDb(this.blockPeak),
+      maxTruePeak: toDb(this.maxTruePeak)
+    });
+
+    this.blockPower = 0;
+    this.blockFill = 0;
+    this.blockPeak = 0;
+  }
+
+  integrated() {
+    if (this.gatedCount === 0) return -Infinity;
+
+    // Relative gate to the nearest bin (HISTOGRAM_STEP LU)
+    const threshold = toLoudness(this.gatedPower / this.gatedCount) + RELATIVE_GATE;
+    const first = Math.max(0, Math.ceil((threshold - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+
+    let sum = 0;
+    let count = 0;
+    for (let i = first; i < HISTOGRAM_BINS; i++) {
+      sum += this.histogramPower[i];
+      count += this.histogramCounts[i];
+    }
+    return count > 0 ? toLoudness(sum / count) : -Infinity;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroLoudnessProcessor);
+`;
+
+/**
+ * Readings before anything has been measured
+ * @returns {object}
+ */
+export function silentLoudness() {
+  return {
+    momentary: -Infinity,
+    shortTerm: -Infinity,
+    integrated: -Infinity,
+    truePeak: -Infinity,
+    maxTruePeak: -Infinity
+  };
+}
+
+class LoudnessMeter {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { channels }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.channels = options.channels || 2;
+    this.node = null;
+    this.readings = silentLoudness();
+  }
+
+  async initialize() {
+    await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+    this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: this.channels,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers'
+    });
+
+    this.node.port.onmessage = (e) => {
+      this.readings = e.data;
+    };
+  }
+
+  /**
+   * Node to connect the metered signal into
+   * @returns {AudioWorkletNode}
+   */
+  get input() {
+    return this.node;
+  }
+
+  /**
+   * Latest readings (updated every 100 ms)
+   * @returns {object} { momentary, shortTerm, integrated (LUFS), truePeak, maxTruePeak (dBTP) }
+   */
+  getReadings() {
+    return { ...this.readings };
+  }
+
+  /** Restart integrated loudness and the true-peak maximum */
+  reset() {
+    this.readings = silentLoudness();
+    if (this.node) {
+      this.node.port.postMessage('reset');
+    }
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage('dispose');
+      this.node.disconnect();
+    }
+  }
+}
+
+export default LoudnessMeter;
@@ -0,0 +1,245 @@
+/**
+ * MasterLimiter - Look-ahead true-peak brickwall limiter for the master bus
+ * An AudioWorklet detects peaks on 4x oversampled input (see LoudnessMeter's
+ * TRUE_PEAK_SOURCE), holds the gain each peak needs across the look-ahead
+ * window and smooths it with a moving average of the same length, so the gain
+ * is already down when the delayed peak arrives. Both channels share one gain
+ * (no image shift). Release is exponential; a final clip at the ceiling
+ * catches whatever the smoothing lets through.
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+import { TRUE_PEAK_SOURCE, TRUE_PEAK_TAPS } from './LoudnessMeter.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-limiter';
+
+const LOOKAHEAD = 0.0015; // s
+// Samples the audio is delayed past the averaging window: interpolated peaks
+// come out TRUE_PEAK_TAPS / 2 samples late, plus a little so the hold covers both
+const DETECTOR_LAG = TRUE_PEAK_TAPS / 2 + 2;
+
+const PROCESSOR_SOURCE = `
+${TRUE_PEAK_SOURCE}
+
+const LOOKAHEAD = ${LOOKAHEAD};
+const DETECTOR_LAG = ${DETECTOR_LAG};
+const REPORT_SECONDS = 0.1;
+
+class ChiaroscuroLimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.1, minValue: 0.005, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'bypass', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.active = true;
+
+    // Audio waits out the averaging window and the true-peak detector lag
+    this.window = Math.max(1, Math.round(LOOKAHEAD * sampleRate));
+    this.delay = this.window + DETECTOR_LAG;
+    this.hold = this.delay + 1;
+
+    this.audio = [new Float32Array(this.delay + 1), new Float32Array(this.delay + 1)];
+    this.audioIndex = 0;
+    this.detectors = [new TruePeakDetector(), new TruePeakDetector()];
+
+    this.envelope = 1;
+    this.held = new Float32Array(this.hold).fill(1); // Recent envelope values
+    this.heldIndex = 0;
+    this.average = new Float32Array(this.window).fill(1); // Recent held minima
+    this.averageIndex = 0;
+    this.averageSum = this.window;
+
+    this.reportLength = Math.round(REPORT_SECONDS * sampleRate);
+    this.reportFill = 0;
+    this.minGain = 1;
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const frames = output[0].length;
+
+    const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+    const releaseCoefficient = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const bypass = parameters.bypass[0] >= 0.5;
+    const size = this.delay + 1;
+
+    for (let n = 0; n < frames; n++) {
+      // Mono input feeds both channels
+      const left = input.length > 0 ? input[0][n] : 0;
+      const right = input.length > 1 ? input[1][n] : left;
+
+      // Gain the newest (oversampled) peak needs; instant attack, exponential release
+      const peak = Math.max(this.detectors[0].push(left), this.detectors[1].push(right));
+      const required = bypass || peak <= ceiling ? 1 : ceiling / peak;
+      this.envelope = Math.min(required, this.envelope + (1 - this.envelope) * releaseCoefficient);
+
+      // Hold the lowest gain over the hold window, then average it over the look-ahead
+      this.held[this.heldIndex] = this.envelope;
+      this.heldIndex = (this.heldIndex + 1) % this.hold;
+      let minimum = 1;
+      for (let i = 0; i < this.hold; i++) {
+        if (this.held[i] < minimum) minimum = this.held[i];
+      }
+      this.averageSum += minimum - this.average[this.averageIndex];
+      this.average[this.averageIndex] = minimum;
+      this.averageIndex = (this.averageIndex + 1) % this.window;
+      const gain = Math.min(1, this.averageSum / this.window);
+
+      // Delayed audio out
+      this.audio[0][this.audioIndex] = left;
+      this.audio[1][this.audioIndex] = right;
+      const readIndex = (this.audioIndex + 1) % size;
+      this.audioIndex = readIndex;
+
+      for (let c = 0; c < output.length; c++) {
+        const sample = this.audio[Math.min(c, 1)][readIndex] * gain;
+        output[c][n] = bypass ? sample : Math.max(-ceiling, Math.min(ceiling, sample));
+      }
+
+      this.minGain = Math.min(this.minGain, gain);
+      if (++this.reportFill === this.reportLength) {
+        this.port.postMessage({ gainReduction: -20 * Math.log10(this.minGain) });
+        this.reportFill = 0;
+        this.minGain = 1;
+      }
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroLimiterProcessor);
+`;
+
+class MasterLimiter {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { enabled, ceiling (dBTP), release (s) }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.ceiling = options.ceiling !== undefined ? options.ceiling : -1;
+    this.release = options.release !== undefined ? options.release : 0.1;
+
+    this.node = null; // Limiter worklet, once loaded
+    this.fallback = null; // Hard-knee compressor stand-in when worklets are unavailable
+    this.gainReduction = 0; // dB, over the last 100 ms
+  }
+
+  /**
+   * Load the worklet (falls back to a fast, hard-knee compressor if it can't load)
+   */
+  async initialize() {
+    try {
+      await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+      this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers'
+      });
+      this.node.port.onmessage = (e) => {
+        this.gainReduction = e.data.gainReduction;
+      };
+    } catch (error) {
+      console.warn('Limiter worklet unavailable, using a compressor:', error);
+
+      this.fallback = this.ctx.createDynamicsCompressor();
+      this.fallback.knee.value = 0;
+      this.fallback.ratio.value = 20;
+      this.fallback.attack.value = 0;
+    }
+
+    this.applySettings();
+  }
+
+  /** Node to connect the master signal into */
+  get input() {
+    return this.node || this.fallback;
+  }
+
+  /** Node the limited signal comes out of */
+  get output() {
+    return this.node || this.fallback;
+  }
+
+  /** Seconds the look-ahead delays the master by */
+  get latency() {
+    // Look-ahead window plus the true-peak detector lag (the worklet's delay)
+    const window = Math.max(1, Math.round(LOOKAHEAD * this.ctx.sampleRate));
+    return this.node ? (window + DETECTOR_LAG) / this.ctx.sampleRate : 0;
+  }
+
+  /**
+   * @param {AudioNode} destination
+   */
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  /**
+   * Update any subset of the settings
+   * @param {object} settings - { enabled, ceiling (dBTP, -24 to 0), release (s) }
+   */
+  setSettings(settings) {
+    if (settings.enabled !== undefined) this.enabled = !!settings.enabled;
+    if (settings.ceiling !== undefined) this.ceiling = Math.max(-24, Math.min(0, settings.ceiling));
+    if (settings.release !== undefined) this.release = Math.max(0.005, Math.min(2, settings.release));
+    this.applySettings();
+  }
+
+  getSettings() {
+    return { enabled: this.enabled, ceiling: this.ceiling, release: this.release };
+  }
+
+  applySettings() {
+    const now = this.ctx.currentTime;
+
+    if (this.node) {
+      const param = name => this.node.parameters.get(name);
+      param('ceiling').setValueAtTime(this.ceiling, now);
+      param('release').setValueAtTime(this.release, now);
+      param('bypass').setValueAtTime(this.enabled ? 0 : 1, now);
+    } else if (this.fallback) {
+      // Disabled: threshold at 0 dBFS and barely any ratio
+      this.fallback.threshold.value = this.enabled ? this.ceiling : 0;
+      this.fallback.ratio.value = this.enabled ? 20 : 1;
+      this.fallback.release.value = this.release;
+    }
+  }
+
+  /**
+   * @returns {number} Deepest gain reduction over the last 100 ms (dB, positive)
+   */
+  getGainReduction() {
+    return this.enabled ? this.gainReduction : 0;
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage('dispose');
+      this.node.disconnect();
+    }
+    if (this.fallback) {
+      this.fallback.disconnect();
+    }
+  }
+}
+
+export default MasterLimiter;
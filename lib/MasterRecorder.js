@@ -0,0 +1,241 @@
+/**
+ * MasterRecorder - Captures the master output into memory for WAV export
+ * An AudioWorklet tap posts fixed-size blocks while recording; the main thread
+ * keeps them as planar Float32 chunks until the take is stopped and encoded.
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+import { encodeWav } from './WavEncoder.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-recorder';
+
+const PROCESSOR_SOURCE = `
+class ChiaroscuroRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.channels = options.processorOptions.channels;
+    this.blockSize = options.processorOptions.blockSize;
+    this.recording = false;
+    this.active = true;
+    this.allocateBlock();
+
+    this.port.onmessage = (e) => {
+      const command = e.data;
+      if (command === 'start' || command === 'resume') {
+        this.recording = true;
+      } else if (command === 'pause') {
+        this.recording = false;
+      } else if (command === 'stop') {
+        this.recording = false;
+        this.flush();
+        this.port.postMessage({ done: true });
+      } else if (command === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  allocateBlock() {
+    this.block = [];
+    for (let c = 0; c < this.channels; c++) {
+      this.block.push(new Float32Array(this.blockSize));
+    }
+    this.blockFill = 0;
+  }
+
+  flush() {
+    if (this.blockFill === 0) return;
+    const buffers = this.block.map(b => b.buffer);
+    this.port.postMessage({ frames: this.blockFill, channels: this.block }, buffers);
+    this.allocateBlock();
+  }
+
+  process(inputs) {
+    if (!this.recording) return this.active;
+
+    const input = inputs[0];
+    const frames = input.length > 0 ? input[0].length : 128;
+
+    for (let c = 0; c < this.channels; c++) {
+      // Mono sources are copied to every channel
+      const data = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+      if (data) {
+        this.block[c].set(data, this.blockFill);
+      }
+    }
+
+    this.blockFill += frames;
+    if (this.blockFill + frames > this.blockSize) {
+      this.flush();
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroRecorderProcessor);
+`;
+
+class MasterRecorder {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { channels, blockSize }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.channels = options.channels || 2;
+    this.blockSize = options.blockSize || 4096;
+
+    this.node = null;
+    this.state = 'inactive'; // 'inactive' | 'recording' | 'paused'
+    this.chunks = []; // One array of Float32Array chunks per channel
+    this.recordedFrames = 0;
+    this.pendingStop = null;
+  }
+
+  async initialize() {
+    await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+    this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: this.channels,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: {
+        channels: this.channels,
+        blockSize: this.blockSize
+      }
+    });
+
+    this.node.port.onmessage = (e) => this.receive(e.data);
+  }
+
+  /**
+   * Node to connect the recorded signal into
+   * @returns {AudioWorkletNode}
+   */
+  get input() {
+    return this.node;
+  }
+
+  receive(message) {
+    if (message.done) {
+      if (this.pendingStop) {
+        this.pendingStop();
+        this.pendingStop = null;
+      }
+      return;
+    }
+
+    for (let c = 0; c < this.channels; c++) {
+      this.chunks[c].push(message.channels[c].subarray(0, message.frames));
+    }
+    this.recordedFrames += message.frames;
+  }
+
+  start() {
+    if (!this.node) {
+      throw new Error('MasterRecorder not initialized');
+    }
+
+    this.chunks = [];
+    for (let c = 0; c < this.channels; c++) {
+      this.chunks.push([]);
+    }
+    this.recordedFrames = 0;
+
+    this.state = 'recording';
+    this.node.port.postMessage('start');
+  }
+
+  pause() {
+    if (this.state !== 'recording') return;
+    this.state = 'paused';
+    this.node.port.postMessage('pause');
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.state = 'recording';
+    this.node.port.postMessage('resume');
+  }
+
+  /**
+   * Stop recording and collect the take
+   * @returns {Promise<{channels: Float32Array[], sampleRate: number, duration: number}>}
+   */
+  stop() {
+    if (this.state === 'inactive') {
+      return Promise.resolve(null);
+    }
+
+    this.state = 'inactive';
+
+    // A suspended context won't answer the flush - keep what has arrived
+    if (this.ctx.state !== 'running') {
+      this.node.port.postMessage('pause');
+      return Promise.resolve(this.getRecording());
+    }
+
+    return new Promise(resolve => {
+      this.pendingStop = () => resolve(this.getRecording());
+      this.node.port.postMessage('stop');
+    });
+  }
+
+  /**
+   * Join the recorded chunks into one array per channel
+   */
+  getRecording() {
+    const channels = this.chunks.map(chunks => {
+      const data = new Float32Array(this.recordedFrames);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        data.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return data;
+    });
+
+    return {
+      channels,
+      sampleRate: this.ctx.sampleRate,
+      duration: this.recordedFrames / this.ctx.sampleRate
+    };
+  }
+
+  /**
+   * Seconds of audio captured so far (pauses and suspended contexts don't count)
+   */
+  getElapsedTime() {
+    return this.recordedFrames / this.ctx.sampleRate;
+  }
+
+  /**
+   * Stop recording and encode the take as a WAV Blob
+   * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+   * @returns {Promise<Blob|null>}
+   */
+  async exportWav(format = 'pcm16') {
+    const recording = await this.stop();
+    if (!recording || recording.duration === 0) {
+      return null;
+    }
+
+    const wav = encodeWav(recording.channels, recording.sampleRate, format);
+    return new Blob([wav], { type: 'audio/wav' });
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage('dispose');
+      this.node.port.onmessage = null;
+      this.node = null;
+    }
+    this.state = 'inactive';
+    this.chunks = [];
+  }
+}
+
+export default MasterRecorder;
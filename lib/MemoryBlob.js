@@ -0,0 +1,158 @@
+/**
+ * MemoryBlob - A frozen band, drawn as a translucent white blob with a pulsing core
+ * Wraps a MemoryLoop owned by AudioEngine. Its position drives the loop's pan
+ * and reverb send the same way analysis blobs drive their band.
+ */
+
+import { getSpatialParams } from './BlobPhysics.js';
+
+let nextMemoryBlobId = 0;
+
+class MemoryBlob {
+  /**
+   * @param {number} x - Spawn position
+   * @param {number} y
+   * @param {MemoryLoop} loop - Audio loop from AudioEngine.freezeBand()
+   * @param {object} bandInfo - { min, max, color, name } of the frozen band
+   */
+  constructor(x, y, loop, bandInfo) {
+    this.id = `memory-blob-${nextMemoryBlobId++}`;
+    this.x = x;
+    this.y = y;
+    this.loop = loop;
+    this.bandInfo = bandInfo;
+    this.hue = bandInfo ? bandInfo.color : 0;
+
+    // Visual properties
+    this.radius = 36;
+    this.baseRadius = 36;
+    this.smoothRadius = 36;
+
+    // Physics
+    this.vx = (Math.random() - 0.5) * 0.6;
+    this.vy = (Math.random() - 0.5) * 0.6;
+    this.isDragging = false;
+
+    // State
+    this.opacity = 0; // Fade in from 0
+    this.targetOpacity = 1;
+
+    // Pulsing core (period follows the loop length)
+    this.pulsePhase = Math.random() * Math.PI * 2;
+    this.pulseSpeed = loop ? (Math.PI * 2) / Math.max(30, loop.duration * 60) : 0.05;
+
+    this.rotation = Math.random() * Math.PI * 2;
+    this.rotationSpeed = (Math.random() - 0.5) * 0.01;
+  }
+
+  /**
+   * Update blob state and push its position into the loop
+   */
+  update(width, height) {
+    // Fade out once the loop is gone (removed or cleared)
+    if (this.loop && this.loop.isStopped) {
+      this.targetOpacity = 0;
+    }
+    const fadeSpeed = this.targetOpacity === 0 ? 0.05 : 0.1;
+    this.opacity += (this.targetOpacity - this.opacity) * fadeSpeed;
+
+    // Slow drift
+    if (!this.isDragging) {
+      this.vx *= 0.99;
+      this.vy *= 0.99;
+      this.x += this.vx;
+      this.y += this.vy;
+
+      const margin = this.radius;
+      if (this.x < margin) { this.x = margin; this.vx *= -0.5; }
+      if (this.x > width - margin) { this.x = width - margin; this.vx *= -0.5; }
+      if (this.y < margin) { this.y = margin; this.vy *= -0.5; }
+      if (this.y > height - margin) { this.y = height - margin; this.vy *= -0.5; }
+    }
+
+    this.pulsePhase += this.pulseSpeed;
+    const targetRadius = this.baseRadius * (1 + Math.sin(this.pulsePhase) * 0.08);
+    this.smoothRadius += (targetRadius - this.smoothRadius) * 0.2;
+    this.radius = this.smoothRadius;
+    this.rotation += this.rotationSpeed;
+
+    if (this.loop && !this.loop.isStopped) {
+      const { pan, reverbSend } = getSpatialParams(this.x, this.y, width, height);
+      this.loop.setPan(pan);
+      this.loop.setReverbSend(reverbSend);
+    }
+  }
+
+  startDrag() {
+    this.isDragging = true;
+    this.vx = 0;
+    this.vy = 0;
+  }
+
+  stopDrag() {
+    this.isDragging = false;
+  }
+
+  contains(x, y) {
+    const dx = x - this.x;
+    const dy = y - this.y;
+    return Math.sqrt(dx * dx + dy * dy) <= this.radius;
+  }
+
+  isDead() {
+    return this.targetOpacity === 0 && this.opacity <= 0.01;
+  }
+
+  /**
+   * Render blob to canvas
+   */
+  render(ctx) {
+    if (this.opacity <= 0.01) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.opacity;
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+
+    // Translucent white body with a faint halo in the band's color
+    const body = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius * 1.4);
+    body.addColorStop(0, 'rgba(255, 255, 255, 0.35)');
+    body.addColorStop(0.6, `hsla(${this.hue}, 40%, 85%, 0.2)`);
+    body.addColorStop(1, `hsla(${this.hue}, 40%, 85%, 0)`);
+
+    ctx.fillStyle = body;
+    ctx.beginPath();
+    ctx.arc(0, 0, this.radius * 1.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Pulsing core
+    const coreRadius = this.radius * (0.3 + 0.1 * (1 + Math.sin(this.pulsePhase * 2)));
+    const core = ctx.createRadialGradient(0, 0, 0, 0, 0, coreRadius);
+    core.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
+    core.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+    ctx.fillStyle = core;
+    ctx.beginPath();
+    ctx.arc(0, 0, coreRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Band label
+    if (this.opacity > 0.7 && this.bandInfo) {
+      ctx.rotate(-this.rotation);
+      ctx.font = '10px monospace';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.textAlign = 'center';
+      ctx.fillText(this.bandInfo.name, 0, this.radius + 14);
+    }
+
+    ctx.restore();
+  }
+}
+
+export default MemoryBlob;
@@ -0,0 +1,193 @@
+/**
+ * MemoryLoop - A frozen snapshot of one band, played as an endless grain loop
+ * The snapshot is made loopable by crossfading its tail into its head, then
+ * overlapping Hann grains walk through it at normal speed, wrapping seamlessly.
+ * Keeps playing no matter what the live input does afterwards.
+ */
+
+import { getGrainScheduler } from './GrainScheduler.js';
+
+const LOOP_GAIN = 0.35; // Same level as a live band's grain output
+
+/**
+ * Crossfade the end of a snapshot into its start so it wraps without a click
+ * @param {Float32Array} samples - Captured audio
+ * @param {number} fadeSamples - Crossfade length
+ * @returns {Float32Array} Loopable audio (fadeSamples shorter than the input)
+ */
+function makeLoopable(samples, fadeSamples) {
+  const fade = Math.min(fadeSamples, Math.floor(samples.length / 4));
+  const length = samples.length - fade;
+  const loop = new Float32Array(length);
+  loop.set(samples.subarray(0, length));
+
+  // Equal-power crossfade: head fades in while the tail that precedes it fades out
+  for (let i = 0; i < fade; i++) {
+    const t = (i + 0.5) / fade;
+    loop[i] = samples[i] * Math.sin(t * Math.PI / 2) + samples[length + i] * Math.cos(t * Math.PI / 2);
+  }
+
+  return loop;
+}
+
+class MemoryLoop {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Float32Array} samples - Snapshot of the band's capture channel
+   * @param {object} options - { bandIndex, grainSize, overlap, crossfade (s) }
+   */
+  constructor(audioContext, samples, options = {}) {
+    this.ctx = audioContext;
+    this.bandIndex = options.bandIndex !== undefined ? options.bandIndex : -1;
+    this.grainSize = options.grainSize || 0.15;
+    this.overlap = options.overlap || 4; // Hann grains at 1/4 hop sum to a constant
+
+    const crossfade = options.crossfade || 0.05;
+    this.samples = makeLoopable(samples, Math.floor(crossfade * this.ctx.sampleRate));
+    this.position = 0;
+
+    this.isPlaying = false;
+    this.isStopped = false;
+    this.grainVoice = null;
+    this.isMuted = false;
+
+    // Output: gain → mute → panner → destination, post-pan reverb send
+    this.outputGain = this.ctx.createGain();
+    this.outputGain.gain.value = 0;
+    this.muteGain = this.ctx.createGain(); // Band mute/solo (separate from the start/stop fades)
+    this.panner = this.ctx.createStereoPanner();
+    this.reverbSend = this.ctx.createGain();
+    this.reverbSend.gain.value = 0;
+    this.outputGain.connect(this.muteGain);
+    this.muteGain.connect(this.panner);
+    this.panner.connect(this.reverbSend);
+  }
+
+  /** Loop length in seconds */
+  get duration() {
+    return this.samples.length / this.ctx.sampleRate;
+  }
+
+  /**
+   * @param {AudioNode} destination - Dry output
+   * @param {AudioNode} reverbBus - Shared reverb bus (optional)
+   */
+  connect(destination, reverbBus = null) {
+    this.panner.connect(destination);
+    if (reverbBus) {
+      this.reverbSend.connect(reverbBus);
+    }
+  }
+
+  start() {
+    if (this.isPlaying || this.isStopped) return;
+
+    this.isPlaying = true;
+
+    const now = this.ctx.currentTime;
+    this.outputGain.gain.setValueAtTime(0, now);
+    this.outputGain.gain.linearRampToValueAtTime(LOOP_GAIN, now + 0.3);
+
+    this.grainVoice = getGrainScheduler(this.ctx).schedule(when => this.playGrain(when));
+  }
+
+  /**
+   * Queue one grain (GrainScheduler callback)
+   * @param {number} when - Audio-clock start time
+   * @returns {number} Seconds until the next grain, 0 to stop
+   */
+  playGrain(when) {
+    if (!this.isPlaying) return 0;
+
+    const sampleRate = this.ctx.sampleRate;
+    const grainSamples = Math.min(Math.floor(this.grainSize * sampleRate), this.samples.length);
+    const hop = Math.max(1, Math.floor(grainSamples / this.overlap));
+
+    const grainBuffer = this.ctx.createBuffer(1, grainSamples, sampleRate);
+    const grainData = grainBuffer.getChannelData(0);
+    const length = this.samples.length;
+
+    // Hann window; overlap-add of 4 grains sums to 2, hence the 0.5
+    for (let i = 0; i < grainSamples; i++) {
+      const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
+      grainData[i] = this.samples[(this.position + i) % length] * window * (2 / this.overlap);
+    }
+
+    const source = this.ctx.createBufferSource();
+    source.buffer = grainBuffer;
+    source.connect(this.outputGain);
+    source.start(when);
+
+    this.position = (this.position + hop) % length;
+
+    return hop / sampleRate;
+  }
+
+  /**
+   * Set stereo position
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  setPan(pan) {
+    const value = Math.max(-1, Math.min(1, pan));
+    this.panner.pan.setTargetAtTime(value, this.ctx.currentTime, 0.05);
+  }
+
+  /**
+   * Set reverb send level
+   * @param {number} amount - 0 (dry) to 1
+   */
+  setReverbSend(amount) {
+    const value = Math.max(0, Math.min(1, amount));
+    this.reverbSend.gain.setTargetAtTime(value, this.ctx.currentTime, 0.05);
+  }
+
+  /**
+   * Follow the band's mute/solo state
+   * @param {boolean} muted
+   * @param {number} fadeTime - Seconds (0 = immediately)
+   */
+  setMuted(muted, fadeTime = 0.02) {
+    this.isMuted = muted;
+
+    const target = muted ? 0 : 1;
+    const now = this.ctx.currentTime;
+    this.muteGain.gain.cancelScheduledValues(now);
+    if (fadeTime > 0) {
+      this.muteGain.gain.setValueAtTime(this.muteGain.gain.value, now);
+      this.muteGain.gain.linearRampToValueAtTime(target, now + fadeTime);
+    } else {
+      this.muteGain.gain.setValueAtTime(target, now);
+    }
+  }
+
+  /**
+   * Fade out and release the loop
+   * @param {number} fadeTime - Seconds
+   */
+  stop(fadeTime = 0.3) {
+    if (this.isStopped) return;
+
+    this.isStopped = true;
+    this.isPlaying = false;
+
+    if (this.grainVoice) {
+      this.grainVoice.cancel();
+      this.grainVoice = null;
+    }
+
+    const now = this.ctx.currentTime;
+    this.outputGain.gain.cancelScheduledValues(now);
+    this.outputGain.gain.setValueAtTime(this.outputGain.gain.value, now);
+    this.outputGain.gain.linearRampToValueAtTime(0, now + fadeTime);
+
+    // Disconnect once queued grains have faded
+    setTimeout(() => {
+      this.outputGain.disconnect();
+      this.muteGain.disconnect();
+      this.panner.disconnect();
+      this.reverbSend.disconnect();
+    }, (fadeTime + this.grainSize + 0.2) * 1000);
+  }
+}
+
+export default MemoryLoop;
@@ -0,0 +1,300 @@
+/**
+ * ModulationMatrix - Sources that move parameters on their own
+ * Sources run on a control-rate timer against the audio clock:
+ *   lfo      - sine, triangle, saw or square at a rate in Hz, or locked to a
+ *              note division of the tempo clock (phase follows the transport)
+ *   envelope - follows one band's energy (or the input level) with attack/release
+ *   random   - sample-and-hold steps or smoothly interpolated random values
+ * LFO and random sources swing -1..1, envelope followers 0..1. A route sends a
+ * source to a target with a depth (-1..1). Each target receives the sum of its
+ * routes as an amount and maps it onto its own range around the value the
+ * mouse, presets or the fluid field set (see modulateValue), so that value
+ * stays the centre of the movement.
+ */
+
+import { NOTE_DIVISIONS } from './TempoClock.js';
+import { dbToEnergy } from './BandMeter.js';
+
+const TICK_INTERVAL = 30; // ms between control-rate updates
+
+export const MODULATION_SOURCES = {
+  lfo: { label: 'LFO' },
+  envelope: { label: 'Envelope follower' },
+  random: { label: 'Random' }
+};
+
+export const LFO_SHAPES = {
+  sine: { label: 'Sine' },
+  triangle: { label: 'Triangle' },
+  saw: { label: 'Saw' },
+  square: { label: 'Square' }
+};
+
+export const RANDOM_MODES = {
+  sampleHold: { label: 'Sample & hold' },
+  smooth: { label: 'Smooth' }
+};
+
+// Settings each source type starts with (and the only ones it accepts)
+const SOURCE_DEFAULTS = {
+  lfo: { shape: 'sine', rate: 0.5, sync: null }, // rate in Hz; sync is a NOTE_DIVISIONS key
+  envelope: { band: -1, attack: 0.05, release: 0.5, gain: 1 }, // band -1 follows the input level
+  random: { mode: 'sampleHold', rate: 2, sync: null }
+};
+
+/**
+ * Move a value by a modulation amount within its range
+ * At amount ±1 the value moves half the range (in octaves of the range for 'log')
+ * @param {number} base - Unmodulated value
+ * @param {number} amount - Sum of depth × source over the target's routes
+ * @param {object} spec - { min, max, curve ('linear' or 'log') }
+ * @returns {number}
+ */
+export function modulateValue(base, amount, spec) {
+  let value;
+  if (spec.curve === 'log') {
+    value = Math.max(spec.min, base) * Math.pow(spec.max / spec.min, amount / 2);
+  } else {
+    value = base + amount * (spec.max - spec.min) / 2;
+  }
+  return Math.max(spec.min, Math.min(spec.max, value));
+}
+
+function lfoShape(shape, phase) {
+  switch (shape) {
+    case 'triangle':
+      return 1 - 4 * Math.abs(phase - 0.5);
+    case 'saw':
+      return phase * 2 - 1;
+    case 'square':
+      return phase < 0.5 ? 1 : -1;
+    default:
+      return Math.sin(2 * Math.PI * phase);
+  }
+}
+
+class ModulationMatrix {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { tempoClock, readBandEnergies, readLevel } where
+   *   readBandEnergies() returns band energies (0-1) and readLevel() the input RMS
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.tempoClock = options.tempoClock || null;
+    this.readBandEnergies = options.readBandEnergies || (() => []);
+    this.readLevel = options.readLevel || (() => 0);
+
+    this.sources = new Map(); // id -> source
+    this.targets = new Map(); // id -> { id, label, group, apply(amount) }
+    this.routes = [];
+    this.nextId = 1;
+    this.modulated = new Set(); // Targets that received an amount on the last tick
+
+    this.lastTick = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.lastTick = this.ctx.currentTime;
+    this.timer = setInterval(() => this.update(), TICK_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @param {string} type - Key of MODULATION_SOURCES
+   * @param {object} settings - Overrides for the type's defaults
+   * @returns {string} Source id
+   */
+  addSource(type, settings = {}) {
+    if (!MODULATION_SOURCES[type]) {
+      throw new Error(`Unknown modulation source: ${type}`);
+    }
+
+    const id = `${type}-${this.nextId++}`;
+    this.sources.set(id, {
+      id,
+      type,
+      ...SOURCE_DEFAULTS[type],
+      value: 0,
+      position: Math.random(), // Cycles run (LFO phase, random steps)
+      step: null,
+      from: 0,
+      to: Math.random() * 2 - 1
+    });
+    this.updateSource(id, settings);
+    return id;
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} settings - Any subset of the type's settings
+   */
+  updateSource(id, settings) {
+    const source = this.sources.get(id);
+    if (!source) return;
+
+    Object.keys(SOURCE_DEFAULTS[source.type]).forEach(key => {
+      if (settings[key] !== undefined) source[key] = settings[key];
+    });
+  }
+
+  /** Remove a source and every route from it */
+  removeSource(id) {
+    this.sources.delete(id);
+    this.routes = this.routes.filter(route => route.source !== id);
+  }
+
+  /**
+   * @param {string} id - Unique target id (e.g. 'visual:stretchFactor')
+   * @param {object} target - { label, group, apply(amount) }
+   */
+  registerTarget(id, target) {
+    this.targets.set(id, { id, ...target });
+  }
+
+  /**
+   * Forget a target (its routes stay, and resume if it is registered again)
+   */
+  unregisterTarget(id) {
+    this.targets.delete(id);
+    this.modulated.delete(id);
+  }
+
+  /**
+   * @param {string} source - Source id
+   * @param {string} target - Target id
+   * @param {number} depth - -1 to 1
+   * @returns {string} Route id
+   */
+  addRoute(source, target, depth = 0.5) {
+    const id = `route-${this.nextId++}`;
+    this.routes.push({ id, source, target, depth: Math.max(-1, Math.min(1, depth)) });
+    return id;
+  }
+
+  setRouteDepth(id, depth) {
+    const route = this.routes.find(r => r.id === id);
+    if (route) {
+      route.depth = Math.max(-1, Math.min(1, depth));
+    }
+  }
+
+  removeRoute(id) {
+    this.routes = this.routes.filter(route => route.id !== id);
+  }
+
+  /**
+   * One control-rate step: advance every source, sum the routes per target and
+   * hand each target its amount (0 once its last route is gone)
+   */
+  update() {
+    const now = this.ctx.currentTime;
+    const dt = this.lastTick === null ? 0 : Math.min(0.5, Math.max(0, now - this.lastTick));
+    this.lastTick = now;
+
+    let energies = null;
+    this.sources.forEach(source => {
+      if (source.type === 'envelope' && !energies) {
+        energies = this.readBandEnergies();
+      }
+      this.advance(source, now, dt, energies);
+    });
+
+    const amounts = new Map();
+    this.routes.forEach(route => {
+      const source = this.sources.get(route.source);
+      if (!source || !this.targets.has(route.target)) return;
+      amounts.set(route.target, (amounts.get(route.target) || 0) + route.depth * source.value);
+    });
+
+    amounts.forEach((amount, id) => this.targets.get(id).apply(amount));
+    this.modulated.forEach(id => {
+      if (!amounts.has(id) && this.targets.has(id)) {
+        this.targets.get(id).apply(0);
+      }
+    });
+    this.modulated = new Set(amounts.keys());
+  }
+
+  advance(source, now, dt, energies) {
+    if (source.type === 'envelope') {
+      let input;
+      if (source.band >= 0) {
+        input = energies[source.band] || 0;
+      } else {
+        const rms = this.readLevel();
+        input = rms > 0 ? dbToEnergy(20 * Math.log10(rms)) : 0;
+      }
+
+      const target = Math.min(1, input * source.gain);
+      const time = target > source.value ? source.attack : source.release;
+      source.value += (target - source.value) * (1 - Math.exp(-dt / Math.max(0.001, time)));
+      return;
+    }
+
+    // LFO and random run in cycles: free (Hz), per division, or on the transport's beat
+    const clock = this.tempoClock;
+    if (source.sync && clock && NOTE_DIVISIONS[source.sync]) {
+      if (clock.running) {
+        source.position = clock.getBeatPosition(now) / NOTE_DIVISIONS[source.sync].beats;
+      } else {
+        source.position += dt / clock.divisionSeconds(source.sync);
+      }
+    } else {
+      source.position += dt * source.rate;
+    }
+
+    const phase = source.position - Math.floor(source.position);
+
+    if (source.type === 'lfo') {
+      source.value = lfoShape(source.shape, phase);
+      return;
+    }
+
+    // Random: a new value every cycle
+    const step = Math.floor(source.position);
+    if (step !== source.step) {
+      source.step = step;
+      source.from = source.to;
+      source.to = Math.random() * 2 - 1;
+    }
+    source.value = source.mode === 'smooth'
+      ? source.from + (source.to - source.from) * (1 - Math.cos(Math.PI * phase)) / 2
+      : source.to;
+  }
+
+  /**
+   * @returns {object} { sources: [{ id, type, settings..., value }], routes: [{ id, source, target, depth }],
+   *   targets: [{ id, label, group }] }
+   */
+  getState() {
+    return {
+      sources: Array.from(this.sources.values()).map(source => {
+        const settings = {};
+        Object.keys(SOURCE_DEFAULTS[source.type]).forEach(key => { settings[key] = source[key]; });
+        return { id: source.id, type: source.type, ...settings, value: source.value };
+      }),
+      routes: this.routes.map(route => ({ ...route })),
+      targets: Array.from(this.targets.values()).map(({ id, label, group }) => ({ id, label, group }))
+    };
+  }
+
+  /** Stop and return every modulated target to its own value */
+  cleanup() {
+    this.stop();
+    this.modulated.forEach(id => {
+      if (this.targets.has(id)) this.targets.get(id).apply(0);
+    });
+    this.modulated.clear();
+  }
+}
+
+export default ModulationMatrix;
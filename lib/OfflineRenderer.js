@@ -0,0 +1,397 @@
+/**
+ * OfflineRenderer - Faster-than-real-time render of a session to WAV
+ * Replays a snapshot of the live parameter state (active band processors,
+ * paulstretch, effects chain, master dynamics) on OfflineAudioContexts, reading
+ * grains from a source buffer instead of the live capture ring.
+ *
+ * Long renders are split into segments so only one segment's audio is held
+ * for rendering at a time. Each segment renders the pre-master mix plus a
+ * tail as long as the reverb rings (at least
+ * a few seconds for grain overlap and delay), overlap-added into the start of
+ * the next one, and the last tail ends the file; the master gain,
+ * compressor and limiter then run over the summed mix, primed with the end of
+ * the previous segment so their envelopes carry on across the boundary. Bands
+ * are filtered only for the window each segment reads, and each finished
+ * segment is encoded straight into the WAV output: written out as it is
+ * encoded when the caller passes a writable stream (a file from the save
+ * picker), otherwise appended to a Blob the browser may page to disk.
+ */
+
+import BandProcessor from './BandProcessor.js';
+import SimplePaulstretch from './SimplePaulstretch.js';
+import { EffectsChain } from './AdvancedAudioProcessor.js';
+import ReverbService, { reverbTailSeconds } from './ReverbService.js';
+import MasterLimiter from './MasterLimiter.js';
+import BufferReader from './BufferReader.js';
+import CrossoverFilterbank from './CrossoverFilterbank.js';
+import { getGrainScheduler } from './GrainScheduler.js';
+import { WAV_FORMATS, encodeWavHeader, encodeWavSamples, maxWavFrames } from './WavEncoder.js';
+
+// OfflineAudioContext channel limit is 32; filter bands in smaller batches
+const PREFILTER_BATCH = 16;
+const FILTER_SETTLE = 0.5; // s of audio filtered ahead of what grains read (filter ringing)
+const MAX_PITCH_READ = 4; // Pitching up 24 semitones reads 4x the grain length
+const MASTER_WARMUP = 2; // s of the previous mix replayed to prime the compressor and limiter
+const MASTER_PAD = 0.01; // s rendered past the segment to cover the limiter's look-ahead
+const MIN_TAIL = 4; // s of tail at least (grain overlap, delay feedback)
+
+class OfflineRenderer {
+  /**
+   * @param {AudioBuffer} source - Audio the session plays from (looped)
+   * @param {object} settings - Snapshot from AudioEngine.getRenderSettings()
+   */
+  constructor(source, settings) {
+    this.source = source;
+    this.settings = settings;
+    this.sampleRate = settings.sampleRate || source.sampleRate;
+    this.loopFrames = Math.ceil(source.duration * this.sampleRate); // Source length at the output rate
+
+    this.input = null; // Whole source at the output rate (paulstretch reads anywhere in it)
+    this.paulstretchState = null; // Carried from segment to segment
+    this.cancelled = false;
+  }
+
+  /**
+   * Render the session
+   * @param {object} options - { duration (s), format, channels, segmentSeconds, tailSeconds (default:
+   *   the reverb's ring-out), writable (e.g. a FileSystemWritableFileStream; the caller closes it),
+   *   onProgress }
+   * @returns {Promise<Blob|null>} WAV file, or null when it was written to options.writable
+   */
+  async render(options = {}) {
+    const duration = options.duration || this.source.duration;
+    const format = options.format || 'pcm16';
+    const channels = options.channels || 2;
+    const segmentSeconds = options.segmentSeconds || 30;
+    const tailSeconds = options.tailSeconds !== undefined
+      ? options.tailSeconds
+      : Math.max(MIN_TAIL, reverbTailSeconds(this.settings.reverb));
+    const onProgress = options.onProgress || (() => {});
+
+    const sampleRate = this.sampleRate;
+    const totalFrames = Math.round(duration * sampleRate);
+    const segmentFrames = Math.round(segmentSeconds * sampleRate);
+    const tailFrames = Math.round(tailSeconds * sampleRate);
+    const warmupFrames = Math.round(MASTER_WARMUP * sampleRate);
+
+    const maxFrames = maxWavFrames(channels, format);
+    if (totalFrames + tailFrames > maxFrames) {
+      const maxMinutes = Math.floor((maxFrames - tailFrames) / sampleRate / 60);
+      throw new Error(`Too long for a ${WAV_FORMATS[format].label} WAV file - render at most ${maxMinutes} min`);
+    }
+
+    // Stream each part out as it is encoded, or collect them in a Blob
+    const writable = options.writable || null;
+    let blob = new Blob([], { type: 'audio/wav' });
+    const emit = async (part) => {
+      if (writable) {
+        await writable.write(part);
+      } else {
+        blob = new Blob([blob, part], { type: 'audio/wav' });
+      }
+    };
+
+    if (this.settings.paulstretch) {
+      this.input = (await this.filterSignals([{ key: 'input', band: null }], 0, this.loopFrames)).get('input');
+    }
+
+    await emit(encodeWavHeader(channels, sampleRate, totalFrames + tailFrames, format));
+    let carry = null;
+    let history = null; // End of the previous segment's mix (primes the master dynamics)
+    this.paulstretchState = null;
+
+    for (let start = 0; start < totalFrames; start += segmentFrames) {
+      this.checkCancelled();
+
+      const frames = Math.min(segmentFrames, totalFrames - start);
+      const rendered = await this.renderSegment(start, frames, tailFrames, channels);
+
+      // Tails ring into the next segment before the master dynamics see them
+      const mix = [];
+      for (let c = 0; c < channels; c++) {
+        const data = rendered.getChannelData(c);
+        if (carry) {
+          for (let i = 0; i < carry[c].length; i++) {
+            data[i] += carry[c][i];
+          }
+        }
+        mix.push(data);
+      }
+
+      // The last segment's tail is the end of the file
+      const outputFrames = start + frames >= totalFrames ? frames + tailFrames : frames;
+      const output = await this.renderMaster(mix, outputFrames, history);
+      await emit(encodeWavSamples(output, format, 0, outputFrames));
+      carry = mix.map(data => data.slice(frames));
+      history = mix.map(data => data.slice(Math.max(0, frames - warmupFrames), frames));
+
+      onProgress((start + frames) / totalFrames);
+    }
+
+    return writable ? null : blob;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  checkCancelled() {
+    if (this.cancelled) {
+      throw new Error('Offline render cancelled');
+    }
+  }
+
+  /**
+   * Render part of the looped source at the output rate, mono for 'input' and
+   * through each band's BandProcessor filter (or the session's crossover
+   * filterbank) for bands, so grains can read them like capture ring channels
+   * @param {object[]} jobs - [{ key, band }] (band null for the unfiltered input)
+   * @param {number} startFrame - Loop frame the window starts at (may be negative)
+   * @param {number} length - Frames
+   * @returns {Promise<Map>} key -> Float32Array
+   */
+  async filterSignals(jobs, startFrame, length) {
+    const sampleRate = this.sampleRate;
+    const duration = this.source.duration;
+    const offset = (((startFrame / sampleRate) % duration) + duration) % duration;
+    const signals = new Map();
+
+    for (let i = 0; i < jobs.length; i += PREFILTER_BATCH) {
+      this.checkCancelled();
+
+      const batch = jobs.slice(i, i + PREFILTER_BATCH);
+      const ctx = new OfflineAudioContext(batch.length, length, sampleRate);
+      const merger = ctx.createChannelMerger(batch.length);
+      merger.connect(ctx.destination);
+
+      // Mono source feeding every filter (resampled by the buffer source if needed)
+      const source = ctx.createBufferSource();
+      source.buffer = this.source;
+      source.loop = true;
+      const mono = ctx.createGain();
+      mono.channelCount = 1;
+      mono.channelCountMode = 'explicit';
+      source.connect(mono);
+
+      // Crossover bands only sum flat as a whole set, so split the full set every batch
+      let filterbank = null;
+      if (this.settings.bandSplitter === 'crossover' && batch.some(job => job.band)) {
+        filterbank = new CrossoverFilterbank(ctx, this.settings.bandSet);
+        mono.connect(filterbank.input);
+      }
+
+      batch.forEach((job, channel) => {
+        if (filterbank && job.band) {
+          filterbank.outputs[job.band.index].connect(merger, 0, channel);
+        } else if (job.band) {
+          const processor = new BandProcessor(ctx, job.band.info, job.band.index);
+          mono.connect(processor.filter);
+          processor.filter.connect(merger, 0, channel);
+        } else {
+          mono.connect(merger, 0, channel);
+        }
+      });
+
+      source.start(0, offset);
+      const rendered = await ctx.startRendering();
+
+      batch.forEach((job, channel) => {
+        signals.set(job.key, rendered.getChannelData(channel));
+      });
+    }
+
+    return signals;
+  }
+
+  /**
+   * Run the mix through master gain, compressor and limiter (same as AudioEngine)
+   * @param {Float32Array[]} mix - Segment mix per channel (tail included)
+   * @param {number} frames - Frames of it to output
+   * @param {Float32Array[]|null} history - Previous segment's last frames, replayed first
+   * @returns {Promise<Float32Array[]>} frames of output per channel
+   */
+  async renderMaster(mix, frames, history) {
+    const { settings } = this;
+    const sampleRate = this.sampleRate;
+    const channels = mix.length;
+    const warmup = history ? history[0].length : 0;
+    const length = warmup + frames;
+    const ctx = new OfflineAudioContext(channels, length + Math.ceil(MASTER_PAD * sampleRate), sampleRate);
+
+    const buffer = ctx.createBuffer(channels, length, sampleRate);
+    for (let c = 0; c < channels; c++) {
+      const data = buffer.getChannelData(c);
+      if (history) data.set(history[c]);
+      data.set(mix[c].subarray(0, frames), warmup);
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+
+    const master = ctx.createGain();
+    master.gain.value = settings.masterVolume;
+    const compressor = ctx.createDynamicsCompressor();
+    Object.keys(settings.compressor).forEach(param => {
+      compressor[param].value = settings.compressor[param];
+    });
+    const limiter = new MasterLimiter(ctx, settings.limiter);
+    await limiter.initialize();
+    source.connect(master);
+    master.connect(compressor);
+    compressor.connect(limiter.input);
+    limiter.connect(ctx.destination);
+
+    source.start();
+    const rendered = await ctx.startRendering();
+
+    // Skip the warm-up and the limiter's look-ahead delay
+    const offset = warmup + Math.round(limiter.latency * sampleRate);
+    const output = [];
+    for (let c = 0; c < channels; c++) {
+      output.push(rendered.getChannelData(c).subarray(offset, offset + frames));
+    }
+    return output;
+  }
+
+  /**
+   * Render one segment's pre-master mix (plus tail) on its own OfflineAudioContext
+   * @param {number} startFrame - Session frame of the segment start
+   * @param {number} frames - Segment length without tail
+   * @param {number} tailFrames - Extra frames to let grains and effects ring out
+   * @param {number} channels - Output channels
+   * @returns {Promise<AudioBuffer>}
+   */
+  async renderSegment(startFrame, frames, tailFrames, channels) {
+    const { settings } = this;
+    const sampleRate = this.sampleRate;
+    const startTime = startFrame / sampleRate;
+    const isFirst = startFrame === 0;
+
+    // Band audio for this segment only: grains read back up to their (pitched-up) length
+    const history = Math.ceil((FILTER_SETTLE + settings.bands.reduce(
+      (longest, band) => Math.max(longest, band.grainSize * MAX_PITCH_READ), 0)) * sampleRate);
+    const windowStart = startFrame - history;
+    const bandSignals = settings.bands.length
+      ? await this.filterSignals(
+        settings.bands.map(band => ({ key: `band-${band.index}`, band })), windowStart, history + frames)
+      : new Map();
+
+    const ctx = new OfflineAudioContext(channels, frames + tailFrames, sampleRate);
+
+    // Everything meets here before the master stage (see renderMaster)
+    const bus = ctx.createGain();
+    bus.connect(ctx.destination);
+
+    // Shared reverb: band sends and the effects chain feed it, its return joins the bus
+    const reverb = new ReverbService(ctx, settings.reverb);
+    await reverb.setMode(settings.reverb.mode, false);
+    const reverbReturn = ctx.createGain();
+    reverbReturn.gain.value = settings.reverbReturn;
+    reverb.connect(reverbReturn);
+    reverbReturn.connect(bus);
+
+    // Everything synthesized goes through the effects chain when there is one;
+    // its oscillators pick up at the phase the previous segment left them
+    const mix = ctx.createGain();
+    if (settings.effects) {
+      const effects = new EffectsChain(ctx, reverb);
+      effects.setState(settings.effects);
+      effects.setOscillatorTime(startTime);
+      effects.connect(mix, bus);
+    } else {
+      mix.connect(bus);
+    }
+
+    // Band processors - start at full level after the first segment (no fade dips)
+    const bandProcessors = settings.bands.map(band => {
+      const key = `band-${band.index}`;
+      const processor = new BandProcessor(ctx, band.info, band.index);
+      processor.grainSize = band.grainSize;
+      processor.setPitch(band.pitchSemitones, band.pitchCents);
+      processor.setFormantPreservation(band.preserveFormants);
+      processor.panner.pan.value = band.pan;
+      processor.reverbSend.gain.value = band.reverbSend;
+      processor.connectReverbSend(reverb.input);
+      processor.connectReader(new BufferReader(ctx, bandSignals.get(key), {
+        name: key,
+        timeOffset: startTime,
+        loopLength: this.loopFrames,
+        windowStart
+      }), mix);
+      processor.startGrainSynthesis(band.stretch, isFirst ? 0.05 : 0);
+      return processor;
+    });
+
+    // Paulstretch continues from where the previous segment stopped reading
+    let paulstretch = null;
+    if (settings.paulstretch) {
+      const state = settings.paulstretch;
+      paulstretch = new SimplePaulstretch(ctx);
+      paulstretch.setMode(state.mode);
+      paulstretch.setGrainSize(state.grainSize);
+      paulstretch.setStretchFactor(state.stretchFactor);
+      paulstretch.grainOverlap = state.grainOverlap;
+      paulstretch.outputGain.gain.value = state.volume;
+      paulstretch.spectralSourceSeconds = this.source.duration; // Stretch the whole source
+      paulstretch.startCapture(new BufferReader(ctx, this.input, { name: 'input', timeOffset: startTime }));
+      paulstretch.connect(mix);
+
+      if (this.paulstretchState) {
+        paulstretch.readPosition = this.paulstretchState.readPosition;
+        paulstretch.spectralSource = this.paulstretchState.spectralSource;
+        paulstretch.start(true);
+      } else {
+        paulstretch.start();
+      }
+    }
+
+    // Drive the grain scheduler from suspend points instead of a timer,
+    // queuing one lookahead window at a time up to the end of the segment.
+    // Each point queues the next while the context is suspended; after a
+    // cancel (or a failed suspend) no more are queued, so the context runs
+    // on to the end unscheduled and the render settles
+    const scheduler = getGrainScheduler(ctx);
+    const step = scheduler.lookahead;
+    const segmentEnd = frames / sampleRate;
+    let failure = null;
+
+    const suspendAt = (i) => {
+      const time = i * step;
+      if (time >= segmentEnd) return;
+
+      ctx.suspend(time)
+        .then(() => {
+          try {
+            if (!this.cancelled && !failure) {
+              scheduler.scheduleUntil(Math.min(time + step, segmentEnd));
+              suspendAt(i + 1);
+            }
+          } catch (err) {
+            failure = err;
+          }
+          return ctx.resume(); // Always, so startRendering() settles
+        })
+        .catch(err => { failure = failure || err; });
+    };
+    suspendAt(1);
+
+    try {
+      const rendered = await ctx.startRendering();
+      this.checkCancelled();
+      if (failure) throw failure;
+
+      if (paulstretch) {
+        this.paulstretchState = {
+          readPosition: paulstretch.readPosition,
+          spectralSource: paulstretch.spectralSource
+        };
+      }
+      return rendered;
+    } finally {
+      if (paulstretch) paulstretch.stop();
+      bandProcessors.forEach(processor => processor.cleanup());
+      scheduler.cleanup();
+    }
+  }
+}
+
+export default OfflineRenderer;
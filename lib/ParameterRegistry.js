@@ -0,0 +1,263 @@
+/**
+ * ParameterRegistry - One place for every controllable parameter
+ * Each parameter has an id ('master.volume', 'band.3.stretch', ...), a range,
+ * default, unit, curve and smoothing time. set() clamps, hands the value to the
+ * owner's write() (AudioParams glide with setTargetAtTime over the smoothing
+ * time, so nothing zips) and tells subscribers; get() asks the owner when it
+ * keeps the value itself. The UI, presets, controllers (normalized 0-1, for
+ * MIDI CC) and automation all set parameters here; owners that change a value
+ * on their own (a drag, the fluid field) report it with changed().
+ */
+
+// How a parameter spreads over a slider / controller travel
+export const PARAMETER_CURVES = {
+  linear: { label: 'Linear' },
+  log: { label: 'Logarithmic' } // Equal travel per octave; min must be above 0
+};
+
+/**
+ * @param {object} spec - { min, max }
+ * @param {number} value
+ * @returns {number}
+ */
+export function clampValue(spec, value) {
+  return Math.max(spec.min, Math.min(spec.max, value));
+}
+
+/**
+ * Position of a value along the parameter's travel
+ * @param {object} spec - { min, max, curve }
+ * @param {number} value
+ * @returns {number} 0-1
+ */
+export function toNormalized(spec, value) {
+  const clamped = clampValue(spec, value);
+  if (spec.curve === 'log') {
+    return Math.log(clamped / spec.min) / Math.log(spec.max / spec.min);
+  }
+  return spec.max === spec.min ? 0 : (clamped - spec.min) / (spec.max - spec.min);
+}
+
+/**
+ * Value at a position along the parameter's travel
+ * @param {object} spec - { min, max, curve }
+ * @param {number} position - 0-1
+ * @returns {number}
+ */
+export function fromNormalized(spec, position) {
+  const p = Math.max(0, Math.min(1, position));
+  if (spec.curve === 'log') {
+    return spec.min * Math.pow(spec.max / spec.min, p);
+  }
+  return spec.min + p * (spec.max - spec.min);
+}
+
+/**
+ * @param {object} spec - { unit }
+ * @param {number} value
+ * @returns {string} e.g. '2.50x', '440 Hz', '-1.0 dB'
+ */
+export function formatParameterValue(spec, value) {
+  const magnitude = Math.abs(value);
+  const text = value.toFixed(magnitude >= 100 ? 0 : magnitude >= 10 ? 1 : 2);
+  if (!spec.unit) return text;
+  return spec.unit === 'x' ? `${text}x` : `${text} ${spec.unit}`;
+}
+
+/**
+ * Glide an AudioParam to a value (jump when smoothing is 0)
+ * @param {BaseAudioContext} ctx
+ * @param {AudioParam} param
+ * @param {number} value
+ * @param {number} smoothing - setTargetAtTime time constant (s)
+ */
+export function smoothParam(ctx, param, value, smoothing) {
+  const now = ctx.currentTime;
+  if (smoothing > 0) {
+    param.setTargetAtTime(value, now, smoothing);
+  } else {
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(value, now);
+  }
+}
+
+class ParameterRegistry {
+  constructor() {
+    this.params = new Map(); // id -> parameter
+    this.listeners = new Map(); // id (or '*' for all) -> Set of listeners
+    this.writing = null; // Id being written; its owner's changed() echo is ignored
+  }
+
+  /**
+   * Add (or replace) a parameter
+   * @param {string} id - Dotted id, group first ('band.3.stretch')
+   * @param {object} spec - { label, group, min, max, default, value (starting value, if not the
+   *   default), unit, curve ('linear' or 'log'), smoothing (s), read() (when the owner keeps
+   *   the value), write(value, smoothing) }
+   */
+  define(id, spec) {
+    const param = {
+      id,
+      label: spec.label || id,
+      group: spec.group || 'General',
+      min: spec.min,
+      max: spec.max,
+      default: spec.default !== undefined ? spec.default : spec.min,
+      unit: spec.unit || '',
+      curve: spec.curve || 'linear',
+      smoothing: spec.smoothing || 0,
+      read: spec.read || null,
+      write: spec.write || null
+    };
+    param.value = param.read ? param.read() : (spec.value !== undefined ? spec.value : param.default);
+    this.params.set(id, param);
+  }
+
+  /**
+   * Forget a parameter (its subscribers stay, and hear it again if it is redefined)
+   */
+  remove(id) {
+    this.params.delete(id);
+  }
+
+  has(id) {
+    return this.params.has(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {number|undefined} Current value (undefined for unknown ids)
+   */
+  get(id) {
+    const param = this.params.get(id);
+    if (!param) return undefined;
+    return param.read ? param.read() : param.value;
+  }
+
+  /**
+   * @returns {number|undefined} 0-1 along the parameter's curve
+   */
+  getNormalized(id) {
+    const param = this.params.get(id);
+    return param ? toNormalized(param, this.get(id)) : undefined;
+  }
+
+  /**
+   * @param {string} id
+   * @param {number} value - Clamped to the parameter's range
+   * @param {string} origin - Who is setting it ('user', 'preset', 'controller', 'automation', ...)
+   * @returns {number|undefined} The value applied (undefined for unknown ids)
+   */
+  set(id, value, origin = 'user') {
+    const param = this.params.get(id);
+    if (!param || !Number.isFinite(value)) return undefined;
+
+    const clamped = clampValue(param, value);
+    param.value = clamped;
+
+    if (param.write) {
+      this.writing = id;
+      try {
+        param.write(clamped, param.smoothing);
+      } finally {
+        this.writing = null;
+      }
+    }
+
+    this.notify(param, clamped, origin);
+    return clamped;
+  }
+
+  /**
+   * Set from a 0-1 position (controllers, automation lanes)
+   */
+  setNormalized(id, position, origin = 'controller') {
+    const param = this.params.get(id);
+    if (!param) return undefined;
+    return this.set(id, fromNormalized(param, position), origin);
+  }
+
+  /**
+   * Return a parameter to its default
+   */
+  reset(id, origin = 'user') {
+    const param = this.params.get(id);
+    return param ? this.set(id, param.default, origin) : undefined;
+  }
+
+  /**
+   * An owner changed a value by itself; tell subscribers
+   * @param {string} id
+   * @param {string} origin - e.g. 'drag', 'field', 'preset'
+   */
+  changed(id, origin) {
+    const param = this.params.get(id);
+    if (!param || id === this.writing) return;
+
+    param.value = this.get(id);
+    this.notify(param, param.value, origin);
+  }
+
+  /**
+   * Listen to one parameter, or to all of them with '*'
+   * @param {string} id
+   * @param {function} listener - (value, id, origin)
+   * @returns {function} Unsubscribe
+   */
+  subscribe(id, listener) {
+    if (!this.listeners.has(id)) {
+      this.listeners.set(id, new Set());
+    }
+    this.listeners.get(id).add(listener);
+    return () => this.listeners.get(id).delete(listener);
+  }
+
+  notify(param, value, origin) {
+    [this.listeners.get(param.id), this.listeners.get('*')].forEach(listeners => {
+      if (listeners) listeners.forEach(listener => listener(value, param.id, origin));
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|undefined} { id, label, group, min, max, default, unit, curve, smoothing, value }
+   */
+  describe(id) {
+    const param = this.params.get(id);
+    if (!param) return undefined;
+
+    const spec = { ...param, value: this.get(id) };
+    delete spec.read; // Owner callbacks stay private
+    delete spec.write;
+    return spec;
+  }
+
+  /**
+   * @param {string} group - Only this group (default: all)
+   * @returns {object[]} See describe()
+   */
+  list(group = null) {
+    return Array.from(this.params.keys())
+      .map(id => this.describe(id))
+      .filter(param => !group || param.group === group);
+  }
+
+  /**
+   * @returns {object} id -> value for every parameter
+   */
+  snapshot() {
+    const values = {};
+    this.params.forEach((param, id) => { values[id] = this.get(id); });
+    return values;
+  }
+
+  /**
+   * Set many parameters at once (unknown ids are skipped)
+   * @param {object} values - id -> value
+   */
+  restore(values, origin = 'user') {
+    Object.entries(values).forEach(([id, value]) => this.set(id, value, origin));
+  }
+}
+
+export default ParameterRegistry;
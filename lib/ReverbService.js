@@ -0,0 +1,446 @@
+/**
+ * ReverbService - One shared reverb every subsystem sends into
+ * send bus (input) → pre-delay → convolver → damping lowpass → return (output)
+ *                              → FDN (feedback delay network) ─┘
+ * The convolution engine plays impulse responses, either generated (hall,
+ * plate, long tail) or loaded from a file. Damping is a lowpass on its wet
+ * return, so it works the same on loaded IRs. Switching IRs crossfades between
+ * two convolvers instead of swapping the buffer under a running one (which clicks).
+ * The FDN engine is lighter and fully parametric (see FDNReverb); it is only
+ * built the first time it is selected.
+ */
+
+import FDNReverb from './FDNReverb.js';
+
+const MAX_PRE_DELAY = 0.25; // s
+const SWITCH_FADE = 0.08; // IR and engine crossfade (s)
+const FILTER_BLOCK = 64; // Samples between damping-coefficient updates while generating
+
+export const REVERB_MODES = {
+  convolution: { label: 'Convolution (impulse response)' },
+  fdn: { label: 'Feedback delay network (light)' }
+};
+
+// Built-in impulse responses
+// rt60: time for the tail to fall 60 dB; brightStart/brightEnd: lowpass
+// cutoff at the start and end of the tail (high frequencies die first);
+// reflections: sparse early taps before the dense tail; attack: fade-in
+export const IMPULSE_TYPES = {
+  hall: {
+    label: 'Hall',
+    duration: 3.5,
+    rt60: 2.8,
+    brightStart: 9000,
+    brightEnd: 1200,
+    reflections: 14,
+    reflectionTime: 0.08,
+    attack: 0.02
+  },
+  plate: {
+    label: 'Plate',
+    duration: 2.5,
+    rt60: 1.8,
+    brightStart: 14000,
+    brightEnd: 5000,
+    reflections: 0,
+    reflectionTime: 0,
+    attack: 0.002
+  },
+  longTail: {
+    label: 'Long tail',
+    duration: 9,
+    rt60: 7.5,
+    brightStart: 7000,
+    brightEnd: 1800,
+    reflections: 0,
+    reflectionTime: 0,
+    attack: 0.15
+  }
+};
+
+/**
+ * Seeded random numbers (mulberry32) so an IR can be generated again identically
+ * @param {number} seed - 32-bit integer
+ * @returns {function} () => 0-1
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a stereo impulse response: decorrelated noise per channel under an
+ * exponential decay, through a lowpass that closes as the tail decays
+ * @param {BaseAudioContext} audioContext
+ * @param {string} type - Key of IMPULSE_TYPES
+ * @param {number} seed - Same seed, same IR (offline renders rebuild the live one)
+ * @returns {AudioBuffer}
+ */
+export function generateImpulse(audioContext, type, seed = 1) {
+  const spec = IMPULSE_TYPES[type];
+  if (!spec) {
+    throw new Error(`Unknown impulse type: ${type}`);
+  }
+
+  const random = seededRandom(seed);
+
+  const sampleRate = audioContext.sampleRate;
+  const length = Math.floor(spec.duration * sampleRate);
+  const impulse = audioContext.createBuffer(2, length, sampleRate);
+  const decayRate = Math.log(1000) / spec.rt60; // 60 dB = factor 1000 in amplitude
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+
+    let state = 0;
+    let coefficient = 0;
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+
+      if (i % FILTER_BLOCK === 0) {
+        const cutoff = spec.brightStart * Math.pow(spec.brightEnd / spec.brightStart, t / spec.duration);
+        coefficient = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+      }
+
+      const envelope = Math.exp(-decayRate * t) * Math.min(1, t / spec.attack);
+      state += ((random() * 2 - 1) - state) * coefficient;
+      data[i] = state * envelope;
+    }
+
+    // Early reflections: a few discrete taps, different per channel
+    for (let r = 0; r < spec.reflections; r++) {
+      const time = 0.005 + random() * spec.reflectionTime;
+      const index = Math.floor(time * sampleRate);
+      const gain = (random() < 0.5 ? -1 : 1) * (0.3 + random() * 0.5) * Math.exp(-decayRate * time);
+      data[index] += gain;
+    }
+
+    // Fade out the last 50 ms so the truncation doesn't click
+    const fadeLength = Math.min(length, Math.floor(0.05 * sampleRate));
+    for (let i = 0; i < fadeLength; i++) {
+      data[length - 1 - i] *= i / fadeLength;
+    }
+  }
+
+  return impulse;
+}
+
+/**
+ * How long the reverb keeps ringing after its input stops
+ * @param {object} state - ReverbService.getState()
+ * @returns {number} Seconds (pre-delay plus IR length, or plus the FDN's RT60)
+ */
+export function reverbTailSeconds(state) {
+  const preDelay = state.preDelay || 0;
+  if (state.mode === 'fdn') {
+    return preDelay + state.fdn.decay;
+  }
+  if (state.customBuffer) {
+    return preDelay + state.customBuffer.duration;
+  }
+  return preDelay + (IMPULSE_TYPES[state.impulse] ? IMPULSE_TYPES[state.impulse].duration : 0);
+}
+
+/**
+ * Map damping (0-1) to the return lowpass cutoff: 0 is open, 1 is dark
+ * @param {number} damping
+ * @returns {number} Hz
+ */
+function dampingToCutoff(damping) {
+  return 20000 * Math.pow(2, -damping * 6);
+}
+
+class ReverbService {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { impulse (key of IMPULSE_TYPES or a loaded IR's name), preDelay (s),
+   *   damping (0-1), customBuffer (the loaded IR, when impulse names one), fdn (FDNReverb params),
+   *   seed (for generated IRs) } - getState() fits; its mode is applied with setMode()
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.impulse = options.impulse || 'hall';
+    this.seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296);
+    this.preDelayTime = options.preDelay !== undefined ? options.preDelay : 0.02;
+    this.damping = options.damping !== undefined ? options.damping : 0.3;
+
+    this.impulseCache = new Map(); // Generated and loaded IRs by name
+    this.customImpulses = new Map(); // Loaded IRs by name (also in the cache)
+    if (options.customBuffer) {
+      this.customImpulses.set(this.impulse, options.customBuffer);
+      this.impulseCache.set(this.impulse, options.customBuffer);
+    }
+
+    // Send bus every subsystem connects into
+    this.input = this.ctx.createGain();
+
+    this.preDelay = this.ctx.createDelay(MAX_PRE_DELAY);
+    this.preDelay.delayTime.value = this.preDelayTime;
+
+    this.dampingFilter = this.ctx.createBiquadFilter();
+    this.dampingFilter.type = 'lowpass';
+    this.dampingFilter.Q.value = 0.5;
+    this.dampingFilter.frequency.value = dampingToCutoff(this.damping);
+
+    this.output = this.ctx.createGain();
+
+    // Engine levels (crossfaded by setMode)
+    this.mode = 'convolution';
+    this.requestedMode = this.mode; // Latest setMode() call (the FDN may still be loading)
+    this.convolutionLevel = this.ctx.createGain();
+    this.fdnLevel = this.ctx.createGain();
+    this.fdnLevel.gain.value = 0;
+
+    // Feeds the convolvers; cut off while the FDN is selected so they stop working
+    this.convolutionInput = this.ctx.createGain();
+
+    this.input.connect(this.preDelay);
+    this.preDelay.connect(this.convolutionInput);
+    this.dampingFilter.connect(this.convolutionLevel);
+    this.convolutionLevel.connect(this.output);
+
+    // FDN engine: parameters are kept from the start, the worklet loads on first use
+    this.fdn = new FDNReverb(this.ctx, { ...options.fdn, damping: this.damping });
+    this.fdnLoading = null;
+
+    // Active convolver and its crossfade gain
+    this.convolver = null;
+    this.convolverFade = null;
+    this.useImpulse(this.impulse, false);
+  }
+
+  /**
+   * Connect the wet return
+   * @param {AudioNode} destination
+   */
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  /**
+   * IR buffer for a name, generating built-in types on first use
+   * @param {string} name
+   * @returns {AudioBuffer}
+   */
+  getImpulseBuffer(name) {
+    if (!this.impulseCache.has(name)) {
+      if (!IMPULSE_TYPES[name]) {
+        throw new Error(`Unknown impulse response: ${name}`);
+      }
+      this.impulseCache.set(name, generateImpulse(this.ctx, name, this.seed));
+    }
+    return this.impulseCache.get(name);
+  }
+
+  /**
+   * Switch to a built-in or previously loaded impulse response
+   * @param {string} name - Key of IMPULSE_TYPES or a loaded IR's name
+   */
+  setImpulse(name) {
+    if (name === this.impulse && this.convolver) return;
+    this.useImpulse(name, true);
+  }
+
+  useImpulse(name, crossfade) {
+    const buffer = this.getImpulseBuffer(name);
+    this.impulse = name;
+
+    const convolver = this.ctx.createConvolver();
+    convolver.buffer = buffer;
+    const fade = this.ctx.createGain();
+
+    this.convolutionInput.connect(convolver);
+    convolver.connect(fade);
+    fade.connect(this.dampingFilter);
+
+    const previous = this.convolver ? { convolver: this.convolver, fade: this.convolverFade } : null;
+    this.convolver = convolver;
+    this.convolverFade = fade;
+
+    if (!crossfade || !previous) {
+      fade.gain.value = 1;
+      if (previous) this.releaseConvolver(previous);
+      return;
+    }
+
+    const now = this.ctx.currentTime;
+    fade.gain.setValueAtTime(0, now);
+    fade.gain.linearRampToValueAtTime(1, now + SWITCH_FADE);
+    previous.fade.gain.setValueAtTime(previous.fade.gain.value, now);
+    previous.fade.gain.linearRampToValueAtTime(0, now + SWITCH_FADE);
+    setTimeout(() => this.releaseConvolver(previous), SWITCH_FADE * 1000 + 50);
+  }
+
+  releaseConvolver({ convolver, fade }) {
+    try {
+      this.convolutionInput.disconnect(convolver);
+    } catch (e) {} // Already gone if the whole service was disconnected
+    convolver.disconnect();
+    fade.disconnect();
+  }
+
+  /**
+   * Switch reverb engine
+   * @param {string} mode - Key of REVERB_MODES
+   * @param {boolean} crossfade - Fade between engines (false: switch immediately)
+   */
+  async setMode(mode, crossfade = true) {
+    if (!REVERB_MODES[mode]) {
+      throw new Error(`Unknown reverb mode: ${mode}`);
+    }
+
+    // The latest request wins: a switch made while the FDN worklet loads
+    // supersedes the one waiting on it
+    this.requestedMode = mode;
+
+    if (mode === 'fdn' && !this.fdnLoading) {
+      this.fdnLoading = this.fdn.initialize().then(() => {
+        this.fdn.connect(this.fdnLevel);
+        this.fdnLevel.connect(this.output);
+      });
+    }
+    if (mode === 'fdn') {
+      await this.fdnLoading;
+      if (this.requestedMode !== mode) return;
+    }
+    if (mode === this.mode) return;
+
+    // Feed the incoming engine now, starve the outgoing one once it has faded
+    const [incoming, outgoing] = mode === 'fdn'
+      ? [this.fdn.input, this.convolutionInput]
+      : [this.convolutionInput, this.fdn.input];
+    this.preDelay.connect(incoming);
+    const release = () => {
+      if (this.mode !== mode) return; // Switched back during the fade
+      try {
+        this.preDelay.disconnect(outgoing);
+      } catch (e) {} // Already disconnected
+    };
+
+    this.mode = mode;
+    const levels = [
+      [this.convolutionLevel.gain, mode === 'convolution' ? 1 : 0],
+      [this.fdnLevel.gain, mode === 'fdn' ? 1 : 0]
+    ];
+    const now = this.ctx.currentTime;
+    levels.forEach(([gain, target]) => {
+      gain.cancelScheduledValues(now);
+      if (crossfade) {
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + SWITCH_FADE);
+      } else {
+        gain.setValueAtTime(target, now);
+      }
+    });
+
+    if (crossfade) {
+      setTimeout(release, SWITCH_FADE * 1000 + 50);
+    } else {
+      release();
+    }
+  }
+
+  /**
+   * Move the FDN engine's parameters (works before it is first selected too)
+   * @param {object} params - { decay (s), size, modulation, diffusion } (see FDNReverb)
+   */
+  setFdnParams(params) {
+    this.fdn.setParams(params);
+  }
+
+  /**
+   * Load an impulse response file and switch to it
+   * @param {File|Blob|ArrayBuffer|AudioBuffer} source
+   * @param {string} name - Name to select it by later (default: the file name)
+   * @returns {Promise<string>} The name it was stored under
+   */
+  async loadImpulse(source, name = null) {
+    let buffer;
+    if (source instanceof AudioBuffer) {
+      buffer = source;
+    } else {
+      let arrayBuffer;
+      if (source instanceof ArrayBuffer) {
+        // decodeAudioData detaches its argument - keep the caller's copy usable
+        arrayBuffer = source.slice(0);
+      } else if (source && typeof source.arrayBuffer === 'function') {
+        arrayBuffer = await source.arrayBuffer();
+      } else {
+        throw new Error('Unsupported impulse response input');
+      }
+      buffer = await this.ctx.decodeAudioData(arrayBuffer);
+    }
+
+    const irName = name || (source && source.name) || `Impulse ${this.customImpulses.size + 1}`;
+    this.customImpulses.set(irName, buffer);
+    this.impulseCache.set(irName, buffer);
+    console.log(`Loaded impulse response ${irName}: ${buffer.duration.toFixed(2)}s, ${buffer.numberOfChannels}ch`);
+
+    this.setImpulse(irName);
+    return irName;
+  }
+
+  /**
+   * @returns {Array<object>} { id, label, custom } for every selectable IR
+   */
+  getImpulseList() {
+    const builtIn = Object.keys(IMPULSE_TYPES).map(id => ({ id, label: IMPULSE_TYPES[id].label, custom: false }));
+    const loaded = [...this.customImpulses.keys()].map(id => ({ id, label: id, custom: true }));
+    return [...builtIn, ...loaded];
+  }
+
+  /**
+   * @param {number} seconds - Gap before the tail starts (0-0.25)
+   */
+  setPreDelay(seconds) {
+    this.preDelayTime = Math.max(0, Math.min(MAX_PRE_DELAY, seconds));
+    this.preDelay.delayTime.setTargetAtTime(this.preDelayTime, this.ctx.currentTime, 0.02);
+  }
+
+  /**
+   * @param {number} amount - 0 (bright) to 1 (dark)
+   */
+  setDamping(amount) {
+    this.damping = Math.max(0, Math.min(1, amount));
+    this.dampingFilter.frequency.setTargetAtTime(dampingToCutoff(this.damping), this.ctx.currentTime, 0.05);
+    this.fdn.setParams({ damping: this.damping });
+  }
+
+  /**
+   * Snapshot for rebuilding the reverb on another context (constructor options)
+   */
+  getState() {
+    return {
+      impulse: this.impulse,
+      customBuffer: this.customImpulses.get(this.impulse) || null,
+      preDelay: this.preDelayTime,
+      damping: this.damping,
+      mode: this.mode,
+      fdn: this.fdn.getParams(),
+      seed: this.seed
+    };
+  }
+
+  disconnect() {
+    this.input.disconnect();
+    this.preDelay.disconnect();
+    if (this.convolver) {
+      this.convolver.disconnect();
+      this.convolverFade.disconnect();
+    }
+    this.convolutionInput.disconnect();
+    this.dampingFilter.disconnect();
+    this.convolutionLevel.disconnect();
+    this.fdn.disconnect();
+    this.fdnLevel.disconnect();
+    this.output.disconnect();
+  }
+}
+
+export default ReverbService;
@@ -1,17 +1,24 @@
 /**
  * SimplePaulstretch - Granular time stretching
  * Creates a dense cloud of overlapping grains for smooth stretching
+ *
+ * Spectral mode is the real paulstretch algorithm: windowed FFT frames with
+ * randomized phases, inverse FFT and overlap-add. It freezes the last couple of
+ * seconds of input when it starts, so it can stretch far beyond granular mode.
  */
 
+import { getGrainScheduler } from './GrainScheduler.js';
+import FFT from './FFT.js';
+
+const MAX_GRANULAR_STRETCH = 20;
+const MAX_SPECTRAL_STRETCH = 10000;
+
 class SimplePaulstretch {
   constructor(audioContext) {
     this.ctx = audioContext;
 
-    // Circular buffer for capture
-    this.bufferSize = this.ctx.sampleRate * 4; // 4 seconds of audio
-    this.buffer = new Float32Array(this.bufferSize);
-    this.writeIndex = 0;
-    this.bufferFilled = 0;
+    // Read cursor on the shared capture ring (set by startCapture)
+    this.reader = null;
 
     // Grain parameters
     this.grainSize = 0.15; // 150ms grains - larger for smoother sound
@@ -21,52 +28,76 @@ class SimplePaulstretch {
     // Read position for time stretching
     this.readPosition = 0;
 
+    // Spectral (FFT paulstretch) mode
+    this.mode = 'granular'; // 'granular' or 'spectral'
+    this.spectralSourceSeconds = 2; // Input frozen from the capture ring on start
+    this.spectralSource = null;
+    this.fft = null;
+    this.fftSize = 0;
+
     // Playback state
     this.isPlaying = false;
     this.grains = [];
-    this.nextGrainTime = 0;
+    this.grainVoice = null; // GrainScheduler voice while playing
 
     // Output - higher base volume
     this.outputGain = this.ctx.createGain();
     this.outputGain.gain.value = 0.8;
-
-    // Capture setup
-    this.scriptNode = null;
   }
 
-  startCapture(inputNode) {
-    if (this.scriptNode) return;
-
-    this.scriptNode = this.ctx.createScriptProcessor(2048, 1, 1);
+  /**
+   * Read from a captured signal
+   * @param {CaptureReader} reader - Cursor from AudioEngine.getCaptureReader()
+   */
+  startCapture(reader) {
+    this.reader = reader;
+  }
 
-    this.scriptNode.onaudioprocess = (e) => {
-      const input = e.inputBuffer.getChannelData(0);
+  /**
+   * Switch between granular overlap-add and spectral paulstretch
+   * @param {string} mode - 'granular' or 'spectral'
+   */
+  setMode(mode) {
+    if (mode !== 'granular' && mode !== 'spectral') return;
+    if (mode === this.mode) return;
 
-      for (let i = 0; i < input.length; i++) {
-        this.buffer[this.writeIndex] = input[i];
-        this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-      }
-      this.bufferFilled = Math.min(this.bufferFilled + input.length, this.bufferSize);
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) this.stop();
 
-      // Silent output
-      e.outputBuffer.getChannelData(0).fill(0);
-    };
+    this.mode = mode;
+    this.setStretchFactor(this.stretchFactor);
+    this.setGrainSize(this.grainSize);
 
-    inputNode.connect(this.scriptNode);
-    this.scriptNode.connect(this.ctx.destination);
+    if (wasPlaying) this.start();
   }
 
-  start() {
-    if (this.isPlaying) return;
+  /**
+   * @param {boolean} keepPosition - Carry on from the current read position (and
+   *   frozen spectral source) instead of jumping to the newest input
+   */
+  start(keepPosition = false) {
+    if (this.isPlaying || !this.reader) return;
+
+    if (keepPosition && (this.mode === 'granular' || this.spectralSource)) {
+      // Resume where a previous run left off (offline render segments)
+    } else if (this.mode === 'spectral') {
+      if (!this.freezeSpectralSource()) return;
+    } else {
+      // Start reading from recent audio
+      const bufferSize = this.reader.size;
+      this.readPosition = (this.reader.writeIndex - this.ctx.sampleRate * 0.5 + bufferSize) % bufferSize;
+    }
+
     this.isPlaying = true;
-    // Start reading from recent audio
-    this.readPosition = Math.max(0, this.writeIndex - this.ctx.sampleRate * 0.5);
-    this.nextGrainTime = this.ctx.currentTime;
-    this.scheduleNextGrain();
+    this.grainVoice = getGrainScheduler(this.ctx).schedule(when => this.scheduleNextGrain(when));
   }
 
   stop() {
     this.isPlaying = false;
+    if (this.grainVoice) {
+      this.grainVoice.cancel();
+      this.grainVoice = null;
+    }
     this.grains.forEach(grain => {
       try { grain.source.stop(); } catch(e) {}
     });
@@ -84,48 +115,47 @@ class SimplePaulstretch {
     }, duration * 1000);
   }
 
-  scheduleNextGrain() {
-    if (!this.isPlaying) return;
-
-    const now = this.ctx.currentTime;
+  /**
+   * Queue one grain (GrainScheduler callback)
+   * @param {number} when - Audio-clock start time
+   * @returns {number} Seconds until the next grain, 0 to stop
+   */
+  scheduleNextGrain(when) {
+    if (!this.isPlaying) return 0;
 
-    if (now >= this.nextGrainTime) {
-      this.createGrain();
-
-      // Dense grain spacing - independent of stretch factor
-      // More grains per second = smoother sound
-      const grainSpacing = this.grainSize / this.grainOverlap;
-      this.nextGrainTime = now + grainSpacing;
+    if (this.mode === 'spectral') {
+      return this.createSpectralFrame(when);
     }
 
-    setTimeout(() => this.scheduleNextGrain(), 5); // Faster polling
+    this.createGrain(when);
+
+    // Dense grain spacing - independent of stretch factor
+    // More grains per second = smoother sound
+    return this.grainSize / this.grainOverlap;
   }
 
-  createGrain() {
+  createGrain(when) {
     const grainSamples = Math.floor(this.grainSize * this.ctx.sampleRate);
 
     // Need enough buffer to read from
-    if (this.bufferFilled < grainSamples * 2) {
+    if (!this.reader || this.reader.filled < grainSamples * 2) {
       return;
     }
 
+    const bufferSize = this.reader.size;
+
     // Create grain buffer
     const grainBuffer = this.ctx.createBuffer(1, grainSamples, this.ctx.sampleRate);
     const channelData = grainBuffer.getChannelData(0);
 
-    // Calculate safe read position (stay behind write position)
-    const safeDistance = this.ctx.sampleRate * 0.1; // 100ms safety margin
-    const maxReadPos = (this.writeIndex - safeDistance + this.bufferSize) % this.bufferSize;
-
     // Add slight randomization for richer sound
     const jitter = Math.floor((Math.random() - 0.5) * this.ctx.sampleRate * 0.05);
-    let readPos = (this.readPosition + jitter + this.bufferSize) % this.bufferSize;
+    const readPos = (this.readPosition + jitter + bufferSize) % bufferSize;
+    this.reader.read(channelData, readPos);
 
-    // Fill grain with Hann-windowed audio
+    // Apply Hann window
     for (let i = 0; i < grainSamples; i++) {
-      const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
-      const idx = Math.floor(readPos + i) % this.bufferSize;
-      channelData[i] = this.buffer[idx] * window;
+      channelData[i] *= 0.5 * (1 - Math.cos(2 * Math.PI * i / grainSamples));
     }
 
     // Create and connect nodes
@@ -139,27 +169,138 @@ class SimplePaulstretch {
     source.connect(grainGain);
     grainGain.connect(this.outputGain);
 
-    const now = this.ctx.currentTime;
-    source.start(now);
+    source.start(when);
 
     // Track grain
-    this.grains.push({ source, startTime: now });
+    this.grains.push({ source, startTime: when });
 
     // Advance read position slowly based on stretch factor
     // Higher stretch = slower advancement = more time stretching
     const advancement = grainSamples / this.stretchFactor / this.grainOverlap;
-    this.readPosition = (this.readPosition + advancement) % this.bufferSize;
+    this.readPosition = (this.readPosition + advancement) % bufferSize;
 
     // Cleanup old grains
-    this.grains = this.grains.filter(g => g.startTime > now - this.grainSize * 2);
+    this.grains = this.grains.filter(g => g.startTime > when - this.grainSize * 2);
+  }
+
+  /**
+   * Copy the most recent input out of the capture ring for spectral playback
+   * @returns {boolean} false if not enough audio has been captured yet
+   */
+  freezeSpectralSource() {
+    this.prepareSpectral();
+
+    // At least one whole window (long grains round up past spectralSourceSeconds)
+    const length = Math.min(
+      this.reader.filled,
+      Math.max(this.fftSize, Math.floor(this.spectralSourceSeconds * this.ctx.sampleRate))
+    );
+
+    if (length < this.fftSize) {
+      console.warn('SimplePaulstretch: not enough captured audio for spectral mode yet');
+      return false;
+    }
+
+    this.spectralSource = new Float32Array(length);
+    this.reader.readLatest(this.spectralSource);
+    this.readPosition = 0;
+    return true;
+  }
+
+  /**
+   * (Re)build FFT state when the window size changes
+   */
+  prepareSpectral() {
+    // Window length follows grain size, rounded up to a power of two
+    const size = Math.pow(2, Math.ceil(Math.log2(this.grainSize * this.ctx.sampleRate)));
+    if (size === this.fftSize) return;
+
+    this.fftSize = size;
+    this.fft = new FFT(size);
+    this.fftReal = new Float32Array(size);
+    this.fftImag = new Float32Array(size);
+
+    // Sine window on analysis and synthesis: their product is a Hann window,
+    // which sums to unity at 50% overlap
+    this.spectralWindow = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      this.spectralWindow[i] = Math.sin(Math.PI * (i + 0.5) / size);
+    }
+  }
+
+  /**
+   * Render one paulstretch frame: window, FFT, randomize phases, inverse FFT, window
+   * @param {number} when - Audio-clock start time
+   * @returns {number} Seconds until the next frame (half a window)
+   */
+  createSpectralFrame(when) {
+    this.prepareSpectral();
+
+    const n = this.fftSize;
+    const half = n / 2;
+    const re = this.fftReal;
+    const im = this.fftImag;
+    const window = this.spectralWindow;
+    const source = this.spectralSource;
+    const length = source.length;
+
+    const start = Math.floor(this.readPosition);
+    for (let i = 0; i < n; i++) {
+      re[i] = source[(start + i) % length] * window[i];
+      im[i] = 0;
+    }
+
+    this.fft.forward(re, im);
+
+    // Keep magnitudes, throw away phases
+    for (let k = 0; k <= half; k++) {
+      const magnitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      const phase = Math.random() * 2 * Math.PI;
+      re[k] = magnitude * Math.cos(phase);
+      im[k] = magnitude * Math.sin(phase);
+    }
+
+    // DC and Nyquist stay real; mirror the rest for a real-valued output
+    im[0] = 0;
+    im[half] = 0;
+    for (let k = 1; k < half; k++) {
+      re[n - k] = re[k];
+      im[n - k] = -im[k];
+    }
+
+    this.fft.inverse(re, im);
+
+    const frameBuffer = this.ctx.createBuffer(1, n, this.ctx.sampleRate);
+    const channelData = frameBuffer.getChannelData(0);
+    for (let i = 0; i < n; i++) {
+      channelData[i] = re[i] * window[i];
+    }
+
+    const frameSource = this.ctx.createBufferSource();
+    frameSource.buffer = frameBuffer;
+    frameSource.connect(this.outputGain);
+    frameSource.start(when);
+
+    this.grains.push({ source: frameSource, startTime: when });
+
+    const hopSeconds = half / this.ctx.sampleRate;
+    this.grains = this.grains.filter(g => g.startTime > when - hopSeconds * 4);
+
+    // Output advances half a window per frame; input advances that much / stretch
+    this.readPosition = (this.readPosition + half / this.stretchFactor) % length;
+
+    return hopSeconds;
   }
 
   setStretchFactor(factor) {
-    this.stretchFactor = Math.max(1, Math.min(20, factor));
+    const maxStretch = this.mode === 'spectral' ? MAX_SPECTRAL_STRETCH : MAX_GRANULAR_STRETCH;
+    this.stretchFactor = Math.max(1, Math.min(maxStretch, factor));
   }
 
   setGrainSize(size) {
-    this.grainSize = Math.max(0.05, Math.min(0.5, size));
+    // Spectral mode wants long windows for smooth extreme stretches
+    const maxSize = this.mode === 'spectral' ? 2.0 : 0.5;
+    this.grainSize = Math.max(0.05, Math.min(maxSize, size));
   }
 
   setVolume(volume) {
@@ -172,10 +313,7 @@ class SimplePaulstretch {
 
   disconnect() {
     this.outputGain.disconnect();
-    if (this.scriptNode) {
-      this.scriptNode.disconnect();
-      this.scriptNode = null;
-    }
+    this.reader = null;
   }
 }
 
@@ -0,0 +1,454 @@
+/**
+ * SpectralProcessor - Phase vocoder STFT engine for spectral effects
+ * An AudioWorklet analyses the signal in overlapping Hann frames, estimates the
+ * true frequency of every bin from its phase advance, then resynthesizes with
+ * the bins moved and reshaped:
+ *   shift    - move every partial up/down by a number of bins
+ *   stretch  - scale partial frequencies (inharmonic when combined with shift)
+ *   blur     - smear magnitudes across time and neighbouring bins
+ *   freeze   - hold the current spectrum while phases keep advancing
+ *   harmonic - boost spectral peaks and duck the noise between them
+ * With everything neutral the original phases are used, so the output is the
+ * input delayed by FFT_SIZE samples.
+ */
+
+import { loadWorklet } from './loadWorklet.js';
+
+const PROCESSOR_NAME = 'chiaroscuro-spectral';
+
+const FFT_SIZE = 2048;
+const HOP = FFT_SIZE / 4;
+
+const PROCESSOR_SOURCE = `
+const FFT_SIZE = ${FFT_SIZE};
+const HOP = ${HOP};
+const BINS = FFT_SIZE / 2 + 1;
+const TWO_PI = Math.PI * 2;
+const EXPECTED = TWO_PI * HOP / FFT_SIZE; // Phase advance per hop of a bin-centred partial
+
+// Periodic Hann; analysis x synthesis windows at 1/4 hop overlap-add to 1.5
+const WINDOW = new Float32Array(FFT_SIZE);
+for (let i = 0; i < FFT_SIZE; i++) {
+  WINDOW[i] = 0.5 * (1 - Math.cos(TWO_PI * i / FFT_SIZE));
+}
+const OUTPUT_SCALE = 1 / (FFT_SIZE * 1.5);
+
+// In-place radix-2 FFT (unscaled in both directions)
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = (inverse ? TWO_PI : -TWO_PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const bRe = re[b] * wRe - im[b] * wIm;
+        const bIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - bRe;
+        im[b] = im[a] - bIm;
+        re[a] += bRe;
+        im[a] += bIm;
+        const t = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = t;
+      }
+    }
+  }
+}
+
+function wrapPhase(phase) {
+  return phase - TWO_PI * Math.round(phase / TWO_PI);
+}
+
+class SpectralChannel {
+  constructor() {
+    this.input = new Float32Array(FFT_SIZE); // Last FFT_SIZE input samples
+    this.accum = new Float32Array(FFT_SIZE); // Overlap-add accumulator
+    this.ready = new Float32Array(HOP); // Finished output, played during the next hop
+    this.position = 0;
+
+    this.re = new Float32Array(FFT_SIZE);
+    this.im = new Float32Array(FFT_SIZE);
+
+    this.magnitude = new Float32Array(BINS);
+    this.phase = new Float32Array(BINS);
+    this.frequency = new Float32Array(BINS); // True frequency in bins
+    this.lastPhase = new Float32Array(BINS);
+    this.synthPhase = new Float32Array(BINS);
+
+    this.smoothed = new Float32Array(BINS); // Time-blurred magnitudes
+    this.blurred = new Float32Array(BINS); // Bin-blurred magnitudes
+    this.emphasis = new Float32Array(BINS);
+    this.frozenMagnitude = new Float32Array(BINS);
+    this.frozenFrequency = new Float32Array(BINS);
+    this.wasFrozen = false;
+
+    this.outMagnitude = new Float32Array(BINS);
+    this.outFrequency = new Float32Array(BINS);
+  }
+
+  process(input, output, params) {
+    for (let i = 0; i < output.length; i++) {
+      this.input[FFT_SIZE - HOP + this.position] = input ? input[i] : 0;
+      output[i] = this.ready[this.position];
+      this.position++;
+      if (this.position === HOP) {
+        this.position = 0;
+        this.frame(params);
+      }
+    }
+  }
+
+  frame(params) {
+    const { re, im } = this;
+
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = this.input[i] * WINDOW[i];
+      im[i] = 0;
+    }
+    this.input.copyWithin(0, HOP);
+    fft(re, im, false);
+
+    // Analysis: magnitude and true frequency from the phase advance since last frame
+    for (let k = 0; k < BINS; k++) {
+      const phase = Math.atan2(im[k], re[k]);
+      const deviation = wrapPhase(phase - this.lastPhase[k] - k * EXPECTED);
+      this.lastPhase[k] = phase;
+      this.phase[k] = phase;
+      this.magnitude[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      this.frequency[k] = k + deviation / EXPECTED;
+    }
+
+    let magnitude = this.blur(params.blur);
+    let frequency = this.frequency;
+
+    // Freeze: hold the spectrum captured on the first frozen frame
+    if (params.freeze) {
+      if (!this.wasFrozen) {
+        this.frozenMagnitude.set(magnitude);
+        this.frozenFrequency.set(frequency);
+      }
+      magnitude = this.frozenMagnitude;
+      frequency = this.frozenFrequency;
+    }
+    this.wasFrozen = params.freeze;
+
+    this.computeEmphasis(magnitude, params.harmonic);
+
+    const remap = params.freeze || params.shift !== 0 || params.stretch !== 1;
+    if (remap) {
+      this.remap(magnitude, frequency, params.shift, params.stretch);
+    } else {
+      // Neutral pitch: keep analysis phases (exact reconstruction)
+      for (let k = 0; k < BINS; k++) {
+        this.outMagnitude[k] = magnitude[k] * this.emphasis[k];
+        this.synthPhase[k] = this.phase[k];
+      }
+    }
+
+    // Synthesis: build the Hermitian spectrum and inverse transform
+    for (let k = 0; k < BINS; k++) {
+      re[k] = this.outMagnitude[k] * Math.cos(this.synthPhase[k]);
+      im[k] = this.outMagnitude[k] * Math.sin(this.synthPhase[k]);
+    }
+    im[0] = 0;
+    im[BINS - 1] = 0;
+    for (let k = 1; k < BINS - 1; k++) {
+      re[FFT_SIZE - k] = re[k];
+      im[FFT_SIZE - k] = -im[k];
+    }
+    fft(re, im, true);
+
+    for (let i = 0; i < FFT_SIZE; i++) {
+      this.accum[i] += re[i] * WINDOW[i] * OUTPUT_SCALE;
+    }
+    this.ready.set(this.accum.subarray(0, HOP));
+    this.accum.copyWithin(0, HOP);
+    this.accum.fill(0, FFT_SIZE - HOP);
+  }
+
+  /**
+   * Smear magnitudes: one-pole across frames, box average across bins
+   * @returns {Float32Array} Magnitudes to resynthesize from
+   */
+  blur(amount) {
+    const hold = amount * 0.95;
+    for (let k = 0; k < BINS; k++) {
+      this.smoothed[k] = this.smoothed[k] * hold + this.magnitude[k] * (1 - hold);
+    }
+    if (amount <= 0) return this.magnitude;
+
+    const radius = Math.round(amount * 8);
+    if (radius === 0) return this.smoothed;
+
+    let sum = 0;
+    let count = 0;
+    for (let k = 0; k < Math.min(radius, BINS); k++) {
+      sum += this.smoothed[k];
+      count++;
+    }
+    for (let k = 0; k < BINS; k++) {
+      const enter = k + radius;
+      const leave = k - radius - 1;
+      if (enter < BINS) { sum += this.smoothed[enter]; count++; }
+      if (leave >= 0) { sum -= this.smoothed[leave]; count--; }
+      this.blurred[k] = sum / count;
+    }
+    return this.blurred;
+  }
+
+  /**
+   * Per-bin gain: peaks (and their skirts) up, everything between them down,
+   * normalized so the frame keeps its energy
+   */
+  computeEmphasis(magnitude, amount) {
+    const emphasis = this.emphasis;
+    if (amount <= 0) {
+      emphasis.fill(1);
+      return;
+    }
+
+    emphasis.fill(1 - amount * 0.7);
+    const boost = 1 + amount * 2;
+    for (let k = 2; k < BINS - 2; k++) {
+      const m = magnitude[k];
+      if (m > magnitude[k - 1] && m >= magnitude[k + 1] && m > magnitude[k - 2] && m >= magnitude[k + 2]) {
+        emphasis[k - 1] = boost;
+        emphasis[k] = boost;
+        emphasis[k + 1] = boost;
+      }
+    }
+
+    let before = 0;
+    let after = 0;
+    for (let k = 0; k < BINS; k++) {
+      const m = magnitude[k];
+      before += m * m;
+      after += m * m * emphasis[k] * emphasis[k];
+    }
+    if (after > 0) {
+      const scale = Math.sqrt(before / after);
+      for (let k = 0; k < BINS; k++) {
+        emphasis[k] *= scale;
+      }
+    }
+  }
+
+  /**
+   * Move each analysis bin to bin * stretch + shift and accumulate phase
+   * from the new frequency so partials stay coherent from frame to frame
+   */
+  remap(magnitude, frequency, shift, stretch) {
+    const outMagnitude = this.outMagnitude;
+    const outFrequency = this.outFrequency;
+    outMagnitude.fill(0);
+
+    for (let k = 0; k < BINS; k++) {
+      const level = magnitude[k] * this.emphasis[k];
+      if (level === 0) continue;
+
+      // Bins move as a block (keeps each partial's main lobe intact) and
+      // carry their true frequency along for the phase advance
+      const bin = Math.round(k * stretch + shift);
+      if (bin < 0 || bin >= BINS) continue;
+
+      // Loudest contributor sets the bin's frequency
+      if (level > outMagnitude[bin]) {
+        outFrequency[bin] = frequency[k] * stretch + shift;
+      }
+      outMagnitude[bin] += level;
+    }
+
+    for (let k = 0; k < BINS; k++) {
+      const advance = outMagnitude[k] > 0 ? outFrequency[k] : k;
+      this.synthPhase[k] = wrapPhase(this.synthPhase[k] + advance * EXPECTED);
+    }
+  }
+}
+
+class ChiaroscuroSpectralProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'shift', defaultValue: 0, minValue: -${FFT_SIZE / 4}, maxValue: ${FFT_SIZE / 4}, automationRate: 'k-rate' },
+      { name: 'stretch', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' },
+      { name: 'blur', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'freeze', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'harmonic', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.channels = [];
+    this.active = true;
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'dispose') {
+        this.active = false;
+      }
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const params = {
+      shift: parameters.shift[0],
+      stretch: parameters.stretch[0],
+      blur: parameters.blur[0],
+      freeze: parameters.freeze[0] >= 0.5,
+      harmonic: parameters.harmonic[0]
+    };
+
+    for (let c = 0; c < output.length; c++) {
+      if (!this.channels[c]) {
+        this.channels[c] = new SpectralChannel();
+      }
+      // Mono input feeds every channel
+      const data = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+      this.channels[c].process(data, output[c], params);
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', ChiaroscuroSpectralProcessor);
+`;
+
+// Neutral settings (and the ranges the worklet accepts)
+export const SPECTRAL_DEFAULTS = {
+  shift: 0,
+  stretch: 1,
+  blur: 0,
+  freeze: 0,
+  harmonic: 0
+};
+
+const SPECTRAL_RANGES = {
+  shift: [-FFT_SIZE / 4, FFT_SIZE / 4],
+  stretch: [0.25, 4],
+  blur: [0, 1],
+  freeze: [0, 1],
+  harmonic: [0, 1]
+};
+
+class SpectralProcessor {
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.fftSize = FFT_SIZE;
+
+    // Spectral manipulation parameters
+    this.spectralShift = 0; // Frequency shift in bins
+    this.spectralStretch = 1.0; // Frequency stretch factor
+    this.spectralBlur = 0; // Spectral smearing
+    this.spectralFreeze = false; // Hold the current spectrum
+    this.harmonicEmphasis = 0; // Boost harmonics
+
+    this.node = null; // STFT worklet, once loaded
+    this.filter = null; // Peaking filter stand-in when worklets are unavailable
+  }
+
+  async initialize() {
+    await loadWorklet(this.ctx, PROCESSOR_NAME, PROCESSOR_SOURCE);
+
+    this.node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers'
+    });
+    this.applyParams();
+  }
+
+  /** Seconds the STFT delays the signal by */
+  get latency() {
+    return this.node ? FFT_SIZE / this.ctx.sampleRate : 0;
+  }
+
+  /**
+   * Route inputNode through the spectral engine into outputNode
+   * @returns {AudioNode} The processing node
+   */
+  process(inputNode, outputNode) {
+    let processor = this.node;
+
+    if (!processor) {
+      // Without the worklet, approximate with a single peaking filter
+      this.filter = this.ctx.createBiquadFilter();
+      this.filter.type = 'peaking';
+      processor = this.filter;
+      this.applyParams();
+    }
+
+    inputNode.connect(processor);
+    processor.connect(outputNode);
+
+    return processor;
+  }
+
+  /**
+   * Update any subset of the spectral parameters
+   * @param {object} params - { shift (bins), stretch, blur (0-1), freeze (bool), harmonic (0-1) }
+   */
+  setParams(params) {
+    const clamp = (name, value) => {
+      const [min, max] = SPECTRAL_RANGES[name];
+      return Math.max(min, Math.min(max, value));
+    };
+
+    if (params.shift !== undefined) this.spectralShift = clamp('shift', params.shift);
+    if (params.stretch !== undefined) this.spectralStretch = clamp('stretch', params.stretch);
+    if (params.blur !== undefined) this.spectralBlur = clamp('blur', params.blur);
+    if (params.freeze !== undefined) this.spectralFreeze = !!params.freeze;
+    if (params.harmonic !== undefined) this.harmonicEmphasis = clamp('harmonic', params.harmonic);
+
+    this.applyParams();
+  }
+
+  applyParams() {
+    const now = this.ctx.currentTime;
+
+    if (this.node) {
+      const param = name => this.node.parameters.get(name);
+      // Shift and stretch jump (smoothing them would sweep through every bin)
+      param('shift').setValueAtTime(this.spectralShift, now);
+      param('stretch').setValueAtTime(this.spectralStretch, now);
+      param('blur').setTargetAtTime(this.spectralBlur, now, 0.05);
+      param('freeze').setValueAtTime(this.spectralFreeze ? 1 : 0, now);
+      param('harmonic').setTargetAtTime(this.harmonicEmphasis, now, 0.05);
+    } else if (this.filter) {
+      this.filter.frequency.value = Math.max(20, (1000 + this.spectralShift * 10) * this.spectralStretch);
+      this.filter.Q.value = 1 / (1 + this.spectralBlur);
+      this.filter.gain.value = this.harmonicEmphasis * 12;
+    }
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage('dispose');
+      this.node.disconnect();
+    }
+    if (this.filter) {
+      this.filter.disconnect();
+    }
+  }
+}
+
+export default SpectralProcessor;
@@ -6,7 +6,13 @@
 import { NOTE_MAP } from './KeyboardSynth.js';
 
 class SuperSynthVoice {
-  constructor(ctx, noteInfo, destination) {
+  /**
+   * @param {AudioContext} ctx
+   * @param {object} noteInfo - { note, freq }
+   * @param {AudioNode} destination
+   * @param {ConstantSourceNode} filterModulation - Shared cutoff offset (cents) for the filter's detune
+   */
+  constructor(ctx, noteInfo, destination, filterModulation = null) {
     this.ctx = ctx;
     this.noteInfo = noteInfo;
     this.isActive = true;
@@ -44,6 +50,10 @@ class SuperSynthVoice {
     this.filter.type = 'lowpass';
     this.filter.frequency.value = 4000;
     this.filter.Q.value = 2;
+    this.filterModulation = filterModulation;
+    if (filterModulation) {
+      filterModulation.connect(this.filter.detune);
+    }
 
     // Master envelope
     this.envelope = ctx.createGain();
@@ -120,6 +130,14 @@ class SuperSynthVoice {
     }
   }
 
+  /** Let go of the shared filter modulation (once the voice is finished) */
+  detach() {
+    if (this.filterModulation) {
+      this.filterModulation.disconnect(this.filter.detune);
+      this.filterModulation = null;
+    }
+  }
+
   release() {
     if (!this.isActive) return;
     this.isActive = false;
@@ -183,6 +201,23 @@ class SuperSynth {
 
       this.delayGain.connect(this.outputGain);
       this.outputGain.connect(audioEngine.masterGainNode);
+
+      // Send into the shared reverb
+      this.reverbSend = ctx.createGain();
+      this.reverbSend.gain.value = 0.25;
+      this.outputGain.connect(this.reverbSend);
+      if (audioEngine.reverbBus) {
+        this.reverbSend.connect(audioEngine.reverbBus);
+      }
+
+      // Filter cutoff offset in cents, shared by every voice (modulation matrix target)
+      this.filterModulation = ctx.createConstantSource();
+      this.filterModulation.offset.value = 0;
+      this.filterModulation.start();
+
+      if (audioEngine.registerSynth) {
+        audioEngine.registerSynth(this);
+      }
     }
 
     this.onNoteStart = null;
@@ -201,7 +236,7 @@ class SuperSynth {
     const ctx = this.audioEngine.audioContext;
 
     // Create voice
-    const voice = new SuperSynthVoice(ctx, noteInfo, this.compressor);
+    const voice = new SuperSynthVoice(ctx, noteInfo, this.compressor, this.filterModulation);
     voice.velocity = velocity;
 
     this.activeVoices.set(key, voice);
@@ -236,6 +271,7 @@ class SuperSynth {
 
     // Clean up after release
     setTimeout(() => {
+      voice.detach();
       this.activeVoices.delete(key);
     }, (voice.releaseTime + 0.2) * 1000);
 
@@ -256,6 +292,16 @@ class SuperSynth {
     });
   }
 
+  /**
+   * Offset every voice's filter cutoff (on top of its envelope and modulateNote)
+   * @param {number} cents
+   */
+  setFilterModulation(cents) {
+    if (this.filterModulation) {
+      this.filterModulation.offset.setTargetAtTime(cents, this.filterModulation.context.currentTime, 0.01);
+    }
+  }
+
   setGlobalDetune(cents) {
     this.activeVoices.forEach(voice => {
       voice.modulate({ pitch: cents / 100 });
@@ -269,6 +315,7 @@ class SuperSynth {
 
   cleanup() {
     this.stopAll();
+    this.activeVoices.forEach(voice => voice.detach());
     this.activeVoices.clear();
     this.pressedKeys.clear();
 
@@ -277,6 +324,14 @@ class SuperSynth {
     if (this.delayGain) this.delayGain.disconnect();
     if (this.delayFeedback) this.delayFeedback.disconnect();
     if (this.outputGain) this.outputGain.disconnect();
+    if (this.reverbSend) this.reverbSend.disconnect();
+    if (this.filterModulation) {
+      this.filterModulation.stop();
+      this.filterModulation.disconnect();
+    }
+    if (this.audioEngine && this.audioEngine.unregisterSynth) {
+      this.audioEngine.unregisterSynth(this);
+    }
   }
 
   // Frequency-based API (for non-keyboard use)
@@ -292,7 +347,7 @@ class SuperSynth {
     };
 
     // Create voice using frequency
-    const voice = new SuperSynthVoice(ctx, noteInfo, this.compressor);
+    const voice = new SuperSynthVoice(ctx, noteInfo, this.compressor, this.filterModulation);
     voice.velocity = velocity;
 
     // Store by frequency as key
@@ -314,6 +369,7 @@ class SuperSynth {
 
     // Clean up after release
     setTimeout(() => {
+      voice.detach();
       this.activeVoices.delete(this.currentFreqKey);
       this.currentFreqKey = null;
     }, (voice.releaseTime + 0.2) * 1000);
@@ -0,0 +1,203 @@
+/**
+ * TempoClock - Shared transport on the audio clock
+ * Holds the tempo (BPM) and, while running, the audio-clock time of beat 0, so
+ * anything scheduled with source.start(when) can find the next beat or note
+ * division exactly. Tap tempo averages the recent taps and pulls the beat onto
+ * the last one; tempo changes keep the current beat position (no jump).
+ * Delay times, grain rates, LFOs and explosion bursts lock to NOTE_DIVISIONS.
+ */
+
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+const DEFAULT_BPM = 120;
+const TAP_TIMEOUT = 2; // s without a tap starts a new tap sequence
+const TAP_HISTORY = 8; // Taps averaged
+const MIN_STEP = 0.001; // s; a grid point closer than this counts as now
+
+// Note divisions, in quarter-note beats
+export const NOTE_DIVISIONS = {
+  '1/1': { label: '1/1', beats: 4 },
+  '1/2': { label: '1/2', beats: 2 },
+  '1/2d': { label: '1/2 dotted', beats: 3 },
+  '1/4': { label: '1/4', beats: 1 },
+  '1/4d': { label: '1/4 dotted', beats: 1.5 },
+  '1/4t': { label: '1/4 triplet', beats: 2 / 3 },
+  '1/8': { label: '1/8', beats: 0.5 },
+  '1/8d': { label: '1/8 dotted', beats: 0.75 },
+  '1/8t': { label: '1/8 triplet', beats: 1 / 3 },
+  '1/16': { label: '1/16', beats: 0.25 },
+  '1/16t': { label: '1/16 triplet', beats: 1 / 6 },
+  '1/32': { label: '1/32', beats: 0.125 }
+};
+
+/**
+ * Length of a note division
+ * @param {string} division - Key of NOTE_DIVISIONS
+ * @param {number} bpm
+ * @returns {number} Seconds
+ */
+export function divisionToSeconds(division, bpm = DEFAULT_BPM) {
+  const spec = NOTE_DIVISIONS[division];
+  if (!spec) {
+    throw new Error(`Unknown note division: ${division}`);
+  }
+  return spec.beats * 60 / bpm;
+}
+
+class TempoClock {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {object} options - { bpm, beatsPerBar }
+   */
+  constructor(audioContext, options = {}) {
+    this.ctx = audioContext;
+    this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, options.bpm || DEFAULT_BPM));
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.running = false;
+    this.startTime = 0; // Audio-clock time of beat 0
+    this.taps = [];
+    this.listeners = new Set();
+  }
+
+  /** Seconds per beat */
+  get beatDuration() {
+    return 60 / this.bpm;
+  }
+
+  /**
+   * Start the transport with beat 0 at `when`
+   * @param {number} when - Audio-clock time (default: now)
+   */
+  start(when = this.ctx.currentTime) {
+    this.startTime = when;
+    this.running = true;
+    this.notify();
+  }
+
+  stop() {
+    this.running = false;
+    this.notify();
+  }
+
+  /**
+   * @param {number} bpm - Clamped to 20-300
+   */
+  setBpm(bpm) {
+    const clamped = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+    if (clamped === this.bpm) return;
+
+    // Stretch the grid around the current position so the beat count carries on
+    const now = this.ctx.currentTime;
+    const position = this.getBeatPosition(now);
+    this.bpm = clamped;
+    this.startTime = now - position * this.beatDuration;
+    this.notify();
+  }
+
+  /**
+   * Register a tap; two or more taps close together set the tempo
+   * @param {number} when - Audio-clock time of the tap (default: now)
+   * @returns {number} The tempo after this tap
+   */
+  tap(when = this.ctx.currentTime) {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && when - last > TAP_TIMEOUT) {
+      this.taps = [];
+    }
+    this.taps.push(when);
+    if (this.taps.length > TAP_HISTORY) this.taps.shift();
+
+    if (this.taps.length >= 2) {
+      const average = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+      // Count beats on the old grid before the tempo changes under it
+      const position = this.running ? this.getBeatPosition(when) : 0;
+      this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, 60 / average));
+
+      // The last tap is a beat
+      if (this.running) {
+        this.startTime = when - Math.round(position) * this.beatDuration;
+      } else {
+        this.start(when);
+        return this.bpm;
+      }
+      this.notify();
+    }
+
+    return this.bpm;
+  }
+
+  /**
+   * Beats since beat 0 (fractional)
+   * @param {number} time - Audio-clock time (default: now)
+   */
+  getBeatPosition(time = this.ctx.currentTime) {
+    return (time - this.startTime) / this.beatDuration;
+  }
+
+  /**
+   * @param {string} division - Key of NOTE_DIVISIONS
+   * @returns {number} Seconds at the current tempo
+   */
+  divisionSeconds(division) {
+    return divisionToSeconds(division, this.bpm);
+  }
+
+  /**
+   * First point of a division's grid at or after `time`
+   * (without a running transport there is no grid, so `time` itself)
+   * @param {string} division - Key of NOTE_DIVISIONS
+   * @param {number} time - Audio-clock time (default: now)
+   * @returns {number} Audio-clock time
+   */
+  nextDivisionTime(division, time = this.ctx.currentTime) {
+    if (!this.running) return time;
+
+    const step = this.divisionSeconds(division);
+    const steps = Math.ceil((time - this.startTime - MIN_STEP) / step);
+    return this.startTime + steps * step;
+  }
+
+  /**
+   * Interval from `when` to the next grid point after it (for GrainScheduler
+   * callbacks): one division when stopped, snapped to the grid when running
+   * @param {string} division - Key of NOTE_DIVISIONS
+   * @param {number} when - Audio-clock time of the current event
+   * @returns {number} Seconds
+   */
+  timeToNext(division, when) {
+    if (!this.running) return this.divisionSeconds(division);
+    return this.nextDivisionTime(division, when + MIN_STEP * 2) - when;
+  }
+
+  /**
+   * Called with the state whenever tempo or transport change
+   * @param {function} listener
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * @returns {object} { bpm, running, beatsPerBar, bar, beat } (bar and beat count from 1)
+   */
+  getState() {
+    const position = this.running ? Math.max(0, this.getBeatPosition()) : 0;
+    const beats = Math.floor(position);
+    return {
+      bpm: this.bpm,
+      running: this.running,
+      beatsPerBar: this.beatsPerBar,
+      bar: Math.floor(beats / this.beatsPerBar) + 1,
+      beat: (beats % this.beatsPerBar) + 1
+    };
+  }
+}
+
+export default TempoClock;
@@ -0,0 +1,203 @@
+/**
+ * WavEncoder - In-browser RIFF/WAVE encoding
+ * Interleaves planar Float32 channels into 16-bit PCM, 24-bit PCM or
+ * 32-bit float WAV data.
+ */
+
+export const WAV_FORMATS = {
+  pcm16: { label: '16-bit', bitsPerSample: 16, formatTag: 1 },
+  pcm24: { label: '24-bit', bitsPerSample: 24, formatTag: 1 },
+  float32: { label: '32-bit float', bitsPerSample: 32, formatTag: 3 }
+};
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+// RIFF header bytes before the sample data
+function headerSizeFor(spec) {
+  // Non-PCM (float) files need the extended fmt chunk and a fact chunk
+  const isFloat = spec.formatTag === 3;
+  return 12 + (8 + (isFloat ? 18 : 16)) + (isFloat ? 12 : 0) + 8;
+}
+
+/**
+ * Longest WAV the 32-bit RIFF size fields can describe
+ * @param {number} numChannels
+ * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+ * @returns {number} Sample frames
+ */
+export function maxWavFrames(numChannels, format = 'pcm16') {
+  const spec = WAV_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown WAV format "${format}"`);
+  }
+
+  const blockAlign = numChannels * spec.bitsPerSample / 8;
+  return Math.floor((0xFFFFFFFF - headerSizeFor(spec) + 8) / blockAlign);
+}
+
+/**
+ * Build the RIFF header for a WAV file of known length
+ * (lets long renders stream their sample data in pieces)
+ * @param {number} numChannels
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} frames - Total sample frames that will follow
+ * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+ * @returns {ArrayBuffer}
+ */
+export function encodeWavHeader(numChannels, sampleRate, frames, format = 'pcm16') {
+  const spec = WAV_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown WAV format "${format}"`);
+  }
+
+  if (frames > maxWavFrames(numChannels, format)) {
+    throw new Error(`${frames} frames is too long for a ${spec.label} WAV file (4 GB limit)`);
+  }
+
+  const blockAlign = numChannels * spec.bitsPerSample / 8;
+  const dataSize = frames * blockAlign;
+
+  const isFloat = spec.formatTag === 3;
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = headerSizeFor(spec);
+
+  const buffer = new ArrayBuffer(headerSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, headerSize + dataSize - 8, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk
+  let offset = 12;
+  writeString(view, offset, 'fmt ');
+  view.setUint32(offset + 4, fmtSize, true);
+  view.setUint16(offset + 8, spec.formatTag, true);
+  view.setUint16(offset + 10, numChannels, true);
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * blockAlign, true);
+  view.setUint16(offset + 20, blockAlign, true);
+  view.setUint16(offset + 22, spec.bitsPerSample, true);
+  if (isFloat) {
+    view.setUint16(offset + 24, 0, true); // cbSize
+  }
+  offset += 8 + fmtSize;
+
+  if (isFloat) {
+    writeString(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, frames, true);
+    offset += factSize;
+  }
+
+  // data chunk header (samples follow)
+  writeString(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+
+  return buffer;
+}
+
+/**
+ * Interleave and quantize planar samples into WAV sample data
+ * @param {Float32Array[]} channels - One array per channel
+ * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+ * @param {number} start - First frame to encode
+ * @param {number} end - Frame to stop before (default: channel length)
+ * @returns {ArrayBuffer}
+ */
+export function encodeWavSamples(channels, format = 'pcm16', start = 0, end = channels[0].length) {
+  const spec = WAV_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown WAV format "${format}"`);
+  }
+
+  const numChannels = channels.length;
+  const bytesPerSample = spec.bitsPerSample / 8;
+  const isFloat = spec.formatTag === 3;
+
+  const buffer = new ArrayBuffer(Math.max(0, end - start) * numChannels * bytesPerSample);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  for (let i = start; i < end; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = channels[c][i];
+
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        if (spec.bitsPerSample === 16) {
+          view.setInt16(offset, Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF), true);
+        } else {
+          const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+          view.setUint8(offset, value & 0xFF);
+          view.setUint8(offset + 1, (value >> 8) & 0xFF);
+          view.setUint8(offset + 2, (value >> 16) & 0xFF);
+        }
+      }
+
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Encode planar sample data as a WAV file
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(channels, sampleRate, format = 'pcm16') {
+  const frames = channels.length > 0 ? channels[0].length : 0;
+  const header = encodeWavHeader(channels.length, sampleRate, frames, format);
+  const samples = encodeWavSamples(channels, format, 0, frames);
+
+  const wav = new Uint8Array(header.byteLength + samples.byteLength);
+  wav.set(new Uint8Array(header), 0);
+  wav.set(new Uint8Array(samples), header.byteLength);
+  return wav.buffer;
+}
+
+/**
+ * Encode an AudioBuffer as a WAV Blob
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} format - 'pcm16', 'pcm24' or 'float32'
+ * @returns {Blob}
+ */
+export function audioBufferToWav(audioBuffer, format = 'pcm16') {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  return new Blob([encodeWav(channels, audioBuffer.sampleRate, format)], { type: 'audio/wav' });
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default encodeWav;
@@ -0,0 +1,43 @@
+/**
+ * loadWorklet - Registers inline AudioWorklet processor sources
+ * Processor code lives next to the class that uses it as a source string,
+ * so no build step or public/ asset is needed to ship a worklet.
+ */
+
+// AudioContext -> Map(processorName -> Promise)
+const loadedModules = new WeakMap();
+
+/**
+ * Load an AudioWorklet module once per context
+ * @param {BaseAudioContext} ctx - Audio context (live or offline)
+ * @param {string} name - Processor name registered by the source
+ * @param {string} source - Processor module source code
+ * @returns {Promise<void>}
+ */
+export function loadWorklet(ctx, name, source) {
+  if (!ctx.audioWorklet) {
+    return Promise.reject(new Error('AudioWorklet is not supported in this browser'));
+  }
+
+  let modules = loadedModules.get(ctx);
+  if (!modules) {
+    modules = new Map();
+    loadedModules.set(ctx, modules);
+  }
+
+  if (!modules.has(name)) {
+    const blob = new Blob([source], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+
+    const loading = ctx.audioWorklet.addModule(url)
+      .finally(() => URL.revokeObjectURL(url));
+
+    // Forget failed loads so a later call can retry
+    loading.catch(() => modules.delete(name));
+    modules.set(name, loading);
+  }
+
+  return modules.get(name);
+}
+
+export default loadWorklet;